@@ -12,11 +12,16 @@ import ComparisonLeaderboard from './components/ComparisonLeaderboard';
 import PremiumPage from './components/PremiumPage';
 import { BlurredSection } from './components/PaywallBlur';
 import LinkAccountPrompt from './components/LinkAccountPrompt';
+import ArtistDropdown from './components/ArtistDropdown';
 import { loadProfile } from './lib/storage';
+import { DEFAULT_ARTIST_ID } from './lib/artists';
 import { useAuthStore } from './stores/authStore';
 import { useSubscriptionStore } from './stores/subscriptionStore';
 import { colors, getContrastColor, getOverlayColor } from './lib/theme';
 import SongDeepDive from './components/SongDeepDive';
+import { SimilarSongRow } from './components/SimilarSongs';
+import { getSimilarityIndex } from './lib/similarity';
+import { getMetric, getMetricGroups, getMetricInfo, getSongDisabledKeys, resolveMetric } from './lib/metrics';
 
 // Parse URL parameters
 function getUrlParams() {
@@ -50,44 +55,6 @@ function clearUrlParams() {
 
 SplashScreen.preventAutoHideAsync();
 
-const METRIC_GROUPS = [
-  {
-    label: 'Basic',
-    metrics: [
-      { key: 'default', label: 'Default', suffix: '' },
-      { key: 'songCount', label: 'Songs', suffix: '' },
-      { key: 'totalMinutes', label: 'Minutes', suffix: ' min' },
-      { key: 'words', label: 'Words', suffix: '', subModes: [
-        { key: 'wordCount', subLabel: 'total' },
-        { key: 'uniqueWordCount', subLabel: 'unique' },
-        { key: 'vocabularyRichness', subLabel: 'vocabulary %', suffix: '%' },
-      ]},
-    ]
-  },
-  {
-    label: 'Audio',
-    metrics: [
-      { key: 'avgEnergy', label: 'Energy', suffix: '%' },
-      { key: 'avgDanceability', label: 'Danceable', suffix: '%' },
-      { key: 'avgValence', label: 'Happiness', suffix: '%' },
-      { key: 'avgAcousticness', label: 'Acoustic', suffix: '%' },
-      { key: 'avgTempo', label: 'Tempo', suffix: ' bpm' },
-    ]
-  },
-  {
-    label: 'Content',
-    metrics: [
-      { key: 'vaultTracks', label: 'Vault', suffix: '' },
-      { key: 'coWriterCount', label: 'Co-writers', suffix: '' },
-      { key: 'themeCount', label: 'Themes', suffix: '' },
-      { key: 'totalCharacters', label: 'Characters', suffix: '' },
-      { key: 'avgIntensity', label: 'Intensity', suffix: '%' },
-    ]
-  },
-];
-
-const ALL_METRICS = METRIC_GROUPS.flatMap(g => g.metrics);
-
 // Dynamic sort options based on selected metric
 const getSortOptions = (metric, subLabel, isAlbumView) => {
   const metricLabel = metric?.label || 'Value';
@@ -106,36 +73,9 @@ const getSortOptions = (metric, subLabel, isAlbumView) => {
   }
 };
 
-// Metrics that don't make sense for individual songs
-const SONG_DISABLED_METRICS = ['songCount'];
-
-// Artist options (for future multi-artist support)
-const ARTISTS = [
-  { id: 'taylor-swift', name: 'Taylor Swift', available: true },
-  { id: 'coming-soon', name: 'More artists coming...', available: false },
-];
-
-// Metric explanations for info button
-const METRIC_INFO = {
-  default: { title: 'Default View', description: 'Shows all albums/songs with equal sizing to compare them visually.' },
-  songCount: { title: 'Song Count', description: 'Total number of songs on each album, including bonus and vault tracks.' },
-  totalMinutes: { title: 'Total Minutes', description: 'Combined runtime of all songs on the album in minutes.' },
-  words: { title: 'Words', description: 'Lyrics analysis - toggle between total words, unique words, or vocabulary richness (unique/total %).' },
-  avgEnergy: { title: 'Energy', description: 'How intense and active the music feels. Based on loudness, tempo, and dynamic range. Higher = more energetic.' },
-  avgDanceability: { title: 'Danceability', description: 'How suitable for dancing based on tempo, rhythm stability, and beat strength. Higher = easier to dance to.' },
-  avgValence: { title: 'Happiness', description: 'Musical positivity - major keys, upbeat tempos score higher. Measures how cheerful or melancholic a song sounds.' },
-  avgAcousticness: { title: 'Acoustic', description: 'Confidence that the track is acoustic (non-electronic instruments). Higher = more acoustic sound.' },
-  avgTempo: { title: 'Tempo', description: 'Speed of the music in beats per minute (BPM). Higher = faster songs.' },
-  vaultTracks: { title: 'Vault Tracks', description: 'Previously unreleased songs from the vault, included on Taylor\'s Version re-recordings.' },
-  coWriterCount: { title: 'Co-writers', description: 'Number of songwriting collaborators on the album. Shows Taylor\'s collaborative range.' },
-  themeCount: { title: 'Themes', description: 'Number of distinct lyrical themes explored across the album\'s songs.' },
-  totalCharacters: { title: 'Characters', description: 'Named characters mentioned across all songs - lovers, friends, and storytelling figures.' },
-  avgIntensity: { title: 'Intensity', description: 'Emotional intensity of the lyrics - combines sentiment analysis with language patterns.' },
-};
-
 function GroupedDropdown({ label, groups, selected, onSelect, subLabel, onCycleSubMode, disabledKeys = [] }) {
   const [open, setOpen] = useState(false);
-  const selectedOption = ALL_METRICS.find(o => o.key === selected);
+  const selectedOption = getMetric(selected);
 
   const closeModal = () => {
     document.activeElement?.blur?.();
@@ -250,51 +190,9 @@ function Dropdown({ label, options, selected, onSelect, disabledKeys = [] }) {
   );
 }
 
-function ArtistDropdown({ selected, onSelect }) {
-  const [open, setOpen] = useState(false);
-  const selectedArtist = ARTISTS.find(a => a.id === selected);
-
-  return (
-    <View style={styles.artistDropdownWrapper}>
-      <Pressable style={styles.artistDropdown} onPress={() => setOpen(!open)}>
-        <Text style={styles.artistName}>{selectedArtist?.name}</Text>
-        <Text style={styles.artistDropdownArrow}>{open ? '▲' : '▼'}</Text>
-      </Pressable>
-      {open && (
-        <View style={styles.artistDropdownMenu}>
-          {ARTISTS.map(artist => (
-            <Pressable
-              key={artist.id}
-              style={[
-                styles.artistDropdownItem,
-                selected === artist.id && styles.artistDropdownItemActive,
-                !artist.available && styles.artistDropdownItemDisabled
-              ]}
-              onPress={() => {
-                if (artist.available) {
-                  onSelect(artist.id);
-                  setOpen(false);
-                }
-              }}
-            >
-              <Text style={[
-                styles.artistDropdownItemText,
-                selected === artist.id && styles.artistDropdownItemTextActive,
-                !artist.available && styles.artistDropdownItemTextDisabled
-              ]}>
-                {artist.name}
-              </Text>
-            </Pressable>
-          ))}
-        </View>
-      )}
-    </View>
-  );
-}
-
 function InfoButton({ metricKey }) {
   const [visible, setVisible] = useState(false);
-  const info = METRIC_INFO[metricKey] || METRIC_INFO.default;
+  const info = getMetricInfo(metricKey);
 
   const closeModal = () => {
     document.activeElement?.blur?.();
@@ -349,18 +247,13 @@ function SongDetailModal({ song, songs, albums, metric, dataKey, onClose, onNavi
   const totalSongs = allSongsWithMetric.length;
   const percentile = totalSongs > 0 ? Math.round((1 - (rank - 1) / totalSongs) * 100) : 0;
 
-  // Find similar and different songs (exclude current song)
-  const otherSongs = songs.filter(s => s.id !== song.id && s[dataKey] !== undefined);
-  const sortedByDiff = otherSongs
-    .map(s => ({ ...s, diff: Math.abs((s[dataKey] || 0) - songValue) }))
-    .sort((a, b) => a.diff - b.diff);
-
-  const mostSimilar = sortedByDiff.slice(0, 3);
-  const mostDifferent = sortedByDiff.slice(-3).reverse();
+  // Find similar and different songs across all dimensions (exclude current song)
+  const similarityIndex = getSimilarityIndex(songs);
+  const mostSimilar = similarityIndex.findSimilar(song, { mode: 'similar', limit: 3 });
+  const mostDifferent = similarityIndex.findSimilar(song, { mode: 'different', limit: 3 });
 
   // Quick stats
   const duration = song.totalMinutes ? `${Math.floor(song.totalMinutes)}:${String(Math.round((song.totalMinutes % 1) * 60)).padStart(2, '0')}` : '--';
-  const vocabRichness = song.wordCount > 0 ? Math.round((song.uniqueWordCount / song.wordCount) * 100) : 0;
 
   const metricLabel = metric?.label || 'Value';
   const suffix = metric?.suffix || '';
@@ -415,7 +308,7 @@ function SongDetailModal({ song, songs, albums, metric, dataKey, onClose, onNavi
                   <Text style={styles.quickStatLabel}>Words</Text>
                 </View>
                 <View style={styles.quickStat}>
-                  <Text style={styles.quickStatValue}>{vocabRichness}%</Text>
+                  <Text style={styles.quickStatValue}>{song.vocabularyRichness}%</Text>
                   <Text style={styles.quickStatLabel}>Unique</Text>
                 </View>
                 {song.vaultTracks > 0 && (
@@ -427,40 +320,28 @@ function SongDetailModal({ song, songs, albums, metric, dataKey, onClose, onNavi
             </View>
 
             {/* Similar Songs - Premium Feature */}
-            {metric?.key !== 'default' && mostSimilar.length > 0 && (
-              <BlurredSection title={`Most Similar (${metricLabel})`} onNavigateToPremium={onNavigateToPremium}>
-                {mostSimilar.map((s, i) => {
-                  const sAlbum = albums.find(a => a.id === s.album_id);
-                  return (
-                    <View key={s.id} style={styles.songRow}>
-                      <View style={[styles.songDot, { backgroundColor: s.color }]} />
-                      <View style={styles.songInfo}>
-                        <Text style={styles.songName} numberOfLines={1}>{s.name}</Text>
-                        <Text style={styles.songAlbum} numberOfLines={1}>{sAlbum?.display_name}</Text>
-                      </View>
-                      <Text style={styles.songValue}>{(s[dataKey] || 0).toLocaleString()}{suffix}</Text>
-                    </View>
-                  );
-                })}
+            {mostSimilar.length > 0 && (
+              <BlurredSection title="Most Similar" onNavigateToPremium={onNavigateToPremium}>
+                {mostSimilar.map((match) => (
+                  <SimilarSongRow
+                    key={match.song.id}
+                    match={match}
+                    album={albums.find(a => a.id === match.song.album_id)}
+                  />
+                ))}
               </BlurredSection>
             )}
 
             {/* Different Songs - Premium Feature */}
-            {metric?.key !== 'default' && mostDifferent.length > 0 && (
-              <BlurredSection title={`Most Different (${metricLabel})`} onNavigateToPremium={onNavigateToPremium}>
-                {mostDifferent.map((s, i) => {
-                  const sAlbum = albums.find(a => a.id === s.album_id);
-                  return (
-                    <View key={s.id} style={styles.songRow}>
-                      <View style={[styles.songDot, { backgroundColor: s.color }]} />
-                      <View style={styles.songInfo}>
-                        <Text style={styles.songName} numberOfLines={1}>{s.name}</Text>
-                        <Text style={styles.songAlbum} numberOfLines={1}>{sAlbum?.display_name}</Text>
-                      </View>
-                      <Text style={styles.songValue}>{(s[dataKey] || 0).toLocaleString()}{suffix}</Text>
-                    </View>
-                  );
-                })}
+            {mostDifferent.length > 0 && (
+              <BlurredSection title="Most Different" onNavigateToPremium={onNavigateToPremium}>
+                {mostDifferent.map((match) => (
+                  <SimilarSongRow
+                    key={match.song.id}
+                    match={match}
+                    album={albums.find(a => a.id === match.song.album_id)}
+                  />
+                ))}
               </BlurredSection>
             )}
 
@@ -479,6 +360,7 @@ function SongDetailModal({ song, songs, albums, metric, dataKey, onClose, onNavi
         song={song}
         album={album}
         songs={songs}
+        albums={albums}
         onClose={() => setShowDeepDive(false)}
       />
     </Modal>
@@ -602,7 +484,7 @@ function AppContent() {
   const [currentView, setCurrentView] = useState('treemap'); // 'treemap' | 'profile' | 'shared' | 'premium' | 'leaderboard'
   const [hasProfile, setHasProfile] = useState(false);
   const [sharedProfileId, setSharedProfileId] = useState(null);
-  const [selectedArtist, setSelectedArtist] = useState('taylor-swift');
+  const [selectedArtist, setSelectedArtist] = useState(DEFAULT_ARTIST_ID);
   const { width: windowWidth, height: windowHeight } = useWindowDimensions();
   const isSmall = windowWidth < 380;
   const isMobile = windowWidth < 500;
@@ -619,21 +501,27 @@ function AppContent() {
   });
 
   useEffect(() => {
+    let cancelled = false;
     async function loadData() {
-      const { albums: albumData, songs: songData } = await fetchAlbumsWithMetrics();
+      setDataLoading(true);
+      setSelectedAlbum(null);
+      setSelectedSong(null);
+      const { albums: albumData, songs: songData } = await fetchAlbumsWithMetrics(null, selectedArtist);
+      if (cancelled) return;
       setAlbums(albumData);
       setSongs(songData);
       setDataLoading(false);
     }
     loadData();
-  }, []);
+    return () => { cancelled = true; };
+  }, [selectedArtist]);
 
   // Check if user has a profile
   useEffect(() => {
-    loadProfile().then(profile => {
+    loadProfile(selectedArtist).then(profile => {
       setHasProfile(profile && profile.topAlbums?.length > 0);
     });
-  }, [currentView]); // Re-check when returning from profile builder
+  }, [currentView, selectedArtist]); // Re-check when returning from profile builder
 
   // Check for shared profile URL on mount
   useEffect(() => {
@@ -652,41 +540,20 @@ function AppContent() {
 
   const loading = !fontsLoaded || dataLoading;
 
-  const currentMetric = ALL_METRICS.find(m => m.key === selectedMetric);
-  const currentSubMode = currentMetric?.subModes?.[subModeIndex];
-  const actualDataKey = currentSubMode?.key || selectedMetric;
-  const currentSubLabel = currentSubMode?.subLabel || null;
-  // Use subMode suffix if available, otherwise fall back to metric suffix
-  const currentSuffix = currentSubMode?.suffix ?? currentMetric?.suffix ?? '';
+  const resolved = resolveMetric(selectedMetric, subModeIndex);
+  const currentMetric = resolved.metric;
+  const actualDataKey = resolved.dataKey;
+  const currentSubLabel = resolved.subLabel;
+  const currentSuffix = resolved.suffix;
   const treemapWidth = windowWidth - (padding * 2);
   const treemapHeight = Math.max(windowHeight - headerHeight, 300);
 
   const treemapData = useMemo(() => {
     if (treemapWidth <= 0 || treemapHeight <= 0) return [];
 
-    // Helper to get metric value, including calculated vocabularyRichness
-    const getMetricValue = (item) => {
-      if (actualDataKey === 'vocabularyRichness') {
-        const total = item.wordCount || 0;
-        const unique = item.uniqueWordCount || 0;
-        return total > 0 ? Math.round((unique / total) * 100) : 0;
-      }
-      return item[actualDataKey] || 0;
-    };
-
-    // Helper to get content list for display in tiles
-    const getContentList = (item, dataKey) => {
-      switch (dataKey) {
-        case 'vaultTracks':
-          return item.vaultTracksList || [];
-        case 'coWriterCount':
-          return item.coWritersList || [];
-        case 'themeCount':
-          return item.themesList || [];
-        default:
-          return [];
-      }
-    };
+    // Songs and albums resolve values/content lists through the metric registry
+    const getSongValue = (song) => resolved.getSongValue(song);
+    const getAlbumValue = (album) => resolved.getAlbumValue(album, songs.filter(s => s.album_id === album.id));
 
     // Drill-down mode: show songs from selected album
     if (selectedAlbum) {
@@ -697,11 +564,11 @@ function AppContent() {
       if (sortBy === 'date') {
         sortedSongs.sort((a, b) => (a.trackNumber || 0) - (b.trackNumber || 0));
       } else if (sortBy === 'value' && selectedMetric !== 'default') {
-        sortedSongs.sort((a, b) => getMetricValue(b) - getMetricValue(a));
+        sortedSongs.sort((a, b) => getSongValue(b) - getSongValue(a));
       }
 
       const data = sortedSongs.map(song => {
-        const metricValue = getMetricValue(song);
+        const metricValue = getSongValue(song);
         return {
           id: song.id,
           name: song.name,
@@ -711,7 +578,7 @@ function AppContent() {
           trackNumber: song.trackNumber,
           isVault: song.vaultTracks > 0,
           // Content lists for display
-          contentList: getContentList(song, actualDataKey),
+          contentList: resolved.getSongContent(song),
         };
       });
 
@@ -726,11 +593,11 @@ function AppContent() {
     if (sortBy === 'date') {
       sortedAlbums.sort((a, b) => new Date(a.official_release_date) - new Date(b.official_release_date));
     } else if (sortBy === 'value' && selectedMetric !== 'default') {
-      sortedAlbums.sort((a, b) => getMetricValue(b) - getMetricValue(a));
+      sortedAlbums.sort((a, b) => getAlbumValue(b) - getAlbumValue(a));
     }
 
     const data = sortedAlbums.map(album => {
-      const metricValue = getMetricValue(album);
+      const metricValue = getAlbumValue(album);
       return {
         id: album.id,
         name: album.display_name,
@@ -738,7 +605,7 @@ function AppContent() {
         color: album.color || colors.fallback,
         metricValue,
         // Content lists for display
-        contentList: getContentList(album, actualDataKey),
+        contentList: resolved.getAlbumContent(album),
       };
     });
 
@@ -792,12 +659,14 @@ function AppContent() {
           setCurrentView('treemap');
           navigateToHome();
         }}
-        onCreateProfile={() => {
+        onCreateProfile={(artistId) => {
           setSharedProfileId(null);
+          setSelectedArtist(artistId || selectedArtist);
           setCurrentView('profile');
           navigateToHome();
         }}
-        onViewLeaderboard={() => {
+        onViewLeaderboard={(artistId) => {
+          setSelectedArtist(artistId || selectedArtist);
           setCurrentView('leaderboard');
         }}
       />
@@ -808,6 +677,7 @@ function AppContent() {
   if (currentView === 'leaderboard') {
     return (
       <ComparisonLeaderboard
+        artistId={selectedArtist}
         onClose={() => setCurrentView('treemap')}
         onViewProfile={(shareId) => {
           setSharedProfileId(shareId);
@@ -821,6 +691,8 @@ function AppContent() {
   if (currentView === 'profile') {
     return (
       <ProfileBuilder
+        key={selectedArtist}
+        artistId={selectedArtist}
         albums={albums}
         songs={songs}
         onClose={() => setCurrentView('treemap')}
@@ -890,7 +762,7 @@ function AppContent() {
         <View style={styles.controlsRow}>
           <GroupedDropdown
             label="View"
-            groups={METRIC_GROUPS}
+            groups={getMetricGroups()}
             selected={selectedMetric}
             onSelect={(key) => {
               setSelectedMetric(key);
@@ -904,7 +776,7 @@ function AppContent() {
                 setSubModeIndex((subModeIndex + 1) % subModes.length);
               }
             }}
-            disabledKeys={selectedAlbum ? SONG_DISABLED_METRICS : []}
+            disabledKeys={selectedAlbum ? getSongDisabledKeys() : []}
           />
           <Dropdown label="Sort" options={getSortOptions(currentMetric, currentSubLabel, !selectedAlbum)} selected={sortBy} onSelect={setSortBy} disabledKeys={selectedMetric === "default" ? ["value"] : []} />
           <InfoButton metricKey={selectedMetric} />
@@ -922,7 +794,7 @@ function AppContent() {
               showOrder={sortBy === 'value' && selectedMetric !== 'default'}
               isTrackFive={selectedAlbum && item.trackNumber === 5}
               isVault={selectedAlbum && item.isVault}
-              isContentMetric={['vaultTracks', 'coWriterCount', 'themeCount'].includes(actualDataKey)}
+              isContentMetric={selectedAlbum ? resolved.hasContentList.song : resolved.hasContentList.album}
               onPress={(tileItem) => {
                 if (selectedAlbum) {
                   // In album view - show song detail
@@ -1181,65 +1053,6 @@ const styles = StyleSheet.create({
     fontSize: 15,
   },
   // Artist dropdown styles
-  artistDropdownWrapper: {
-    position: 'relative',
-  },
-  artistDropdown: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    gap: 4,
-    paddingVertical: 4,
-    paddingHorizontal: 8,
-    borderRadius: 12,
-    backgroundColor: colors.surface.medium,
-    borderWidth: 1,
-    borderColor: colors.border.subtle,
-  },
-  artistName: {
-    color: colors.accent.primary,
-    fontSize: 11,
-    fontFamily: 'Outfit_600SemiBold',
-  },
-  artistDropdownArrow: {
-    color: colors.text.muted,
-    fontSize: 8,
-  },
-  artistDropdownMenu: {
-    position: 'absolute',
-    top: '100%',
-    left: 0,
-    minWidth: 160,
-    marginTop: 4,
-    backgroundColor: colors.surface.heavy,
-    borderRadius: 12,
-    borderWidth: 1,
-    borderColor: colors.border.medium,
-    overflow: 'hidden',
-    zIndex: 100,
-  },
-  artistDropdownItem: {
-    paddingVertical: 10,
-    paddingHorizontal: 12,
-  },
-  artistDropdownItemActive: {
-    backgroundColor: colors.accent.primaryMuted,
-  },
-  artistDropdownItemDisabled: {
-    opacity: 0.5,
-  },
-  artistDropdownItemText: {
-    color: colors.text.secondary,
-    fontSize: 12,
-    fontFamily: 'Outfit_400Regular',
-  },
-  artistDropdownItemTextActive: {
-    color: colors.accent.primary,
-    fontFamily: 'Outfit_600SemiBold',
-  },
-  artistDropdownItemTextDisabled: {
-    color: colors.text.disabled,
-    fontStyle: 'italic',
-  },
   // Info button styles
   infoButton: {
     paddingHorizontal: 8,
@@ -1754,37 +1567,6 @@ const styles = StyleSheet.create({
     color: colors.semantic.warning,
     fontFamily: 'JetBrainsMono_700Bold',
   },
-  songRow: {
-    flexDirection: 'row',
-    alignItems: 'center',
-    paddingVertical: 8,
-    borderBottomWidth: 1,
-    borderBottomColor: colors.border.subtle,
-  },
-  songDot: {
-    width: 8,
-    height: 8,
-    borderRadius: 4,
-    marginRight: 10,
-  },
-  songInfo: {
-    flex: 1,
-  },
-  songName: {
-    fontSize: 13,
-    color: colors.text.primary,
-    fontFamily: 'Outfit_400Regular',
-  },
-  songAlbum: {
-    fontSize: 10,
-    color: colors.text.muted,
-    fontFamily: 'Outfit_300Light',
-  },
-  songValue: {
-    fontSize: 11,
-    color: colors.accent.primary,
-    fontFamily: 'JetBrainsMono_400Regular',
-  },
 
   // Toast notifications
   toast: {
@@ -0,0 +1,2 @@
+// In-memory AsyncStorage for Jest (the native module isn't available there)
+export { default } from '@react-native-async-storage/async-storage/jest/async-storage-mock';
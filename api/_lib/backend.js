@@ -0,0 +1,86 @@
+/**
+ * Supabase and Stripe clients for the API routes
+ *
+ * With MOCK_BACKEND=true every route gets the in-memory fakes from ./mock
+ * instead, seeded with fixtures and shared by all routes in the process, so
+ * the app runs with no network and no keys. scripts/mock-server.js serves the
+ * routes that way for local development.
+ *
+ * Only the server-side MOCK_BACKEND counts: EXPO_PUBLIC_MOCK_BACKEND is a
+ * client build variable, and a deploy that sets it must not end up with a
+ * fake Stripe that accepts unsigned webhook events.
+ */
+
+const { Readable } = require('stream');
+
+let mock = null;
+
+function isMockBackend() {
+  return process.env.MOCK_BACKEND === 'true';
+}
+
+// Hands a fake Stripe event to the webhook route, the way Stripe would POST it
+async function deliverStripeEvent(event) {
+  // Required lazily - the webhook route itself requires this module
+  const webhook = require('../webhook');
+  const req = Readable.from([Buffer.from(JSON.stringify(event))]);
+  req.method = 'POST';
+  req.headers = { 'stripe-signature': 'mock' };
+  const res = {
+    setHeader() {},
+    status(code) {
+      if (code >= 400) console.error(`[mock] webhook answered ${code} for ${event.type}`);
+      return this;
+    },
+    json() { return this; },
+    end() { return this; },
+  };
+  try {
+    await webhook(req, res);
+  } catch (error) {
+    console.error(`[mock] webhook failed for ${event.type}:`, error);
+  }
+}
+
+/**
+ * The process-wide mock database and Stripe
+ */
+function mockBackend() {
+  if (!mock) {
+    const { createMockDatabase } = require('./mock/supabase');
+    const { createMockStripe } = require('./mock/stripe');
+    mock = {
+      db: createMockDatabase(),
+      stripe: createMockStripe({ onEvent: deliverStripeEvent }),
+    };
+  }
+  return mock;
+}
+
+/**
+ * @param {'anon'|'service'} role - Which key a real client uses
+ */
+function createSupabase(role = 'service') {
+  if (isMockBackend()) {
+    const { createMockSupabase } = require('./mock/supabase');
+    return createMockSupabase(mockBackend().db);
+  }
+  const { createClient } = require('@supabase/supabase-js');
+  return createClient(
+    process.env.EXPO_PUBLIC_SUPABASE_URL,
+    role === 'anon' ? process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY : process.env.SUPABASE_SERVICE_ROLE_KEY
+  );
+}
+
+function createStripe() {
+  if (isMockBackend()) return mockBackend().stripe;
+  const Stripe = require('stripe');
+  return new Stripe(process.env.STRIPE_SECRET_KEY);
+}
+
+module.exports = {
+  isMockBackend,
+  mockBackend,
+  createSupabase,
+  createStripe,
+};
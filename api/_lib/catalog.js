@@ -0,0 +1,200 @@
+/**
+ * Catalog metric rollups
+ *
+ * Turns raw `albums` and `songs` rows into the processed payload the treemap
+ * screens consume. This is the only place album/song metrics are computed -
+ * /api/catalog serves the result and the client uses it as-is.
+ */
+
+const { buildLyricAnalytics } = require('./lyrics');
+
+// Artist served when a request doesn't name one (DEFAULT_ARTIST_ID in lib/artists.js)
+const DEFAULT_ARTIST_ID = 'taylor-swift';
+// Artist ids are URL slugs ("taylor-swift")
+const ARTIST_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Columns needed from each table
+const ALBUM_COLUMNS = 'id, artist_id, display_name, color, official_release_date';
+const SONG_COLUMNS = 'id, artist_id, title, album_id, duration_minutes, word_count, unique_word_count, from_the_vault, audio_features, mood_profile, themes, features, narrative_voice, narrative_character_count, track_number, raw_lyrics_searchable';
+
+// Mood intensity scoring (scaled x25 to a 0-100 range)
+const INTENSITY_MAP = { 'subdued': 1, 'moderate': 2, 'intense': 3, 'very-intense': 4 };
+const DEFAULT_INTENSITY = 50;
+
+/**
+ * Unique words as a percentage of total words
+ */
+function vocabularyRichness(wordCount, uniqueWordCount) {
+  return wordCount > 0 ? Math.round((uniqueWordCount / wordCount) * 100) : 0;
+}
+
+/**
+ * Compute aggregate metrics for one album from its songs
+ * @param {object} album - Raw album row
+ * @param {object[]} albumSongs - Raw song rows belonging to the album
+ * @param {object} lyrics - Album lyric metrics from buildLyricAnalytics()
+ * @returns {object} - Album row plus metrics
+ */
+function buildAlbumMetrics(album, albumSongs, lyrics = {}) {
+  const songCount = albumSongs.length;
+
+  // Basic metrics
+  const totalMinutes = albumSongs.reduce((sum, song) => sum + (song.duration_minutes || 0), 0);
+  const wordCount = albumSongs.reduce((sum, song) => sum + (song.word_count || 0), 0);
+  const uniqueWordCount = albumSongs.reduce((sum, song) => sum + (song.unique_word_count || 0), 0);
+
+  // Vault tracks - collect names
+  const vaultTracksList = albumSongs.filter(song => song.from_the_vault).map(s => s.title);
+  const vaultTracks = vaultTracksList.length;
+
+  // Audio features (averages)
+  const songsWithAudio = albumSongs.filter(s => s.audio_features);
+  const avgAudioFeature = (key) => {
+    if (songsWithAudio.length === 0) return 0;
+    const sum = songsWithAudio.reduce((acc, s) => acc + (s.audio_features?.[key] || 0), 0);
+    return sum / songsWithAudio.length;
+  };
+
+  const avgEnergy = Math.round(avgAudioFeature('energy') * 100);
+  const avgDanceability = Math.round(avgAudioFeature('danceability') * 100);
+  const avgValence = Math.round(avgAudioFeature('valence') * 100);
+  const avgAcousticness = Math.round(avgAudioFeature('acousticness') * 100);
+  const avgTempo = Math.round(avgAudioFeature('tempo'));
+
+  // Co-writers - collect unique names
+  const coWriters = new Set();
+  albumSongs.forEach(song => {
+    const writers = song.features?.co_writers || [];
+    writers.forEach(w => coWriters.add(w));
+  });
+  const coWritersList = Array.from(coWriters);
+  const coWriterCount = coWritersList.length;
+
+  // Theme diversity - collect unique themes
+  const allThemes = new Set();
+  albumSongs.forEach(song => {
+    (song.themes || []).forEach(t => allThemes.add(t.theme));
+  });
+  const themesList = Array.from(allThemes);
+  const themeCount = themesList.length;
+
+  // Narrative
+  const totalCharacters = albumSongs.reduce((sum, song) => sum + (song.narrative_character_count || 0), 0);
+  const firstPersonCount = albumSongs.filter(s => s.narrative_voice === 'first-person').length;
+  const firstPersonPct = songCount > 0 ? Math.round((firstPersonCount / songCount) * 100) : 0;
+
+  // Mood intensity scoring
+  const moodScores = albumSongs
+    .filter(s => s.mood_profile?.emotionalIntensity)
+    .map(s => INTENSITY_MAP[s.mood_profile.emotionalIntensity] || 2);
+  const avgIntensity = moodScores.length > 0
+    ? Math.round((moodScores.reduce((a, b) => a + b, 0) / moodScores.length) * 25)
+    : DEFAULT_INTENSITY;
+
+  return {
+    ...album,
+    songCount,
+    totalMinutes: Math.round(totalMinutes),
+    wordCount,
+    uniqueWordCount,
+    vocabularyRichness: vocabularyRichness(wordCount, uniqueWordCount),
+    vaultTracks,
+    vaultTracksList,
+    avgEnergy,
+    avgDanceability,
+    avgValence,
+    avgAcousticness,
+    avgTempo,
+    coWriterCount,
+    coWritersList,
+    themeCount,
+    themesList,
+    totalCharacters,
+    firstPersonPct,
+    avgIntensity,
+    ...lyrics,
+  };
+}
+
+/**
+ * Compute per-song metrics (same units as the album aggregates)
+ * @param {object} song - Raw song row
+ * @param {object|undefined} album - Raw album row the song belongs to
+ * @param {object} lyrics - Song lyric metrics from buildLyricAnalytics()
+ * @returns {object} - Processed song
+ */
+function buildSongMetrics(song, album, lyrics = {}) {
+  const audio = song.audio_features || {};
+  const wordCount = song.word_count || 0;
+  const uniqueWordCount = song.unique_word_count || 0;
+
+  return {
+    id: song.id,
+    name: song.title,
+    album_id: song.album_id,
+    color: album?.color || '#666',
+    trackNumber: song.track_number || 0,
+    // Basic metrics
+    totalMinutes: song.duration_minutes || 0,
+    wordCount,
+    uniqueWordCount,
+    vocabularyRichness: vocabularyRichness(wordCount, uniqueWordCount),
+    // Audio (as percentages, same as album)
+    avgEnergy: Math.round((audio.energy || 0) * 100),
+    avgDanceability: Math.round((audio.danceability || 0) * 100),
+    avgValence: Math.round((audio.valence || 0) * 100),
+    avgAcousticness: Math.round((audio.acousticness || 0) * 100),
+    avgTempo: Math.round(audio.tempo || 0),
+    // Albums average audio over the songs that have it (rollupAlbum in lib/metrics.js)
+    hasAudioFeatures: Boolean(song.audio_features),
+    // Content
+    vaultTracks: song.from_the_vault ? 1 : 0,
+    coWriterCount: (song.features?.co_writers || []).length,
+    coWritersList: song.features?.co_writers || [],
+    themeCount: (song.themes || []).length,
+    themesList: (song.themes || []).map(t => t.theme),
+    totalCharacters: song.narrative_character_count || 0,
+    narrativeVoice: song.narrative_voice || null,
+    emotionalIntensity: song.mood_profile?.emotionalIntensity || null,
+    avgIntensity: song.mood_profile?.emotionalIntensity
+      ? (INTENSITY_MAP[song.mood_profile.emotionalIntensity] || 2) * 25
+      : DEFAULT_INTENSITY,
+    // Lyrics: lyricLineCount, avgLineLength, chorusRatio, rhymeDensity, bridgeLength,
+    // chorusRepetitions, topWords, signatureWords, structure ([{ type, lines }])
+    ...lyrics,
+  };
+}
+
+/**
+ * Build the full processed catalog from raw rows
+ * @param {object[]} albums - Raw album rows, in display order
+ * @param {object[]} songs - Raw song rows
+ * @returns {{albums: object[], songs: object[]}}
+ */
+function buildCatalog(albums, songs) {
+  const albumsById = new Map(albums.map(album => [album.id, album]));
+  const songsByAlbum = new Map();
+  songs.forEach(song => {
+    if (!songsByAlbum.has(song.album_id)) songsByAlbum.set(song.album_id, []);
+    songsByAlbum.get(song.album_id).push(song);
+  });
+  // Lyric metrics need the whole catalog (signature words are relative to it)
+  const lyrics = buildLyricAnalytics(albums, songs);
+
+  return {
+    albums: albums.map(album => buildAlbumMetrics(album, songsByAlbum.get(album.id) || [], lyrics.albums.get(album.id))),
+    songs: songs.map(song => buildSongMetrics(song, albumsById.get(song.album_id), lyrics.songs.get(song.id))),
+  };
+}
+
+module.exports = {
+  DEFAULT_ARTIST_ID,
+  ARTIST_ID_PATTERN,
+  ALBUM_COLUMNS,
+  SONG_COLUMNS,
+  INTENSITY_MAP,
+  DEFAULT_INTENSITY,
+  buildAlbumMetrics,
+  buildSongMetrics,
+  buildCatalog,
+};
@@ -0,0 +1,330 @@
+/**
+ * Lyric analytics
+ *
+ * Derives lyric metrics from `songs.raw_lyrics_searchable`:
+ * - word frequency tables (per song and per album)
+ * - signature words: most distinctive words by TF-IDF against the rest of
+ *   the catalog (songs vs other songs, albums vs other albums)
+ * - chorus ratio: % of lines that are repeated elsewhere in the song
+ * - rhyme density: % of lines whose last word rhymes with a nearby line's
+ * - average line length in words
+ * - song structure from [Verse]-style section tags: section sequence, bridge
+ *   length and chorus repetitions
+ *
+ * Line parsing follows parseLyricStructure() in lib/lyricStructure.js (the
+ * rules the lyric pickers use): blank lines are dropped and section tags are
+ * read as structure, never as lyric lines.
+ */
+
+const TOP_WORDS = 8;
+const SIGNATURE_WORDS = 5;
+// A line rhymes if its end word rhymes with one of the next RHYME_WINDOW lines (AABB and ABAB)
+const RHYME_WINDOW = 2;
+
+// Function words that would otherwise top every frequency table
+const STOP_WORDS = new Set([
+  'a', 'about', 'all', 'am', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'can', 'cause',
+  'could', 'did', 'do', 'dont', 'for', 'from', 'got', 'had', 'has', 'have', 'he', 'her', 'him', 'his',
+  'i', 'if', 'im', 'in', 'into', 'is', 'it', 'its', 'ill', 'ive', 'id', 'just', 'me', 'my', 'no', 'not',
+  'now', 'of', 'oh', 'on', 'or', 'our', 'out', 'she', 'so', 'that', 'the', 'their', 'them', 'then',
+  'there', 'they', 'this', 'to', 'up', 'us', 'was', 'we', 'were', 'what', 'when', 'where', 'who',
+  'will', 'with', 'would', 'you', 'youre', 'your', 'yeah', 'ooh', 'ah', 'la', 'na', 'da', 'eh', 'ha',
+  'hey', 'mmm', 'uh', 'whoa', 'wont', 'cant', 'didnt', 'isnt', 'wasnt', 'aint', 'thats', 'how',
+]);
+
+// Section tag names → type (TYPE_ALIASES in lib/lyricStructure.js)
+const SECTION_ALIASES = {
+  'intro': 'intro',
+  'verse': 'verse',
+  'pre-chorus': 'pre-chorus',
+  'prechorus': 'pre-chorus',
+  'chorus': 'chorus',
+  'post-chorus': 'chorus',
+  'refrain': 'chorus',
+  'hook': 'chorus',
+  'bridge': 'bridge',
+  'pre-bridge': 'bridge',
+  'outro': 'outro',
+  'coda': 'outro',
+};
+
+// ============================================
+// Parsing
+// ============================================
+
+/**
+ * Section type for a tag's text ("Verse 2: Taylor Swift" → "verse")
+ */
+function sectionType(tag) {
+  const name = tag
+    .split(':')[0]
+    .toLowerCase()
+    .replace(/\d+/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+  return SECTION_ALIASES[name] || 'other';
+}
+
+/**
+ * Split raw lyrics into lines, reading [Section] tags as structure
+ * @param {string} raw
+ * @returns {{lines: string[], sections: Array<{type: string, lines: number}>}} - sections is empty for untagged lyrics
+ */
+function parseLyrics(raw) {
+  const lines = [];
+  const sections = [];
+  if (!raw) return { lines, sections };
+
+  let current = null;
+  raw.split('\n').forEach(rawLine => {
+    const text = rawLine.trim();
+    if (!text) return;
+
+    const tag = text.match(/^\[(.*)\]$/);
+    if (tag) {
+      current = { type: sectionType(tag[1]), lines: 0 };
+      sections.push(current);
+      return;
+    }
+    if (current) current.lines += 1;
+    lines.push(text);
+  });
+
+  return { lines, sections: sections.filter(section => section.lines > 0) };
+}
+
+/**
+ * Lowercased words with accents and apostrophes stripped ("Don’t" → "dont")
+ * @param {string} text
+ * @returns {string[]}
+ */
+function tokenize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019]/g, '')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+// ============================================
+// Rhymes
+// ============================================
+
+/**
+ * Rough rhyme key: the word from its last sounded vowel group onward
+ * ("trouble" → "oubl", "night" → "ight", "me" → "e")
+ */
+function rhymeKey(word) {
+  // A final silent "e" after a consonant doesn't carry the rhyme ("trouble", "time")
+  const stem = word.length > 2 && /[^aeiouy]e$/.test(word) ? word.slice(0, -1) : word;
+  const match = stem.match(/[aeiouy]+[^aeiouy]*$/);
+  const key = match ? match[0] : stem;
+  // Open endings ("me" / "see", "go" / "know") rhyme on the last vowel sound
+  return /[aeiouy]$/.test(key) ? key.slice(-1) : key;
+}
+
+/**
+ * @param {string} a - Last word of a line
+ * @param {string} b - Last word of another line
+ */
+function wordsRhyme(a, b) {
+  if (!a || !b || a === b) return false;
+  if (rhymeKey(a) === rhymeKey(b)) return true;
+  return a.length >= 3 && b.length >= 3 && a.slice(-3) === b.slice(-3);
+}
+
+// ============================================
+// Per-song analysis
+// ============================================
+
+/**
+ * Count words into a Map, skipping stop words
+ */
+function countWords(words, counts = new Map()) {
+  words.forEach(word => {
+    if (STOP_WORDS.has(word) || word.length < 2 || /^\d+$/.test(word)) return;
+    counts.set(word, (counts.get(word) || 0) + 1);
+  });
+  return counts;
+}
+
+/**
+ * Top entries of a frequency table
+ * @returns {Array<{word: string, count: number}>}
+ */
+function topWords(counts, limit = TOP_WORDS) {
+  return Array.from(counts.entries())
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, limit)
+    .map(([word, count]) => ({ word, count }));
+}
+
+/**
+ * Analyze one song's lyrics
+ * @param {string} raw - raw_lyrics_searchable
+ * @returns {object|null} - Raw counts (null if there are no lyrics)
+ */
+function analyzeLyrics(raw) {
+  const parsed = parseLyrics(raw);
+  const lines = parsed.lines
+    .map(tokenize)
+    .filter(words => words.length > 0);
+  if (lines.length === 0) return null;
+
+  // Structure - back-to-back sections of one type ("[Chorus]" then "[Post-Chorus]") are one run
+  const structure = parsed.sections;
+  const choruses = structure.filter((section, i) => section.type === 'chorus' && structure[i - 1]?.type !== 'chorus').length;
+  const bridgeLines = structure
+    .filter(section => section.type === 'bridge')
+    .reduce((sum, section) => sum + section.lines, 0);
+
+  // Repeated lines (chorus, hooks): every copy of a line that appears more than once
+  const lineCounts = new Map();
+  lines.forEach(words => {
+    const key = words.join(' ');
+    lineCounts.set(key, (lineCounts.get(key) || 0) + 1);
+  });
+  const repeatedLines = lines.filter(words => lineCounts.get(words.join(' ')) > 1).length;
+
+  // A line counts as rhyming if its end word rhymes with a neighbour's (either direction)
+  const endWords = lines.map(words => words[words.length - 1]);
+  const rhyming = new Set();
+  endWords.forEach((word, i) => {
+    for (let j = i + 1; j <= i + RHYME_WINDOW && j < endWords.length; j++) {
+      if (wordsRhyme(word, endWords[j])) {
+        rhyming.add(i);
+        rhyming.add(j);
+      }
+    }
+  });
+
+  const totalWords = lines.reduce((sum, words) => sum + words.length, 0);
+
+  return {
+    lineCount: lines.length,
+    totalWords,
+    repeatedLines,
+    rhymingLines: rhyming.size,
+    wordCounts: countWords(lines.flat()),
+    structure,
+    // Structure counts only mean something for songs with section tags
+    structuredSongs: structure.length > 0 ? 1 : 0,
+    bridgeLines,
+    choruses,
+  };
+}
+
+/**
+ * Metrics fields from raw counts (shared by songs and albums)
+ *
+ * Albums pass summed counts, so bridgeLength and chorusRepetitions come out
+ * as per-song averages over the album's tagged songs.
+ */
+function lyricMetrics(stats) {
+  if (!stats || stats.lineCount === 0) {
+    return { lyricLineCount: 0, avgLineLength: 0, chorusRatio: 0, rhymeDensity: 0, bridgeLength: 0, chorusRepetitions: 0, topWords: [] };
+  }
+  const perSong = (count) => (stats.structuredSongs > 0 ? Math.round((count / stats.structuredSongs) * 10) / 10 : 0);
+  return {
+    lyricLineCount: stats.lineCount,
+    avgLineLength: Math.round((stats.totalWords / stats.lineCount) * 10) / 10,
+    chorusRatio: Math.round((stats.repeatedLines / stats.lineCount) * 100),
+    rhymeDensity: Math.round((stats.rhymingLines / stats.lineCount) * 100),
+    bridgeLength: perSong(stats.bridgeLines),
+    chorusRepetitions: perSong(stats.choruses),
+    topWords: topWords(stats.wordCounts),
+  };
+}
+
+// ============================================
+// TF-IDF
+// ============================================
+
+/**
+ * Most distinctive words of each document compared to the others
+ * @param {Map<string, Map<string, number>>} documents - id → word counts
+ * @returns {Map<string, string[]>} - id → signature words, most distinctive first
+ */
+function signatureWords(documents, limit = SIGNATURE_WORDS) {
+  const documentFrequency = new Map();
+  documents.forEach(counts => {
+    counts.forEach((_, word) => documentFrequency.set(word, (documentFrequency.get(word) || 0) + 1));
+  });
+
+  const total = documents.size;
+  const result = new Map();
+  documents.forEach((counts, id) => {
+    const length = Array.from(counts.values()).reduce((a, b) => a + b, 0);
+    const scored = Array.from(counts.entries())
+      // One-off words are usually noise, not a signature
+      .filter(([, count]) => count > 1)
+      .map(([word, count]) => ({ word, score: (count / length) * Math.log(total / documentFrequency.get(word)) }))
+      .filter(entry => entry.score > 0)
+      .sort((a, b) => b.score - a.score || a.word.localeCompare(b.word));
+    result.set(id, scored.slice(0, limit).map(entry => entry.word));
+  });
+  return result;
+}
+
+// ============================================
+// Catalog
+// ============================================
+
+/**
+ * Lyric metrics for every song and album
+ * @param {object[]} albums - Raw album rows
+ * @param {object[]} songs - Raw song rows (with raw_lyrics_searchable)
+ * @returns {{songs: Map<string, object>, albums: Map<string, object>}} - id → lyric fields
+ */
+function buildLyricAnalytics(albums, songs) {
+  const songStats = new Map();
+  songs.forEach(song => {
+    const stats = analyzeLyrics(song.raw_lyrics_searchable);
+    if (stats) songStats.set(song.id, stats);
+  });
+
+  // Album stats are the sums of their songs' counts
+  const albumStats = new Map();
+  songs.forEach(song => {
+    const stats = songStats.get(song.id);
+    if (!stats) return;
+    if (!albumStats.has(song.album_id)) {
+      albumStats.set(song.album_id, {
+        lineCount: 0, totalWords: 0, repeatedLines: 0, rhymingLines: 0,
+        structuredSongs: 0, bridgeLines: 0, choruses: 0, wordCounts: new Map(),
+      });
+    }
+    const album = albumStats.get(song.album_id);
+    ['lineCount', 'totalWords', 'repeatedLines', 'rhymingLines', 'structuredSongs', 'bridgeLines', 'choruses']
+      .forEach(key => { album[key] += stats[key]; });
+    stats.wordCounts.forEach((count, word) => album.wordCounts.set(word, (album.wordCounts.get(word) || 0) + count));
+  });
+
+  const songSignatures = signatureWords(new Map(Array.from(songStats, ([id, stats]) => [id, stats.wordCounts])));
+  const albumSignatures = signatureWords(new Map(Array.from(albumStats, ([id, stats]) => [id, stats.wordCounts])));
+
+  const withSignature = (stats, signature) => ({ ...lyricMetrics(stats), signatureWords: signature || [] });
+
+  return {
+    songs: new Map(songs.map(song => {
+      const stats = songStats.get(song.id);
+      return [song.id, { ...withSignature(stats, songSignatures.get(song.id)), structure: stats?.structure || [] }];
+    })),
+    albums: new Map(albums.map(album => [album.id, withSignature(albumStats.get(album.id), albumSignatures.get(album.id))])),
+  };
+}
+
+module.exports = {
+  STOP_WORDS,
+  sectionType,
+  parseLyrics,
+  tokenize,
+  rhymeKey,
+  wordsRhyme,
+  analyzeLyrics,
+  lyricMetrics,
+  signatureWords,
+  buildLyricAnalytics,
+};
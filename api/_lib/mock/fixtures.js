@@ -0,0 +1,93 @@
+/**
+ * Mock backend fixtures
+ *
+ * A small made-up catalog for the default artist, so every screen has
+ * something to render in mock mode (see api/_lib/backend.js). Titles and
+ * lyrics are placeholders; the numbers are chosen to spread across each
+ * metric's range.
+ */
+
+const ARTIST_ID = 'taylor-swift';
+
+const albums = [
+  { id: '00000000-0000-4000-a000-000000000001', artist_id: ARTIST_ID, display_name: 'Fixture One', color: '#e9a8c0', official_release_date: '2006-10-24' },
+  { id: '00000000-0000-4000-a000-000000000002', artist_id: ARTIST_ID, display_name: 'Fixture Two', color: '#7fb7d9', official_release_date: '2014-10-27' },
+  { id: '00000000-0000-4000-a000-000000000003', artist_id: ARTIST_ID, display_name: 'Fixture Three', color: '#9c9a8f', official_release_date: '2020-07-24' },
+];
+
+// [album index, title, track, minutes, vault, energy, danceability, valence, acousticness, tempo, intensity, voice, characters, themes, co-writers, featured]
+const SONG_SPECS = [
+  [0, 'Porch Light', 1, 3.9, false, 0.58, 0.55, 0.62, 0.41, 124, 'moderate', 'first-person', 2, ['young love', 'small towns'], ['Liz Rose'], []],
+  [0, 'Gravel Road', 2, 4.2, false, 0.47, 0.49, 0.31, 0.55, 96, 'intense', 'second-person', 1, ['heartbreak'], [], []],
+  [0, 'Screen Door', 3, 3.5, true, 0.66, 0.61, 0.74, 0.28, 140, 'subdued', 'first-person', 3, ['friendship', 'small towns'], ['Liz Rose'], ['Fixture Guest']],
+  [1, 'Neon Avenue', 1, 3.6, false, 0.82, 0.76, 0.68, 0.05, 118, 'intense', 'first-person', 2, ['city life', 'reinvention'], ['Max Martin', 'Shellback'], []],
+  [1, 'Static', 2, 3.3, false, 0.77, 0.72, 0.44, 0.09, 102, 'very-intense', 'second-person', 2, ['heartbreak', 'fame'], ['Jack Antonoff'], []],
+  [1, 'Overpass', 3, 4.0, true, 0.71, 0.64, 0.52, 0.12, 110, 'moderate', 'first-person', 1, ['reinvention'], ['Max Martin'], []],
+  [2, 'Cedar', 1, 4.4, false, 0.29, 0.41, 0.23, 0.86, 78, 'subdued', 'third-person', 4, ['nature', 'memory'], ['Aaron Dessner'], []],
+  [2, 'Lantern', 2, 3.8, false, 0.35, 0.45, 0.38, 0.79, 88, 'intense', 'first-person', 2, ['memory', 'heartbreak'], ['Aaron Dessner'], ['Fixture Duet']],
+  [2, 'Undertow', 3, 5.1, false, 0.24, 0.33, 0.19, 0.91, 70, 'very-intense', 'third-person', 3, ['grief', 'nature'], [], []],
+];
+
+// Placeholder lyrics with section tags, so lyric metrics and structure have input
+const LYRICS = {
+  verse: 'the porch light burns until the morning\nwe count the miles and call it home\nthe radio plays the song we know\nand every road leads back again',
+  chorus: 'hold on hold on to the light\nhold on hold on through the night\nwe were never meant to go\nhold on hold on to the light',
+  bridge: 'and if the river takes the bridge\nI will learn to swim\nand if the summer takes the sky\nI will learn to fly',
+};
+
+function lyricsFor(index) {
+  const sections = [
+    `[Verse 1]\n${LYRICS.verse}`,
+    `[Chorus]\n${LYRICS.chorus}`,
+    `[Verse 2]\n${LYRICS.verse.split('\n').reverse().join('\n')}`,
+    `[Chorus]\n${LYRICS.chorus}`,
+  ];
+  // Every other song gets a bridge, so the bridge metrics have both cases
+  if (index % 2 === 0) sections.push(`[Bridge]\n${LYRICS.bridge}`, `[Chorus]\n${LYRICS.chorus}`);
+  return sections.join('\n\n');
+}
+
+function wordCounts(lyrics) {
+  const words = lyrics.replace(/\[[^\]]*\]/g, ' ').toLowerCase().match(/[a-z']+/g) || [];
+  return { word_count: words.length, unique_word_count: new Set(words).size };
+}
+
+const songs = SONG_SPECS.map(([albumIndex, title, track, minutes, vault, energy, danceability, valence, acousticness, tempo, intensity, voice, characters, themes, coWriters, featured], i) => {
+  const lyrics = lyricsFor(i);
+  return {
+    id: `00000000-0000-4000-b000-${String(i + 1).padStart(12, '0')}`,
+    artist_id: ARTIST_ID,
+    album_id: albums[albumIndex].id,
+    title,
+    track_number: track,
+    duration_minutes: minutes,
+    from_the_vault: vault,
+    audio_features: { energy, danceability, valence, acousticness, tempo },
+    mood_profile: { emotionalIntensity: intensity },
+    themes: themes.map(theme => ({ theme })),
+    features: { co_writers: coWriters, featured_artists: featured },
+    narrative_voice: voice,
+    narrative_character_count: characters,
+    raw_lyrics_searchable: lyrics,
+    ...wordCounts(lyrics),
+  };
+});
+
+/**
+ * Fresh copies of the seed rows, keyed by table
+ */
+function seedTables() {
+  return {
+    albums: albums.map(row => ({ ...row })),
+    songs: songs.map(row => JSON.parse(JSON.stringify(row))),
+    shared_profiles: [],
+    shared_profile_revisions: [],
+    comparisons: [],
+    comparison_scores: [],
+    subscriptions: [],
+  };
+}
+
+module.exports = {
+  seedTables,
+};
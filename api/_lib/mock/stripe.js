@@ -0,0 +1,160 @@
+/**
+ * Fake Stripe for mock mode
+ *
+ * Implements the Stripe calls in api/ against in-memory objects. Payments
+ * always succeed, subscriptions start active, and the events real Stripe
+ * would send to /api/webhook are handed to `onEvent` instead.
+ */
+
+const crypto = require('crypto');
+
+const PERIOD_SECONDS = 365 * 24 * 60 * 60;
+const MOCK_PRICE = { unit_amount: 1313, currency: 'usd', recurring: { interval: 'year' } };
+
+function mockId(prefix) {
+  return `${prefix}_mock_${crypto.randomBytes(8).toString('hex')}`;
+}
+
+const now = () => Math.floor(Date.now() / 1000);
+const list = data => ({ object: 'list', data, has_more: false });
+
+/**
+ * @param {object} options
+ * @param {function} [options.onEvent] - Receives each Stripe event ({ id, type, data: { object } })
+ */
+function createMockStripe({ onEvent = () => {} } = {}) {
+  const customers = new Map();
+  const subscriptions = new Map();
+
+  // Delivered after the call returns, like a real webhook
+  const emit = (type, object) => {
+    const event = { id: mockId('evt'), object: 'event', type, data: { object: { ...object } } };
+    setImmediate(() => onEvent(event));
+  };
+
+  function createSubscription({ customer, items = [], metadata = {} }) {
+    const subscription = {
+      id: mockId('sub'),
+      object: 'subscription',
+      customer,
+      items: list(items.map(item => ({ price: { id: item.price, ...MOCK_PRICE } }))),
+      metadata,
+      status: 'active',
+      current_period_end: now() + PERIOD_SECONDS,
+      latest_invoice: {
+        id: mockId('in'),
+        payment_intent: { id: mockId('pi'), client_secret: `${mockId('pi')}_secret_mock` },
+      },
+    };
+    subscriptions.set(subscription.id, subscription);
+    emit('customer.subscription.created', subscription);
+    return subscription;
+  }
+
+  function requireSubscription(id) {
+    const subscription = subscriptions.get(id);
+    if (!subscription) throw new Error(`No such subscription: '${id}'`);
+    return subscription;
+  }
+
+  const stripe = {
+    customers: {
+      async create({ email, metadata = {} } = {}) {
+        const customer = { id: mockId('cus'), object: 'customer', email: email || null, metadata };
+        customers.set(customer.id, customer);
+        return customer;
+      },
+      async update(id, fields) {
+        const customer = customers.get(id) || { id, object: 'customer', metadata: {} };
+        Object.assign(customer, fields);
+        customers.set(id, customer);
+        return customer;
+      },
+      // Only the metadata['key']:'value' queries api/ sends
+      async search({ query }) {
+        const match = query.match(/^metadata\['([^']+)'\]:'([^']*)'$/);
+        const found = match ? [...customers.values()].filter(c => c.metadata?.[match[1]] === match[2]) : [];
+        return list(found);
+      },
+    },
+
+    subscriptions: {
+      create: async params => createSubscription(params),
+      retrieve: async id => requireSubscription(id),
+      async list({ customer, status } = {}) {
+        return list([...subscriptions.values()].filter(s =>
+          (!customer || s.customer === customer) && (!status || s.status === status)
+        ));
+      },
+      async cancel(id) {
+        const subscription = requireSubscription(id);
+        subscription.status = 'canceled';
+        emit('customer.subscription.deleted', subscription);
+        return subscription;
+      },
+    },
+
+    paymentMethods: {
+      attach: async (id, { customer }) => ({ id, object: 'payment_method', customer }),
+    },
+
+    setupIntents: {
+      async create({ customer, metadata = {} }) {
+        const id = mockId('seti');
+        return { id, object: 'setup_intent', customer, metadata, client_secret: `${id}_secret_mock` };
+      },
+    },
+
+    ephemeralKeys: {
+      create: async () => ({ id: mockId('ephkey'), secret: `ek_mock_${crypto.randomBytes(8).toString('hex')}` }),
+    },
+
+    prices: {
+      retrieve: async id => ({ id, object: 'price', ...MOCK_PRICE }),
+    },
+
+    checkout: {
+      sessions: {
+        // Checkout "completes" immediately: the success URL is returned as the
+        // checkout page, and the completion event fires right away
+        async create({ metadata = {}, subscription_data = {}, line_items = [], success_url, return_url }) {
+          const id = mockId('cs');
+          const customer = await stripe.customers.create({ metadata });
+          const subscription = createSubscription({ customer: customer.id, items: line_items, metadata: subscription_data.metadata || metadata });
+          const session = {
+            id,
+            object: 'checkout.session',
+            customer: customer.id,
+            customer_details: { email: customer.email },
+            subscription: subscription.id,
+            metadata,
+            client_secret: `${id}_secret_mock`,
+            url: (success_url || return_url || '/').replace('{CHECKOUT_SESSION_ID}', id),
+          };
+          emit('checkout.session.completed', session);
+          return session;
+        },
+      },
+    },
+
+    billingPortal: {
+      sessions: {
+        // No portal to show - straight back to the app
+        create: async ({ return_url }) => ({ id: mockId('bps'), object: 'billing_portal.session', url: return_url }),
+      },
+    },
+
+    webhooks: {
+      // Mock events aren't signed
+      constructEvent(rawBody) {
+        return JSON.parse(rawBody.toString());
+      },
+    },
+  };
+
+  return stripe;
+}
+
+module.exports = {
+  createMockStripe,
+};
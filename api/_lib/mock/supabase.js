@@ -0,0 +1,484 @@
+/**
+ * In-memory stand-in for the Supabase calls the app makes
+ *
+ * Queries are plain descriptors ({ table, action, filters, ... }) so the same
+ * engine serves the API routes in-process and the browser over HTTP
+ * (lib/mockSupabase.js builds the descriptors client-side). Only the
+ * PostgREST features the app uses are implemented.
+ */
+
+const crypto = require('crypto');
+const { seedTables } = require('./fixtures');
+
+// Columns filled in on insert when the row doesn't set them (see db/migrations)
+const COLUMN_DEFAULTS = {
+  shared_profiles: () => ({
+    view_count: 0,
+    user_id: null,
+    artist_id: 'taylor-swift',
+    handle: null,
+    revision: 1,
+    updated_at: new Date().toISOString(),
+    visibility: 'public',
+    expires_at: null,
+    revoked_at: null,
+  }),
+  comparisons: () => ({ scoring_version: 1, viewer_albums: [], viewer_album_names: {} }),
+};
+
+function error(message, code = 'MOCK') {
+  return { message, code, details: null, hint: null };
+}
+
+// ============================================
+// Filters
+// ============================================
+
+function likeToRegExp(pattern) {
+  const escaped = pattern.replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.');
+  return new RegExp(`^${escaped}$`, 'i');
+}
+
+const FILTERS = {
+  eq: (value, expected) => value === expected,
+  neq: (value, expected) => value !== expected,
+  gt: (value, expected) => value !== null && value !== undefined && value > expected,
+  gte: (value, expected) => value !== null && value !== undefined && value >= expected,
+  lt: (value, expected) => value !== null && value !== undefined && value < expected,
+  lte: (value, expected) => value !== null && value !== undefined && value <= expected,
+  in: (value, list) => list.includes(value),
+  ilike: (value, pattern) => typeof value === 'string' && likeToRegExp(pattern).test(value),
+  is: (value, expected) => (expected === null ? value === null || value === undefined : value === expected),
+};
+
+function matches(row, filters) {
+  return filters.every(([operator, column, expected, negate]) => {
+    const result = FILTERS[operator](row[column], expected);
+    return negate ? !result : result;
+  });
+}
+
+function project(row, columns) {
+  if (!columns || columns.trim() === '*') return { ...row };
+  const picked = {};
+  columns.split(',').map(column => column.trim()).filter(Boolean).forEach(column => {
+    picked[column] = row[column] === undefined ? null : row[column];
+  });
+  return picked;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  // Postgres sorts NULLs last ascending
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  return a < b ? -1 : 1;
+}
+
+// ============================================
+// Database
+// ============================================
+
+/**
+ * A fresh in-memory database seeded with the fixtures
+ */
+function createMockDatabase() {
+  return { tables: seedTables() };
+}
+
+function tableRows(db, table) {
+  if (!db.tables[table]) db.tables[table] = [];
+  return db.tables[table];
+}
+
+function withDefaults(table, row) {
+  return {
+    id: crypto.randomUUID(),
+    created_at: new Date().toISOString(),
+    ...(COLUMN_DEFAULTS[table]?.() || {}),
+    ...row,
+  };
+}
+
+/**
+ * The row triggers from db/migrations, run after a row is inserted
+ * (previous is null) or updated
+ */
+const TRIGGERS = {
+  shared_profiles(db, row, previous) {
+    if (previous) {
+      row.share_id = previous.share_id;
+      row.user_id = previous.user_id;
+      if (JSON.stringify(row.profile_data) === JSON.stringify(previous.profile_data)) return;
+      row.revision = previous.revision + 1;
+      row.updated_at = new Date().toISOString();
+    }
+    tableRows(db, 'shared_profile_revisions').push(withDefaults('shared_profile_revisions', {
+      share_id: row.share_id,
+      revision: row.revision,
+      profile_data: row.profile_data,
+    }));
+  },
+};
+
+function runTrigger(db, table, row, previous) {
+  TRIGGERS[table]?.(db, row, previous);
+}
+
+/**
+ * Run one query descriptor
+ * @param {object} db - From createMockDatabase()
+ * @param {object} query - { table, action, columns, values, options, filters, order, limit, range, single }
+ * @returns {{data: *, error: object|null, count?: number}} - Same shape as supabase-js
+ */
+function runQuery(db, query) {
+  const rows = tableRows(db, query.table);
+  const filters = query.filters || [];
+  let result;
+
+  if (query.action === 'insert' || query.action === 'upsert') {
+    const values = Array.isArray(query.values) ? query.values : [query.values];
+    const conflictColumns = (query.options?.onConflict || 'id').split(',').map(c => c.trim());
+    result = values.map(value => {
+      const existing = query.action === 'upsert'
+        ? rows.find(row => conflictColumns.every(column => row[column] === value[column]))
+        : null;
+      if (existing) {
+        const previous = { ...existing };
+        Object.assign(existing, value);
+        runTrigger(db, query.table, existing, previous);
+        return existing;
+      }
+      const row = withDefaults(query.table, value);
+      rows.push(row);
+      runTrigger(db, query.table, row, null);
+      return row;
+    });
+  } else if (query.action === 'update') {
+    result = rows.filter(row => matches(row, filters));
+    result.forEach(row => {
+      const previous = { ...row };
+      Object.assign(row, query.values);
+      runTrigger(db, query.table, row, previous);
+    });
+  } else if (query.action === 'delete') {
+    result = rows.filter(row => matches(row, filters));
+    db.tables[query.table] = rows.filter(row => !result.includes(row));
+  } else {
+    result = rows.filter(row => matches(row, filters));
+  }
+
+  for (const { column, ascending } of [...(query.order || [])].reverse()) {
+    result = [...result].sort((a, b) => compare(a[column], b[column]) * (ascending ? 1 : -1));
+  }
+
+  const count = result.length;
+  if (query.range) result = result.slice(query.range[0], query.range[1] + 1);
+  if (query.limit !== undefined && query.limit !== null) result = result.slice(0, query.limit);
+
+  // Writes only return rows when .select() was chained
+  const returnsRows = query.action === 'select' || query.returning;
+  const data = returnsRows ? result.map(row => project(row, query.columns)) : null;
+  const withCount = query.options?.count ? { count } : {};
+
+  if (query.options?.head) return { data: null, error: null, ...withCount };
+
+  if (query.single) {
+    if (data.length === 1) return { data: data[0], error: null, ...withCount };
+    if (data.length === 0 && query.single === 'maybeSingle') return { data: null, error: null, ...withCount };
+    return { data: null, error: error('JSON object requested, multiple (or no) rows returned', 'PGRST116') };
+  }
+
+  return { data, error: null, ...withCount };
+}
+
+/**
+ * shared_profile_status() from db/migrations/010_profile_privacy.sql
+ * @param {string|null} userId - Signed-in user (auth.uid())
+ */
+function sharedProfileStatus(db, profile, userId) {
+  if (profile.revoked_at) return 'revoked';
+  if (profile.expires_at && profile.expires_at <= new Date().toISOString()) return 'expired';
+  if (profile.user_id && profile.user_id === userId) return 'available';
+  if (profile.visibility === 'friends') {
+    // The owner compared with one of the signed-in user's profiles
+    const profiles = tableRows(db, 'shared_profiles');
+    const isFriend = tableRows(db, 'comparisons').some(comparison =>
+      comparison.viewer_share_id === profile.share_id
+      && profiles.some(mine => mine.share_id === comparison.viewed_share_id && userId && mine.user_id === userId && !mine.revoked_at));
+    if (!isFriend) return 'private';
+  }
+  return 'available';
+}
+
+function removeRows(db, table, predicate) {
+  db.tables[table] = tableRows(db, table).filter(row => !predicate(row));
+}
+
+/**
+ * The database functions from db/migrations
+ * Each gets the signed-in user as auth.userId (null for the service role)
+ */
+const RPCS = {
+  increment_profile_views(db, { profile_share_id }) {
+    const profile = tableRows(db, 'shared_profiles').find(row => row.share_id === profile_share_id);
+    if (profile) profile.view_count = (profile.view_count || 0) + 1;
+    return null;
+  },
+
+  upsert_comparison(db, args, auth) {
+    const ownsViewer = tableRows(db, 'shared_profiles').some(row => row.share_id === args.p_viewer_share_id
+      && (!row.user_id || row.user_id === auth.userId));
+    if (!ownsViewer) throw Object.assign(new Error('Not your shared profile'), { code: '42501' });
+
+    const revoked = tableRows(db, 'shared_profiles').some(row => row.revoked_at
+      && [args.p_viewer_share_id, args.p_viewed_share_id].includes(row.share_id));
+    if (revoked) return null;
+
+    const previous = tableRows(db, 'comparisons').find(row =>
+      row.viewer_share_id === args.p_viewer_share_id && row.viewed_share_id === args.p_viewed_share_id);
+    const entry = {
+      viewer_share_id: args.p_viewer_share_id,
+      viewed_share_id: args.p_viewed_share_id,
+      score: args.p_score,
+      scoring_version: args.p_scoring_version ?? 1,
+      viewer_profile_version: args.p_viewer_profile_version ?? null,
+      viewed_profile_version: args.p_viewed_profile_version ?? null,
+    };
+    const changed = !previous
+      || ['score', 'scoring_version', 'viewer_profile_version', 'viewed_profile_version']
+        .some(column => (previous[column] ?? null) !== entry[column]);
+
+    runQuery(db, {
+      table: 'comparisons',
+      action: 'upsert',
+      options: { onConflict: 'viewer_share_id,viewed_share_id' },
+      values: {
+        ...entry,
+        viewer_albums: args.p_viewer_albums,
+        viewer_album_names: args.p_viewer_album_names,
+        // Counts as new again, like the real function
+        created_at: new Date().toISOString(),
+      },
+    });
+    if (changed) runQuery(db, { table: 'comparison_scores', action: 'insert', values: entry });
+    return null;
+  },
+
+  rescore_comparison(db, args, auth) {
+    const ownsViewed = tableRows(db, 'shared_profiles').some(row => row.share_id === args.p_viewed_share_id
+      && auth.userId && row.user_id === auth.userId && !row.revoked_at);
+    if (!ownsViewed) throw Object.assign(new Error('Not your shared profile'), { code: '42501' });
+
+    const comparison = tableRows(db, 'comparisons').find(row =>
+      row.viewer_share_id === args.p_viewer_share_id && row.viewed_share_id === args.p_viewed_share_id);
+    if (!comparison) return null;
+
+    const entry = {
+      viewer_share_id: args.p_viewer_share_id,
+      viewed_share_id: args.p_viewed_share_id,
+      score: args.p_score,
+      scoring_version: args.p_scoring_version,
+      viewer_profile_version: args.p_viewer_profile_version ?? null,
+      viewed_profile_version: args.p_viewed_profile_version ?? null,
+    };
+    const changed = ['score', 'scoring_version', 'viewer_profile_version', 'viewed_profile_version']
+      .some(column => (comparison[column] ?? null) !== entry[column]);
+
+    Object.assign(comparison, entry);
+    if (changed) runQuery(db, { table: 'comparison_scores', action: 'insert', values: entry });
+    return null;
+  },
+
+  get_shared_profiles(db, { p_share_ids = [] }, auth) {
+    return tableRows(db, 'shared_profiles')
+      .filter(row => p_share_ids.includes(row.share_id))
+      .map(row => {
+        const status = sharedProfileStatus(db, row, auth.userId);
+        return {
+          share_id: row.share_id,
+          profile_data: status === 'available' ? row.profile_data : null,
+          status,
+          created_at: row.created_at,
+        };
+      });
+  },
+
+  resolve_profile_handle(db, { p_handle }) {
+    const handle = String(p_handle || '').toLowerCase();
+    return tableRows(db, 'shared_profiles').find(row => row.handle === handle && !row.revoked_at)?.share_id ?? null;
+  },
+
+  create_group_comparison(db, { p_group_id, p_share_ids = [] }) {
+    if (!/^[0-9A-Za-z]{8}$/.test(p_group_id || '')) {
+      throw Object.assign(new Error('Invalid group ID'), { code: '22023' });
+    }
+    if (p_share_ids.length < 3 || p_share_ids.length > 10 || new Set(p_share_ids).size !== p_share_ids.length) {
+      throw Object.assign(new Error('A group needs 3 to 10 different profiles'), { code: '22023' });
+    }
+
+    const now = new Date().toISOString();
+    const members = tableRows(db, 'shared_profiles').filter(row => p_share_ids.includes(row.share_id)
+      && row.visibility === 'public' && !row.revoked_at && !(row.expires_at && row.expires_at <= now));
+    if (members.length !== p_share_ids.length) {
+      throw Object.assign(new Error('Every profile in a group must be public'), { code: '42501' });
+    }
+    const artists = new Set(members.map(row => row.artist_id));
+    if (artists.size !== 1) {
+      throw Object.assign(new Error('Every profile in a group must be for the same artist'), { code: '22023' });
+    }
+
+    runQuery(db, {
+      table: 'group_comparisons',
+      action: 'insert',
+      values: { group_id: p_group_id, artist_id: members[0].artist_id, share_ids: p_share_ids },
+    });
+    return null;
+  },
+
+  revoke_shared_profile(db, { p_share_id }, auth) {
+    const profile = tableRows(db, 'shared_profiles').find(row =>
+      row.share_id === p_share_id && auth.userId && row.user_id === auth.userId && !row.revoked_at);
+    if (!profile) throw Object.assign(new Error('Not your shared profile'), { code: '42501' });
+
+    const previous = { ...profile };
+    Object.assign(profile, { revoked_at: new Date().toISOString(), profile_data: {}, handle: null });
+    runTrigger(db, 'shared_profiles', profile, previous);
+
+    const involves = row => row.viewer_share_id === p_share_id || row.viewed_share_id === p_share_id;
+    removeRows(db, 'shared_profile_revisions', row => row.share_id === p_share_id);
+    removeRows(db, 'comparisons', involves);
+    removeRows(db, 'comparison_scores', involves);
+
+    // Groups it was in lose it, and the ones left too small are deleted
+    removeRows(db, 'group_comparisons', row => row.share_ids.includes(p_share_id) && row.share_ids.length <= 3);
+    tableRows(db, 'group_comparisons').forEach(row => {
+      row.share_ids = row.share_ids.filter(id => id !== p_share_id);
+    });
+    return null;
+  },
+};
+
+/**
+ * Call a database function
+ * @param {object} auth - { userId } of the caller; the service role has none
+ */
+function runRpc(db, name, args = {}, auth = {}) {
+  if (!RPCS[name]) return { data: null, error: error(`Could not find the function public.${name}`, 'PGRST202') };
+  try {
+    return { data: RPCS[name](db, args, { userId: auth.userId || null }), error: null };
+  } catch (err) {
+    // RAISE EXCEPTION in the real function
+    return { data: null, error: error(err.message, err.code || 'P0001') };
+  }
+}
+
+// ============================================
+// supabase-js shaped client
+// ============================================
+
+/**
+ * Chainable builder that records the query and runs it when awaited
+ * (mirrors QueryBuilder in lib/mockSupabase.js)
+ */
+class QueryBuilder {
+  constructor(table, execute) {
+    this.query = { table, action: 'select', filters: [], order: [] };
+    this.execute = execute;
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.query.action === 'select') {
+      this.query.columns = columns;
+      this.query.options = options;
+    } else {
+      this.query.returning = true;
+      this.query.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) { return this.write('insert', values); }
+
+  upsert(values, options = {}) { return this.write('upsert', values, options); }
+
+  update(values) { return this.write('update', values); }
+
+  delete() { return this.write('delete', null); }
+
+  write(action, values, options = {}) {
+    Object.assign(this.query, { action, values, options });
+    return this;
+  }
+
+  filter(operator, column, value, negate = false) {
+    this.query.filters.push([operator, column, value, negate]);
+    return this;
+  }
+
+  eq(column, value) { return this.filter('eq', column, value); }
+
+  neq(column, value) { return this.filter('neq', column, value); }
+
+  gt(column, value) { return this.filter('gt', column, value); }
+
+  gte(column, value) { return this.filter('gte', column, value); }
+
+  lt(column, value) { return this.filter('lt', column, value); }
+
+  lte(column, value) { return this.filter('lte', column, value); }
+
+  in(column, values) { return this.filter('in', column, values); }
+
+  ilike(column, pattern) { return this.filter('ilike', column, pattern); }
+
+  is(column, value) { return this.filter('is', column, value); }
+
+  not(column, operator, value) { return this.filter(operator, column, value, true); }
+
+  order(column, { ascending = true } = {}) {
+    this.query.order.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.query.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.query.range = [from, to];
+    return this;
+  }
+
+  single() {
+    this.query.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.query.single = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return Promise.resolve().then(() => this.execute(this.query)).then(resolve, reject);
+  }
+}
+
+/**
+ * Service-role style client over a mock database (no auth, no RLS)
+ */
+function createMockSupabase(db) {
+  return {
+    from: table => new QueryBuilder(table, query => runQuery(db, query)),
+    rpc: async (name, args) => runRpc(db, name, args),
+  };
+}
+
+module.exports = {
+  createMockDatabase,
+  createMockSupabase,
+  runQuery,
+  runRpc,
+};
@@ -0,0 +1,236 @@
+/**
+ * Link preview image for a shared profile (/p/<share_id>)
+ *
+ * Draws the in-app ProfileCard (components/ProfileCard.js) as an SVG - top 3
+ * albums in their album colors with their top songs, and one featured
+ * lyric - then rasterizes it with resvg, so no headless browser is needed.
+ * Fonts are the app's own (Outfit, JetBrains Mono) from @expo-google-fonts.
+ */
+
+const path = require('path');
+
+const WIDTH = 1200;
+const HEIGHT = 630;
+
+// From lib/theme.js
+const COLORS = {
+  bg: '#020617',
+  card: '#0f172a',
+  elevated: '#1e293b',
+  surface: 'rgba(30, 41, 59, 0.45)',
+  border: '#334155',
+  text: '#e2e8f0',
+  muted: '#64748b',
+  accent: '#38bdf8',
+  fallback: '#64748b',
+};
+
+const FONT_FILES = [
+  '@expo-google-fonts/outfit/400Regular/Outfit_400Regular.ttf',
+  '@expo-google-fonts/outfit/600SemiBold/Outfit_600SemiBold.ttf',
+  '@expo-google-fonts/outfit/800ExtraBold/Outfit_800ExtraBold.ttf',
+  '@expo-google-fonts/jetbrains-mono/400Regular/JetBrainsMono_400Regular.ttf',
+  '@expo-google-fonts/jetbrains-mono/700Bold/JetBrainsMono_700Bold.ttf',
+];
+
+const SANS = 'Outfit';
+const MONO = 'JetBrains Mono';
+
+function escapeXml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function truncate(text, maxLength) {
+  const value = String(text || '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1).trimEnd()}…` : value;
+}
+
+/**
+ * Split text into at most `maxLines` lines of about `lineLength` characters
+ */
+function wrap(text, lineLength, maxLines) {
+  const lines = [];
+  let line = '';
+  for (const word of String(text || '').split(/\s+/).filter(Boolean)) {
+    if (line && (line.length + 1 + word.length) > lineLength) {
+      lines.push(line);
+      line = word;
+    } else {
+      line = line ? `${line} ${word}` : word;
+    }
+  }
+  if (line) lines.push(line);
+
+  if (lines.length <= maxLines) return lines;
+  const kept = lines.slice(0, maxLines);
+  kept[maxLines - 1] = truncate(`${kept[maxLines - 1]} ${lines[maxLines]}`, lineLength);
+  return kept;
+}
+
+/**
+ * Black or white text for an album color (getContrastColor in lib/theme.js)
+ */
+function contrastColor(hexColor) {
+  const hex = /^#[0-9a-f]{6}$/i.test(hexColor || '') ? hexColor.slice(1) : null;
+  if (!hex) return '#ffffff';
+  const r = parseInt(hex.slice(0, 2), 16);
+  const g = parseInt(hex.slice(2, 4), 16);
+  const b = parseInt(hex.slice(4, 6), 16);
+  const luminance = (0.299 * r + 0.587 * g + 0.114 * b) / 255;
+  return luminance > 0.5 ? '#000000' : '#ffffff';
+}
+
+// Album colors end up inside attributes - only plain hex colors are used
+function albumColor(profile, albumId) {
+  const color = profile.albumColors?.[albumId];
+  return /^#[0-9a-f]{3,8}$/i.test(color || '') ? color : COLORS.fallback;
+}
+
+/**
+ * The lyric the card features: from the #1 song of the first top album that has one
+ * (the first of ProfileCard's lyrics)
+ * @returns {{albumId: string, songId: string, line: string}|null}
+ */
+function featuredLyric(profile) {
+  for (const albumId of (profile.topAlbums || []).slice(0, 3)) {
+    const songId = profile.albumSongs?.[albumId]?.[0];
+    const line = songId && profile.songLyrics?.[songId];
+    if (line) return { albumId, songId, line };
+  }
+  return null;
+}
+
+/**
+ * Short text summary of a profile, for link preview titles and descriptions
+ * @param {object} profile - profile_data of a shared profile
+ * @returns {{title: string, description: string}}
+ */
+function describeProfile(profile) {
+  const names = (profile.topAlbums || [])
+    .slice(0, 3)
+    .map(albumId => profile.albumNames?.[albumId])
+    .filter(Boolean);
+
+  return {
+    title: names.length ? `Swiftie Profile: ${names[0]} at #1` : 'Swiftie Profile',
+    description: names.length
+      ? `Top albums: ${names.join(', ')}. Compare your rankings on Swiftie Ranker.`
+      : 'Compare your rankings on Swiftie Ranker.',
+  };
+}
+
+// ============================================
+// SVG
+// ============================================
+
+const MARGIN = 48;
+const COLUMN_GAP = 24;
+const COLUMN_WIDTH = (WIDTH - MARGIN * 2 - COLUMN_GAP * 2) / 3;
+const ALBUMS_TOP = 112;
+const HEADER_HEIGHT = 60;
+const SONG_HEIGHT = 44;
+const SONG_GAP = 8;
+
+function albumColumn(profile, albumId, index) {
+  const x = MARGIN + index * (COLUMN_WIDTH + COLUMN_GAP);
+  const color = albumColor(profile, albumId);
+  const textColor = contrastColor(color);
+  const songs = (profile.albumSongs?.[albumId] || []).slice(0, 3);
+  const height = HEADER_HEIGHT + 12 + songs.length * (SONG_HEIGHT + SONG_GAP);
+  const name = truncate(profile.albumNames?.[albumId] || 'Unknown Album', 20);
+
+  const songRows = songs.map((songId, songIdx) => {
+    const y = ALBUMS_TOP + HEADER_HEIGHT + 12 + songIdx * (SONG_HEIGHT + SONG_GAP);
+    const title = truncate(profile.songNames?.[songId] || 'Unknown Song', 24);
+    return `
+    <rect x="${x + 10}" y="${y}" width="${COLUMN_WIDTH - 20}" height="${SONG_HEIGHT}" rx="8" fill="${COLORS.elevated}"/>
+    <rect x="${x + 20}" y="${y + 10}" width="24" height="24" rx="5" fill="${color}"/>
+    <text x="${x + 32}" y="${y + 27}" font-family="${MONO}" font-weight="700" font-size="13" fill="${textColor}" text-anchor="middle">${songIdx + 1}</text>
+    <text x="${x + 56}" y="${y + 28}" font-family="${SANS}" font-size="18" fill="${COLORS.text}">${escapeXml(title)}</text>`;
+  }).join('');
+
+  return `
+  <g>
+    <clipPath id="album-${index}"><rect x="${x}" y="${ALBUMS_TOP}" width="${COLUMN_WIDTH}" height="${height}" rx="14"/></clipPath>
+    <g clip-path="url(#album-${index})">
+      <rect x="${x}" y="${ALBUMS_TOP}" width="${COLUMN_WIDTH}" height="${height}" fill="${COLORS.surface}"/>
+      <rect x="${x}" y="${ALBUMS_TOP}" width="${COLUMN_WIDTH}" height="${HEADER_HEIGHT}" fill="${color}"/>
+    </g>
+    <text x="${x + 16}" y="${ALBUMS_TOP + 38}" font-family="${MONO}" font-weight="700" font-size="16" fill="${textColor}">#${index + 1}</text>
+    <text x="${x + 56}" y="${ALBUMS_TOP + 39}" font-family="${SANS}" font-weight="600" font-size="22" fill="${textColor}">${escapeXml(name)}</text>${songRows}
+  </g>`;
+}
+
+function lyricBlock(profile) {
+  const lyric = featuredLyric(profile);
+  if (!lyric) return '';
+
+  const top = 400;
+  const lines = wrap(`"${lyric.line}"`, 80, 2);
+  const song = truncate(profile.songNames?.[lyric.songId] || 'Unknown Song', 40);
+  const textLines = lines.map((line, i) =>
+    `<text x="${MARGIN + 28}" y="${top + 56 + i * 30}" font-family="${SANS}" font-size="22" fill="${COLORS.text}">${escapeXml(line)}</text>`
+  ).join('\n    ');
+
+  return `
+  <g>
+    <text x="${MARGIN}" y="${top + 16}" font-family="${MONO}" font-weight="700" font-size="13" letter-spacing="3" fill="${COLORS.accent}">FAVORITE LYRIC</text>
+    <rect x="${MARGIN}" y="${top + 28}" width="${WIDTH - MARGIN * 2}" height="${lines.length * 30 + 52}" rx="8" fill="${COLORS.surface}"/>
+    <rect x="${MARGIN}" y="${top + 28}" width="5" height="${lines.length * 30 + 52}" fill="${albumColor(profile, lyric.albumId)}"/>
+    ${textLines}
+    <text x="${MARGIN + 28}" y="${top + 56 + lines.length * 30 + 4}" font-family="${MONO}" font-size="14" fill="${COLORS.muted}">— ${escapeXml(song)}</text>
+  </g>`;
+}
+
+/**
+ * SVG of the profile card
+ * @param {object} profile - profile_data of a shared profile
+ * @returns {string}
+ */
+function profileCardSvg(profile) {
+  const albums = (profile.topAlbums || []).slice(0, 3);
+
+  return `<svg xmlns="http://www.w3.org/2000/svg" width="${WIDTH}" height="${HEIGHT}" viewBox="0 0 ${WIDTH} ${HEIGHT}">
+  <rect width="${WIDTH}" height="${HEIGHT}" fill="${COLORS.bg}"/>
+  <rect x="12" y="12" width="${WIDTH - 24}" height="${HEIGHT - 24}" rx="28" fill="${COLORS.card}" stroke="${COLORS.border}" stroke-width="2"/>
+  <text x="${WIDTH / 2}" y="80" font-family="${SANS}" font-weight="800" font-size="36" fill="${COLORS.text}" text-anchor="middle">My Swiftie Profile</text>
+  ${albums.map((albumId, index) => albumColumn(profile, albumId, index)).join('')}
+  ${lyricBlock(profile)}
+  <text x="${WIDTH - MARGIN}" y="${HEIGHT - 36}" font-family="${MONO}" font-size="15" letter-spacing="2" fill="${COLORS.muted}" text-anchor="end">swiftieranker.com</text>
+</svg>`;
+}
+
+// ============================================
+// PNG
+// ============================================
+
+let fontFiles = null;
+
+/**
+ * Render the profile card as a PNG
+ * @param {object} profile - profile_data of a shared profile
+ * @returns {Buffer}
+ */
+function renderProfileCard(profile) {
+  // Native module - loaded on first use so requiring this file stays cheap
+  const { Resvg } = require('@resvg/resvg-js');
+  fontFiles ||= FONT_FILES.map(file => require.resolve(file, { paths: [path.join(__dirname, '..', '..')] }));
+
+  const resvg = new Resvg(profileCardSvg(profile), {
+    fitTo: { mode: 'width', value: WIDTH },
+    font: { fontFiles, loadSystemFonts: false, defaultFontFamily: SANS },
+  });
+  return resvg.render().asPng();
+}
+
+module.exports = {
+  WIDTH,
+  HEIGHT,
+  describeProfile,
+  profileCardSvg,
+  renderProfileCard,
+};
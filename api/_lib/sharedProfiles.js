@@ -0,0 +1,50 @@
+/**
+ * Shared profiles for the API routes
+ *
+ * Reads go through the same database functions as the app
+ * (db/migrations/010_profile_privacy.sql), so visibility, expiry and
+ * revoking apply here too. With the anon key there's no signed-in user:
+ * friends-only profiles come back as 'private'.
+ */
+
+// A share ID, or "@handle" (lib/shareLinks.js)
+const SHARE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+const HANDLE_PARAM_PATTERN = /^@[A-Za-z0-9_]{3,20}$/;
+
+/**
+ * The share ID or "@handle" in a "/p/..." parameter ("%40" is accepted for "@")
+ * @returns {string|null} - null if it's neither
+ */
+function parseProfileParam(param) {
+  const value = typeof param === 'string' ? param.replace(/^%40/i, '@') : '';
+  return SHARE_ID_PATTERN.test(value) || HANDLE_PARAM_PATTERN.test(value) ? value : null;
+}
+
+/**
+ * Load the shared profile behind a "/p/..." parameter
+ * @param {object} supabase - From createSupabase('anon')
+ * @param {string} param - Share ID or "@handle", from parseProfileParam
+ * @returns {Promise<{shareId: string, status: string, profile: object|null}|null>} - null if there's no such profile
+ * @throws {Error} - When the database can't be reached
+ */
+async function loadSharedProfile(supabase, param) {
+  let shareId = param;
+
+  if (HANDLE_PARAM_PATTERN.test(param)) {
+    const { data, error } = await supabase.rpc('resolve_profile_handle', { p_handle: param.slice(1).toLowerCase() });
+    if (error) throw new Error(error.message);
+    if (!data) return null;
+    shareId = data;
+  }
+
+  const { data, error } = await supabase.rpc('get_shared_profiles', { p_share_ids: [shareId] });
+  if (error) throw new Error(error.message);
+
+  const row = data?.[0];
+  return row ? { shareId, status: row.status, profile: row.profile_data || null } : null;
+}
+
+module.exports = {
+  parseProfileParam,
+  loadSharedProfile,
+};
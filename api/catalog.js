@@ -0,0 +1,79 @@
+const crypto = require('crypto');
+const { DEFAULT_ARTIST_ID, ARTIST_ID_PATTERN, ALBUM_COLUMNS, SONG_COLUMNS, buildCatalog } = require('./_lib/catalog');
+const { createSupabase } = require('./_lib/backend');
+
+// Catalog tables are public-read, so the anon key is enough
+const supabase = createSupabase('anon');
+
+// Browsers always revalidate; the CDN serves for 5 min and stale for a day while refetching
+const CACHE_CONTROL = 'public, max-age=0, s-maxage=300, stale-while-revalidate=86400';
+
+/**
+ * GET /api/catalog?artist=taylor-swift
+ *
+ * Returns one artist's precomputed album and song metrics:
+ *   { artist, version, albums: [...], songs: [...] }
+ *
+ * `artist` defaults to the original catalog; an artist with no albums is a 404.
+ *
+ * `version` is a hash of the payload and doubles as the ETag, so clients
+ * holding a cached snapshot can send If-None-Match and get a 304.
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const artist = req.query?.artist || DEFAULT_ARTIST_ID;
+  if (!ARTIST_ID_PATTERN.test(artist)) {
+    return res.status(400).json({ error: 'Invalid artist' });
+  }
+
+  try {
+    const { data: albums, error: albumsError } = await supabase
+      .from('albums')
+      .select(ALBUM_COLUMNS)
+      .eq('artist_id', artist)
+      .order('official_release_date', { ascending: true });
+
+    if (albumsError) {
+      console.error('Error fetching albums:', albumsError);
+      return res.status(502).json({ error: albumsError.message });
+    }
+
+    if (albums.length === 0) {
+      return res.status(404).json({ error: 'Unknown artist' });
+    }
+
+    const { data: songs, error: songsError } = await supabase
+      .from('songs')
+      .select(SONG_COLUMNS)
+      .eq('artist_id', artist);
+
+    if (songsError) {
+      console.error('Error fetching songs:', songsError);
+      return res.status(502).json({ error: songsError.message });
+    }
+
+    const catalog = buildCatalog(albums, songs);
+    const version = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(catalog))
+      .digest('hex')
+      .slice(0, 16);
+    const etag = `"${version}"`;
+
+    res.setHeader('Cache-Control', CACHE_CONTROL);
+    res.setHeader('ETag', etag);
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    return res.status(200).json({ artist, version, ...catalog });
+  } catch (error) {
+    console.error('Catalog error:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
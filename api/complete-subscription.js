@@ -1,6 +1,6 @@
-const Stripe = require('stripe');
+const { createStripe } = require('./_lib/backend');
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = createStripe();
 
 module.exports = async (req, res) => {
   // CORS headers
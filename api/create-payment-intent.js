@@ -1,12 +1,8 @@
-const Stripe = require('stripe');
-const { createClient } = require('@supabase/supabase-js');
+const { createStripe, createSupabase } = require('./_lib/backend');
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = createStripe();
 
-const supabase = createClient(
-  process.env.EXPO_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const supabase = createSupabase('service');
 
 module.exports = async (req, res) => {
   if (req.method !== 'POST') {
@@ -0,0 +1,48 @@
+const { createSupabase } = require('./_lib/backend');
+const { parseProfileParam, loadSharedProfile } = require('./_lib/sharedProfiles');
+const { renderProfileCard } = require('./_lib/profileCard');
+
+const supabase = createSupabase('anon');
+
+// Image URLs carry a version of the profile (see api/profile-page.js), so the CDN can keep them
+const CACHE_CONTROL = 'public, max-age=3600, s-maxage=86400, stale-while-revalidate=604800';
+
+/**
+ * GET /api/profile-card?id=<share_id or @handle>
+ *
+ * The link preview image (1200x630 PNG) for a shared profile. Profiles that
+ * are private, expired or revoked are a 404, like unknown ones.
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const id = parseProfileParam(req.query?.id);
+  if (!id) {
+    return res.status(400).json({ error: 'Invalid profile id' });
+  }
+
+  let shared;
+  try {
+    shared = await loadSharedProfile(supabase, id);
+  } catch (error) {
+    console.error('Error fetching shared profile:', error);
+    return res.status(502).json({ error: error.message });
+  }
+
+  if (!shared?.profile) {
+    return res.status(404).json({ error: 'Profile not found' });
+  }
+
+  try {
+    const png = renderProfileCard(shared.profile);
+    res.setHeader('Content-Type', 'image/png');
+    res.setHeader('Cache-Control', CACHE_CONTROL);
+    return res.status(200).send(png);
+  } catch (error) {
+    console.error('Error rendering profile card:', error);
+    return res.status(500).json({ error: error.message });
+  }
+};
@@ -0,0 +1,142 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { createSupabase } = require('./_lib/backend');
+const { parseProfileParam, loadSharedProfile } = require('./_lib/sharedProfiles');
+const { WIDTH, HEIGHT, describeProfile } = require('./_lib/profileCard');
+
+const supabase = createSupabase('anon');
+
+// Short, so owners changing visibility or revoking a link show up quickly in new previews
+const CACHE_CONTROL = 'public, max-age=0, s-maxage=60, stale-while-revalidate=600';
+
+// Where the app is served. Never taken from the request - its Host header is up to the client.
+const DEFAULT_SITE_URL = 'https://swiftieranker.com';
+// The built app, bundled with this function (includeFiles in vercel.json)
+const APP_SHELL_FILE = path.join(__dirname, '..', 'dist', 'index.html');
+
+const GENERIC = {
+  title: 'Swiftie Ranker',
+  description: 'Rank the albums and songs, build your Swiftie profile, and compare with friends.',
+};
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * The site's origin: SITE_URL (for preview deployments) or the production domain
+ */
+function siteOrigin() {
+  return (process.env.SITE_URL || DEFAULT_SITE_URL).replace(/\/+$/, '');
+}
+
+// Read once per instance; null once reading it has failed
+let appShell;
+
+/**
+ * The app's HTML (what every other path is rewritten to, see vercel.json)
+ * @returns {string|null} - null when the build isn't there (e.g. the mock server before `npm run build`)
+ */
+function loadAppShell() {
+  if (appShell !== undefined) return appShell;
+  try {
+    appShell = fs.readFileSync(APP_SHELL_FILE, 'utf8');
+  } catch (error) {
+    console.error(`Error reading app shell: ${error.message}`);
+    appShell = null;
+  }
+  return appShell;
+}
+
+function metaTags({ title, description, url, image, noindex }) {
+  const tags = [
+    ['property', 'og:type', image ? 'profile' : 'website'],
+    ['property', 'og:site_name', GENERIC.title],
+    ['property', 'og:title', title],
+    ['property', 'og:description', description],
+    ['property', 'og:url', url],
+    ['name', 'twitter:card', image ? 'summary_large_image' : 'summary'],
+    ['name', 'twitter:title', title],
+    ['name', 'twitter:description', description],
+    ['name', 'description', description],
+  ];
+  if (image) {
+    tags.push(
+      ['property', 'og:image', image],
+      ['property', 'og:image:width', String(WIDTH)],
+      ['property', 'og:image:height', String(HEIGHT)],
+      ['name', 'twitter:image', image],
+    );
+  }
+  if (noindex) tags.push(['name', 'robots', 'noindex']);
+
+  return [
+    `<title>${escapeHtml(title)}</title>`,
+    ...tags.map(([attr, key, value]) => `<meta ${attr}="${key}" content="${escapeHtml(value)}" />`),
+  ].join('\n    ');
+}
+
+function injectHead(shell, head) {
+  if (!shell || !/<\/head>/i.test(shell)) {
+    // Enough for link previews, and a way into the app for people
+    return `<!DOCTYPE html>\n<html lang="en">\n  <head>\n    <meta charset="utf-8" />\n    ${head}\n  </head>\n  <body><a href="/">Open Swiftie Ranker</a></body>\n</html>\n`;
+  }
+  return shell
+    .replace(/<title>[\s\S]*?<\/title>/i, '')
+    .replace(/<\/head>/i, `  ${head}\n  </head>`);
+}
+
+/**
+ * GET /p/<share_id or @handle> (rewritten to /api/profile-page?id=...)
+ *
+ * Serves the app with Open Graph / Twitter tags for the shared profile, so
+ * links unfurl with its card image (/api/profile-card). Profiles that aren't
+ * available to everyone - private, expired, revoked - get the generic tags,
+ * with nothing from the profile.
+ */
+module.exports = async (req, res) => {
+  if (req.method !== 'GET' && req.method !== 'HEAD') {
+    res.setHeader('Allow', 'GET, HEAD');
+    return res.status(405).json({ error: 'Method not allowed' });
+  }
+
+  const origin = siteOrigin();
+  const id = parseProfileParam(req.query?.id);
+
+  let shared = null;
+  if (id) {
+    try {
+      shared = await loadSharedProfile(supabase, id);
+    } catch (error) {
+      // The page still works without the preview tags
+      console.error('Error fetching shared profile:', error);
+    }
+  }
+
+  let meta;
+  if (shared?.profile) {
+    // Changes when the profile does, so unfurlers and the CDN don't keep an old image
+    const version = crypto
+      .createHash('sha1')
+      .update(JSON.stringify(shared.profile))
+      .digest('hex')
+      .slice(0, 12);
+    meta = {
+      ...describeProfile(shared.profile),
+      url: `${origin}/p/${encodeURIComponent(id).replace(/^%40/, '@')}`,
+      image: `${origin}/api/profile-card?id=${encodeURIComponent(shared.shareId)}&v=${version}`,
+    };
+  } else {
+    meta = { ...GENERIC, url: origin, noindex: true };
+  }
+
+  const shell = loadAppShell();
+  res.setHeader('Content-Type', 'text/html; charset=utf-8');
+  res.setHeader('Cache-Control', CACHE_CONTROL);
+  return res.status(200).send(injectHead(shell, metaTags(meta)));
+};
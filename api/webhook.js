@@ -1,13 +1,9 @@
-const Stripe = require('stripe');
-const { createClient } = require('@supabase/supabase-js');
+const { createStripe, createSupabase } = require('./_lib/backend');
 
-const stripe = new Stripe(process.env.STRIPE_SECRET_KEY);
+const stripe = createStripe();
 
 // Use service role key for webhook (bypasses RLS)
-const supabase = createClient(
-  process.env.EXPO_PUBLIC_SUPABASE_URL,
-  process.env.SUPABASE_SERVICE_ROLE_KEY
-);
+const supabase = createSupabase('service');
 
 // Disable body parsing - Stripe needs raw body for signature verification
 module.exports.config = {
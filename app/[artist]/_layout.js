@@ -0,0 +1,59 @@
+import { useLayoutEffect } from 'react';
+import { Stack, Redirect, useLocalSearchParams } from 'expo-router';
+import { useDataStore } from '../../stores/dataStore';
+import { colors } from '../../lib/theme';
+import { isAvailableArtist } from '../../lib/artists';
+
+/**
+ * Artist-prefixed routes ("/<artist-id>/album/<slug>")
+ *
+ * Every screen here re-exports its unprefixed twin; this layout switches the
+ * data store to the artist in the URL before rendering them, so the screens
+ * themselves don't read the param and their first load is already the right
+ * catalog. Links to the default artist stay unprefixed (lib/artists.js),
+ * though its prefixed URLs work too.
+ */
+export default function ArtistLayout() {
+  const { artist } = useLocalSearchParams();
+  const artistId = useDataStore((state) => state.artistId);
+  const setArtist = useDataStore((state) => state.setArtist);
+
+  // Before any screen's effects run (the root layout's effect would come after them)
+  useLayoutEffect(() => {
+    if (isAvailableArtist(artist)) setArtist(artist);
+  }, [artist]);
+
+  // Unknown or not-yet-available artists fall back to the default catalog
+  if (!isAvailableArtist(artist)) {
+    return <Redirect href="/" />;
+  }
+
+  if (artistId !== artist) return null;
+
+  return (
+    <Stack
+      screenOptions={{
+        headerShown: false,
+        contentStyle: { backgroundColor: colors.bg.primary },
+        animation: 'fade',
+      }}
+    >
+      <Stack.Screen name="index" />
+      <Stack.Screen name="album/[slug]" />
+      <Stack.Screen name="album/compare" />
+      <Stack.Screen
+        name="song/[id]"
+        options={{
+          presentation: 'transparentModal',
+          animation: 'fade',
+        }}
+      />
+      <Stack.Screen name="profile" />
+      <Stack.Screen name="leaderboard" />
+      <Stack.Screen name="compare" />
+      <Stack.Screen name="timeline" />
+      <Stack.Screen name="search" />
+      <Stack.Screen name="lyric/[songId]" />
+    </Stack>
+  );
+}
@@ -7,8 +7,10 @@ import { JetBrainsMono_400Regular, JetBrainsMono_700Bold } from '@expo-google-fo
 import * as SplashScreen from 'expo-splash-screen';
 import { useAuthStore } from '../stores/authStore';
 import { useSubscriptionStore } from '../stores/subscriptionStore';
+import { useDataStore } from '../stores/dataStore';
 import LinkAccountPrompt from '../components/LinkAccountPrompt';
 import { colors } from '../lib/theme';
+import { artistFromPath } from '../lib/artists';
 
 // Suppress noisy dev warnings
 if (__DEV__) {
@@ -35,6 +37,9 @@ export default function RootLayout() {
   // Subscription state
   const checkSubscription = useSubscriptionStore((state) => state.checkStatus);
 
+  // Catalog state
+  const setArtist = useDataStore((state) => state.setArtist);
+
   // UI state
   const [showLinkPrompt, setShowLinkPrompt] = useState(false);
   const [paymentStatus, setPaymentStatus] = useState(null);
@@ -59,6 +64,13 @@ export default function RootLayout() {
     document.activeElement?.blur?.();
   }, [pathname]);
 
+  // The URL decides the artist: "/<artist-id>/..." (switched before its screens load by
+  // app/[artist]/_layout.js) or the default artist's unprefixed screens
+  useEffect(() => {
+    const artistId = artistFromPath(pathname);
+    if (artistId) setArtist(artistId);
+  }, [pathname]);
+
   // Check subscription when user changes
   useEffect(() => {
     if (user?.id) {
@@ -144,6 +156,7 @@ export default function RootLayout() {
       >
         <Stack.Screen name="index" />
         <Stack.Screen name="album/[slug]" />
+        <Stack.Screen name="album/compare" />
         <Stack.Screen
           name="song/[id]"
           options={{
@@ -153,9 +166,15 @@ export default function RootLayout() {
         />
         <Stack.Screen name="profile" />
         <Stack.Screen name="p/[shareId]" />
+        <Stack.Screen name="group" />
+        <Stack.Screen name="g/[groupId]" />
         <Stack.Screen name="premium" />
         <Stack.Screen name="leaderboard" />
         <Stack.Screen name="compare" />
+        <Stack.Screen name="timeline" />
+        <Stack.Screen name="search" />
+        <Stack.Screen name="lyric/[songId]" />
+        <Stack.Screen name="[artist]" />
       </Stack>
 
       {/* Payment success toast */}
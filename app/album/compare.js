@@ -0,0 +1,354 @@
+import { useState, useEffect, useMemo } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, Modal, ActivityIndicator, useWindowDimensions, SafeAreaView } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { StatusBar } from 'expo-status-bar';
+import squarify from 'squarify';
+import { useDataStore, albumToSlug, useArtistHref } from '../../stores/dataStore';
+import { colors, getContrastColor } from '../../lib/theme';
+import { resolveMetric, useMetricRegistry } from '../../lib/metrics';
+import AnimatedTile from '../../components/AnimatedTile';
+import { MirroredAudioBar, Section, Tag, AUDIO_FEATURES } from '../../components/DetailBlocks';
+
+// Headline numbers compared as deltas
+const GLANCE_METRICS = [
+  { key: 'songCount', label: 'Tracks', format: (v) => `${v}` },
+  { key: 'totalMinutes', label: 'Runtime', format: (v) => `${v} min` },
+  { key: 'wordCount', label: 'Words', format: (v) => v.toLocaleString() },
+  { key: 'vocabularyRichness', label: 'Vocabulary', format: (v) => `${v}%` },
+];
+
+const TREEMAP_HEIGHT = 320;
+
+/**
+ * Split two lists into only-left, shared and only-right
+ */
+function splitSets(left = [], right = []) {
+  const rightSet = new Set(right);
+  const leftSet = new Set(left);
+  return {
+    onlyLeft: left.filter(item => !rightSet.has(item)),
+    shared: left.filter(item => rightSet.has(item)),
+    onlyRight: right.filter(item => !leftSet.has(item)),
+  };
+}
+
+function formatDelta(value) {
+  if (value === 0) return '=';
+  const rounded = Math.round(value * 10) / 10;
+  return `${rounded > 0 ? '+' : ''}${rounded.toLocaleString()}`;
+}
+
+/**
+ * Venn - Two overlapping circles with only-A / shared / only-B counts and tags
+ */
+function Venn({ left, right, leftColor, rightColor, emptyText }) {
+  const { onlyLeft, shared, onlyRight } = splitSets(left, right);
+
+  if (onlyLeft.length + shared.length + onlyRight.length === 0) {
+    return <Text style={styles.emptyText}>{emptyText}</Text>;
+  }
+
+  return (
+    <View>
+      <View style={styles.vennDiagram}>
+        <View style={[styles.vennCircle, styles.vennCircleLeft, { backgroundColor: leftColor + '40', borderColor: leftColor }]}>
+          <Text style={styles.vennCount}>{onlyLeft.length}</Text>
+        </View>
+        <View style={[styles.vennCircle, styles.vennCircleRight, { backgroundColor: rightColor + '40', borderColor: rightColor }]}>
+          <Text style={styles.vennCount}>{onlyRight.length}</Text>
+        </View>
+        <View style={styles.vennShared}>
+          <Text style={styles.vennCount}>{shared.length}</Text>
+        </View>
+      </View>
+      <View style={styles.vennColumns}>
+        {[
+          { key: 'left', items: onlyLeft, color: leftColor },
+          { key: 'shared', items: shared, color: null, label: 'Shared' },
+          { key: 'right', items: onlyRight, color: rightColor },
+        ].map(column => (
+          <View key={column.key} style={styles.vennColumn}>
+            {column.label && <Text style={styles.vennColumnLabel}>{column.label}</Text>}
+            {column.items.map(item => (
+              <Tag key={item} text={item} color={column.color} />
+            ))}
+          </View>
+        ))}
+      </View>
+    </View>
+  );
+}
+
+/**
+ * AlbumSlot - Header button showing one side of the comparison; opens the picker
+ */
+function AlbumSlot({ album, placeholder, onPress }) {
+  const textColor = album ? getContrastColor(album.color || colors.fallback) : colors.text.muted;
+  return (
+    <Pressable
+      style={[styles.albumSlot, album && { backgroundColor: album.color || colors.fallback }]}
+      onPress={onPress}
+    >
+      <Text style={[styles.albumSlotName, { color: textColor }]} numberOfLines={2}>
+        {album?.display_name || placeholder}
+      </Text>
+      <Text style={[styles.albumSlotHint, { color: textColor }]}>{album ? 'Change ▾' : 'Pick ▾'}</Text>
+    </Pressable>
+  );
+}
+
+export default function AlbumCompareScreen() {
+  const router = useRouter();
+  const artistHref = useArtistHref();
+  const { a, b } = useLocalSearchParams();
+  const {
+    songs,
+    isLoading,
+    loadData,
+    getAlbumBySlug,
+    getSortedAlbums,
+    selectedMetric,
+    subModeIndex,
+  } = useDataStore();
+  const [pickingSide, setPickingSide] = useState(null); // 'a' | 'b' | null
+  const { width: windowWidth } = useWindowDimensions();
+  const contentWidth = Math.min(windowWidth, 720) - 40;
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const albumA = a ? getAlbumBySlug(a) : null;
+  const albumB = b ? getAlbumBySlug(b) : null;
+  const colorA = albumA?.color || colors.fallback;
+  const colorB = albumB?.color || colors.fallback;
+  const songsA = albumA ? songs.filter(s => s.album_id === albumA.id) : [];
+  const songsB = albumB ? songs.filter(s => s.album_id === albumB.id) : [];
+
+  // Size the combined treemap by the selected metric; the default view has no sizes, so use runtime
+  const registryVersion = useMetricRegistry();
+  const resolved = resolveMetric(selectedMetric, subModeIndex);
+  const treemapMetric = resolved.isDefault || !resolved.metric.appliesToSongs
+    ? resolveMetric('totalMinutes')
+    : resolved;
+
+  const treemapData = useMemo(() => {
+    if (!albumA || !albumB || contentWidth <= 0) return [];
+
+    const data = [...songsA, ...songsB]
+      .map(song => ({
+        id: song.id,
+        name: song.name,
+        value: Math.max(treemapMetric.getSongValue(song) || 1, 1),
+        color: song.album_id === albumA.id ? colorA : colorB,
+        metricValue: treemapMetric.getSongValue(song),
+        trackNumber: song.trackNumber,
+        isVault: song.vaultTracks > 0,
+        albumSlug: song.album_id === albumA.id ? a : b,
+      }))
+      .sort((x, y) => y.value - x.value);
+
+    return squarify(data, { x0: 0, y0: 0, x1: contentWidth, y1: TREEMAP_HEIGHT });
+  }, [albumA?.id, albumB?.id, songs, treemapMetric.dataKey, registryVersion, contentWidth]);
+
+  const pickAlbum = (album) => {
+    router.setParams({ [pickingSide]: albumToSlug(album) });
+    setPickingSide(null);
+  };
+
+  const closePicker = () => {
+    document.activeElement?.blur?.();
+    requestAnimationFrame(() => {
+      setPickingSide(null);
+    });
+  };
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.accent.primary} />
+        <StatusBar style="light" />
+      </View>
+    );
+  }
+
+  const totalA = songsA.reduce((sum, s) => sum + (treemapMetric.getSongValue(s) || 0), 0);
+  const totalB = songsB.reduce((sum, s) => sum + (treemapMetric.getSongValue(s) || 0), 0);
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.topBar}>
+        <Text style={styles.title}>Compare Albums</Text>
+        <Pressable style={styles.backBtn} onPress={() => router.push(artistHref('/'))}>
+          <Text style={styles.backBtnText}>Albums</Text>
+        </Pressable>
+      </View>
+
+      <View style={styles.slotsRow}>
+        <AlbumSlot album={albumA} placeholder="First album" onPress={() => setPickingSide('a')} />
+        <Text style={styles.vsText}>vs</Text>
+        <AlbumSlot album={albumB} placeholder="Second album" onPress={() => setPickingSide('b')} />
+      </View>
+
+      {albumA && albumB ? (
+        <ScrollView style={styles.content} contentContainerStyle={styles.contentInner} showsVerticalScrollIndicator={false}>
+          <Section title="AT A GLANCE">
+            <View style={styles.glanceGrid}>
+              {GLANCE_METRICS.map(metric => {
+                const valueA = albumA[metric.key] || 0;
+                const valueB = albumB[metric.key] || 0;
+                return (
+                  <View key={metric.key} style={styles.glanceItem}>
+                    <Text style={styles.glanceLabel}>{metric.label}</Text>
+                    <View style={styles.glanceValues}>
+                      <Text style={[styles.glanceValue, { color: colorA }]}>{metric.format(valueA)}</Text>
+                      <Text style={[styles.glanceValue, { color: colorB }]}>{metric.format(valueB)}</Text>
+                    </View>
+                    <Text style={styles.glanceDelta}>{formatDelta(valueB - valueA)}</Text>
+                  </View>
+                );
+              })}
+            </View>
+          </Section>
+
+          <Section title="AUDIO PROFILE">
+            {AUDIO_FEATURES.map(feature => (
+              <MirroredAudioBar
+                key={feature.key}
+                label={feature.label}
+                left={albumA[feature.key] || 0}
+                right={albumB[feature.key] || 0}
+                leftColor={colorA}
+                rightColor={colorB}
+              />
+            ))}
+            <View style={styles.tempoRow}>
+              <Text style={styles.tempoValue}>{albumA.avgTempo} BPM</Text>
+              <Text style={styles.tempoLabel}>Tempo</Text>
+              <Text style={styles.tempoValue}>{albumB.avgTempo} BPM</Text>
+            </View>
+          </Section>
+
+          <Section title="CO-WRITERS">
+            <Venn
+              left={albumA.coWritersList}
+              right={albumB.coWritersList}
+              leftColor={colorA}
+              rightColor={colorB}
+              emptyText="Neither album lists co-writers"
+            />
+          </Section>
+
+          <Section title="THEMES">
+            <Venn
+              left={albumA.themesList}
+              right={albumB.themesList}
+              leftColor={colorA}
+              rightColor={colorB}
+              emptyText="No themes tagged on either album"
+            />
+          </Section>
+
+          <Section title={`SONGS BY ${treemapMetric.label.toUpperCase()}`}>
+            <View style={styles.shareRow}>
+              <View style={[styles.shareFill, { flex: totalA || 1, backgroundColor: colorA }]} />
+              <View style={[styles.shareFill, { flex: totalB || 1, backgroundColor: colorB }]} />
+            </View>
+            <View style={[styles.treemap, { width: contentWidth, height: TREEMAP_HEIGHT }]}>
+              {treemapData.map((item, index) => (
+                <AnimatedTile
+                  key={item.id}
+                  item={item}
+                  metric={treemapMetric.metric}
+                  suffix={treemapMetric.suffix}
+                  isSmall
+                  index={index}
+                  showOrder={false}
+                  isTrackFive={item.trackNumber === 5}
+                  isVault={item.isVault}
+                  onPress={() => router.push(artistHref(`/song/${item.id}?album=${item.albumSlug}`))}
+                />
+              ))}
+            </View>
+          </Section>
+        </ScrollView>
+      ) : (
+        <View style={styles.emptyState}>
+          <Text style={styles.emptyText}>Pick two albums to compare them side by side</Text>
+        </View>
+      )}
+
+      <Modal transparent animationType="fade" visible={Boolean(pickingSide)} onRequestClose={closePicker} accessibilityViewIsModal={true}>
+        <Pressable style={styles.modalOverlay} onPress={closePicker}>
+          <View style={styles.modalContent}>
+            <Text style={styles.modalTitle}>{pickingSide === 'a' ? 'First album' : 'Second album'}</Text>
+            <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
+              {getSortedAlbums().map(album => {
+                const otherSlug = pickingSide === 'a' ? b : a;
+                const isOther = albumToSlug(album) === otherSlug;
+                return (
+                  <Pressable
+                    key={album.id}
+                    style={[styles.modalItem, isOther && styles.modalItemDisabled]}
+                    onPress={() => !isOther && pickAlbum(album)}
+                  >
+                    <View style={[styles.modalSwatch, { backgroundColor: album.color || colors.fallback }]} />
+                    <Text style={styles.modalItemText}>{album.display_name}</Text>
+                  </Pressable>
+                );
+              })}
+            </ScrollView>
+          </View>
+        </Pressable>
+      </Modal>
+      <StatusBar style="light" />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+  loadingContainer: { flex: 1, backgroundColor: colors.bg.primary, alignItems: 'center', justifyContent: 'center' },
+  topBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingTop: 20, marginBottom: 12 },
+  title: { fontSize: 18, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  backBtn: { backgroundColor: colors.accent.primaryMuted, paddingVertical: 6, paddingHorizontal: 12, borderRadius: 12, borderWidth: 1, borderColor: colors.accent.primaryBorder },
+  backBtnText: { fontFamily: 'JetBrainsMono_700Bold', fontSize: 9, color: colors.accent.primary, textTransform: 'uppercase', letterSpacing: 1 },
+  slotsRow: { flexDirection: 'row', alignItems: 'center', gap: 10, paddingHorizontal: 20, marginBottom: 16 },
+  albumSlot: { flex: 1, minHeight: 64, borderRadius: 14, padding: 12, justifyContent: 'space-between', backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle },
+  albumSlotName: { fontSize: 15, fontFamily: 'Outfit_700Bold' },
+  albumSlotHint: { fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', opacity: 0.7, marginTop: 4, textTransform: 'uppercase', letterSpacing: 1 },
+  vsText: { fontSize: 12, color: colors.text.muted, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'uppercase' },
+  content: { flex: 1 },
+  contentInner: { paddingHorizontal: 20, paddingBottom: 40, maxWidth: 720, width: '100%', alignSelf: 'center' },
+  glanceGrid: { flexDirection: 'row', flexWrap: 'wrap', gap: 12 },
+  glanceItem: { flex: 1, minWidth: '45%', backgroundColor: colors.surface.medium, borderRadius: 12, padding: 12, alignItems: 'center' },
+  glanceLabel: { fontSize: 11, fontFamily: 'Outfit_400Regular', color: colors.text.muted, marginBottom: 6 },
+  glanceValues: { flexDirection: 'row', justifyContent: 'space-between', alignSelf: 'stretch' },
+  glanceValue: { fontSize: 16, fontFamily: 'Outfit_600SemiBold' },
+  glanceDelta: { fontSize: 11, fontFamily: 'JetBrainsMono_700Bold', color: colors.text.secondary, marginTop: 4 },
+  tempoRow: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', backgroundColor: colors.surface.medium, borderRadius: 8, padding: 12, marginTop: 4 },
+  tempoLabel: { fontSize: 13, fontFamily: 'Outfit_500Medium', color: colors.text.secondary },
+  tempoValue: { fontSize: 15, fontFamily: 'JetBrainsMono_700Bold', color: colors.text.primary },
+  vennDiagram: { flexDirection: 'row', justifyContent: 'center', alignItems: 'center', height: 110, marginBottom: 12 },
+  vennCircle: { width: 110, height: 110, borderRadius: 55, borderWidth: 1.5, justifyContent: 'center' },
+  vennCircleLeft: { alignItems: 'flex-start', paddingLeft: 30, marginRight: -20 },
+  vennCircleRight: { alignItems: 'flex-end', paddingRight: 30, marginLeft: -20 },
+  vennShared: { position: 'absolute', alignSelf: 'center' },
+  vennCount: { fontSize: 18, fontFamily: 'Outfit_700Bold', color: colors.text.primary },
+  vennColumns: { flexDirection: 'row', gap: 8 },
+  vennColumn: { flex: 1, gap: 6, alignItems: 'center' },
+  vennColumnLabel: { fontSize: 10, fontFamily: 'JetBrainsMono_700Bold', color: colors.text.muted, textTransform: 'uppercase', letterSpacing: 1 },
+  shareRow: { flexDirection: 'row', height: 6, borderRadius: 3, overflow: 'hidden', marginBottom: 10 },
+  shareFill: { height: '100%' },
+  treemap: { position: 'relative' },
+  emptyState: { flex: 1, alignItems: 'center', justifyContent: 'center', padding: 40 },
+  emptyText: { fontSize: 13, fontFamily: 'Outfit_400Regular', color: colors.text.muted, textAlign: 'center' },
+  modalOverlay: { flex: 1, backgroundColor: colors.bg.overlay, justifyContent: 'center', alignItems: 'center', padding: 20 },
+  modalContent: { backgroundColor: colors.bg.card, borderRadius: 20, padding: 20, maxWidth: 340, width: '100%', maxHeight: '70%', borderWidth: 1, borderColor: colors.border.medium },
+  modalTitle: { fontSize: 16, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold', marginBottom: 16 },
+  modalScroll: { maxHeight: 360 },
+  modalItem: { flexDirection: 'row', alignItems: 'center', gap: 10, paddingVertical: 10, paddingHorizontal: 12, borderRadius: 8 },
+  modalItemDisabled: { opacity: 0.35 },
+  modalSwatch: { width: 14, height: 14, borderRadius: 4 },
+  modalItemText: { color: colors.text.secondary, fontSize: 13, fontFamily: 'Outfit_400Regular' },
+});
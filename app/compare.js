@@ -3,7 +3,7 @@ import { StyleSheet, Text, View, Pressable, useWindowDimensions, SafeAreaView, P
 import { useRouter } from 'expo-router';
 import { StatusBar } from 'expo-status-bar';
 import squarify from 'squarify';
-import { useDataStore, albumToSlug } from '../stores/dataStore';
+import { useDataStore, albumToSlug, useArtistHref } from '../stores/dataStore';
 import { colors } from '../lib/theme';
 import AnimatedTile from '../components/AnimatedTile';
 import LegacyAnimatedTile from '../components/LegacyAnimatedTile';
@@ -23,6 +23,7 @@ const IMPLEMENTATIONS = [
 
 export default function CompareScreen() {
   const router = useRouter();
+  const artistHref = useArtistHref();
   const { albums, songs, isLoading, loadData } = useDataStore();
   const [implementation, setImplementation] = useState('legacy');
   const [selectedMetric, setSelectedMetric] = useState('default');
@@ -160,7 +161,7 @@ export default function CompareScreen() {
                 isSmall={false}
                 index={index}
                 showOrder={sortBy === 'value' && selectedMetric !== 'default'}
-                onPress={() => router.push(`/album/${item.slug}`)}
+                onPress={() => router.push(artistHref(`/album/${item.slug}`))}
               />
             ))
           ) : (
@@ -173,7 +174,7 @@ export default function CompareScreen() {
                 isSmall={false}
                 index={index}
                 showOrder={sortBy === 'value' && selectedMetric !== 'default'}
-                onPress={() => router.push(`/album/${item.slug}`)}
+                onPress={() => router.push(artistHref(`/album/${item.slug}`))}
               />
             ))
           )}
@@ -0,0 +1,23 @@
+import { SafeAreaView, StyleSheet } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import GroupCompatibilityView from '../../components/GroupCompatibilityView';
+import { colors } from '../../lib/theme';
+
+export default function SharedGroupScreen() {
+  const router = useRouter();
+  const { groupId } = useLocalSearchParams();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <GroupCompatibilityView
+        groupId={groupId}
+        onClose={() => router.push('/')}
+        onViewProfile={(shareId) => router.push(`/p/${shareId}`)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+});
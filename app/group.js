@@ -0,0 +1,25 @@
+import { SafeAreaView, StyleSheet } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import GroupCompatibilityView from '../components/GroupCompatibilityView';
+import { parseShareIds } from '../lib/groupCompatibility';
+import { colors } from '../lib/theme';
+
+// /group?ids=abc123,def456,... - compare a circle of shared profiles
+export default function GroupScreen() {
+  const router = useRouter();
+  const { ids } = useLocalSearchParams();
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <GroupCompatibilityView
+        shareIds={parseShareIds(ids)}
+        onClose={() => router.push('/')}
+        onViewProfile={(shareId) => router.push(`/p/${shareId}`)}
+      />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+});
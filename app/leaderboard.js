@@ -1,16 +1,20 @@
 import { SafeAreaView, StyleSheet } from 'react-native';
 import { useRouter } from 'expo-router';
 import ComparisonLeaderboard from '../components/ComparisonLeaderboard';
+import { useDataStore } from '../stores/dataStore';
 import { colors } from '../lib/theme';
 
 export default function LeaderboardScreen() {
   const router = useRouter();
+  const artistId = useDataStore((state) => state.artistId);
 
   return (
     <SafeAreaView style={styles.container}>
       <ComparisonLeaderboard
+        artistId={artistId}
         onClose={() => router.back()}
         onViewProfile={(shareId) => router.push(`/p/${shareId}`)}
+        onCompareGroup={(shareIds) => router.push(`/group?ids=${shareIds.join(',')}`)}
       />
     </SafeAreaView>
   );
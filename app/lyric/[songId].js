@@ -0,0 +1,92 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, Pressable, SafeAreaView, ActivityIndicator } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { StatusBar } from 'expo-status-bar';
+import { useDataStore } from '../../stores/dataStore';
+import { loadProfile, saveProfile, createEmptyProfile } from '../../lib/storage';
+import { colors } from '../../lib/theme';
+import LyricSelector from '../../components/LyricSelector';
+
+/**
+ * Lyric picker opened from lyric search, with the matched line preselected.
+ * Saving stores the selection as this song's lyric on the local profile.
+ */
+export default function LyricPickerScreen() {
+  const router = useRouter();
+  const { songId, line } = useLocalSearchParams();
+  const { artistId, albums, songs, isLoading, loadData, getSongById } = useDataStore();
+  const [lyric, setLyric] = useState(null);    // { songId, lines, startIndex, endIndex } from LyricSelector
+  const [saved, setSaved] = useState(false);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const lineIndex = Number.parseInt(line, 10);
+  const initialLyric = Number.isNaN(lineIndex)
+    ? { songId }
+    : { songId, startIndex: lineIndex, endIndex: lineIndex };
+
+  const canSave = lyric?.lines?.length > 0;
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    const profile = (await loadProfile(artistId)) || createEmptyProfile(artistId);
+    const ok = await saveProfile({
+      ...profile,
+      songLyrics: { ...profile.songLyrics, [lyric.songId]: lyric.lines.join('\n') },
+    }, artistId);
+    setSaved(ok);
+  };
+
+  if (isLoading || !getSongById(songId)) {
+    return (
+      <View style={styles.loadingContainer}>
+        {isLoading
+          ? <ActivityIndicator size="large" color={colors.accent.primary} />
+          : <Text style={styles.emptyText}>Song not found</Text>}
+        <StatusBar style="light" />
+      </View>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.topBar}>
+        <Pressable style={styles.backBtn} onPress={() => router.back()}>
+          <Text style={styles.backBtnText}>Search</Text>
+        </Pressable>
+        <Pressable
+          style={[styles.saveBtn, !canSave && styles.saveBtnDisabled]}
+          onPress={handleSave}
+          disabled={!canSave}
+        >
+          <Text style={styles.saveBtnText}>{saved ? 'Saved ✓' : 'Save to profile'}</Text>
+        </Pressable>
+      </View>
+
+      <LyricSelector
+        albums={albums}
+        songs={songs}
+        selectedLyric={initialLyric}
+        onLyricSelect={(selection) => {
+          setLyric(selection);
+          setSaved(false);
+        }}
+      />
+      <StatusBar style="light" />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+  loadingContainer: { flex: 1, backgroundColor: colors.bg.primary, alignItems: 'center', justifyContent: 'center' },
+  emptyText: { fontSize: 13, fontFamily: 'Outfit_400Regular', color: colors.text.muted },
+  topBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingTop: 20, marginBottom: 16 },
+  backBtn: { backgroundColor: colors.accent.primaryMuted, paddingVertical: 6, paddingHorizontal: 12, borderRadius: 12, borderWidth: 1, borderColor: colors.accent.primaryBorder },
+  backBtnText: { fontFamily: 'JetBrainsMono_700Bold', fontSize: 9, color: colors.accent.primary, textTransform: 'uppercase', letterSpacing: 1 },
+  saveBtn: { backgroundColor: colors.accent.primary, paddingVertical: 8, paddingHorizontal: 14, borderRadius: 12 },
+  saveBtnDisabled: { opacity: 0.4 },
+  saveBtnText: { fontFamily: 'Outfit_600SemiBold', fontSize: 12, color: colors.text.inverse },
+});
@@ -2,6 +2,7 @@ import { SafeAreaView, StyleSheet } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
 import SharedProfileView from '../../components/SharedProfileView';
 import { colors } from '../../lib/theme';
+import { artistPath } from '../../lib/artists';
 
 export default function SharedProfileScreen() {
   const router = useRouter();
@@ -12,8 +13,8 @@ export default function SharedProfileScreen() {
       <SharedProfileView
         shareId={shareId}
         onClose={() => router.push('/')}
-        onCreateProfile={() => router.push('/profile')}
-        onViewLeaderboard={() => router.push('/leaderboard')}
+        onCreateProfile={(artistId) => router.push(artistPath(artistId, '/profile'))}
+        onViewLeaderboard={(artistId) => router.push(artistPath(artistId, '/leaderboard'))}
       />
     </SafeAreaView>
   );
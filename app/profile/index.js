@@ -1,11 +1,12 @@
 import { useEffect } from 'react';
 import { useRouter } from 'expo-router';
 import ProfileBuilder from '../../components/ProfileBuilder';
-import { useDataStore } from '../../stores/dataStore';
+import { useDataStore, useArtistHref } from '../../stores/dataStore';
 
 export default function ProfileScreen() {
   const router = useRouter();
-  const { albums, songs, loadData, isLoading } = useDataStore();
+  const artistHref = useArtistHref();
+  const { artistId, albums, songs, loadData, isLoading } = useDataStore();
 
   useEffect(() => {
     loadData();
@@ -13,10 +14,12 @@ export default function ProfileScreen() {
 
   return (
     <ProfileBuilder
+      key={artistId}
+      artistId={artistId}
       albums={albums}
       songs={songs}
       onClose={() => router.back()}
-      onPreview={() => router.push('/profile/preview')}
+      onPreview={() => router.push(artistHref('/profile/preview'))}
     />
   );
 }
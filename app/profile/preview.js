@@ -3,22 +3,26 @@ import { View, Text, StyleSheet, ActivityIndicator, SafeAreaView } from 'react-n
 import { useRouter } from 'expo-router';
 import ProfileCard from '../../components/ProfileCard';
 import { loadProfile } from '../../lib/storage';
-import { useDataStore } from '../../stores/dataStore';
+import { useDataStore, useArtistHref } from '../../stores/dataStore';
 import { colors } from '../../lib/theme';
 
 export default function ProfilePreviewScreen() {
   const router = useRouter();
-  const { albums, songs, loadData, isLoading } = useDataStore();
+  const artistHref = useArtistHref();
+  const { artistId, albums, songs, loadData, isLoading } = useDataStore();
   const [profile, setProfile] = useState(null);
   const [profileLoading, setProfileLoading] = useState(true);
 
   useEffect(() => {
     loadData();
-    loadProfile().then(p => {
+  }, []);
+
+  useEffect(() => {
+    loadProfile(artistId).then(p => {
       setProfile(p);
       setProfileLoading(false);
     });
-  }, []);
+  }, [artistId]);
 
   // Group songs by album for ProfileCard
   const songsByAlbum = useMemo(() => {
@@ -54,7 +58,7 @@ export default function ProfilePreviewScreen() {
         profile={profile}
         albums={albums}
         songsByAlbum={songsByAlbum}
-        onClose={() => router.push('/')}
+        onClose={() => router.push(artistHref('/'))}
       />
     </SafeAreaView>
   );
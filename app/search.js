@@ -0,0 +1,194 @@
+import { useEffect, useMemo, useState } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, TextInput, ActivityIndicator, SafeAreaView } from 'react-native';
+import { useRouter, useLocalSearchParams } from 'expo-router';
+import { StatusBar } from 'expo-status-bar';
+import { useDataStore, useArtistHref } from '../stores/dataStore';
+import { colors } from '../lib/theme';
+import { loadLyricIndex, searchLyrics, highlightSegments } from '../lib/lyricSearch';
+
+const SEARCH_MODES = [
+  { key: 'fuzzy', label: 'Fuzzy' },
+  { key: 'exact', label: 'Exact phrase' },
+];
+const DEBOUNCE_MS = 150;
+
+/**
+ * Lyric line with the matched words highlighted
+ */
+function HighlightedLine({ text, terms }) {
+  return (
+    <Text style={styles.hitLine}>
+      {highlightSegments(text, terms).map((segment, i) => (
+        <Text key={i} style={segment.match && styles.hitMatch}>{segment.text}</Text>
+      ))}
+    </Text>
+  );
+}
+
+export default function LyricSearchScreen() {
+  const router = useRouter();
+  const artistHref = useArtistHref();
+  const params = useLocalSearchParams();
+  const { artistId, loadData, getSongById, getAlbumById } = useDataStore();
+  const [query, setQuery] = useState(params.q || '');
+  const [debouncedQuery, setDebouncedQuery] = useState(query);
+  const [mode, setMode] = useState(params.mode === 'exact' ? 'exact' : 'fuzzy');
+  const [index, setIndex] = useState(null);
+  const [indexLoading, setIndexLoading] = useState(true);
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  useEffect(() => {
+    let cancelled = false;
+    setIndexLoading(true);
+    loadLyricIndex(artistId).then(result => {
+      if (cancelled) return;
+      setIndex(result);
+      setIndexLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [artistId]);
+
+  useEffect(() => {
+    const timer = setTimeout(() => setDebouncedQuery(query), DEBOUNCE_MS);
+    return () => clearTimeout(timer);
+  }, [query]);
+
+  // Keep the query in the URL so searches can be shared and survive back-navigation
+  useEffect(() => {
+    router.setParams({ q: debouncedQuery || undefined, mode: mode === 'exact' ? mode : undefined });
+  }, [debouncedQuery, mode]);
+
+  const hits = useMemo(
+    () => searchLyrics(index, debouncedQuery, { mode }),
+    [index, debouncedQuery, mode]
+  );
+
+  const songCount = useMemo(() => new Set(hits.map(hit => hit.songId)).size, [hits]);
+
+  const openHit = (hit) => {
+    router.push(artistHref(`/lyric/${hit.songId}?line=${hit.lineIndex}`));
+  };
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.topBar}>
+        <Text style={styles.title}>Lyric Search</Text>
+        <Pressable style={styles.backBtn} onPress={() => router.push(artistHref('/'))}>
+          <Text style={styles.backBtnText}>Albums</Text>
+        </Pressable>
+      </View>
+
+      <View style={styles.searchBox}>
+        <TextInput
+          style={styles.input}
+          value={query}
+          onChangeText={setQuery}
+          placeholder='Search every lyric… ("quotes" for an exact phrase)'
+          placeholderTextColor={colors.text.disabled}
+          autoFocus
+          autoCorrect={false}
+          autoCapitalize="none"
+          returnKeyType="search"
+          accessibilityLabel="Search lyrics"
+        />
+        <View style={styles.modeRow}>
+          {SEARCH_MODES.map(option => (
+            <Pressable
+              key={option.key}
+              style={[styles.modeChip, mode === option.key && styles.modeChipActive]}
+              onPress={() => setMode(option.key)}
+              accessibilityRole="button"
+              accessibilityState={{ selected: mode === option.key }}
+            >
+              <Text style={[styles.modeChipText, mode === option.key && styles.modeChipTextActive]}>{option.label}</Text>
+            </Pressable>
+          ))}
+          {debouncedQuery.trim().length > 0 && !indexLoading && (
+            <Text style={styles.resultCount}>
+              {hits.length} {hits.length === 1 ? 'LINE' : 'LINES'} · {songCount} {songCount === 1 ? 'SONG' : 'SONGS'}
+            </Text>
+          )}
+        </View>
+      </View>
+
+      {indexLoading ? (
+        <View style={styles.centered}>
+          <ActivityIndicator size="small" color={colors.accent.primary} />
+          <Text style={styles.emptyText}>Indexing lyrics…</Text>
+        </View>
+      ) : !index ? (
+        <View style={styles.centered}>
+          <Text style={styles.emptyText}>Lyrics are unavailable right now</Text>
+        </View>
+      ) : (
+        <ScrollView style={styles.results} contentContainerStyle={styles.resultsContent} keyboardShouldPersistTaps="handled">
+          {debouncedQuery.trim().length > 0 && hits.length === 0 && (
+            <Text style={styles.emptyText}>
+              No lines match{mode === 'exact' ? ' that exact phrase - try Fuzzy' : ''}
+            </Text>
+          )}
+          {hits.map(hit => {
+            const song = getSongById(hit.songId);
+            const album = song ? getAlbumById(song.album_id) : null;
+            return (
+              <Pressable
+                key={`${hit.songId}-${hit.lineIndex}`}
+                style={styles.hit}
+                onPress={() => openHit(hit)}
+                accessibilityRole="button"
+                accessibilityLabel={`${hit.text}, from ${song?.name || 'unknown song'}`}
+              >
+                <View style={styles.hitHeader}>
+                  <View style={[styles.hitDot, { backgroundColor: song?.color || album?.color || colors.fallback }]} />
+                  <Text style={styles.hitSong} numberOfLines={1}>{song?.name || 'Unknown song'}</Text>
+                  <Text style={styles.hitAlbum} numberOfLines={1}>{album?.display_name}</Text>
+                  {hit.occurrences > 1 && <Text style={styles.hitRepeat}>×{hit.occurrences}</Text>}
+                </View>
+                {hit.before.map((line, i) => (
+                  <Text key={`b${i}`} style={styles.contextLine} numberOfLines={1}>{line}</Text>
+                ))}
+                <HighlightedLine text={hit.text} terms={hit.terms} />
+                {hit.after.map((line, i) => (
+                  <Text key={`a${i}`} style={styles.contextLine} numberOfLines={1}>{line}</Text>
+                ))}
+              </Pressable>
+            );
+          })}
+        </ScrollView>
+      )}
+      <StatusBar style="light" />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+  topBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingTop: 20, marginBottom: 10 },
+  title: { fontSize: 18, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  backBtn: { backgroundColor: colors.accent.primaryMuted, paddingVertical: 6, paddingHorizontal: 12, borderRadius: 12, borderWidth: 1, borderColor: colors.accent.primaryBorder },
+  backBtnText: { fontFamily: 'JetBrainsMono_700Bold', fontSize: 9, color: colors.accent.primary, textTransform: 'uppercase', letterSpacing: 1 },
+  searchBox: { paddingHorizontal: 20, marginBottom: 8 },
+  input: { backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle, borderRadius: 10, paddingVertical: 10, paddingHorizontal: 12, color: colors.text.primary, fontSize: 14, fontFamily: 'Outfit_400Regular' },
+  modeRow: { flexDirection: 'row', alignItems: 'center', gap: 6, marginTop: 8 },
+  modeChip: { paddingVertical: 5, paddingHorizontal: 10, borderRadius: 12, backgroundColor: colors.surface.light, borderWidth: 1, borderColor: colors.border.subtle },
+  modeChipActive: { backgroundColor: colors.accent.primaryMuted, borderColor: colors.accent.primaryBorder },
+  modeChipText: { fontSize: 11, fontFamily: 'Outfit_400Regular', color: colors.text.secondary },
+  modeChipTextActive: { color: colors.accent.primary, fontFamily: 'Outfit_600SemiBold' },
+  resultCount: { marginLeft: 'auto', fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', color: colors.text.muted, letterSpacing: 1 },
+  centered: { flex: 1, alignItems: 'center', justifyContent: 'center', gap: 8 },
+  emptyText: { fontSize: 13, fontFamily: 'Outfit_400Regular', color: colors.text.muted, textAlign: 'center', marginTop: 12 },
+  results: { flex: 1 },
+  resultsContent: { paddingHorizontal: 20, paddingBottom: 40 },
+  hit: { backgroundColor: colors.surface.light, borderRadius: 12, padding: 12, marginBottom: 8, borderWidth: 1, borderColor: colors.border.subtle },
+  hitHeader: { flexDirection: 'row', alignItems: 'center', gap: 6, marginBottom: 6 },
+  hitDot: { width: 8, height: 8, borderRadius: 4 },
+  hitSong: { flexShrink: 1, fontSize: 12, fontFamily: 'Outfit_600SemiBold', color: colors.text.primary },
+  hitAlbum: { flexShrink: 1, fontSize: 10, fontFamily: 'Outfit_300Light', color: colors.text.muted },
+  hitRepeat: { marginLeft: 'auto', fontSize: 9, fontFamily: 'JetBrainsMono_700Bold', color: colors.text.muted },
+  contextLine: { fontSize: 12, fontFamily: 'Outfit_400Regular', color: colors.text.disabled, lineHeight: 18 },
+  hitLine: { fontSize: 14, fontFamily: 'Outfit_400Regular', color: colors.text.secondary, lineHeight: 22 },
+  hitMatch: { color: colors.accent.primary, fontFamily: 'Outfit_600SemiBold' },
+});
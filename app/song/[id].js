@@ -1,27 +1,14 @@
-import { useState } from 'react';
+import { useState, useMemo } from 'react';
 import { StyleSheet, Text, View, Pressable, ScrollView } from 'react-native';
 import { useRouter, useLocalSearchParams } from 'expo-router';
-import { useDataStore } from '../../stores/dataStore';
+import { useDataStore, albumToSlug } from '../../stores/dataStore';
 import { useSubscriptionStore } from '../../stores/subscriptionStore';
 import { colors } from '../../lib/theme';
 import { BlurredSection } from '../../components/PaywallBlur';
 import SongDeepDive from '../../components/SongDeepDive';
-
-// Metric definitions for labels and suffixes
-const METRICS = {
-  default: { label: 'Default', suffix: '' },
-  avgEnergy: { label: 'Energy', suffix: '%' },
-  avgDanceability: { label: 'Danceability', suffix: '%' },
-  avgValence: { label: 'Happiness', suffix: '%' },
-  avgAcousticness: { label: 'Acoustic', suffix: '%' },
-  avgTempo: { label: 'Tempo', suffix: ' bpm' },
-  wordCount: { label: 'Words', suffix: '' },
-  uniqueWordCount: { label: 'Unique Words', suffix: '' },
-  totalMinutes: { label: 'Duration', suffix: ' min' },
-  coWriterCount: { label: 'Co-writers', suffix: '' },
-  themeCount: { label: 'Themes', suffix: '' },
-  vaultTracks: { label: 'Vault', suffix: '' },
-};
+import { SimilarSongRow } from '../../components/SimilarSongs';
+import { resolveMetric, getMetric, useMetricRegistry } from '../../lib/metrics';
+import { getSimilarityIndex } from '../../lib/similarity';
 
 export default function SongModal() {
   const router = useRouter();
@@ -29,10 +16,21 @@ export default function SongModal() {
   const { getSongById, getAlbumById, songs, albums, selectedMetric, subModeIndex } = useDataStore();
   const isPremium = useSubscriptionStore((state) => state.isPremium);
   const [showDeepDive, setShowDeepDive] = useState(false);
+  useMetricRegistry();
 
   const song = getSongById(id);
   const album = song ? getAlbumById(song.album_id) : null;
 
+  // Similar / different songs across audio, themes, co-writers, voice and intensity
+  const { mostSimilar, mostDifferent } = useMemo(() => {
+    if (!song) return { mostSimilar: [], mostDifferent: [] };
+    const index = getSimilarityIndex(songs);
+    return {
+      mostSimilar: index.findSimilar(song, { mode: 'similar', limit: 3 }),
+      mostDifferent: index.findSimilar(song, { mode: 'different', limit: 3 }),
+    };
+  }, [song, songs]);
+
   if (!song) {
     return (
       <View style={styles.overlay}>
@@ -49,31 +47,18 @@ export default function SongModal() {
   const duration = song.totalMinutes
     ? `${Math.floor(song.totalMinutes)}:${String(Math.round((song.totalMinutes % 1) * 60)).padStart(2, '0')}`
     : '--';
-  const vocabRichness = song.wordCount > 0
-    ? Math.round((song.uniqueWordCount / song.wordCount) * 100)
-    : 0;
 
-  // Use the currently selected metric (with subMode handling)
-  const getActualDataKey = () => {
-    if (selectedMetric === 'words') {
-      const subModes = ['wordCount', 'uniqueWordCount', 'vocabularyRichness'];
-      return subModes[subModeIndex] || 'wordCount';
-    }
-    return selectedMetric;
-  };
-
-  const dataKey = selectedMetric === 'default' ? 'avgEnergy' : getActualDataKey();
-  const metric = METRICS[dataKey] || METRICS.avgEnergy;
-  const metricLabel = metric.label;
-  const suffix = metric.suffix;
+  // Use the currently selected metric (with subMode handling); song-level
+  // rankings need a real value, so fall back to Energy for non-song metrics
+  const appliesToSong = selectedMetric !== 'default' && getMetric(selectedMetric)?.appliesToSongs;
+  const resolved = appliesToSong
+    ? resolveMetric(selectedMetric, subModeIndex)
+    : resolveMetric('avgEnergy');
+  const metricLabel = resolved.label;
+  const suffix = resolved.suffix;
 
   // Calculate song value for the current metric
-  const getSongMetricValue = (s) => {
-    if (dataKey === 'vocabularyRichness') {
-      return s.wordCount > 0 ? Math.round((s.uniqueWordCount / s.wordCount) * 100) : 0;
-    }
-    return s[dataKey] || 0;
-  };
+  const getSongMetricValue = resolved.getSongValue;
 
   const songValue = getSongMetricValue(song);
 
@@ -92,14 +77,6 @@ export default function SongModal() {
     : 0;
   const diffFromAlbum = albumAvg ? Math.round(((songValue - albumAvg) / albumAvg) * 100) : 0;
 
-  // Calculate similar and different songs
-  const otherSongs = songs.filter(s => s.id !== song.id && getSongMetricValue(s) !== undefined);
-  const sortedByDiff = otherSongs
-    .map(s => ({ ...s, diff: Math.abs(getSongMetricValue(s) - songValue) }))
-    .sort((a, b) => a.diff - b.diff);
-  const mostSimilar = sortedByDiff.slice(0, 3);
-  const mostDifferent = sortedByDiff.slice(-3).reverse();
-
   return (
     <View
       style={styles.overlay}
@@ -164,7 +141,7 @@ export default function SongModal() {
                 <Text style={styles.quickStatLabel}>Words</Text>
               </View>
               <View style={styles.quickStat}>
-                <Text style={styles.quickStatValue}>{vocabRichness}%</Text>
+                <Text style={styles.quickStatValue}>{song.vocabularyRichness}%</Text>
                 <Text style={styles.quickStatLabel}>Unique</Text>
               </View>
               {song.vaultTracks > 0 && (
@@ -177,18 +154,18 @@ export default function SongModal() {
 
           {/* Similar Songs - Premium Feature */}
           {mostSimilar.length > 0 && (
-            <BlurredSection title={`Most Similar (${metricLabel})`} onNavigateToPremium={() => router.push('/premium')}>
-              {mostSimilar.map((s) => {
-                const sAlbum = albums.find(a => a.id === s.album_id);
+            <BlurredSection title="Most Similar" onNavigateToPremium={() => router.push('/premium')}>
+              {mostSimilar.map((match) => {
+                const matchAlbum = albums.find(a => a.id === match.song.album_id);
                 return (
-                  <View key={s.id} style={styles.songRow}>
-                    <View style={[styles.songDot, { backgroundColor: s.color }]} />
-                    <View style={styles.songInfo}>
-                      <Text style={styles.songName} numberOfLines={1}>{s.name}</Text>
-                      <Text style={styles.songAlbum} numberOfLines={1}>{sAlbum?.display_name}</Text>
-                    </View>
-                    <Text style={styles.songValue}>{getSongMetricValue(s).toLocaleString()}{suffix}</Text>
-                  </View>
+                  <SimilarSongRow
+                    key={match.song.id}
+                    match={match}
+                    album={matchAlbum}
+                    onPress={isPremium && matchAlbum
+                      ? () => router.setParams({ id: match.song.id, album: albumToSlug(matchAlbum) })
+                      : undefined}
+                  />
                 );
               })}
             </BlurredSection>
@@ -196,18 +173,18 @@ export default function SongModal() {
 
           {/* Different Songs - Premium Feature */}
           {mostDifferent.length > 0 && (
-            <BlurredSection title={`Most Different (${metricLabel})`} onNavigateToPremium={() => router.push('/premium')}>
-              {mostDifferent.map((s) => {
-                const sAlbum = albums.find(a => a.id === s.album_id);
+            <BlurredSection title="Most Different" onNavigateToPremium={() => router.push('/premium')}>
+              {mostDifferent.map((match) => {
+                const matchAlbum = albums.find(a => a.id === match.song.album_id);
                 return (
-                  <View key={s.id} style={styles.songRow}>
-                    <View style={[styles.songDot, { backgroundColor: s.color }]} />
-                    <View style={styles.songInfo}>
-                      <Text style={styles.songName} numberOfLines={1}>{s.name}</Text>
-                      <Text style={styles.songAlbum} numberOfLines={1}>{sAlbum?.display_name}</Text>
-                    </View>
-                    <Text style={styles.songValue}>{getSongMetricValue(s).toLocaleString()}{suffix}</Text>
-                  </View>
+                  <SimilarSongRow
+                    key={match.song.id}
+                    match={match}
+                    album={matchAlbum}
+                    onPress={isPremium && matchAlbum
+                      ? () => router.setParams({ id: match.song.id, album: albumToSlug(matchAlbum) })
+                      : undefined}
+                  />
                 );
               })}
             </BlurredSection>
@@ -226,6 +203,7 @@ export default function SongModal() {
           song={song}
           album={album}
           songs={songs}
+          albums={albums}
           onClose={() => setShowDeepDive(false)}
         />
       </View>
@@ -262,13 +240,6 @@ const styles = StyleSheet.create({
   quickStatLabel: { fontSize: 8, color: colors.text.muted, fontFamily: 'JetBrainsMono_400Regular', textTransform: 'uppercase', marginTop: 2 },
   vaultBadge: { backgroundColor: colors.semantic.warningMuted, borderColor: colors.semantic.warningBorder },
   vaultText: { fontSize: 10, color: colors.semantic.warning, fontFamily: 'JetBrainsMono_700Bold' },
-  // Song rows
-  songRow: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: colors.border.subtle },
-  songDot: { width: 8, height: 8, borderRadius: 4, marginRight: 10 },
-  songInfo: { flex: 1 },
-  songName: { fontSize: 13, color: colors.text.primary, fontFamily: 'Outfit_400Regular' },
-  songAlbum: { fontSize: 10, color: colors.text.muted, fontFamily: 'Outfit_300Light' },
-  songValue: { fontSize: 11, color: colors.accent.primary, fontFamily: 'JetBrainsMono_400Regular' },
   // Deep Dive button
   deepDiveButton: { flexDirection: 'row', alignItems: 'center', justifyContent: 'center', backgroundColor: colors.surface.medium, borderRadius: 12, paddingVertical: 14, paddingHorizontal: 20, marginTop: 8, borderWidth: 1, borderColor: colors.border.subtle, gap: 8 },
   deepDiveButtonText: { fontSize: 14, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
@@ -0,0 +1,283 @@
+import { useEffect, useMemo } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, ActivityIndicator, useWindowDimensions, SafeAreaView } from 'react-native';
+import { useRouter } from 'expo-router';
+import { StatusBar } from 'expo-status-bar';
+import { useDataStore, albumToSlug, useArtistHref } from '../stores/dataStore';
+import { colors } from '../lib/theme';
+import { resolveMetric, useMetricRegistry } from '../lib/metrics';
+import { buildTimeline, formatGap } from '../lib/timeline';
+import { MetricDropdown, MetricInfoButton } from '../components/MetricControls';
+import CatalogStatus from '../components/CatalogStatus';
+
+const PX_PER_YEAR = 110;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+const CHART_HEIGHT = 240;
+const CHART_TOP = 90;          // Room for labels above the highest point
+const AREA_SLICE = 4;          // Width of each area-fill column
+const LINK_ROW_HEIGHT = 14;    // Vertical spacing between re-recording brackets
+const SIDE_PADDING = 40;
+
+/**
+ * Line segment between two points, drawn as a rotated View
+ */
+function Segment({ from, to, color }) {
+  const dx = to.x - from.x;
+  const dy = to.y - from.y;
+  const length = Math.sqrt(dx * dx + dy * dy);
+  const angle = Math.atan2(dy, dx);
+
+  return (
+    <View
+      style={[styles.segment, {
+        left: (from.x + to.x) / 2 - length / 2,
+        top: (from.y + to.y) / 2 - 1,
+        width: length,
+        backgroundColor: color,
+        transform: [{ rotate: `${angle}rad` }],
+      }]}
+    />
+  );
+}
+
+export default function TimelineScreen() {
+  const router = useRouter();
+  const artistHref = useArtistHref();
+  const {
+    albums,
+    songs,
+    isLoading,
+    loadData,
+    selectedMetric,
+    subModeIndex,
+    changeMetric,
+    cycleSubMode,
+  } = useDataStore();
+  const { width: windowWidth } = useWindowDimensions();
+  const isMobile = windowWidth < 500;
+
+  useEffect(() => {
+    loadData();
+  }, []);
+
+  const registryVersion = useMetricRegistry();
+  const resolved = resolveMetric(selectedMetric, subModeIndex);
+  const currentMetric = resolved.metric;
+
+  const chart = useMemo(() => {
+    const timeline = buildTimeline(albums);
+    if (timeline.entries.length === 0) return null;
+
+    const songsByAlbum = {};
+    songs.forEach(song => {
+      if (!songsByAlbum[song.album_id]) {
+        songsByAlbum[song.album_id] = [];
+      }
+      songsByAlbum[song.album_id].push(song);
+    });
+
+    // Axis runs from Jan 1 of the first release year to Jan 1 after the last
+    const axisStart = new Date(timeline.start.getFullYear(), 0, 1);
+    const axisEnd = new Date(timeline.end.getFullYear() + 1, 0, 1);
+    const years = (axisEnd - axisStart) / YEAR_MS;
+    const width = Math.max(windowWidth - SIDE_PADDING, years * PX_PER_YEAR);
+    const xFor = (date) => ((date - axisStart) / (axisEnd - axisStart)) * width;
+
+    const values = timeline.entries.map(entry => resolved.getAlbumValue(entry.album, songsByAlbum[entry.album.id]));
+    const maxValue = Math.max(...values, 1);
+    const baseline = CHART_TOP + CHART_HEIGHT;
+    const yFor = (value) => (resolved.isDefault
+      ? CHART_TOP + CHART_HEIGHT / 2
+      : baseline - (value / maxValue) * CHART_HEIGHT);
+
+    const points = timeline.entries.map((entry, index) => ({
+      ...entry,
+      value: values[index],
+      x: xFor(entry.date),
+      y: yFor(values[index]),
+      color: entry.album.color || colors.fallback,
+    }));
+
+    // Area fill - thin columns under the line, tinted by the era they fall in
+    const slices = [];
+    for (let i = 0; i < points.length - 1; i++) {
+      const from = points[i];
+      const to = points[i + 1];
+      for (let x = from.x; x < to.x; x += AREA_SLICE) {
+        const t = (x - from.x) / (to.x - from.x);
+        const y = from.y + (to.y - from.y) * t;
+        slices.push({ key: `${i}-${x}`, x, y, height: baseline - y, color: from.color });
+      }
+    }
+
+    const yearTicks = [];
+    for (let year = axisStart.getFullYear(); year <= axisEnd.getFullYear(); year++) {
+      yearTicks.push({ year, x: xFor(new Date(year, 0, 1)) });
+    }
+
+    const pointsById = new Map(points.map(point => [point.album.id, point]));
+    const links = timeline.links
+      .map((link, index) => ({ ...link, from: pointsById.get(link.from), to: pointsById.get(link.to), row: index % 3 }))
+      .filter(link => link.from && link.to);
+
+    return { width, baseline, points, slices, yearTicks, links };
+  }, [albums, songs, selectedMetric, resolved.dataKey, registryVersion, windowWidth]);
+
+  if (isLoading) {
+    return (
+      <View style={styles.loadingContainer}>
+        <ActivityIndicator size="large" color={colors.accent.primary} />
+        <StatusBar style="light" />
+      </View>
+    );
+  }
+
+  const axisTop = chart ? chart.baseline : 0;
+  const totalHeight = axisTop + 60 + LINK_ROW_HEIGHT * 3;
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <View style={styles.topBar}>
+        <Text style={[styles.title, isMobile && styles.titleSmall]}>Era Timeline</Text>
+        <Pressable style={styles.backBtn} onPress={() => router.push(artistHref('/'))}>
+          <Text style={styles.backBtnText}>Albums</Text>
+        </Pressable>
+      </View>
+
+      <View style={styles.controlsRow}>
+        <MetricDropdown
+          label="Plot"
+          selected={selectedMetric}
+          onSelect={changeMetric}
+          subLabel={resolved.subLabel}
+          onCycleSubMode={() => {
+            const subModes = currentMetric?.subModes;
+            if (subModes) {
+              cycleSubMode(subModes.length);
+            }
+          }}
+        />
+        <MetricInfoButton metricKey={selectedMetric} />
+      </View>
+
+      {chart ? (
+        <ScrollView horizontal style={styles.scroll} contentContainerStyle={styles.scrollContent} showsHorizontalScrollIndicator>
+          <View style={{ width: chart.width, height: totalHeight }}>
+            {/* Year grid */}
+            {chart.yearTicks.map(tick => (
+              <View key={tick.year} style={[styles.yearTick, { left: tick.x, top: CHART_TOP, height: CHART_HEIGHT }]}>
+                <Text style={[styles.yearLabel, { top: CHART_HEIGHT + 4 }]}>{tick.year}</Text>
+              </View>
+            ))}
+
+            {/* Area + line */}
+            {!resolved.isDefault && chart.slices.map(slice => (
+              <View
+                key={slice.key}
+                style={[styles.areaSlice, { left: slice.x, top: slice.y, height: slice.height, width: AREA_SLICE, backgroundColor: slice.color + '30' }]}
+              />
+            ))}
+            {chart.points.slice(1).map((point, index) => (
+              <Segment key={point.album.id} from={chart.points[index]} to={point} color={colors.border.medium} />
+            ))}
+            <View style={[styles.baseline, { top: chart.baseline, width: chart.width }]} />
+
+            {/* Release gaps, between consecutive releases */}
+            {chart.points.slice(1).map((point, index) => {
+              const previous = chart.points[index];
+              if (point.x - previous.x < 28) return null;
+              return (
+                <Text
+                  key={`gap-${point.album.id}`}
+                  style={[styles.gapLabel, { left: previous.x, width: point.x - previous.x, top: axisTop + 20 }]}
+                  numberOfLines={1}
+                >
+                  {formatGap(point.gapDays)}
+                </Text>
+              );
+            })}
+
+            {/* Re-recording brackets: original → Taylor's Version */}
+            {chart.links.map(link => (
+              <View
+                key={`link-${link.to.album.id}`}
+                style={[styles.linkBracket, {
+                  left: link.from.x,
+                  width: link.to.x - link.from.x,
+                  top: axisTop + 36,
+                  height: 8 + link.row * LINK_ROW_HEIGHT,
+                  borderColor: link.to.color,
+                }]}
+              >
+                <Text style={[styles.linkLabel, { color: link.to.color }]}>TV</Text>
+              </View>
+            ))}
+
+            {/* Album points */}
+            {chart.points.map((point, index) => (
+              <Pressable
+                key={point.album.id}
+                style={[styles.pointHitArea, { left: point.x - 14, top: point.y - 14 }]}
+                onPress={() => router.push(artistHref(`/album/${albumToSlug(point.album)}`))}
+                accessibilityLabel={`${point.album.display_name}, ${point.value}${resolved.suffix}`}
+              >
+                <View style={[styles.point, { backgroundColor: point.color }, point.isReRecording && styles.pointReRecording]} />
+                <View style={[styles.pointLabel, { bottom: index % 2 === 0 ? 26 : 44 }]}>
+                  <Text style={styles.pointName} numberOfLines={1}>{point.album.display_name}</Text>
+                  {!resolved.isDefault && (
+                    <Text style={styles.pointValue}>{point.value.toLocaleString()}{resolved.suffix}</Text>
+                  )}
+                  {point.album.vaultTracks > 0 && (
+                    <Text style={styles.pointVault}>+{point.album.vaultTracks} vault</Text>
+                  )}
+                </View>
+              </Pressable>
+            ))}
+          </View>
+        </ScrollView>
+      ) : (
+        <View style={styles.loadingContainer}>
+          <Text style={styles.emptyText}>No release dates to plot yet</Text>
+        </View>
+      )}
+
+      <View style={styles.footer}>
+        <Text style={styles.footerText}>
+          {chart ? `${chart.points.length} RELEASES · ${chart.links.length} RE-RECORDINGS` : ''}
+        </Text>
+        <CatalogStatus />
+      </View>
+      <StatusBar style="light" />
+    </SafeAreaView>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flex: 1, backgroundColor: colors.bg.primary },
+  loadingContainer: { flex: 1, backgroundColor: colors.bg.primary, alignItems: 'center', justifyContent: 'center' },
+  topBar: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingHorizontal: 20, paddingTop: 20, marginBottom: 10 },
+  title: { fontSize: 18, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  titleSmall: { fontSize: 16 },
+  backBtn: { backgroundColor: colors.accent.primaryMuted, paddingVertical: 6, paddingHorizontal: 12, borderRadius: 12, borderWidth: 1, borderColor: colors.accent.primaryBorder },
+  backBtnText: { fontFamily: 'JetBrainsMono_700Bold', fontSize: 9, color: colors.accent.primary, textTransform: 'uppercase', letterSpacing: 1 },
+  controlsRow: { flexDirection: 'row', justifyContent: 'center', alignItems: 'flex-start', gap: 12, marginBottom: 12, zIndex: 10 },
+  scroll: { flex: 1 },
+  scrollContent: { paddingHorizontal: SIDE_PADDING / 2, alignItems: 'center' },
+  yearTick: { position: 'absolute', width: 1, backgroundColor: colors.border.subtle },
+  yearLabel: { position: 'absolute', left: -14, width: 28, textAlign: 'center', fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', color: colors.text.muted },
+  areaSlice: { position: 'absolute' },
+  segment: { position: 'absolute', height: 2, borderRadius: 1 },
+  baseline: { position: 'absolute', left: 0, height: 1, backgroundColor: colors.border.medium },
+  gapLabel: { position: 'absolute', textAlign: 'center', fontSize: 8, fontFamily: 'JetBrainsMono_400Regular', color: colors.text.disabled },
+  linkBracket: { position: 'absolute', borderWidth: 1, borderTopWidth: 0, borderStyle: 'dashed', borderBottomLeftRadius: 6, borderBottomRightRadius: 6, alignItems: 'center', justifyContent: 'flex-end' },
+  linkLabel: { fontSize: 8, fontFamily: 'JetBrainsMono_700Bold', marginBottom: -10, letterSpacing: 1 },
+  pointHitArea: { position: 'absolute', width: 28, height: 28, alignItems: 'center', justifyContent: 'center', cursor: 'pointer' },
+  point: { width: 12, height: 12, borderRadius: 6, borderWidth: 2, borderColor: colors.bg.primary },
+  pointReRecording: { borderColor: colors.text.primary },
+  pointLabel: { position: 'absolute', width: 120, left: -46, alignItems: 'center' },
+  pointName: { fontSize: 10, fontFamily: 'Outfit_600SemiBold', color: colors.text.secondary, textAlign: 'center' },
+  pointValue: { fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', color: colors.text.muted },
+  pointVault: { fontSize: 8, fontFamily: 'JetBrainsMono_700Bold', color: colors.accent.primary, textTransform: 'uppercase', letterSpacing: 0.5 },
+  emptyText: { fontSize: 13, fontFamily: 'Outfit_400Regular', color: colors.text.muted },
+  footer: { paddingVertical: 10, flexDirection: 'row', alignItems: 'center', justifyContent: 'center', gap: 10 },
+  footerText: { fontFamily: 'JetBrainsMono_400Regular', fontSize: 9, color: colors.text.muted, letterSpacing: 2 },
+});
@@ -0,0 +1,60 @@
+import { useState } from 'react';
+import { StyleSheet, Text, View, Pressable } from 'react-native';
+import { colors } from '../lib/theme';
+import { ARTISTS } from '../lib/artists';
+
+// Trailing placeholder row, never selectable
+const COMING_SOON = { id: 'coming-soon', name: 'More artists coming...', available: false };
+
+/**
+ * ArtistDropdown - Header switcher between the catalogs in lib/artists.js
+ *
+ * @param {string} selected - Current artist id
+ * @param {function} onSelect - Called with an available artist's id
+ */
+export default function ArtistDropdown({ selected, onSelect }) {
+  const [open, setOpen] = useState(false);
+  const selectedArtist = ARTISTS.find(a => a.id === selected);
+
+  return (
+    <View style={styles.wrapper}>
+      <Pressable style={styles.dropdown} onPress={() => setOpen(!open)} accessibilityRole="button" accessibilityLabel="Choose artist">
+        <Text style={styles.name}>{selectedArtist?.name}</Text>
+        <Text style={styles.arrow}>{open ? '▲' : '▼'}</Text>
+      </Pressable>
+      {open && (
+        <View style={styles.menu}>
+          {[...ARTISTS, COMING_SOON].map(artist => (
+            <Pressable
+              key={artist.id}
+              style={[styles.item, selected === artist.id && styles.itemActive, !artist.available && styles.itemDisabled]}
+              onPress={() => {
+                if (!artist.available) return;
+                setOpen(false);
+                if (artist.id !== selected) onSelect(artist.id);
+              }}
+            >
+              <Text style={[styles.itemText, selected === artist.id && styles.itemTextActive, !artist.available && styles.itemTextDisabled]}>
+                {artist.name}
+              </Text>
+            </Pressable>
+          ))}
+        </View>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  wrapper: { position: 'relative' },
+  dropdown: { flexDirection: 'row', alignItems: 'center', gap: 4, paddingVertical: 4, paddingHorizontal: 8, borderRadius: 12, backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle },
+  name: { color: colors.accent.primary, fontSize: 11, fontFamily: 'Outfit_600SemiBold' },
+  arrow: { color: colors.text.muted, fontSize: 8 },
+  menu: { position: 'absolute', top: '100%', left: 0, minWidth: 160, marginTop: 4, backgroundColor: colors.surface.heavy, borderRadius: 12, borderWidth: 1, borderColor: colors.border.medium, overflow: 'hidden', zIndex: 100 },
+  item: { paddingVertical: 10, paddingHorizontal: 12 },
+  itemActive: { backgroundColor: colors.accent.primaryMuted },
+  itemDisabled: { opacity: 0.5 },
+  itemText: { color: colors.text.secondary, fontSize: 12, fontFamily: 'Outfit_400Regular' },
+  itemTextActive: { color: colors.accent.primary, fontFamily: 'Outfit_600SemiBold' },
+  itemTextDisabled: { color: colors.text.disabled, fontStyle: 'italic' },
+});
@@ -0,0 +1,62 @@
+import { StyleSheet, Text, View, Pressable, ActivityIndicator } from 'react-native';
+import { useDataStore } from '../stores/dataStore';
+import { colors } from '../lib/theme';
+
+/**
+ * Format an ISO timestamp as a short relative age ("5M", "3H", "2D")
+ */
+function formatAge(isoString) {
+  if (!isoString) return null;
+  const minutes = Math.floor((Date.now() - new Date(isoString).getTime()) / 60000);
+  if (minutes < 1) return 'JUST NOW';
+  if (minutes < 60) return `${minutes}M AGO`;
+  const hours = Math.floor(minutes / 60);
+  if (hours < 24) return `${hours}H AGO`;
+  return `${Math.floor(hours / 24)}D AGO`;
+}
+
+/**
+ * CatalogStatus - Stale indicator + force-refresh button for the cached catalog
+ *
+ * Shows "CACHED · 3H AGO" when the treemap is served from the offline snapshot
+ * and the server couldn't confirm it's current. Tapping refresh refetches the
+ * whole catalog, bypassing the version check.
+ */
+export default function CatalogStatus() {
+  const isStale = useDataStore((state) => state.isStale);
+  const isRefreshing = useDataStore((state) => state.isRefreshing);
+  const catalogSavedAt = useDataStore((state) => state.catalogSavedAt);
+  const refreshData = useDataStore((state) => state.refreshData);
+
+  const age = formatAge(catalogSavedAt);
+
+  return (
+    <View style={styles.container}>
+      {isStale && !isRefreshing && (
+        <View style={styles.staleBadge}>
+          <Text style={styles.staleText}>CACHED{age ? ` · ${age}` : ''}</Text>
+        </View>
+      )}
+      {isRefreshing ? (
+        <ActivityIndicator size="small" color={colors.text.muted} />
+      ) : (
+        <Pressable
+          style={styles.refreshButton}
+          onPress={() => refreshData({ force: true })}
+          accessibilityLabel="Refresh discography"
+          accessibilityRole="button"
+        >
+          <Text style={styles.refreshText}>↻</Text>
+        </Pressable>
+      )}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  staleBadge: { backgroundColor: colors.semantic.warningMuted, borderColor: colors.semantic.warningBorder, borderWidth: 1, borderRadius: 8, paddingHorizontal: 6, paddingVertical: 2 },
+  staleText: { fontFamily: 'JetBrainsMono_700Bold', fontSize: 8, color: colors.semantic.warning, letterSpacing: 1 },
+  refreshButton: { paddingHorizontal: 4 },
+  refreshText: { fontSize: 13, color: colors.text.muted },
+});
@@ -1,9 +1,11 @@
 import { useEffect, useState } from 'react';
 import { StyleSheet, Text, View, ScrollView, Pressable, ActivityIndicator, Platform } from 'react-native';
 import { colors, getContrastColor } from '../lib/theme';
-import { loadComparisons, loadShareId, loadLastSeenComparisons, saveLastSeenComparisons } from '../lib/storage';
-import { fetchIncomingComparisons } from '../lib/supabase';
-import { getCompatibilityLabel } from '../lib/compatibility';
+import { loadShareId, loadLastSeenComparisons, saveLastSeenComparisons } from '../lib/storage';
+import { refreshComparisons, refreshIncomingComparisons } from '../lib/comparisons';
+import { getCompatibilityLabel, comparisonVersion, scoreTrend, describeScoreChange, SCORING_VERSION } from '../lib/compatibility';
+import { DEFAULT_ARTIST_ID } from '../lib/artists';
+import { MIN_GROUP_SIZE, MAX_GROUP_SIZE } from '../lib/groupCompatibility';
 
 /**
  * ComparisonLeaderboard - Shows ranked list of profile comparisons
@@ -12,33 +14,43 @@ import { getCompatibilityLabel } from '../lib/compatibility';
  * 1. "Compared with you" - incoming comparisons (people who viewed your profile)
  * 2. "Your comparisons" - outgoing comparisons (profiles you've viewed)
  *
+ * Only scores from the current scoring version are ranked; older ones are
+ * listed separately since they aren't comparable.
+ *
+ * Comparisons are re-scored when either profile has changed. An arrow shows
+ * whether the latest score went up or down; tapping it shows the timeline.
+ *
+ * @param {string} artistId - Only this artist's comparisons (profiles are per artist)
  * @param {function} onClose - Called when closing leaderboard
  * @param {function} onViewProfile - Called with shareId when tapping a comparison
+ * @param {function} onCompareGroup - Called with share IDs to compare as a group
  */
-export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
+export default function ComparisonLeaderboard({ artistId = DEFAULT_ARTIST_ID, onClose, onViewProfile, onCompareGroup }) {
   const [myComparisons, setMyComparisons] = useState([]);
   const [incomingComparisons, setIncomingComparisons] = useState([]);
   const [loading, setLoading] = useState(true);
   const [activeTab, setActiveTab] = useState('outgoing'); // 'outgoing' | 'incoming'
   const [myShareId, setMyShareId] = useState(null);
   const [newCount, setNewCount] = useState(0);
+  const [expandedKey, setExpandedKey] = useState(null); // Comparison showing its timeline
 
   useEffect(() => {
     async function loadData() {
       try {
-        // Load local comparisons (profiles I've viewed)
-        const local = await loadComparisons();
+        // Load local comparisons (profiles I've viewed), re-scoring any whose profiles changed
+        const local = await refreshComparisons(artistId);
         // Sort by score descending
         const sorted = [...local].sort((a, b) => b.score - a.score);
         setMyComparisons(sorted);
 
         // Load share ID and incoming comparisons
-        const shareId = await loadShareId();
+        const shareId = await loadShareId(artistId);
         setMyShareId(shareId);
 
         if (shareId) {
           const lastSeen = await loadLastSeenComparisons();
-          const incoming = await fetchIncomingComparisons(shareId);
+          // Re-scores any made before my shared profile last changed
+          const incoming = await refreshIncomingComparisons(shareId);
 
           // Count new comparisons
           if (lastSeen) {
@@ -63,7 +75,7 @@ export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
     }
 
     loadData();
-  }, []);
+  }, [artistId]);
 
   const formatDate = (dateStr) => {
     const date = new Date(dateStr);
@@ -86,8 +98,28 @@ export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
     return null;
   };
 
+  // Newest first, each entry described against the one before it
+  const renderTimeline = (history) => (
+    <View style={styles.timeline}>
+      {history.map((entry, i) => ({ entry, text: describeScoreChange(entry, history[i - 1]) }))
+        .reverse()
+        .map(({ entry, text }) => (
+          <View key={entry.comparedAt} style={styles.timelineRow}>
+            <Text style={styles.timelineScore}>{entry.score}%</Text>
+            <Text style={styles.timelineText} numberOfLines={1}>{text}</Text>
+            <Text style={styles.timelineDate}>{formatDate(entry.comparedAt)}</Text>
+          </View>
+        ))}
+    </View>
+  );
+
+  // index is null for unranked (older scoring version) entries
   const renderComparison = (item, index, isIncoming = false) => {
-    const medal = getMedalEmoji(index);
+    const key = isIncoming ? item.viewer_share_id : item.shareId;
+    const history = item.history || [];
+    const trend = scoreTrend(history);
+    const expanded = expandedKey === key && history.length > 1;
+    const medal = index !== null && getMedalEmoji(index);
     const { label } = getCompatibilityLabel(item.score);
     const albumId = isIncoming
       ? item.viewer_albums?.[0]
@@ -98,33 +130,48 @@ export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
     const albumColor = item.albumColors?.[albumId] || colors.accent.primary;
 
     return (
-      <Pressable
-        key={isIncoming ? item.viewer_share_id : item.shareId}
-        style={styles.comparisonItem}
-        onPress={() => onViewProfile?.(isIncoming ? item.viewer_share_id : item.shareId)}
-      >
-        <View style={styles.comparisonLeft}>
-          {medal && <Text style={styles.medal}>{medal}</Text>}
-          <View style={styles.scoreContainer}>
-            <Text style={styles.scoreText}>{item.score}%</Text>
-            <View style={styles.progressBg}>
-              <View style={[styles.progressFill, { width: `${item.score}%` }]} />
+      <View key={key} style={styles.comparisonItem}>
+        <Pressable
+          style={styles.comparisonRow}
+          onPress={() => onViewProfile?.(key)}
+        >
+          <View style={styles.comparisonLeft}>
+            {medal && <Text style={styles.medal}>{medal}</Text>}
+            <View style={styles.scoreContainer}>
+              <View style={styles.scoreRow}>
+                <Text style={styles.scoreText}>{item.score}%</Text>
+                {history.length > 1 && (
+                  <Pressable hitSlop={8} onPress={() => setExpandedKey(expanded ? null : key)}>
+                    <Text style={[
+                      styles.trendText,
+                      trend?.direction === 'closer' && styles.trendCloser,
+                      trend?.direction === 'apart' && styles.trendApart,
+                    ]}>
+                      {trend?.direction === 'closer' ? `↑${trend.delta}` : trend?.direction === 'apart' ? `↓${-trend.delta}` : '•'}
+                    </Text>
+                  </Pressable>
+                )}
+              </View>
+              <View style={styles.progressBg}>
+                <View style={[styles.progressFill, { width: `${item.score}%` }]} />
+              </View>
             </View>
           </View>
-        </View>
 
-        <View style={styles.comparisonRight}>
-          <View style={styles.albumInfo}>
-            <View style={[styles.albumDot, { backgroundColor: albumColor }]} />
-            <Text style={styles.albumText} numberOfLines={1}>
-              {albumName || 'Unknown'} #1
+          <View style={styles.comparisonRight}>
+            <View style={styles.albumInfo}>
+              <View style={[styles.albumDot, { backgroundColor: albumColor }]} />
+              <Text style={styles.albumText} numberOfLines={1}>
+                {albumName || 'Unknown'} #1
+              </Text>
+            </View>
+            <Text style={styles.dateText}>
+              {formatDate(isIncoming ? item.created_at : item.comparedAt)}
             </Text>
           </View>
-          <Text style={styles.dateText}>
-            {formatDate(isIncoming ? item.created_at : item.comparedAt)}
-          </Text>
-        </View>
-      </Pressable>
+        </Pressable>
+        {expanded && renderTimeline(history)}
+      </View>
     );
   };
 
@@ -145,6 +192,10 @@ export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
   }
 
   const currentList = activeTab === 'outgoing' ? myComparisons : incomingComparisons;
+  // Me plus the people I've compared with
+  const groupShareIds = [myShareId, ...myComparisons.map(c => c.shareId)].filter(Boolean).slice(0, MAX_GROUP_SIZE);
+  const rankedList = currentList.filter(c => comparisonVersion(c) === SCORING_VERSION);
+  const olderList = currentList.filter(c => comparisonVersion(c) !== SCORING_VERSION);
 
   return (
     <View style={styles.container}>
@@ -208,10 +259,32 @@ export default function ComparisonLeaderboard({ onClose, onViewProfile }) {
           </View>
         ) : (
           <>
-            {currentList.map((item, index) =>
+            {rankedList.map((item, index) =>
               renderComparison(item, index, activeTab === 'incoming')
             )}
 
+            {/* Scores from an older formula - not ranked against the current ones */}
+            {olderList.length > 0 && (
+              <View style={styles.olderSection}>
+                <Text style={styles.olderTitle}>Older scores</Text>
+                {/* Everything else was re-scored on load - what's left couldn't be */}
+                <Text style={styles.olderText}>
+                  {activeTab === 'incoming'
+                    ? "Scored with a previous formula. Their profiles aren't shared with you, so these update when they compare with you again."
+                    : "Scored with a previous formula. These profiles aren't shared anymore, so they can't be re-scored."}
+                </Text>
+                {olderList.map(item =>
+                  renderComparison(item, null, activeTab === 'incoming')
+                )}
+              </View>
+            )}
+
+            {activeTab === 'outgoing' && onCompareGroup && groupShareIds.length >= MIN_GROUP_SIZE && (
+              <Pressable style={styles.groupBtn} onPress={() => onCompareGroup(groupShareIds)}>
+                <Text style={styles.groupBtnText}>Compare as a group</Text>
+              </Pressable>
+            )}
+
             {/* Share encouragement at bottom */}
             {activeTab === 'outgoing' && myComparisons.length < 5 && (
               <View style={styles.encouragement}>
@@ -335,8 +408,6 @@ const styles = StyleSheet.create({
 
   // Comparison item
   comparisonItem: {
-    flexDirection: 'row',
-    alignItems: 'center',
     backgroundColor: colors.surface.medium,
     borderRadius: 12,
     padding: 12,
@@ -344,6 +415,10 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: colors.border.subtle,
   },
+  comparisonRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   comparisonLeft: {
     flexDirection: 'row',
     alignItems: 'center',
@@ -357,11 +432,27 @@ const styles = StyleSheet.create({
     alignItems: 'flex-start',
     gap: 4,
   },
+  scoreRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 6,
+  },
   scoreText: {
     fontSize: 18,
     fontFamily: 'JetBrainsMono_700Bold',
     color: colors.accent.primary,
   },
+  trendText: {
+    fontSize: 12,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.muted,
+  },
+  trendCloser: {
+    color: colors.semantic.success,
+  },
+  trendApart: {
+    color: colors.semantic.error,
+  },
   progressBg: {
     width: 60,
     height: 4,
@@ -401,6 +492,37 @@ const styles = StyleSheet.create({
     marginTop: 4,
   },
 
+  // Timeline
+  timeline: {
+    marginTop: 10,
+    paddingTop: 8,
+    borderTopWidth: 1,
+    borderTopColor: colors.border.subtle,
+    gap: 6,
+  },
+  timelineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 8,
+  },
+  timelineScore: {
+    width: 40,
+    fontSize: 12,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.primary,
+  },
+  timelineText: {
+    flex: 1,
+    fontSize: 12,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.secondary,
+  },
+  timelineDate: {
+    fontSize: 10,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
+
   // Empty state
   emptyState: {
     alignItems: 'center',
@@ -426,6 +548,40 @@ const styles = StyleSheet.create({
     lineHeight: 20,
   },
 
+  // Group
+  groupBtn: {
+    alignSelf: 'center',
+    marginTop: 16,
+    paddingVertical: 10,
+    paddingHorizontal: 20,
+    borderRadius: 20,
+    backgroundColor: colors.accent.primaryMuted,
+    borderWidth: 1,
+    borderColor: colors.accent.primaryBorder,
+  },
+  groupBtnText: {
+    fontSize: 13,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.accent.primary,
+  },
+
+  // Older scores
+  olderSection: {
+    marginTop: 16,
+  },
+  olderTitle: {
+    fontSize: 13,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.secondary,
+    marginBottom: 4,
+  },
+  olderText: {
+    fontSize: 12,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.muted,
+    marginBottom: 12,
+  },
+
   // Encouragement
   encouragement: {
     marginTop: 8,
@@ -9,7 +9,7 @@ import { getCompatibilityLabel } from '../lib/compatibility';
  * Celebrates the comparison and encourages sharing.
  *
  * @param {number} score - Compatibility score 0-100
- * @param {object} breakdown - Array of {text, positive} items
+ * @param {object} breakdown - Array of {text, positive} items (plus points/maxPoints from scoring v2)
  * @param {object} theirProfile - The profile that was compared with
  * @param {function} onViewProfile - View your own profile
  * @param {function} onShare - Share your profile
@@ -63,7 +63,7 @@ export default function ComparisonResult({
 
         {/* Breakdown */}
         <View style={styles.breakdown}>
-          {breakdown.slice(0, 3).map((item, idx) => (
+          {breakdown.slice(0, 4).map((item, idx) => (
             <View key={idx} style={styles.breakdownItem}>
               <Text style={[styles.breakdownIcon, !item.positive && styles.breakdownIconNegative]}>
                 {item.positive ? '✓' : '✗'}
@@ -71,6 +71,9 @@ export default function ComparisonResult({
               <Text style={[styles.breakdownText, !item.positive && styles.breakdownTextMuted]}>
                 {item.text}
               </Text>
+              {item.maxPoints !== undefined && (
+                <Text style={styles.breakdownPoints}>{item.points}/{item.maxPoints}</Text>
+              )}
             </View>
           ))}
         </View>
@@ -212,6 +215,7 @@ const styles = StyleSheet.create({
     color: colors.text.muted,
   },
   breakdownText: {
+    flex: 1,
     fontSize: 14,
     fontFamily: 'Outfit_400Regular',
     color: colors.text.primary,
@@ -219,6 +223,11 @@ const styles = StyleSheet.create({
   breakdownTextMuted: {
     color: colors.text.muted,
   },
+  breakdownPoints: {
+    fontSize: 12,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
 
   // CTA
   ctaSection: {
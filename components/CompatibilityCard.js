@@ -6,7 +6,7 @@ import { getCompatibilityLabel } from '../lib/compatibility';
  * CompatibilityCard - Shows compatibility score with breakdown
  *
  * @param {number} score - Compatibility score 0-100
- * @param {object} breakdown - Array of {text, positive} items
+ * @param {object} breakdown - Array of {text, positive} items (plus points/maxPoints from scoring v2)
  * @param {number} comparisonCount - How many comparisons user has made
  * @param {function} onViewLeaderboard - Called when "View Leaderboard" tapped
  */
@@ -47,6 +47,9 @@ export default function CompatibilityCard({
             ]}>
               {item.text}
             </Text>
+            {item.maxPoints !== undefined && (
+              <Text style={styles.breakdownPoints}>{item.points}/{item.maxPoints}</Text>
+            )}
           </View>
         ))}
       </View>
@@ -174,6 +177,7 @@ const styles = StyleSheet.create({
     color: colors.semantic.success,
   },
   breakdownText: {
+    flex: 1,
     fontSize: 13,
     fontFamily: 'Outfit_400Regular',
     color: colors.text.primary,
@@ -181,6 +185,11 @@ const styles = StyleSheet.create({
   breakdownTextNegative: {
     color: colors.text.muted,
   },
+  breakdownPoints: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
 
   // Leaderboard button
   leaderboardBtn: {
@@ -0,0 +1,205 @@
+import { useState, useEffect, useMemo } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, Modal, TextInput } from 'react-native';
+import { colors } from '../lib/theme';
+import { compileFormula, FORMULA_FIELDS, FORMULA_FUNCTIONS } from '../lib/formula';
+import { AGGREGATE_OPTIONS } from '../lib/metrics';
+import { useDataStore } from '../stores/dataStore';
+
+const EMPTY_DRAFT = { label: '', formula: '', aggregate: 'mean', suffix: '' };
+
+/**
+ * CustomMetricEditor - Create, edit or delete a formula metric
+ *
+ * Formulas are validated live and previewed against a sample song; saving
+ * stores them on the profile and registers them under the dropdown's Custom group.
+ *
+ * @param {boolean} visible
+ * @param {object|null} custom - Existing custom metric to edit, or null to create one
+ * @param {function} onClose
+ * @param {function} onSaved - Called with the saved metric's registry key
+ */
+export default function CustomMetricEditor({ visible, custom, onClose, onSaved }) {
+  const [draft, setDraft] = useState(EMPTY_DRAFT);
+  const [saving, setSaving] = useState(false);
+
+  const songs = useDataStore((state) => state.songs);
+  const saveCustomMetric = useDataStore((state) => state.saveCustomMetric);
+  const deleteCustomMetric = useDataStore((state) => state.deleteCustomMetric);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(custom ? { ...EMPTY_DRAFT, ...custom } : EMPTY_DRAFT);
+    }
+  }, [visible, custom]);
+
+  // Compile on every keystroke for inline errors + a sample value
+  const { error, preview } = useMemo(() => {
+    if (!draft.formula.trim()) return { error: null, preview: null };
+    try {
+      const compiled = compileFormula(draft.formula);
+      const sample = songs.find(s => s.wordCount > 0) || songs[0];
+      return {
+        error: null,
+        preview: sample ? { name: sample.name, value: Math.round(compiled.evaluate(sample) * 100) / 100 } : null,
+      };
+    } catch (err) {
+      return { error: err.message, preview: null };
+    }
+  }, [draft.formula, songs]);
+
+  const canSave = draft.label.trim() && draft.formula.trim() && !error && !saving;
+
+  const update = (changes) => setDraft(prev => ({ ...prev, ...changes }));
+
+  const insertToken = (token) => {
+    const formula = draft.formula.trimEnd();
+    update({ formula: formula ? `${formula} ${token}` : token });
+  };
+
+  const closeModal = () => {
+    document.activeElement?.blur?.();
+    requestAnimationFrame(() => {
+      onClose();
+    });
+  };
+
+  const handleSave = async () => {
+    if (!canSave) return;
+    setSaving(true);
+    const key = await saveCustomMetric({
+      id: custom?.id,
+      label: draft.label.trim(),
+      formula: draft.formula.trim(),
+      aggregate: draft.aggregate,
+      suffix: draft.suffix,
+    });
+    setSaving(false);
+    onSaved?.(key);
+    closeModal();
+  };
+
+  const handleDelete = async () => {
+    await deleteCustomMetric(custom.id);
+    closeModal();
+  };
+
+  return (
+    <Modal transparent animationType="fade" visible={visible} onRequestClose={closeModal} accessibilityViewIsModal={true}>
+      <View style={styles.overlay}>
+        <View style={styles.content}>
+          <View style={styles.header}>
+            <Text style={styles.title}>{custom ? 'Edit Formula' : 'New Formula'}</Text>
+            <Pressable style={styles.close} onPress={closeModal}>
+              <Text style={styles.closeText}>×</Text>
+            </Pressable>
+          </View>
+
+          <ScrollView style={styles.scroll} showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            <Text style={styles.fieldLabel}>Name</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g. Dance Energy"
+              placeholderTextColor={colors.text.disabled}
+              value={draft.label}
+              onChangeText={(label) => update({ label })}
+              maxLength={24}
+            />
+
+            <Text style={styles.fieldLabel}>Formula</Text>
+            <TextInput
+              style={[styles.input, styles.formulaInput, error && styles.inputError]}
+              placeholder="avgEnergy * avgDanceability / 100"
+              placeholderTextColor={colors.text.disabled}
+              value={draft.formula}
+              onChangeText={(formula) => update({ formula })}
+              autoCapitalize="none"
+              autoCorrect={false}
+              multiline
+            />
+            {error ? (
+              <Text style={styles.errorText}>{error}</Text>
+            ) : preview ? (
+              <Text style={styles.previewText}>{preview.name}: {preview.value.toLocaleString()}{draft.suffix}</Text>
+            ) : null}
+
+            <Text style={styles.fieldLabel}>Fields</Text>
+            <View style={styles.chips}>
+              {FORMULA_FIELDS.map(name => (
+                <Pressable key={name} style={styles.chip} onPress={() => insertToken(name)}>
+                  <Text style={styles.chipText}>{name}</Text>
+                </Pressable>
+              ))}
+              {Object.keys(FORMULA_FUNCTIONS).map(name => (
+                <Pressable key={name} style={[styles.chip, styles.chipFunction]} onPress={() => insertToken(`${name}(`)}>
+                  <Text style={styles.chipText}>{name}()</Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Text style={styles.fieldLabel}>Album value</Text>
+            <View style={styles.chips}>
+              {AGGREGATE_OPTIONS.map(option => (
+                <Pressable
+                  key={option.key}
+                  style={[styles.chip, draft.aggregate === option.key && styles.chipActive]}
+                  onPress={() => update({ aggregate: option.key })}
+                >
+                  <Text style={[styles.chipText, draft.aggregate === option.key && styles.chipTextActive]}>{option.label}</Text>
+                </Pressable>
+              ))}
+            </View>
+
+            <Text style={styles.fieldLabel}>Suffix (optional)</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g. % or /min"
+              placeholderTextColor={colors.text.disabled}
+              value={draft.suffix}
+              onChangeText={(suffix) => update({ suffix })}
+              maxLength={8}
+            />
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {custom && (
+              <Pressable style={styles.deleteButton} onPress={handleDelete}>
+                <Text style={styles.deleteButtonText}>Delete</Text>
+              </Pressable>
+            )}
+            <Pressable style={[styles.saveButton, !canSave && styles.saveButtonDisabled]} onPress={handleSave} disabled={!canSave}>
+              <Text style={styles.saveButtonText}>{saving ? 'Saving...' : 'Save'}</Text>
+            </Pressable>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+}
+
+const styles = StyleSheet.create({
+  overlay: { flex: 1, backgroundColor: colors.bg.overlay, justifyContent: 'center', alignItems: 'center', padding: 20 },
+  content: { backgroundColor: colors.bg.card, borderRadius: 20, padding: 20, maxWidth: 380, width: '100%', maxHeight: '85%', borderWidth: 1, borderColor: colors.border.medium },
+  header: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 12 },
+  title: { fontSize: 16, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  close: { padding: 4 },
+  closeText: { fontSize: 24, color: colors.text.secondary, fontFamily: 'Outfit_300Light' },
+  scroll: { flexGrow: 0 },
+  fieldLabel: { fontSize: 10, color: colors.text.muted, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'uppercase', letterSpacing: 1.5, marginTop: 12, marginBottom: 6 },
+  input: { backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle, borderRadius: 10, paddingVertical: 10, paddingHorizontal: 12, color: colors.text.primary, fontSize: 14, fontFamily: 'Outfit_400Regular' },
+  formulaInput: { fontFamily: 'JetBrainsMono_400Regular', fontSize: 12, minHeight: 56 },
+  inputError: { borderColor: colors.semantic.error },
+  errorText: { color: colors.semantic.error, fontSize: 11, fontFamily: 'Outfit_400Regular', marginTop: 6 },
+  previewText: { color: colors.text.secondary, fontSize: 11, fontFamily: 'JetBrainsMono_400Regular', marginTop: 6 },
+  chips: { flexDirection: 'row', flexWrap: 'wrap', gap: 6 },
+  chip: { paddingVertical: 4, paddingHorizontal: 8, borderRadius: 10, backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle },
+  chipFunction: { borderStyle: 'dashed' },
+  chipActive: { backgroundColor: colors.accent.primaryMuted, borderColor: colors.accent.primary },
+  chipText: { color: colors.text.secondary, fontSize: 10, fontFamily: 'JetBrainsMono_400Regular' },
+  chipTextActive: { color: colors.accent.primary },
+  actions: { flexDirection: 'row', justifyContent: 'flex-end', gap: 10, marginTop: 16 },
+  deleteButton: { paddingVertical: 10, paddingHorizontal: 16, borderRadius: 12, borderWidth: 1, borderColor: colors.semantic.error },
+  deleteButtonText: { color: colors.semantic.error, fontSize: 13, fontFamily: 'Outfit_600SemiBold' },
+  saveButton: { backgroundColor: colors.accent.primary, paddingVertical: 10, paddingHorizontal: 20, borderRadius: 12, alignItems: 'center' },
+  saveButtonDisabled: { opacity: 0.4 },
+  saveButtonText: { color: colors.text.inverse, fontSize: 13, fontFamily: 'Outfit_600SemiBold' },
+});
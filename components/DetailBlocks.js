@@ -0,0 +1,155 @@
+import { StyleSheet, Text, View } from 'react-native';
+import { colors } from '../lib/theme';
+
+/**
+ * Shared building blocks for detail views (SongDeepDive, album comparison)
+ */
+
+// Audio features shown as bars, in display order
+export const AUDIO_FEATURES = [
+  { key: 'avgEnergy', label: 'Energy', color: '#f59e0b' },
+  { key: 'avgDanceability', label: 'Danceability', color: '#10b981' },
+  { key: 'avgValence', label: 'Happiness', color: '#f472b6' },
+  { key: 'avgAcousticness', label: 'Acoustic', color: '#6366f1' },
+];
+
+/**
+ * AudioBar - Visual bar for audio metrics
+ */
+export function AudioBar({ label, value, color }) {
+  return (
+    <View style={styles.audioBarContainer}>
+      <View style={styles.audioBarHeader}>
+        <Text style={styles.audioBarLabel}>{label}</Text>
+        <Text style={styles.audioBarValue}>{value}%</Text>
+      </View>
+      <View style={styles.audioBarTrack}>
+        <View style={[styles.audioBarFill, { width: `${value}%`, backgroundColor: color }]} />
+      </View>
+    </View>
+  );
+}
+
+/**
+ * MirroredAudioBar - Two AudioBars growing outward from a shared label
+ *
+ * @param {string} label - Feature label
+ * @param {number} left - Left value (0-100)
+ * @param {number} right - Right value (0-100)
+ * @param {string} leftColor
+ * @param {string} rightColor
+ */
+export function MirroredAudioBar({ label, left, right, leftColor, rightColor }) {
+  return (
+    <View style={styles.audioBarContainer}>
+      <View style={styles.audioBarHeader}>
+        <Text style={[styles.audioBarValue, left > right && styles.audioBarValueLeading]}>{left}%</Text>
+        <Text style={styles.audioBarLabel}>{label}</Text>
+        <Text style={[styles.audioBarValue, right > left && styles.audioBarValueLeading]}>{right}%</Text>
+      </View>
+      <View style={styles.mirroredRow}>
+        <View style={[styles.audioBarTrack, styles.mirroredTrack, styles.mirroredTrackLeft]}>
+          <View style={[styles.audioBarFill, { width: `${left}%`, backgroundColor: leftColor }]} />
+        </View>
+        <View style={[styles.audioBarTrack, styles.mirroredTrack]}>
+          <View style={[styles.audioBarFill, { width: `${right}%`, backgroundColor: rightColor }]} />
+        </View>
+      </View>
+    </View>
+  );
+}
+
+/**
+ * Section - Collapsible section wrapper
+ */
+export function Section({ title, children }) {
+  return (
+    <View style={styles.section}>
+      <Text style={styles.sectionTitle}>{title}</Text>
+      {children}
+    </View>
+  );
+}
+
+/**
+ * Tag - Small tag/chip component
+ */
+export function Tag({ text, color }) {
+  return (
+    <View style={[styles.tag, color && { backgroundColor: color + '20', borderColor: color }]}>
+      <Text style={[styles.tagText, color && { color }]}>{text}</Text>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  section: {
+    marginBottom: 24,
+  },
+  sectionTitle: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.accent.primary,
+    letterSpacing: 1,
+    marginBottom: 12,
+  },
+  // Audio bars
+  audioBarContainer: {
+    marginBottom: 12,
+  },
+  audioBarHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginBottom: 4,
+  },
+  audioBarLabel: {
+    fontSize: 13,
+    fontFamily: 'Outfit_500Medium',
+    color: colors.text.secondary,
+  },
+  audioBarValue: {
+    fontSize: 13,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
+  audioBarValueLeading: {
+    color: colors.text.primary,
+    fontFamily: 'JetBrainsMono_700Bold',
+  },
+  audioBarTrack: {
+    height: 8,
+    backgroundColor: colors.surface.medium,
+    borderRadius: 4,
+    overflow: 'hidden',
+  },
+  audioBarFill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  mirroredRow: {
+    flexDirection: 'row',
+    gap: 4,
+  },
+  mirroredTrack: {
+    flex: 1,
+  },
+  // Left half fills from the center outward
+  mirroredTrackLeft: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  // Tags
+  tag: {
+    backgroundColor: colors.surface.medium,
+    borderRadius: 16,
+    paddingHorizontal: 10,
+    paddingVertical: 5,
+    borderWidth: 1,
+    borderColor: colors.border.subtle,
+  },
+  tagText: {
+    fontSize: 12,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.secondary,
+  },
+});
@@ -0,0 +1,140 @@
+import { useState, useMemo } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, Modal } from 'react-native';
+import { colors } from '../lib/theme';
+import { FILTERS, hasActiveFilters } from '../lib/filters';
+
+/**
+ * FilterBar - Composable song filters for the treemap screens
+ *
+ * One chip per filter; tapping opens a picker of the values present in the
+ * catalog (with song counts). Active chips show their value, and "Clear"
+ * drops every filter at once.
+ *
+ * @param {object[]} albums - Albums to build options from
+ * @param {object[]} songs - Songs to build options from (unfiltered)
+ * @param {object} filters - Active filters: { [filterKey]: string[] }
+ * @param {function} onChange - Called with the new filters object
+ * @param {string[]} omit - Filter keys to hide (e.g. 'era' on a single-album screen)
+ */
+export default function FilterBar({ albums, songs, filters, onChange, omit = [] }) {
+  const [openKey, setOpenKey] = useState(null);
+  const visibleFilters = FILTERS.filter(filter => !omit.includes(filter.key));
+  const openFilter = visibleFilters.find(filter => filter.key === openKey);
+
+  const options = useMemo(
+    () => (openFilter ? openFilter.getOptions(albums, songs) : []),
+    [openFilter, albums, songs]
+  );
+
+  const closeModal = () => {
+    document.activeElement?.blur?.();
+    requestAnimationFrame(() => {
+      setOpenKey(null);
+    });
+  };
+
+  const toggleValue = (filter, value) => {
+    const current = filters[filter.key] || [];
+    let next;
+    if (current.includes(value)) {
+      next = current.filter(v => v !== value);
+    } else {
+      next = filter.multi ? [...current, value] : [value];
+    }
+    onChange({ ...filters, [filter.key]: next });
+    if (!filter.multi) closeModal();
+  };
+
+  const chipLabel = (filter) => {
+    const values = filters[filter.key] || [];
+    if (values.length === 0) return filter.label;
+    if (values.length > 1) return `${filter.label}: ${values.length}`;
+    const option = filter.getOptions(albums, songs).find(o => o.value === values[0]);
+    return `${filter.label}: ${option?.label || values[0]}`;
+  };
+
+  const isFiltered = hasActiveFilters(filters, omit);
+
+  return (
+    <View style={styles.container}>
+      <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chips}>
+        {visibleFilters.map(filter => {
+          const isActive = filters[filter.key]?.length > 0;
+          return (
+            <Pressable
+              key={filter.key}
+              style={[styles.chip, isActive && styles.chipActive]}
+              onPress={() => setOpenKey(filter.key)}
+            >
+              <Text style={[styles.chipText, isActive && styles.chipTextActive]} numberOfLines={1}>
+                {chipLabel(filter)}
+              </Text>
+            </Pressable>
+          );
+        })}
+        {isFiltered && (
+          <Pressable style={styles.clearChip} onPress={() => onChange({})}>
+            <Text style={styles.clearChipText}>Clear ×</Text>
+          </Pressable>
+        )}
+      </ScrollView>
+
+      <Modal transparent animationType="fade" visible={Boolean(openFilter)} onRequestClose={closeModal} accessibilityViewIsModal={true}>
+        <Pressable style={styles.modalOverlay} onPress={closeModal}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Filter by {openFilter?.label}</Text>
+              <Pressable style={styles.modalClose} onPress={closeModal}>
+                <Text style={styles.modalCloseText}>×</Text>
+              </Pressable>
+            </View>
+            <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
+              {options.length === 0 && (
+                <Text style={styles.emptyText}>Nothing to filter by here</Text>
+              )}
+              {options.map(option => {
+                const isSelected = (filters[openFilter.key] || []).includes(option.value);
+                return (
+                  <Pressable
+                    key={option.value}
+                    style={[styles.modalItem, isSelected && styles.modalItemActive]}
+                    onPress={() => toggleValue(openFilter, option.value)}
+                  >
+                    <Text style={[styles.modalItemText, isSelected && styles.modalItemTextActive]} numberOfLines={1}>
+                      {option.label}
+                    </Text>
+                    <Text style={styles.modalItemCount}>{isSelected ? '✓' : option.count}</Text>
+                  </Pressable>
+                );
+              })}
+            </ScrollView>
+          </View>
+        </Pressable>
+      </Modal>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: { marginBottom: 10 },
+  chips: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingHorizontal: 2 },
+  chip: { paddingVertical: 4, paddingHorizontal: 10, borderRadius: 12, backgroundColor: colors.surface.light, borderWidth: 1, borderColor: colors.border.subtle, maxWidth: 200 },
+  chipActive: { backgroundColor: colors.accent.primaryMuted, borderColor: colors.accent.primaryBorder },
+  chipText: { color: colors.text.muted, fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', textTransform: 'uppercase', letterSpacing: 1 },
+  chipTextActive: { color: colors.accent.primary, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'none', letterSpacing: 0.5 },
+  clearChip: { paddingVertical: 4, paddingHorizontal: 8 },
+  clearChipText: { color: colors.text.secondary, fontSize: 9, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'uppercase', letterSpacing: 1 },
+  modalOverlay: { flex: 1, backgroundColor: colors.bg.overlay, justifyContent: 'center', alignItems: 'center', padding: 20 },
+  modalContent: { backgroundColor: colors.bg.card, borderRadius: 20, padding: 20, maxWidth: 340, width: '100%', maxHeight: '70%', borderWidth: 1, borderColor: colors.border.medium },
+  modalHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 },
+  modalTitle: { fontSize: 16, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  modalClose: { padding: 4 },
+  modalCloseText: { fontSize: 24, color: colors.text.secondary, fontFamily: 'Outfit_300Light' },
+  modalScroll: { maxHeight: 340 },
+  modalItem: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', gap: 12, paddingVertical: 10, paddingHorizontal: 12, borderRadius: 8 },
+  modalItemActive: { backgroundColor: colors.accent.primaryMuted },
+  modalItemText: { flex: 1, color: colors.text.secondary, fontSize: 13, fontFamily: 'Outfit_400Regular' },
+  modalItemTextActive: { color: colors.accent.primary, fontFamily: 'Outfit_600SemiBold' },
+  modalItemCount: { color: colors.text.muted, fontSize: 11, fontFamily: 'JetBrainsMono_400Regular' },
+  emptyText: { color: colors.text.muted, fontSize: 13, fontFamily: 'Outfit_400Regular', textAlign: 'center', paddingVertical: 20 },
+});
@@ -0,0 +1,580 @@
+import { useEffect, useState } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, TextInput, ActivityIndicator } from 'react-native';
+import * as Clipboard from 'expo-clipboard';
+import { colors, getContrastColor } from '../lib/theme';
+import { getCompatibilityLabel } from '../lib/compatibility';
+import {
+  calculateGroupCompatibility,
+  parseShareIds,
+  MIN_GROUP_SIZE,
+  MAX_GROUP_SIZE,
+} from '../lib/groupCompatibility';
+import {
+  fetchSharedProfiles,
+  fetchGroupComparison,
+  resolveShareId,
+  saveGroupComparison,
+  groupComparisonUrl,
+} from '../lib/supabase';
+
+// Matrix cells: accent.primary, stronger the better the score
+const scoreTint = score => `rgba(56, 189, 248, ${(0.08 + (score / 100) * 0.5).toFixed(2)})`;
+
+/**
+ * GroupCompatibilityView - Compatibility across a circle of shared profiles
+ *
+ * Either compares the given share IDs (and can save them as a group link),
+ * or compares the members of a saved group from its group ID. Saved groups
+ * are always worked out from the members' current profiles.
+ *
+ * @param {string[]} shareIds - Profiles to compare, as share IDs or "@handle"s (from /group?ids=...)
+ * @param {string} groupId - Saved group to show (from /g/[groupId])
+ * @param {function} onClose - Called when closing
+ * @param {function} onViewProfile - Called with a member's shareId
+ */
+export default function GroupCompatibilityView({ shareIds = [], groupId = null, onClose, onViewProfile }) {
+  const [input, setInput] = useState(shareIds.join('\n'));
+  const [result, setResult] = useState(null);
+  const [loading, setLoading] = useState(Boolean(groupId) || shareIds.length > 0);
+  const [error, setError] = useState(null);
+  const [groupUrl, setGroupUrl] = useState(groupId ? groupComparisonUrl(groupId) : null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [copied, setCopied] = useState(false);
+
+  const compare = async (ids, { saved = false } = {}) => {
+    setError(null);
+    setResult(null);
+    setGroupUrl(saved ? groupComparisonUrl(groupId) : null);
+
+    if (ids.length < MIN_GROUP_SIZE || ids.length > MAX_GROUP_SIZE) {
+      setError(`Add ${MIN_GROUP_SIZE} to ${MAX_GROUP_SIZE} profile links.`);
+      return;
+    }
+
+    setLoading(true);
+    try {
+      // "@handle"s from /p/@name links become share IDs
+      const resolved = await Promise.all(ids.map(resolveShareId));
+      const unknown = ids.filter((_, idx) => !resolved[idx]);
+      if (unknown.length > 0) {
+        setError(`Couldn't find ${unknown.length === 1 ? 'profile' : 'profiles'} ${unknown.join(', ')}.`);
+        return;
+      }
+      if (new Set(resolved).size < resolved.length) {
+        setError('Some of the links are for the same profile.');
+        return;
+      }
+
+      const members = await fetchSharedProfiles(resolved);
+      const missing = ids.filter((_, idx) => !members.some(member => member.shareId === resolved[idx]));
+      if (missing.length > 0) {
+        setError(saved
+          ? `${missing.length} of the group's profiles ${missing.length === 1 ? "isn't" : "aren't"} shared anymore.`
+          : `Couldn't find ${missing.length === 1 ? 'profile' : 'profiles'} ${missing.join(', ')}.`);
+        return;
+      }
+
+      const group = calculateGroupCompatibility(members);
+      if (!group) {
+        setError('All profiles need to be complete and for the same artist.');
+        return;
+      }
+      setResult(group);
+    } catch (err) {
+      console.error('Error comparing group:', err);
+      setError('Failed to compare the group');
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  useEffect(() => {
+    async function loadGroup() {
+      try {
+        const saved = await fetchGroupComparison(groupId);
+        if (saved) {
+          await compare(saved.shareIds, { saved: true });
+        } else {
+          setError('Group not found');
+        }
+      } catch (err) {
+        console.error('Error loading group comparison:', err);
+        setError('Failed to load group');
+      } finally {
+        setLoading(false);
+      }
+    }
+
+    if (groupId) {
+      loadGroup();
+    } else if (shareIds.length > 0) {
+      compare(shareIds);
+    }
+  }, [groupId]);
+
+  const copyLink = async (url) => {
+    await Clipboard.setStringAsync(url);
+    setCopied(true);
+    setTimeout(() => setCopied(false), 2000);
+  };
+
+  const handleShareGroup = async () => {
+    if (groupUrl) {
+      await copyLink(groupUrl);
+      return;
+    }
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const saved = await saveGroupComparison(result.members.map(member => member.shareId));
+      if (saved?.groupUrl) {
+        setGroupUrl(saved.groupUrl);
+        await copyLink(saved.groupUrl);
+      } else {
+        setError("Couldn't create a group link. Every profile in the group needs to be public.");
+      }
+    } catch (err) {
+      console.error('Error saving group comparison:', err);
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (loading) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color={colors.accent.primary} />
+          <Text style={styles.loadingText}>Comparing the group...</Text>
+        </View>
+      </View>
+    );
+  }
+
+  const memberLabel = index => `Friend ${index + 1}`;
+  const albumName = albumId => result?.albumNames?.[albumId] || 'Unknown Album';
+  const albumColor = albumId => result?.albumColors?.[albumId] || colors.accent.primary;
+
+  const renderPair = (title, pair) => (
+    <View style={styles.pairItem}>
+      <Text style={styles.pairTitle}>{title}</Text>
+      <Text style={styles.pairNames}>
+        {memberLabel(pair.a)} & {memberLabel(pair.b)}
+      </Text>
+      <Text style={styles.pairScore}>{pair.score}%</Text>
+      <Text style={styles.pairLabel}>{getCompatibilityLabel(pair.score).label}</Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Text style={styles.headerTitle}>Group Compatibility</Text>
+        <Pressable style={styles.closeBtn} onPress={onClose}>
+          <Text style={styles.closeBtnText}>×</Text>
+        </Pressable>
+      </View>
+
+      <ScrollView style={styles.scrollContainer} showsVerticalScrollIndicator={false}>
+        {/* Profile links (not for saved groups) */}
+        {!groupId && (
+          <View style={styles.card}>
+            <Text style={styles.sectionTitle}>PROFILE LINKS</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="Paste profile links, one per line"
+              placeholderTextColor={colors.text.disabled}
+              value={input}
+              onChangeText={setInput}
+              multiline
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+            <Pressable style={styles.primaryBtn} onPress={() => compare(parseShareIds(input))}>
+              <Text style={styles.primaryBtnText}>Compare Group</Text>
+            </Pressable>
+          </View>
+        )}
+
+        {error && (
+          <View style={styles.errorBox}>
+            <Text style={styles.errorText}>{error}</Text>
+          </View>
+        )}
+
+        {result && (
+          <>
+            {/* Summary */}
+            <View style={styles.card}>
+              <Text style={styles.summaryScore}>{result.averageScore}%</Text>
+              <Text style={styles.summaryLabel}>
+                Average match across {result.members.length} friends
+              </Text>
+              <View style={styles.pairs}>
+                {renderPair('Most aligned', result.mostAligned)}
+                {renderPair('Least aligned', result.leastAligned)}
+              </View>
+            </View>
+
+            {/* Matrix */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>EVERY PAIR</Text>
+              <View style={styles.matrixRow}>
+                <View style={styles.matrixLabel} />
+                {result.members.map((_, col) => (
+                  <Text key={col} style={styles.matrixHeader}>{col + 1}</Text>
+                ))}
+              </View>
+              {result.matrix.map((row, rowIdx) => (
+                <View key={rowIdx} style={styles.matrixRow}>
+                  <Text style={styles.matrixLabel}>{rowIdx + 1}</Text>
+                  {row.map((score, col) => (
+                    <View
+                      key={col}
+                      style={[styles.matrixCell, score !== null && { backgroundColor: scoreTint(score) }]}
+                    >
+                      <Text style={styles.matrixCellText}>{score === null ? '–' : score}</Text>
+                    </View>
+                  ))}
+                </View>
+              ))}
+            </View>
+
+            {/* Consensus */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>THE GROUP'S TOP ALBUMS</Text>
+              {result.consensusAlbums.map((album, idx) => (
+                <View key={album.id} style={[styles.consensusItem, { backgroundColor: albumColor(album.id) }]}>
+                  <Text style={[styles.consensusRank, { color: getContrastColor(albumColor(album.id)) }]}>#{idx + 1}</Text>
+                  <Text style={[styles.consensusName, { color: getContrastColor(albumColor(album.id)) }]} numberOfLines={1}>
+                    {albumName(album.id)}
+                  </Text>
+                  <Text style={[styles.consensusMeta, { color: getContrastColor(albumColor(album.id)) }]}>
+                    {album.points} pts · {album.supporters}/{result.members.length}
+                  </Text>
+                </View>
+              ))}
+
+              <Text style={[styles.sectionTitle, styles.sectionTitleSpaced]}>THE GROUP'S TOP SONGS</Text>
+              {result.consensusSongs.map((song, idx) => (
+                <View key={song.id} style={styles.songItem}>
+                  <Text style={styles.songRank}>{idx + 1}</Text>
+                  <Text style={styles.songName} numberOfLines={1}>
+                    {result.songNames?.[song.id] || 'Unknown Song'}
+                  </Text>
+                  <Text style={styles.songMeta}>
+                    {song.points} pts · {song.supporters}/{result.members.length}
+                  </Text>
+                </View>
+              ))}
+            </View>
+
+            {/* Members */}
+            <View style={styles.card}>
+              <Text style={styles.sectionTitle}>THE GROUP</Text>
+              {result.members.map((member, idx) => (
+                <Pressable
+                  key={member.shareId}
+                  style={styles.memberItem}
+                  onPress={() => onViewProfile?.(member.shareId)}
+                >
+                  <View style={[styles.memberDot, { backgroundColor: albumColor(member.topAlbum) }]} />
+                  <Text style={styles.memberName}>{memberLabel(idx)}</Text>
+                  <Text style={styles.memberAlbum} numberOfLines={1}>
+                    {albumName(member.topAlbum)} #1
+                  </Text>
+                </Pressable>
+              ))}
+            </View>
+
+            {/* Share */}
+            <Pressable style={[styles.primaryBtn, styles.shareBtn]} onPress={handleShareGroup} disabled={isSaving}>
+              {isSaving ? (
+                <ActivityIndicator size="small" color={colors.text.inverse} />
+              ) : (
+                <Text style={styles.primaryBtnText}>
+                  {copied ? 'Link Copied!' : groupUrl ? 'Copy Group Link' : 'Share Group Link'}
+                </Text>
+              )}
+            </Pressable>
+          </>
+        )}
+
+        <View style={styles.bottomPadding} />
+      </ScrollView>
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: colors.bg.primary,
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  loadingText: {
+    marginTop: 12,
+    fontSize: 14,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.muted,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 12,
+    paddingTop: 20,
+  },
+  headerTitle: {
+    fontSize: 18,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.primary,
+  },
+  closeBtn: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    backgroundColor: colors.contrast.lightOverlay,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  closeBtnText: {
+    fontSize: 20,
+    color: colors.text.primary,
+  },
+  scrollContainer: {
+    flex: 1,
+  },
+  card: {
+    marginHorizontal: 20,
+    marginBottom: 16,
+    backgroundColor: colors.bg.card,
+    borderRadius: 20,
+    padding: 16,
+    borderWidth: 1,
+    borderColor: colors.border.medium,
+  },
+  sectionTitle: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.muted,
+    letterSpacing: 1,
+    marginBottom: 12,
+  },
+  sectionTitleSpaced: {
+    marginTop: 16,
+  },
+
+  // Links input
+  input: {
+    minHeight: 96,
+    backgroundColor: colors.surface.medium,
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    fontSize: 13,
+    color: colors.text.primary,
+    fontFamily: 'JetBrainsMono_400Regular',
+    borderWidth: 1,
+    borderColor: colors.border.subtle,
+    textAlignVertical: 'top',
+    marginBottom: 12,
+  },
+  primaryBtn: {
+    backgroundColor: colors.accent.primary,
+    paddingVertical: 12,
+    paddingHorizontal: 24,
+    borderRadius: 20,
+    alignItems: 'center',
+  },
+  primaryBtnText: {
+    fontSize: 14,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.inverse,
+  },
+  shareBtn: {
+    marginHorizontal: 20,
+  },
+  errorBox: {
+    marginHorizontal: 20,
+    marginBottom: 16,
+    padding: 12,
+    borderRadius: 12,
+    backgroundColor: colors.semantic.warningMuted,
+    borderWidth: 1,
+    borderColor: colors.semantic.warningBorder,
+  },
+  errorText: {
+    fontSize: 13,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.semantic.warning,
+  },
+
+  // Summary
+  summaryScore: {
+    fontSize: 40,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.accent.primary,
+    textAlign: 'center',
+  },
+  summaryLabel: {
+    fontSize: 13,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.secondary,
+    textAlign: 'center',
+    marginBottom: 16,
+  },
+  pairs: {
+    flexDirection: 'row',
+    gap: 12,
+  },
+  pairItem: {
+    flex: 1,
+    backgroundColor: colors.surface.medium,
+    borderRadius: 12,
+    padding: 12,
+    alignItems: 'center',
+  },
+  pairTitle: {
+    fontSize: 11,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.muted,
+    marginBottom: 4,
+  },
+  pairNames: {
+    fontSize: 13,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.primary,
+  },
+  pairScore: {
+    fontSize: 20,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.primary,
+    marginTop: 4,
+  },
+  pairLabel: {
+    fontSize: 11,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.secondary,
+  },
+
+  // Matrix
+  matrixRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: 4,
+    marginBottom: 4,
+  },
+  matrixLabel: {
+    width: 20,
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.muted,
+  },
+  matrixHeader: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.muted,
+  },
+  matrixCell: {
+    flex: 1,
+    aspectRatio: 1,
+    maxHeight: 44,
+    borderRadius: 6,
+    backgroundColor: colors.surface.light,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  matrixCellText: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.primary,
+  },
+
+  // Consensus
+  consensusItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 10,
+    paddingVertical: 10,
+    paddingHorizontal: 12,
+    marginBottom: 6,
+  },
+  consensusRank: {
+    fontSize: 12,
+    fontFamily: 'JetBrainsMono_700Bold',
+    marginRight: 8,
+  },
+  consensusName: {
+    flex: 1,
+    fontSize: 14,
+    fontFamily: 'Outfit_600SemiBold',
+  },
+  consensusMeta: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_400Regular',
+  },
+  songItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: colors.surface.light,
+    borderRadius: 8,
+    padding: 8,
+    marginBottom: 6,
+  },
+  songRank: {
+    width: 20,
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.muted,
+  },
+  songName: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.primary,
+  },
+  songMeta: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
+
+  // Members
+  memberItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 8,
+    borderBottomWidth: 1,
+    borderBottomColor: colors.border.subtle,
+  },
+  memberDot: {
+    width: 10,
+    height: 10,
+    borderRadius: 5,
+    marginRight: 10,
+  },
+  memberName: {
+    width: 72,
+    fontSize: 13,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.primary,
+  },
+  memberAlbum: {
+    flex: 1,
+    fontSize: 13,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.text.secondary,
+  },
+  bottomPadding: {
+    height: 40,
+  },
+});
@@ -1,16 +1,9 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, useRef, Fragment } from 'react';
 import { StyleSheet, Text, View, Pressable, ScrollView, ActivityIndicator } from 'react-native';
 import { fetchSongLyrics } from '../lib/supabase';
+import { parseLyricStructure, SECTION_TYPES } from '../lib/lyricStructure';
 import { colors } from '../lib/theme';
 
-function parseLyrics(raw) {
-  if (!raw) return [];
-  return raw
-    .split('\n')
-    .map((line, idx) => ({ text: line.trim(), originalIndex: idx }))
-    .filter(line => line.text && !line.text.match(/^\[.*\]$/));
-}
-
 export default function LyricSelector({ albums, songs, selectedLyric, onLyricSelect }) {
   const [selectedSongId, setSelectedSongId] = useState(selectedLyric?.songId || null);
   const [lyrics, setLyrics] = useState(null);
@@ -22,6 +15,15 @@ export default function LyricSelector({ albums, songs, selectedLyric, onLyricSel
 
   const MAX_LINES = 4;
 
+  // Scroll a preselected line (e.g. from lyric search) into view once it's laid out
+  const lyricsScrollRef = useRef(null);
+  const scrolledToSelection = useRef(selectedLyric?.startIndex == null);
+  const handleLineLayout = (idx, event) => {
+    if (scrolledToSelection.current || idx !== selection.startIndex) return;
+    scrolledToSelection.current = true;
+    lyricsScrollRef.current?.scrollTo({ y: Math.max(0, event.nativeEvent.layout.y - 80), animated: true });
+  };
+
   // Load lyrics when song is selected
   useEffect(() => {
     if (!selectedSongId) {
@@ -36,10 +38,11 @@ export default function LyricSelector({ albums, songs, selectedLyric, onLyricSel
     });
   }, [selectedSongId]);
 
-  const parsedLines = useMemo(() => {
-    if (!lyrics?.raw_lyrics_searchable) return [];
-    return parseLyrics(lyrics.raw_lyrics_searchable);
-  }, [lyrics]);
+  // Lines grouped under their [Verse]/[Chorus] sections
+  const { lines: parsedLines, sections } = useMemo(
+    () => parseLyricStructure(lyrics?.raw_lyrics_searchable),
+    [lyrics]
+  );
 
   const handleLineTap = (lineIndex) => {
     if (selection.startIndex === null) {
@@ -178,19 +181,28 @@ export default function LyricSelector({ albums, songs, selectedLyric, onLyricSel
           <Text style={styles.emptyText}>No lyrics available for this song</Text>
         </View>
       ) : (
-        <ScrollView style={styles.lyricsContainer} showsVerticalScrollIndicator={false}>
+        <ScrollView ref={lyricsScrollRef} style={styles.lyricsContainer} showsVerticalScrollIndicator={false}>
           {parsedLines.map((line, idx) => {
             const selected = isLineSelected(idx);
+            const section = sections[line.sectionIndex];
+            const startsSection = section?.label && section.start === idx;
             return (
-              <Pressable
-                key={idx}
-                style={[styles.lyricLine, selected && styles.lyricLineSelected]}
-                onPress={() => handleLineTap(idx)}
-              >
-                <Text style={[styles.lyricText, selected && styles.lyricTextSelected]}>
-                  {line.text}
-                </Text>
-              </Pressable>
+              <Fragment key={idx}>
+                {startsSection && (
+                  <Text style={[styles.sectionLabel, { color: SECTION_TYPES[section.type].color }]}>
+                    {section.label}
+                  </Text>
+                )}
+                <Pressable
+                  style={[styles.lyricLine, selected && styles.lyricLineSelected]}
+                  onPress={() => handleLineTap(idx)}
+                  onLayout={(event) => handleLineLayout(idx, event)}
+                >
+                  <Text style={[styles.lyricText, selected && styles.lyricTextSelected]}>
+                    {line.text}
+                  </Text>
+                </Pressable>
+              </Fragment>
             );
           })}
           <View style={{ height: 40 }} />
@@ -317,6 +329,15 @@ const styles = StyleSheet.create({
     flex: 1,
     paddingHorizontal: 16,
   },
+  sectionLabel: {
+    fontSize: 10,
+    fontFamily: 'JetBrainsMono_700Bold',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginTop: 12,
+    marginBottom: 4,
+    paddingHorizontal: 12,
+  },
   lyricLine: {
     paddingVertical: 8,
     paddingHorizontal: 12,
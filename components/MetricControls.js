@@ -0,0 +1,248 @@
+import { useState } from 'react';
+import { StyleSheet, Text, View, Pressable, ScrollView, Modal } from 'react-native';
+import { colors } from '../lib/theme';
+import { getMetric, getMetricGroups, getMetricInfo, useMetricRegistry, isCustomMetric, CUSTOM_GROUP } from '../lib/metrics';
+import { useDataStore } from '../stores/dataStore';
+import CustomMetricEditor from './CustomMetricEditor';
+
+/**
+ * MetricDropdown - Grouped metric picker driven by the metric registry
+ *
+ * Re-selecting the active metric cycles its sub-modes (e.g. Words → unique → vocabulary %).
+ * The Custom group lists the user's formula metrics, with edit buttons and a
+ * "New formula" entry that opens the CustomMetricEditor.
+ *
+ * @param {string} label - Dropdown label
+ * @param {string} selected - Selected metric key
+ * @param {function} onSelect - Called with the new metric key
+ * @param {string} subLabel - Active sub-mode label, if any
+ * @param {function} onCycleSubMode - Called when the active metric is re-selected
+ * @param {string[]} disabledKeys - Metric keys that can't be selected here
+ * @param {boolean} allowCustom - Show the Custom group with create/edit controls
+ */
+export function MetricDropdown({ label, selected, onSelect, subLabel, onCycleSubMode, disabledKeys = [], allowCustom = true }) {
+  useMetricRegistry();
+  const [open, setOpen] = useState(false);
+  const [editor, setEditor] = useState({ visible: false, custom: null });
+  const customMetrics = useDataStore((state) => state.customMetrics);
+  const selectedOption = getMetric(selected);
+
+  const groups = getMetricGroups().filter(group => allowCustom || group.label !== CUSTOM_GROUP);
+  if (allowCustom && !groups.some(group => group.label === CUSTOM_GROUP)) {
+    groups.push({ label: CUSTOM_GROUP, metrics: [] });
+  }
+
+  const closeModal = () => {
+    document.activeElement?.blur?.();
+    // Delay close to ensure blur completes before modal hides
+    requestAnimationFrame(() => {
+      setOpen(false);
+    });
+  };
+
+  const handleItemPress = (option) => {
+    if (disabledKeys.includes(option.key)) return;
+    if (option.key === selected && option.subModes && onCycleSubMode) {
+      onCycleSubMode();
+    } else {
+      onSelect(option.key);
+    }
+    closeModal();
+  };
+
+  const openEditor = (customId = null) => {
+    const custom = customMetrics.find(m => m.id === customId) || null;
+    closeModal();
+    setEditor({ visible: true, custom });
+  };
+
+  return (
+    <View style={styles.dropdownWrapper}>
+      <Pressable style={styles.dropdown} onPress={() => setOpen(!open)}>
+        <Text style={styles.dropdownLabel}>{label}</Text>
+        <View style={styles.dropdownValueContainer}>
+          <Text style={styles.dropdownValue}>{selectedOption?.label}</Text>
+          {subLabel && <Text style={styles.dropdownSubLabel}>{subLabel}</Text>}
+        </View>
+        <Text style={styles.dropdownArrow}>{open ? '▲' : '▼'}</Text>
+      </Pressable>
+      <Modal transparent animationType="fade" visible={open} onRequestClose={closeModal} accessibilityViewIsModal={true}>
+        <Pressable style={styles.modalOverlay} onPress={closeModal}>
+          <View style={styles.modalContent}>
+            <View style={styles.modalHeader}>
+              <Text style={styles.modalTitle}>Select {label}</Text>
+              <Pressable style={styles.modalClose} onPress={closeModal}>
+                <Text style={styles.modalCloseText}>×</Text>
+              </Pressable>
+            </View>
+            <ScrollView style={styles.modalScroll} showsVerticalScrollIndicator={false}>
+              {groups.map(group => (
+                <View key={group.label} style={styles.modalGroup}>
+                  <Text style={styles.modalGroupTitle}>{group.label}</Text>
+                  {group.metrics.map(option => {
+                    const isDisabled = disabledKeys.includes(option.key);
+                    return (
+                      <Pressable
+                        key={option.key}
+                        style={[styles.modalItem, selected === option.key && styles.modalItemActive, isDisabled && styles.modalItemDisabled]}
+                        onPress={() => handleItemPress(option)}
+                      >
+                        <Text style={[styles.modalItemText, selected === option.key && styles.modalItemTextActive, isDisabled && styles.modalItemTextDisabled]}>
+                          {option.label}
+                        </Text>
+                        <View style={styles.modalItemActions}>
+                          {selected === option.key && <Text style={styles.modalCheck}>✓</Text>}
+                          {isCustomMetric(option.key) && (
+                            <Pressable style={styles.modalEdit} onPress={() => openEditor(option.customId)} accessibilityLabel={`Edit ${option.label}`}>
+                              <Text style={styles.modalEditText}>✎</Text>
+                            </Pressable>
+                          )}
+                        </View>
+                      </Pressable>
+                    );
+                  })}
+                  {group.label === CUSTOM_GROUP && (
+                    <Pressable style={styles.modalItem} onPress={() => openEditor()}>
+                      <Text style={styles.modalAddText}>+ New formula</Text>
+                    </Pressable>
+                  )}
+                </View>
+              ))}
+            </ScrollView>
+          </View>
+        </Pressable>
+      </Modal>
+      {allowCustom && (
+        <CustomMetricEditor
+          visible={editor.visible}
+          custom={editor.custom}
+          onClose={() => setEditor({ visible: false, custom: null })}
+          onSaved={(key) => { if (!editor.custom) onSelect(key); }}
+        />
+      )}
+    </View>
+  );
+}
+
+/**
+ * SortDropdown - Inline dropdown for sort order
+ *
+ * @param {string} label - Dropdown label
+ * @param {Array<{key: string, label: string}>} options
+ * @param {string} selected - Selected option key
+ * @param {function} onSelect - Called with the new option key
+ * @param {string[]} disabledKeys - Option keys that can't be selected
+ */
+export function SortDropdown({ label, options, selected, onSelect, disabledKeys = [] }) {
+  const [open, setOpen] = useState(false);
+  const selectedOption = options.find(o => o.key === selected);
+
+  return (
+    <View style={styles.dropdownWrapper}>
+      <Pressable style={styles.dropdown} onPress={() => setOpen(!open)}>
+        <Text style={styles.dropdownLabel}>{label}</Text>
+        <Text style={styles.dropdownValue}>{selectedOption?.label}</Text>
+        <Text style={styles.dropdownArrow}>{open ? '▲' : '▼'}</Text>
+      </Pressable>
+      {open && (
+        <View style={styles.dropdownMenu}>
+          {options.map(option => {
+            const isDisabled = disabledKeys.includes(option.key);
+            return (
+              <Pressable
+                key={option.key}
+                style={[styles.dropdownItem, selected === option.key && styles.dropdownItemActive, isDisabled && styles.dropdownItemDisabled]}
+                onPress={() => { if (!isDisabled) { onSelect(option.key); setOpen(false); } }}
+              >
+                <Text style={[styles.dropdownItemText, selected === option.key && styles.dropdownItemTextActive, isDisabled && styles.dropdownItemTextDisabled]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            );
+          })}
+        </View>
+      )}
+    </View>
+  );
+}
+
+/**
+ * MetricInfoButton - ⓘ button explaining the selected metric
+ *
+ * @param {string} metricKey - Selected metric key
+ */
+export function MetricInfoButton({ metricKey }) {
+  useMetricRegistry();
+  const [visible, setVisible] = useState(false);
+  const info = getMetricInfo(metricKey);
+
+  const closeModal = () => {
+    document.activeElement?.blur?.();
+    requestAnimationFrame(() => {
+      setVisible(false);
+    });
+  };
+
+  return (
+    <>
+      <Pressable style={styles.infoButton} onPress={() => setVisible(true)}>
+        <Text style={styles.infoButtonText}>ⓘ</Text>
+      </Pressable>
+      <Modal transparent animationType="fade" visible={visible} onRequestClose={closeModal} accessibilityViewIsModal={true}>
+        <Pressable style={styles.modalOverlay} onPress={closeModal}>
+          <View style={styles.infoModalContent}>
+            <Text style={styles.infoModalTitle}>{info?.title}</Text>
+            <Text style={styles.infoModalDescription}>{info?.description}</Text>
+            <Pressable style={styles.infoModalClose} onPress={closeModal}>
+              <Text style={styles.infoModalCloseText}>Got it</Text>
+            </Pressable>
+          </View>
+        </Pressable>
+      </Modal>
+    </>
+  );
+}
+
+const styles = StyleSheet.create({
+  dropdownWrapper: { position: 'relative', zIndex: 10 },
+  dropdown: { flexDirection: 'row', alignItems: 'center', gap: 6, paddingVertical: 6, paddingHorizontal: 12, borderRadius: 16, backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle },
+  dropdownLabel: { color: colors.text.muted, fontSize: 9, fontFamily: 'JetBrainsMono_400Regular', textTransform: 'uppercase', letterSpacing: 1 },
+  dropdownValueContainer: { flexDirection: 'row', alignItems: 'center', gap: 4 },
+  dropdownValue: { color: colors.accent.primary, fontSize: 10, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'uppercase', letterSpacing: 1 },
+  dropdownSubLabel: { color: colors.text.secondary, fontSize: 8, fontFamily: 'JetBrainsMono_400Regular', textTransform: 'lowercase' },
+  dropdownArrow: { color: colors.text.muted, fontSize: 8, marginLeft: 2 },
+  dropdownMenu: { position: 'absolute', top: '100%', left: 0, minWidth: 140, marginTop: 4, backgroundColor: colors.surface.heavy, borderRadius: 12, borderWidth: 1, borderColor: colors.border.medium, overflow: 'hidden' },
+  dropdownItem: { paddingVertical: 8, paddingHorizontal: 12 },
+  dropdownItemActive: { backgroundColor: colors.accent.primaryMuted },
+  dropdownItemDisabled: { opacity: 0.3 },
+  dropdownItemText: { color: colors.text.secondary, fontSize: 10, fontFamily: 'JetBrainsMono_400Regular', textTransform: 'uppercase', letterSpacing: 1 },
+  dropdownItemTextActive: { color: colors.accent.primary },
+  dropdownItemTextDisabled: { color: colors.text.disabled },
+  infoButton: { paddingHorizontal: 8, paddingVertical: 6, borderRadius: 12, backgroundColor: colors.surface.medium, borderWidth: 1, borderColor: colors.border.subtle },
+  infoButtonText: { color: colors.accent.primary, fontSize: 14 },
+  modalOverlay: { flex: 1, backgroundColor: colors.bg.overlay, justifyContent: 'center', alignItems: 'center', padding: 20 },
+  modalContent: { backgroundColor: colors.bg.card, borderRadius: 20, padding: 20, maxWidth: 340, width: '100%', maxHeight: '70%', borderWidth: 1, borderColor: colors.border.medium },
+  modalHeader: { flexDirection: 'row', justifyContent: 'space-between', alignItems: 'center', marginBottom: 16 },
+  modalTitle: { fontSize: 16, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold' },
+  modalClose: { padding: 4 },
+  modalCloseText: { fontSize: 24, color: colors.text.secondary, fontFamily: 'Outfit_300Light' },
+  modalScroll: { maxHeight: 300 },
+  modalGroup: { marginBottom: 16 },
+  modalGroupTitle: { fontSize: 10, color: colors.text.muted, fontFamily: 'JetBrainsMono_700Bold', textTransform: 'uppercase', letterSpacing: 1.5, marginBottom: 8 },
+  modalItem: { flexDirection: 'row', alignItems: 'center', justifyContent: 'space-between', paddingVertical: 10, paddingHorizontal: 12, borderRadius: 8 },
+  modalItemActive: { backgroundColor: colors.accent.primaryMuted },
+  modalItemDisabled: { opacity: 0.4 },
+  modalItemText: { color: colors.text.secondary, fontSize: 13, fontFamily: 'Outfit_400Regular' },
+  modalItemTextActive: { color: colors.accent.primary, fontFamily: 'Outfit_600SemiBold' },
+  modalItemTextDisabled: { color: colors.text.disabled },
+  modalCheck: { color: colors.accent.primary, fontSize: 16 },
+  modalItemActions: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  modalEdit: { paddingHorizontal: 4 },
+  modalEditText: { color: colors.text.muted, fontSize: 14 },
+  modalAddText: { color: colors.accent.primary, fontSize: 13, fontFamily: 'Outfit_400Regular' },
+  infoModalContent: { backgroundColor: colors.bg.card, borderRadius: 16, padding: 24, maxWidth: 320, width: '100%', borderWidth: 1, borderColor: colors.border.medium },
+  infoModalTitle: { fontSize: 18, color: colors.text.primary, fontFamily: 'Outfit_600SemiBold', marginBottom: 12 },
+  infoModalDescription: { fontSize: 14, color: colors.text.secondary, fontFamily: 'Outfit_400Regular', lineHeight: 22, marginBottom: 20 },
+  infoModalClose: { backgroundColor: colors.accent.primary, paddingVertical: 10, paddingHorizontal: 20, borderRadius: 12, alignItems: 'center' },
+  infoModalCloseText: { color: colors.text.inverse, fontSize: 13, fontFamily: 'Outfit_600SemiBold' },
+});
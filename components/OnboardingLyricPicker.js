@@ -1,6 +1,7 @@
-import { useState, useEffect, useMemo } from 'react';
+import { useState, useEffect, useMemo, Fragment } from 'react';
 import { StyleSheet, Text, View, Pressable, ScrollView, ActivityIndicator } from 'react-native';
 import { fetchSongLyrics } from '../lib/supabase';
+import { parseLyricStructure, SECTION_TYPES } from '../lib/lyricStructure';
 import { colors, getContrastColor } from '../lib/theme';
 
 /**
@@ -57,14 +58,11 @@ export default function OnboardingLyricPicker({
     setSelectedLine(selectedLyric || null);
   }, [song?.id, selectedLyric]);
 
-  // Parse lyrics into lines
-  const parsedLines = useMemo(() => {
-    if (!lyrics?.raw_lyrics_searchable) return [];
-    return lyrics.raw_lyrics_searchable
-      .split('\n')
-      .map((line, idx) => ({ text: line.trim(), index: idx }))
-      .filter(line => line.text && !line.text.match(/^\[.*\]$/)); // Remove section headers
-  }, [lyrics]);
+  // Parse lyrics into lines, grouped under their [Verse]/[Chorus] sections
+  const { lines: parsedLines, sections } = useMemo(
+    () => parseLyricStructure(lyrics?.raw_lyrics_searchable),
+    [lyrics]
+  );
 
   const handleLineTap = (lineText) => {
     if (selectedLine === lineText) {
@@ -127,28 +125,36 @@ export default function OnboardingLyricPicker({
         <ScrollView style={styles.lyricsContainer} showsVerticalScrollIndicator={false}>
           {parsedLines.map((line, idx) => {
             const isSelected = selectedLine === line.text;
+            const section = sections[line.sectionIndex];
+            const startsSection = section?.label && section.start === idx;
             return (
-              <Pressable
-                key={idx}
-                style={[
-                  styles.lyricLine,
-                  isSelected && styles.lyricLineSelected,
-                  isSelected && { borderLeftColor: album?.color },
-                ]}
-                onPress={() => handleLineTap(line.text)}
-              >
-                <Text style={[
-                  styles.lyricText,
-                  isSelected && styles.lyricTextSelected,
-                ]}>
-                  {line.text}
-                </Text>
-                {isSelected && (
-                  <View style={[styles.checkmark, { backgroundColor: album?.color }]}>
-                    <Text style={[styles.checkmarkText, { color: textColor }]}>✓</Text>
-                  </View>
+              <Fragment key={idx}>
+                {startsSection && (
+                  <Text style={[styles.sectionLabel, { color: SECTION_TYPES[section.type].color }]}>
+                    {section.label}
+                  </Text>
                 )}
-              </Pressable>
+                <Pressable
+                  style={[
+                    styles.lyricLine,
+                    isSelected && styles.lyricLineSelected,
+                    isSelected && { borderLeftColor: album?.color },
+                  ]}
+                  onPress={() => handleLineTap(line.text)}
+                >
+                  <Text style={[
+                    styles.lyricText,
+                    isSelected && styles.lyricTextSelected,
+                  ]}>
+                    {line.text}
+                  </Text>
+                  {isSelected && (
+                    <View style={[styles.checkmark, { backgroundColor: album?.color }]}>
+                      <Text style={[styles.checkmarkText, { color: textColor }]}>✓</Text>
+                    </View>
+                  )}
+                </Pressable>
+              </Fragment>
             );
           })}
           <View style={styles.listPadding} />
@@ -267,6 +273,15 @@ const styles = StyleSheet.create({
     flex: 1,
     paddingHorizontal: 16,
   },
+  sectionLabel: {
+    fontSize: 10,
+    fontFamily: 'JetBrainsMono_700Bold',
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+    marginTop: 12,
+    marginBottom: 4,
+    paddingHorizontal: 12,
+  },
   lyricLine: {
     flexDirection: 'row',
     alignItems: 'center',
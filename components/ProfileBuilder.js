@@ -9,6 +9,7 @@ import ComparisonResult from './ComparisonResult';
 import { saveProfile, loadProfile, loadPendingComparison, clearPendingComparison, saveComparison } from '../lib/storage';
 import { calculateCompatibility, createComparisonRecord } from '../lib/compatibility';
 import { colors } from '../lib/theme';
+import { DEFAULT_ARTIST_ID } from '../lib/artists';
 
 /**
  * ProfileBuilder - Onboarding flow for creating Swiftie profile
@@ -24,8 +25,12 @@ import { colors } from '../lib/theme';
  * - Resume incomplete profile
  * - Edit tracking for free tier limits
  *
+ * Profiles are per artist: `artistId` picks which saved profile is loaded
+ * and is stamped on the one being built.
+ *
  * Data shape:
  * {
+ *   artistId: 'taylor-swift',
  *   topAlbums: [albumId, albumId, albumId],
  *   albumSongs: { [albumId]: [songId, songId, songId] },
  *   songLyrics: { [songId]: "lyric line" },
@@ -34,7 +39,8 @@ import { colors } from '../lib/theme';
  * }
  */
 
-const createEmptyProfile = () => ({
+const createEmptyProfile = (artistId) => ({
+  artistId,
   topAlbums: [],
   albumSongs: {},
   songLyrics: {},
@@ -92,10 +98,10 @@ const getIncompleteStep = (profile) => {
   return { step: 'preview', index: 0 };
 };
 
-export default function ProfileBuilder({ albums, songs, onClose, onPreview, onViewLeaderboard, onShare }) {
+export default function ProfileBuilder({ artistId = DEFAULT_ARTIST_ID, albums, songs, onClose, onPreview, onViewLeaderboard, onShare }) {
   const [step, setStep] = useState('albums'); // 'albums' | 'songs' | 'weighting' | 'lyrics' | 'preview' | 'comparison'
   const [currentIndex, setCurrentIndex] = useState(0); // For songs (0-2) and lyrics (0-2)
-  const [profile, setProfile] = useState(createEmptyProfile());
+  const [profile, setProfile] = useState(createEmptyProfile(artistId));
   const [isEditing, setIsEditing] = useState(false);
   const [showResumePrompt, setShowResumePrompt] = useState(false);
   const [comparisonResult, setComparisonResult] = useState(null); // For deferred deep link comparison
@@ -109,7 +115,7 @@ export default function ProfileBuilder({ albums, songs, onClose, onPreview, onVi
         const result = calculateCompatibility(completedProfile, pending.profile);
         if (result) {
           // Save comparison locally
-          const record = createComparisonRecord(pending.shareId, pending.profile, result.score);
+          const record = createComparisonRecord(pending.shareId, pending.profile, result.score, result.version, completedProfile);
           await saveComparison(record);
 
           // Set up comparison result to show
@@ -136,7 +142,7 @@ export default function ProfileBuilder({ albums, songs, onClose, onPreview, onVi
 
   // Load saved profile on mount
   useEffect(() => {
-    loadProfile().then(saved => {
+    loadProfile(artistId).then(saved => {
       if (saved && saved.topAlbums?.length > 0) {
         setProfile(saved);
 
@@ -154,7 +160,7 @@ export default function ProfileBuilder({ albums, songs, onClose, onPreview, onVi
         }
       }
     });
-  }, [onPreview]);
+  }, [onPreview, artistId]);
 
   // Auto-save when profile changes
   useEffect(() => {
@@ -207,7 +213,7 @@ export default function ProfileBuilder({ albums, songs, onClose, onPreview, onVi
 
   // Start fresh
   const handleStartFresh = () => {
-    setProfile(createEmptyProfile());
+    setProfile(createEmptyProfile(artistId));
     setStep('albums');
     setCurrentIndex(0);
     setShowResumePrompt(false);
@@ -1,10 +1,25 @@
-import { useRef, useState } from 'react';
-import { StyleSheet, Text, View, Pressable, ScrollView, Platform, ActivityIndicator } from 'react-native';
+import { useEffect, useRef, useState } from 'react';
+import { StyleSheet, Text, TextInput, View, Pressable, ScrollView, Platform, ActivityIndicator } from 'react-native';
 import { captureRef } from 'react-native-view-shot';
 import * as Sharing from 'expo-sharing';
 import * as Clipboard from 'expo-clipboard';
 import { colors, getContrastColor } from '../lib/theme';
-import { saveSharedProfile } from '../lib/supabase';
+import { revokeSharedProfile, saveSharedProfile, setSharedProfileHandle, updateSharedProfileSettings } from '../lib/supabase';
+import { clearShareId, loadShareId, saveShareId } from '../lib/storage';
+import { artistOf } from '../lib/artists';
+import { refreshIncomingComparisons } from '../lib/comparisons';
+
+const VISIBILITY_OPTIONS = [
+  { key: 'public', label: 'Public' },
+  { key: 'link', label: 'Link only' },
+  { key: 'friends', label: 'Friends' },
+];
+
+const EXPIRY_OPTIONS = [
+  { key: 'never', label: 'Never', days: null },
+  { key: 'week', label: '7 days', days: 7 },
+  { key: 'month', label: '30 days', days: 30 },
+];
 
 /**
  * ProfileCard - Shareable Swiftie Profile
@@ -14,6 +29,11 @@ import { saveSharedProfile } from '../lib/supabase';
  * - 3 lyrics (one line from #1 song of each top 3 album)
  * - App URL branding (no watermark)
  *
+ * The share link is stable: creating it again after editing the profile
+ * updates the same shared profile. Once there's a link, a handle can be
+ * added for a "/p/@name" URL, and the owner can choose who sees it, make
+ * it expire or revoke it.
+ *
  * @param {object} profile - User profile data
  * @param {Array} albums - All albums
  * @param {object} songsByAlbum - Songs keyed by album ID { [albumId]: [songs] }
@@ -24,6 +44,19 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
   const [shareUrl, setShareUrl] = useState(null);
   const [isCreatingLink, setIsCreatingLink] = useState(false);
   const [copied, setCopied] = useState(false);
+  const [shareId, setShareId] = useState(null);
+  const [hasSharedBefore, setHasSharedBefore] = useState(false);
+  const [handle, setHandle] = useState('');
+  const [handleError, setHandleError] = useState(null);
+  const [isSavingHandle, setIsSavingHandle] = useState(false);
+  const [visibility, setVisibility] = useState('public');
+  const [expiresAt, setExpiresAt] = useState(null);
+  const [confirmRevoke, setConfirmRevoke] = useState(false);
+  const [settingsError, setSettingsError] = useState(null);
+
+  useEffect(() => {
+    loadShareId(artistOf(profile)).then(id => setHasSharedBefore(!!id));
+  }, [profile]);
 
   const handleCreateShareLink = async () => {
     if (shareUrl) {
@@ -36,9 +69,14 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
     try {
       // Build the shareable profile data
       const shareData = {
+        artistId: artistOf(profile),
         topAlbums: profile.topAlbums,
         albumSongs: profile.albumSongs,
         songLyrics: profile.songLyrics,
+        // Weights feed group consensus (lib/groupCompatibility.js)
+        albumWeights: profile.albumWeights || {},
+        songWeights: profile.songWeights || {},
+        weightPreset: profile.weightPreset || null,
         // Include album and song names for display (denormalized)
         albumNames: {},
         songNames: {},
@@ -67,7 +105,14 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
 
       const result = await saveSharedProfile(shareData);
       if (result?.shareUrl) {
+        await saveShareId(result.shareId, artistOf(profile));
+        setShareId(result.shareId);
+        setHandle(result.handle || '');
+        setVisibility(result.visibility);
+        setExpiresAt(result.expiresAt);
         setShareUrl(result.shareUrl);
+        // A new revision changes the score of everyone who compared with me (fire and forget)
+        if (result.revision > 1) refreshIncomingComparisons(result.shareId);
         await Clipboard.setStringAsync(result.shareUrl);
         setCopied(true);
         setTimeout(() => setCopied(false), 2000);
@@ -79,6 +124,64 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
     }
   };
 
+  const handleSaveHandle = async () => {
+    if (!shareId) return;
+
+    setIsSavingHandle(true);
+    setHandleError(null);
+    try {
+      const result = await setSharedProfileHandle(shareId, handle.trim() || null);
+      if (result.error) {
+        setHandleError(result.error);
+      } else {
+        setHandle(result.handle || '');
+        setShareUrl(result.shareUrl);
+      }
+    } finally {
+      setIsSavingHandle(false);
+    }
+  };
+
+  const handleChangeSettings = async (settings) => {
+    if (!shareId) return;
+    setSettingsError(null);
+    const result = await updateSharedProfileSettings(shareId, settings);
+    if (result.error) {
+      setSettingsError(result.error);
+    } else {
+      setVisibility(result.visibility);
+      setExpiresAt(result.expiresAt);
+    }
+  };
+
+  const handleExpiry = (days) => {
+    handleChangeSettings({
+      expiresAt: days ? new Date(Date.now() + days * 86400000).toISOString() : null,
+    });
+  };
+
+  // Takes two taps - revoking can't be undone
+  const handleRevoke = async () => {
+    if (!shareId) return;
+    if (!confirmRevoke) {
+      setConfirmRevoke(true);
+      return;
+    }
+
+    setConfirmRevoke(false);
+    setSettingsError(null);
+    const result = await revokeSharedProfile(shareId);
+    if (result.error) {
+      setSettingsError(result.error);
+    } else {
+      await clearShareId(artistOf(profile));
+      setShareId(null);
+      setShareUrl(null);
+      setHandle('');
+      setHasSharedBefore(false);
+    }
+  };
+
   const handleCopyLink = async () => {
     if (!shareUrl) return;
     await Clipboard.setStringAsync(shareUrl);
@@ -228,7 +331,7 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
             <ActivityIndicator size="small" color={colors.accent.primary} />
           ) : (
             <Text style={[styles.linkBtnText, shareUrl && styles.linkBtnTextActive]}>
-              {copied ? 'Copied!' : shareUrl ? 'Copy Link' : 'Create Link'}
+              {copied ? 'Copied!' : shareUrl ? 'Copy Link' : hasSharedBefore ? 'Update Link' : 'Create Link'}
             </Text>
           )}
         </Pressable>
@@ -244,6 +347,72 @@ export default function ProfileCard({ profile, albums, songsByAlbum, onClose })
         <View style={styles.urlContainer}>
           <Text style={styles.urlLabel}>Your profile link:</Text>
           <Text style={styles.urlText} numberOfLines={1}>{shareUrl}</Text>
+
+          {/* Handle for a /p/@name link */}
+          <View style={styles.handleRow}>
+            <Text style={styles.handlePrefix}>@</Text>
+            <TextInput
+              style={styles.handleInput}
+              placeholder="handle"
+              placeholderTextColor={colors.text.disabled}
+              value={handle}
+              onChangeText={text => {
+                setHandle(text);
+                setHandleError(null);
+              }}
+              autoCapitalize="none"
+              autoCorrect={false}
+              maxLength={21}
+            />
+            <Pressable style={styles.handleBtn} onPress={handleSaveHandle} disabled={isSavingHandle}>
+              {isSavingHandle ? (
+                <ActivityIndicator size="small" color={colors.accent.primary} />
+              ) : (
+                <Text style={styles.handleBtnText}>Save</Text>
+              )}
+            </Pressable>
+          </View>
+          {handleError && <Text style={styles.fieldError}>{handleError}</Text>}
+
+          {/* Who can see it */}
+          <View style={styles.optionRow}>
+            {VISIBILITY_OPTIONS.map(option => (
+              <Pressable
+                key={option.key}
+                style={[styles.optionChip, visibility === option.key && styles.optionChipActive]}
+                onPress={() => handleChangeSettings({ visibility: option.key })}
+              >
+                <Text style={[styles.optionText, visibility === option.key && styles.optionTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+
+          {/* Expiry */}
+          <View style={styles.optionRow}>
+            {EXPIRY_OPTIONS.map(option => (
+              <Pressable
+                key={option.key}
+                style={[styles.optionChip, !expiresAt && option.days === null && styles.optionChipActive]}
+                onPress={() => handleExpiry(option.days)}
+              >
+                <Text style={[styles.optionText, !expiresAt && option.days === null && styles.optionTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+          {expiresAt && (
+            <Text style={styles.expiryText}>Expires {new Date(expiresAt).toLocaleDateString()}</Text>
+          )}
+
+          <Pressable style={styles.revokeBtn} onPress={handleRevoke}>
+            <Text style={styles.revokeBtnText}>
+              {confirmRevoke ? 'Tap again to revoke - comparisons are deleted too' : 'Revoke link'}
+            </Text>
+          </Pressable>
+          {settingsError && <Text style={styles.fieldError}>{settingsError}</Text>}
         </View>
       )}
     </View>
@@ -469,4 +638,89 @@ const styles = StyleSheet.create({
     fontFamily: 'JetBrainsMono_400Regular',
     color: colors.accent.primary,
   },
+
+  // Handle
+  handleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+    gap: 6,
+  },
+  handlePrefix: {
+    fontSize: 14,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
+  handleInput: {
+    flex: 1,
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+    backgroundColor: colors.surface.light,
+    fontSize: 13,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.primary,
+  },
+  handleBtn: {
+    paddingVertical: 6,
+    paddingHorizontal: 12,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: colors.accent.primaryBorder,
+  },
+  handleBtnText: {
+    fontSize: 12,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.accent.primary,
+  },
+  fieldError: {
+    marginTop: 6,
+    fontSize: 11,
+    fontFamily: 'Outfit_400Regular',
+    color: colors.semantic.error,
+  },
+
+  // Privacy
+  optionRow: {
+    flexDirection: 'row',
+    marginTop: 10,
+    gap: 6,
+  },
+  optionChip: {
+    flex: 1,
+    paddingVertical: 6,
+    borderRadius: 8,
+    alignItems: 'center',
+    backgroundColor: colors.surface.light,
+    borderWidth: 1,
+    borderColor: colors.border.subtle,
+  },
+  optionChipActive: {
+    backgroundColor: colors.accent.primaryMuted,
+    borderColor: colors.accent.primaryBorder,
+  },
+  optionText: {
+    fontSize: 11,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.muted,
+  },
+  optionTextActive: {
+    color: colors.accent.primary,
+  },
+  expiryText: {
+    marginTop: 6,
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_400Regular',
+    color: colors.text.muted,
+  },
+  revokeBtn: {
+    marginTop: 12,
+    alignItems: 'center',
+    paddingVertical: 6,
+  },
+  revokeBtnText: {
+    fontSize: 12,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.semantic.error,
+  },
 });
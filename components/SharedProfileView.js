@@ -1,26 +1,30 @@
 import { useEffect, useState } from 'react';
 import { StyleSheet, Text, View, ScrollView, Pressable, ActivityIndicator, Platform } from 'react-native';
 import { colors, getContrastColor } from '../lib/theme';
-import { fetchSharedProfile, incrementProfileViews, saveComparisonToSupabase, saveSharedProfile } from '../lib/supabase';
+import { fetchSharedProfile, incrementProfileViews, resolveShareId, saveComparisonToSupabase, saveSharedProfile } from '../lib/supabase';
 import { loadProfile, loadShareId, saveShareId, saveComparison, loadComparisons, savePendingComparison } from '../lib/storage';
-import { calculateCompatibility, createComparisonRecord } from '../lib/compatibility';
+import { calculateCompatibility, createComparisonRecord, profileVersion } from '../lib/compatibility';
+import { artistOf } from '../lib/artists';
 import CompatibilityCard, { NoProfileCard, SharePromptCard } from './CompatibilityCard';
 
 /**
  * SharedProfileView - Public view of a shared Swiftie Profile
  *
  * Displays a read-only version of someone's profile via share link.
- * Shows compatibility score if viewer has a profile.
+ * Shows compatibility score if viewer has a profile for the same artist.
+ * Revoked, expired and friends-only profiles show why they can't be opened.
  *
- * @param {string} shareId - The unique share ID from URL
+ * @param {string} shareId - The share ID (or "@handle") from the URL
  * @param {function} onClose - Called when user wants to go back
- * @param {function} onCreateProfile - Called when user wants to create profile
- * @param {function} onViewLeaderboard - Called when user wants to view leaderboard
+ * @param {function} onCreateProfile - Called with the shared profile's artist id when user wants to create profile
+ * @param {function} onViewLeaderboard - Called with the shared profile's artist id when user wants to view leaderboard
  */
 export default function SharedProfileView({ shareId, onClose, onCreateProfile, onViewLeaderboard }) {
   const [profile, setProfile] = useState(null);
+  const [profileShareId, setProfileShareId] = useState(null); // shareId with any handle resolved
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
+  const [unavailable, setUnavailable] = useState(null); // 'revoked' | 'expired' | 'private'
 
   // Comparison state
   const [myProfile, setMyProfile] = useState(null);
@@ -40,20 +44,27 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
     async function loadData() {
       try {
         // Load shared profile
-        const data = await fetchSharedProfile(shareId);
+        const resolvedShareId = await resolveShareId(shareId);
+        const shared = resolvedShareId ? await fetchSharedProfile(resolvedShareId) : null;
+        const data = shared?.profile || null;
         if (data) {
           setProfile(data);
+          setProfileShareId(resolvedShareId);
           // Track view (fire and forget)
-          incrementProfileViews(shareId);
+          incrementProfileViews(resolvedShareId);
+        } else if (shared) {
+          setUnavailable(shared.status);
+          return;
         } else {
           setError('Profile not found');
         }
 
-        // Load viewer's profile and share ID
+        // Load the viewer's profile and share ID for the same artist
+        const artistId = artistOf(data);
         const [viewerProfile, viewerShareId, comparisons] = await Promise.all([
-          loadProfile(),
-          loadShareId(),
-          loadComparisons(),
+          loadProfile(artistId),
+          loadShareId(artistId),
+          loadComparisons(artistId),
         ]);
 
         setMyProfile(viewerProfile);
@@ -67,15 +78,18 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
 
           // Save comparison locally
           if (result) {
-            const record = createComparisonRecord(shareId, data, result.score);
+            const record = createComparisonRecord(resolvedShareId, data, result.score, result.version, viewerProfile);
             await saveComparison(record);
             setComparisonCount(prev => prev + 1);
 
             // Save to Supabase if viewer has a share ID (for notifications)
             if (viewerShareId) {
-              saveComparisonToSupabase(viewerShareId, shareId, result.score, {
+              saveComparisonToSupabase(viewerShareId, resolvedShareId, result.score, {
                 topAlbums: viewerProfile.topAlbums,
                 albumNames: {}, // We'd need album names from somewhere
+              }, result.version, {
+                viewerProfileVersion: record.myProfileVersion,
+                viewedProfileVersion: record.theirProfileVersion,
               });
             }
           }
@@ -99,9 +113,13 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
     try {
       // Build share data from profile (simplified - would need album data)
       const shareData = {
+        artistId: artistOf(myProfile),
         topAlbums: myProfile.topAlbums,
         albumSongs: myProfile.albumSongs,
         songLyrics: myProfile.songLyrics,
+        albumWeights: myProfile.albumWeights || {},
+        songWeights: myProfile.songWeights || {},
+        weightPreset: myProfile.weightPreset || null,
         albumNames: {},
         albumColors: {},
         songNames: {},
@@ -109,13 +127,16 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
 
       const result = await saveSharedProfile(shareData);
       if (result?.shareId) {
-        await saveShareId(result.shareId);
+        await saveShareId(result.shareId, artistOf(myProfile));
         setMyShareId(result.shareId);
 
         // Now save the comparison to Supabase
         if (compatibility) {
-          saveComparisonToSupabase(result.shareId, shareId, compatibility.score, {
+          saveComparisonToSupabase(result.shareId, profileShareId, compatibility.score, {
             topAlbums: myProfile.topAlbums,
+          }, compatibility.version, {
+            viewerProfileVersion: profileVersion(myProfile),
+            viewedProfileVersion: profileVersion(profile),
           });
         }
       }
@@ -128,16 +149,16 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
 
   // Handle "Create to compare" - save pending comparison and go to onboarding
   const handleCreateToCompare = async () => {
-    if (profile && shareId) {
+    if (profile && profileShareId) {
       // Save the profile we want to compare with after onboarding
       await savePendingComparison({
-        shareId,
+        shareId: profileShareId,
         profile,
       });
     }
     // Navigate to profile creation
     if (onCreateProfile) {
-      onCreateProfile();
+      onCreateProfile(artistOf(profile));
     } else {
       onClose();
     }
@@ -154,6 +175,30 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
     );
   }
 
+  if (unavailable) {
+    return (
+      <View style={styles.container}>
+        <View style={styles.errorContainer}>
+          <Text style={styles.errorEmoji}>{unavailable === 'private' ? '🔒' : '🚫'}</Text>
+          <Text style={styles.errorTitle}>
+            {unavailable === 'private' ? 'This Profile Is Private' : 'This Profile Is No Longer Available'}
+          </Text>
+          <Text style={styles.errorText}>
+            {unavailable === 'private'
+              ? 'Only people its owner has compared with can see it.'
+              : unavailable === 'expired'
+                ? 'This profile link has expired.'
+                : 'Its owner has taken this profile down.'
+            }
+          </Text>
+          <Pressable style={styles.homeBtn} onPress={onClose}>
+            <Text style={styles.homeBtnText}>Go to Home</Text>
+          </Pressable>
+        </View>
+      </View>
+    );
+  }
+
   if (error || !profile) {
     return (
       <View style={styles.container}>
@@ -273,7 +318,7 @@ export default function SharedProfileView({ shareId, onClose, onCreateProfile, o
                 score={compatibility.score}
                 breakdown={compatibility.breakdown}
                 comparisonCount={comparisonCount}
-                onViewLeaderboard={onViewLeaderboard}
+                onViewLeaderboard={() => onViewLeaderboard?.(artistOf(profile))}
               />
             ) : (
               // No share ID - prompt to create one
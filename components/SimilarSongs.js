@@ -0,0 +1,74 @@
+import { StyleSheet, Text, View, Pressable } from 'react-native';
+import { colors } from '../lib/theme';
+
+/**
+ * SimilarSongRow - One similarity match: song, album, match score and why
+ *
+ * @param {object} match - From index.findSimilar(): { song, score, reasons }
+ * @param {object} album - The matched song's album
+ * @param {function} onPress - Optional, makes the row tappable
+ */
+export function SimilarSongRow({ match, album, onPress }) {
+  const { song, score, reasons } = match;
+
+  return (
+    <Pressable
+      style={styles.row}
+      onPress={onPress}
+      disabled={!onPress}
+      accessibilityRole={onPress ? 'button' : undefined}
+      accessibilityLabel={`${song.name}, ${score}% match`}
+    >
+      <View style={[styles.dot, { backgroundColor: song.color || album?.color || colors.fallback }]} />
+      <View style={styles.info}>
+        <Text style={styles.name} numberOfLines={1}>{song.name}</Text>
+        <Text style={styles.album} numberOfLines={1}>{album?.display_name}</Text>
+        {reasons.length > 0 && (
+          <Text style={styles.reasons} numberOfLines={2}>{reasons.join(' · ')}</Text>
+        )}
+      </View>
+      <Text style={styles.score}>{score}%</Text>
+    </Pressable>
+  );
+}
+
+/**
+ * SimilarityBreakdown - Per-dimension similarity for one match
+ *
+ * @param {object} result - From index.compare(): { score, dimensions }
+ */
+export function SimilarityBreakdown({ result }) {
+  return (
+    <View style={styles.breakdown}>
+      {result.dimensions.map(entry => {
+        const percent = Math.round(entry.similarity * 100);
+        return (
+          <View key={entry.key} style={styles.breakdownRow}>
+            <Text style={styles.breakdownLabel} numberOfLines={1}>{entry.dimension.label}</Text>
+            <View style={styles.breakdownTrack}>
+              <View style={[styles.breakdownFill, { width: `${percent}%` }]} />
+            </View>
+            <Text style={styles.breakdownValue}>{percent}%</Text>
+          </View>
+        );
+      })}
+    </View>
+  );
+}
+
+const styles = StyleSheet.create({
+  row: { flexDirection: 'row', alignItems: 'center', paddingVertical: 8, borderBottomWidth: 1, borderBottomColor: colors.border.subtle },
+  dot: { width: 8, height: 8, borderRadius: 4, marginRight: 10 },
+  info: { flex: 1 },
+  name: { fontSize: 13, color: colors.text.primary, fontFamily: 'Outfit_400Regular' },
+  album: { fontSize: 10, color: colors.text.muted, fontFamily: 'Outfit_300Light' },
+  reasons: { fontSize: 10, color: colors.text.secondary, fontFamily: 'Outfit_400Regular', marginTop: 2 },
+  score: { fontSize: 11, color: colors.accent.primary, fontFamily: 'JetBrainsMono_700Bold', marginLeft: 8 },
+  // Breakdown
+  breakdown: { gap: 6, marginTop: 8 },
+  breakdownRow: { flexDirection: 'row', alignItems: 'center', gap: 8 },
+  breakdownLabel: { width: 100, fontSize: 11, color: colors.text.secondary, fontFamily: 'Outfit_400Regular' },
+  breakdownTrack: { flex: 1, height: 6, backgroundColor: colors.surface.medium, borderRadius: 3, overflow: 'hidden' },
+  breakdownFill: { height: '100%', borderRadius: 3, backgroundColor: colors.accent.primary },
+  breakdownValue: { width: 36, textAlign: 'right', fontSize: 10, color: colors.text.muted, fontFamily: 'JetBrainsMono_400Regular' },
+});
@@ -1,50 +1,15 @@
 import { StyleSheet, Text, View, Pressable, ScrollView, Modal } from 'react-native';
 import { colors, getContrastColor } from '../lib/theme';
-
-/**
- * AudioBar - Visual bar for audio metrics
- */
-function AudioBar({ label, value, color }) {
-  return (
-    <View style={styles.audioBarContainer}>
-      <View style={styles.audioBarHeader}>
-        <Text style={styles.audioBarLabel}>{label}</Text>
-        <Text style={styles.audioBarValue}>{value}%</Text>
-      </View>
-      <View style={styles.audioBarTrack}>
-        <View style={[styles.audioBarFill, { width: `${value}%`, backgroundColor: color }]} />
-      </View>
-    </View>
-  );
-}
-
-/**
- * Section - Collapsible section wrapper
- */
-function Section({ title, children }) {
-  return (
-    <View style={styles.section}>
-      <Text style={styles.sectionTitle}>{title}</Text>
-      {children}
-    </View>
-  );
-}
-
-/**
- * Tag - Small tag/chip component
- */
-function Tag({ text, color }) {
-  return (
-    <View style={[styles.tag, color && { backgroundColor: color + '20', borderColor: color }]}>
-      <Text style={[styles.tagText, color && { color }]}>{text}</Text>
-    </View>
-  );
-}
+import { getSimilarityIndex } from '../lib/similarity';
+import { SECTION_TYPES, structureCode } from '../lib/lyricStructure';
+import { AudioBar, Section, Tag, AUDIO_FEATURES } from './DetailBlocks';
+import { PaywallBlur } from './PaywallBlur';
+import { SimilarSongRow, SimilarityBreakdown } from './SimilarSongs';
 
 /**
  * SongDeepDive - Comprehensive song information overlay
  */
-export default function SongDeepDive({ visible, song, album, songs, onClose }) {
+export default function SongDeepDive({ visible, song, album, songs, albums = [], onClose }) {
   const handleClose = () => {
     document.activeElement?.blur?.();
     requestAnimationFrame(() => {
@@ -65,16 +30,16 @@ export default function SongDeepDive({ visible, song, album, songs, onClose }) {
   const albumRank = albumSongsSorted.findIndex(s => s.id === song.id) + 1;
   const percentile = Math.round((1 - (overallRank - 1) / songs.length) * 100);
 
+  // Closest songs overall, with a per-dimension breakdown of the best match
+  const similarityIndex = getSimilarityIndex(songs);
+  const similarSongs = similarityIndex.findSimilar(song, { limit: 5, reasons: 3 });
+  const bestMatch = similarSongs[0] ? similarityIndex.compare(song, similarSongs[0].song) : null;
+
   // Format duration
   const minutes = Math.floor(song.totalMinutes);
   const seconds = Math.round((song.totalMinutes - minutes) * 60);
   const duration = `${minutes}:${seconds.toString().padStart(2, '0')}`;
 
-  // Vocabulary richness
-  const vocabRichness = song.wordCount > 0
-    ? Math.round((song.uniqueWordCount / song.wordCount) * 100)
-    : 0;
-
   // Format narrative voice
   const narrativeLabel = {
     'first-person': 'First Person (I/me)',
@@ -137,7 +102,7 @@ export default function SongDeepDive({ visible, song, album, songs, onClose }) {
                   <Text style={styles.statLabel}>Unique</Text>
                 </View>
                 <View style={styles.statItem}>
-                  <Text style={styles.statValue}>{vocabRichness}%</Text>
+                  <Text style={styles.statValue}>{song.vocabularyRichness}%</Text>
                   <Text style={styles.statLabel}>Vocabulary</Text>
                 </View>
               </View>
@@ -145,10 +110,9 @@ export default function SongDeepDive({ visible, song, album, songs, onClose }) {
 
             {/* Audio Profile */}
             <Section title="AUDIO PROFILE">
-              <AudioBar label="Energy" value={song.avgEnergy} color="#f59e0b" />
-              <AudioBar label="Danceability" value={song.avgDanceability} color="#10b981" />
-              <AudioBar label="Happiness" value={song.avgValence} color="#f472b6" />
-              <AudioBar label="Acoustic" value={song.avgAcousticness} color="#6366f1" />
+              {AUDIO_FEATURES.map(feature => (
+                <AudioBar key={feature.key} label={feature.label} value={song[feature.key]} color={feature.color} />
+              ))}
               <View style={styles.tempoRow}>
                 <Text style={styles.tempoLabel}>Tempo</Text>
                 <Text style={styles.tempoValue}>{song.avgTempo} BPM</Text>
@@ -203,6 +167,90 @@ export default function SongDeepDive({ visible, song, album, songs, onClose }) {
               )}
             </Section>
 
+            {/* Lyrics */}
+            {song.lyricLineCount > 0 && (
+              <Section title="LYRICS">
+                {/* Structure strip - section widths follow their line counts */}
+                {song.structure?.length > 0 && (
+                  <View style={styles.subsection}>
+                    <View style={styles.structureHeader}>
+                      <Text style={styles.subsectionLabel}>Structure</Text>
+                      <Text style={styles.structureCode}>{structureCode(song.structure)}</Text>
+                    </View>
+                    <View style={styles.structureStrip}>
+                      {song.structure.map((section, idx) => {
+                        const type = SECTION_TYPES[section.type] || SECTION_TYPES.other;
+                        return (
+                          <View
+                            key={idx}
+                            style={[styles.structureBlock, { flex: section.lines, backgroundColor: type.color }]}
+                            accessibilityLabel={`${type.label}, ${section.lines} lines`}
+                          >
+                            <Text style={styles.structureBlockText} numberOfLines={1}>{type.short}</Text>
+                          </View>
+                        );
+                      })}
+                    </View>
+                  </View>
+                )}
+
+                <View style={styles.contentRow}>
+                  <View style={styles.contentItem}>
+                    <Text style={styles.contentLabel}>Lines</Text>
+                    <Text style={styles.contentValue}>{song.lyricLineCount}</Text>
+                  </View>
+                  <View style={styles.contentItem}>
+                    <Text style={styles.contentLabel}>Words / Line</Text>
+                    <Text style={styles.contentValue}>{song.avgLineLength}</Text>
+                  </View>
+                </View>
+                <View style={styles.contentRow}>
+                  <View style={styles.contentItem}>
+                    <Text style={styles.contentLabel}>Repetition</Text>
+                    <Text style={styles.contentValue}>{song.chorusRatio}%</Text>
+                  </View>
+                  <View style={styles.contentItem}>
+                    <Text style={styles.contentLabel}>Rhyme Density</Text>
+                    <Text style={styles.contentValue}>{song.rhymeDensity}%</Text>
+                  </View>
+                </View>
+                {song.structure?.length > 0 && (
+                  <View style={styles.contentRow}>
+                    <View style={styles.contentItem}>
+                      <Text style={styles.contentLabel}>Choruses</Text>
+                      <Text style={styles.contentValue}>{song.chorusRepetitions}</Text>
+                    </View>
+                    <View style={styles.contentItem}>
+                      <Text style={styles.contentLabel}>Bridge</Text>
+                      <Text style={styles.contentValue}>{song.bridgeLength > 0 ? `${song.bridgeLength} lines` : 'None'}</Text>
+                    </View>
+                  </View>
+                )}
+
+                {song.signatureWords?.length > 0 && (
+                  <View style={styles.subsection}>
+                    <Text style={styles.subsectionLabel}>Signature Words</Text>
+                    <View style={styles.tagsContainer}>
+                      {song.signatureWords.map(word => (
+                        <Tag key={word} text={word} color={album?.color} />
+                      ))}
+                    </View>
+                  </View>
+                )}
+
+                {song.topWords?.length > 0 && (
+                  <View style={styles.subsection}>
+                    <Text style={styles.subsectionLabel}>Most Used Words</Text>
+                    <View style={styles.tagsContainer}>
+                      {song.topWords.map(({ word, count }) => (
+                        <Tag key={word} text={`${word} ×${count}`} />
+                      ))}
+                    </View>
+                  </View>
+                )}
+              </Section>
+            )}
+
             {/* Rankings */}
             <Section title="RANKINGS">
               <View style={styles.rankingsGrid}>
@@ -221,6 +269,27 @@ export default function SongDeepDive({ visible, song, album, songs, onClose }) {
               </View>
             </Section>
 
+            {/* Similar songs - Premium */}
+            {similarSongs.length > 0 && (
+              <Section title="SIMILAR SONGS">
+                <PaywallBlur feature="similarSongs">
+                  {similarSongs.map(match => (
+                    <SimilarSongRow
+                      key={match.song.id}
+                      match={match}
+                      album={albums.find(a => a.id === match.song.album_id)}
+                    />
+                  ))}
+                  {bestMatch && (
+                    <View style={styles.breakdownBox}>
+                      <Text style={styles.breakdownTitle}>Why {similarSongs[0].song.name} matches</Text>
+                      <SimilarityBreakdown result={bestMatch} />
+                    </View>
+                  )}
+                </PaywallBlur>
+              </Section>
+            )}
+
             <View style={styles.bottomPadding} />
           </ScrollView>
         </View>
@@ -296,16 +365,6 @@ const styles = StyleSheet.create({
   content: {
     padding: 20,
   },
-  section: {
-    marginBottom: 24,
-  },
-  sectionTitle: {
-    fontSize: 11,
-    fontFamily: 'JetBrainsMono_700Bold',
-    color: colors.accent.primary,
-    letterSpacing: 1,
-    marginBottom: 12,
-  },
   // Stats grid
   statsGrid: {
     flexDirection: 'row',
@@ -331,35 +390,6 @@ const styles = StyleSheet.create({
     color: colors.text.muted,
     marginTop: 2,
   },
-  // Audio bars
-  audioBarContainer: {
-    marginBottom: 12,
-  },
-  audioBarHeader: {
-    flexDirection: 'row',
-    justifyContent: 'space-between',
-    marginBottom: 4,
-  },
-  audioBarLabel: {
-    fontSize: 13,
-    fontFamily: 'Outfit_500Medium',
-    color: colors.text.secondary,
-  },
-  audioBarValue: {
-    fontSize: 13,
-    fontFamily: 'JetBrainsMono_400Regular',
-    color: colors.text.muted,
-  },
-  audioBarTrack: {
-    height: 8,
-    backgroundColor: colors.surface.medium,
-    borderRadius: 4,
-    overflow: 'hidden',
-  },
-  audioBarFill: {
-    height: '100%',
-    borderRadius: 4,
-  },
   tempoRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -394,19 +424,6 @@ const styles = StyleSheet.create({
     flexWrap: 'wrap',
     gap: 8,
   },
-  tag: {
-    backgroundColor: colors.surface.medium,
-    borderRadius: 16,
-    paddingHorizontal: 10,
-    paddingVertical: 5,
-    borderWidth: 1,
-    borderColor: colors.border.subtle,
-  },
-  tagText: {
-    fontSize: 12,
-    fontFamily: 'Outfit_400Regular',
-    color: colors.text.secondary,
-  },
   contentRow: {
     flexDirection: 'row',
     gap: 12,
@@ -453,6 +470,47 @@ const styles = StyleSheet.create({
     marginTop: 2,
     textAlign: 'center',
   },
+  // Lyric structure
+  structureHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'baseline',
+  },
+  structureCode: {
+    fontSize: 11,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.secondary,
+    letterSpacing: 1,
+  },
+  structureStrip: {
+    flexDirection: 'row',
+    height: 22,
+    borderRadius: 6,
+    overflow: 'hidden',
+    gap: 2,
+  },
+  structureBlock: {
+    minWidth: 12,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  structureBlockText: {
+    fontSize: 9,
+    fontFamily: 'JetBrainsMono_700Bold',
+    color: colors.text.inverse,
+  },
+  // Similar songs
+  breakdownBox: {
+    marginTop: 12,
+    backgroundColor: colors.surface.light,
+    borderRadius: 12,
+    padding: 12,
+  },
+  breakdownTitle: {
+    fontSize: 12,
+    fontFamily: 'Outfit_600SemiBold',
+    color: colors.text.primary,
+  },
   bottomPadding: {
     height: 40,
   },
@@ -0,0 +1,43 @@
+-- Albums and songs, readable by anyone (the app and /api/catalog both read
+-- them with the anon key, so the public read policies below are all they need)
+
+CREATE TABLE IF NOT EXISTS albums (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  display_name TEXT NOT NULL,
+  color TEXT,
+  official_release_date DATE,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS songs (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  title TEXT NOT NULL,
+  album_id UUID REFERENCES albums(id),
+  track_number INTEGER,
+  duration_minutes NUMERIC,
+  word_count INTEGER,
+  unique_word_count INTEGER,
+  from_the_vault BOOLEAN DEFAULT FALSE,
+  -- { energy, danceability, valence, acousticness (0-1), tempo }
+  audio_features JSONB,
+  -- { emotionalIntensity: subdued | moderate | intense | very-intense }
+  mood_profile JSONB,
+  -- [{ theme }]
+  themes JSONB,
+  -- { co_writers: [], featured_artists: [] }
+  features JSONB,
+  narrative_voice TEXT,
+  narrative_character_count INTEGER,
+  raw_lyrics_searchable TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS songs_album_id_idx ON songs (album_id);
+
+ALTER TABLE albums ENABLE ROW LEVEL SECURITY;
+ALTER TABLE songs ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON albums;
+CREATE POLICY "Public read access" ON albums FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Public read access" ON songs;
+CREATE POLICY "Public read access" ON songs FOR SELECT USING (true);
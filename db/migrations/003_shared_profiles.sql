@@ -0,0 +1,32 @@
+-- Shared ranking profiles ("/p/<share_id>"), created and read anonymously
+
+CREATE TABLE IF NOT EXISTS shared_profiles (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_id TEXT NOT NULL,
+  profile_data JSONB NOT NULL,
+  view_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Instances created from the dashboard may predate these
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS view_count INTEGER NOT NULL DEFAULT 0;
+CREATE UNIQUE INDEX IF NOT EXISTS shared_profiles_share_id_idx ON shared_profiles (share_id);
+
+ALTER TABLE shared_profiles ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON shared_profiles;
+CREATE POLICY "Public read access" ON shared_profiles FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Public insert access" ON shared_profiles;
+CREATE POLICY "Public insert access" ON shared_profiles FOR INSERT WITH CHECK (true);
+
+-- Anyone can bump the counter, nothing else (no UPDATE policy on the table)
+CREATE OR REPLACE FUNCTION increment_profile_views(profile_share_id TEXT)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  UPDATE shared_profiles SET view_count = view_count + 1 WHERE share_id = profile_share_id;
+$$;
+
+GRANT EXECUTE ON FUNCTION increment_profile_views(TEXT) TO anon, authenticated;
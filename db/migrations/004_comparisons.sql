@@ -0,0 +1,46 @@
+-- Who compared with whom, so profile owners see incoming comparisons.
+-- One row per viewer/viewed pair; comparing again refreshes it.
+
+CREATE TABLE IF NOT EXISTS comparisons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  viewer_share_id TEXT NOT NULL,
+  viewed_share_id TEXT NOT NULL,
+  score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+  viewer_albums JSONB NOT NULL DEFAULT '[]',
+  viewer_album_names JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- An index rather than a table constraint, so instances created from the dashboard pick it up too
+CREATE UNIQUE INDEX IF NOT EXISTS comparisons_pair_idx ON comparisons (viewer_share_id, viewed_share_id);
+CREATE INDEX IF NOT EXISTS comparisons_viewed_created_idx ON comparisons (viewed_share_id, created_at DESC);
+
+ALTER TABLE comparisons ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON comparisons;
+CREATE POLICY "Public read access" ON comparisons FOR SELECT USING (true);
+
+-- Writes only go through here (no INSERT/UPDATE policy on the table)
+CREATE OR REPLACE FUNCTION upsert_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_viewer_albums JSONB,
+  p_viewer_album_names JSONB
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO comparisons (viewer_share_id, viewed_share_id, score, viewer_albums, viewer_album_names, created_at)
+  VALUES (p_viewer_share_id, p_viewed_share_id, p_score, p_viewer_albums, p_viewer_album_names, NOW())
+  ON CONFLICT (viewer_share_id, viewed_share_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    viewer_albums = EXCLUDED.viewer_albums,
+    viewer_album_names = EXCLUDED.viewer_album_names,
+    -- Counts as new again for the "since last seen" badge
+    created_at = NOW();
+$$;
+
+GRANT EXECUTE ON FUNCTION upsert_comparison(TEXT, TEXT, INTEGER, JSONB, JSONB) TO anon, authenticated;
@@ -0,0 +1,8 @@
+-- Multi-artist catalogs: every album and song belongs to an artist
+-- (ids from lib/artists.js; existing rows are the default artist's)
+
+ALTER TABLE albums ADD COLUMN IF NOT EXISTS artist_id TEXT NOT NULL DEFAULT 'taylor-swift';
+ALTER TABLE songs ADD COLUMN IF NOT EXISTS artist_id TEXT NOT NULL DEFAULT 'taylor-swift';
+
+CREATE INDEX IF NOT EXISTS albums_artist_id_idx ON albums (artist_id);
+CREATE INDEX IF NOT EXISTS songs_artist_id_idx ON songs (artist_id);
@@ -0,0 +1,35 @@
+-- Compatibility scores are versioned (SCORING_VERSION in lib/compatibility.js).
+-- Scores from different versions aren't comparable, so each comparison
+-- records the version it was scored with; existing rows are version 1.
+
+ALTER TABLE comparisons ADD COLUMN IF NOT EXISTS scoring_version INTEGER NOT NULL DEFAULT 1;
+
+-- Replaces the five-argument version from 004. The new argument defaults to 1
+-- so clients that don't send it yet keep working.
+DROP FUNCTION IF EXISTS upsert_comparison(TEXT, TEXT, INTEGER, JSONB, JSONB);
+
+CREATE OR REPLACE FUNCTION upsert_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_viewer_albums JSONB,
+  p_viewer_album_names JSONB,
+  p_scoring_version INTEGER DEFAULT 1
+)
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  INSERT INTO comparisons (viewer_share_id, viewed_share_id, score, scoring_version, viewer_albums, viewer_album_names, created_at)
+  VALUES (p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_albums, p_viewer_album_names, NOW())
+  ON CONFLICT (viewer_share_id, viewed_share_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    scoring_version = EXCLUDED.scoring_version,
+    viewer_albums = EXCLUDED.viewer_albums,
+    viewer_album_names = EXCLUDED.viewer_album_names,
+    -- Counts as new again for the "since last seen" badge
+    created_at = NOW();
+$$;
+
+GRANT EXECUTE ON FUNCTION upsert_comparison(TEXT, TEXT, INTEGER, JSONB, JSONB, INTEGER) TO anon, authenticated;
@@ -0,0 +1,22 @@
+-- Group compatibility results ("/g/<group_id>"): several shared profiles
+-- compared pairwise, stored so the whole group can be shared as one link.
+-- result is the object from calculateGroupCompatibility (lib/groupCompatibility.js).
+
+CREATE TABLE IF NOT EXISTS group_comparisons (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  group_id TEXT NOT NULL,
+  artist_id TEXT NOT NULL DEFAULT 'taylor-swift',
+  share_ids JSONB NOT NULL CHECK (jsonb_typeof(share_ids) = 'array' AND jsonb_array_length(share_ids) BETWEEN 3 AND 10),
+  result JSONB NOT NULL,
+  scoring_version INTEGER NOT NULL DEFAULT 1,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS group_comparisons_group_id_idx ON group_comparisons (group_id);
+
+ALTER TABLE group_comparisons ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON group_comparisons;
+CREATE POLICY "Public read access" ON group_comparisons FOR SELECT USING (true);
+DROP POLICY IF EXISTS "Public insert access" ON group_comparisons;
+CREATE POLICY "Public insert access" ON group_comparisons FOR INSERT WITH CHECK (true);
@@ -0,0 +1,98 @@
+-- Score history for comparisons. Each comparison records the versions of the
+-- two shared profiles it was scored against (profileVersion in
+-- lib/compatibility.js), and every score that changed is kept in
+-- comparison_scores so owners can see whether they grew closer or drifted apart.
+
+ALTER TABLE comparisons ADD COLUMN IF NOT EXISTS viewer_profile_version TEXT;
+ALTER TABLE comparisons ADD COLUMN IF NOT EXISTS viewed_profile_version TEXT;
+
+CREATE TABLE IF NOT EXISTS comparison_scores (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  viewer_share_id TEXT NOT NULL,
+  viewed_share_id TEXT NOT NULL,
+  score INTEGER NOT NULL CHECK (score BETWEEN 0 AND 100),
+  scoring_version INTEGER NOT NULL DEFAULT 1,
+  viewer_profile_version TEXT,
+  viewed_profile_version TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS comparison_scores_pair_idx ON comparison_scores (viewed_share_id, viewer_share_id, created_at);
+
+ALTER TABLE comparison_scores ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Public read access" ON comparison_scores;
+CREATE POLICY "Public read access" ON comparison_scores FOR SELECT USING (true);
+
+-- Existing comparisons become the first entry of their history
+INSERT INTO comparison_scores (viewer_share_id, viewed_share_id, score, scoring_version, created_at)
+SELECT c.viewer_share_id, c.viewed_share_id, c.score, c.scoring_version, c.created_at
+FROM comparisons c
+WHERE NOT EXISTS (
+  SELECT 1 FROM comparison_scores s
+  WHERE s.viewer_share_id = c.viewer_share_id AND s.viewed_share_id = c.viewed_share_id
+);
+
+-- Replaces the six-argument version from 006. The new arguments default to
+-- NULL so clients that don't send them yet keep working.
+DROP FUNCTION IF EXISTS upsert_comparison(TEXT, TEXT, INTEGER, JSONB, JSONB, INTEGER);
+
+CREATE OR REPLACE FUNCTION upsert_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_viewer_albums JSONB,
+  p_viewer_album_names JSONB,
+  p_scoring_version INTEGER DEFAULT 1,
+  p_viewer_profile_version TEXT DEFAULT NULL,
+  p_viewed_profile_version TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  previous comparisons%ROWTYPE;
+  had_previous BOOLEAN;
+BEGIN
+  SELECT * INTO previous FROM comparisons
+  WHERE viewer_share_id = p_viewer_share_id AND viewed_share_id = p_viewed_share_id;
+  had_previous := FOUND;
+
+  INSERT INTO comparisons (
+    viewer_share_id, viewed_share_id, score, scoring_version, viewer_albums, viewer_album_names,
+    viewer_profile_version, viewed_profile_version, created_at
+  )
+  VALUES (
+    p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_albums, p_viewer_album_names,
+    p_viewer_profile_version, p_viewed_profile_version, NOW()
+  )
+  ON CONFLICT (viewer_share_id, viewed_share_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    scoring_version = EXCLUDED.scoring_version,
+    viewer_albums = EXCLUDED.viewer_albums,
+    viewer_album_names = EXCLUDED.viewer_album_names,
+    viewer_profile_version = EXCLUDED.viewer_profile_version,
+    viewed_profile_version = EXCLUDED.viewed_profile_version,
+    -- Counts as new again for the "since last seen" badge
+    created_at = NOW();
+
+  -- Comparing again with nothing changed doesn't add to the history
+  IF NOT had_previous
+    OR previous.score IS DISTINCT FROM p_score
+    OR previous.scoring_version IS DISTINCT FROM p_scoring_version
+    OR previous.viewer_profile_version IS DISTINCT FROM p_viewer_profile_version
+    OR previous.viewed_profile_version IS DISTINCT FROM p_viewed_profile_version
+  THEN
+    INSERT INTO comparison_scores (
+      viewer_share_id, viewed_share_id, score, scoring_version, viewer_profile_version, viewed_profile_version
+    )
+    VALUES (
+      p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_profile_version, p_viewed_profile_version
+    );
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION upsert_comparison(TEXT, TEXT, INTEGER, JSONB, JSONB, INTEGER, TEXT, TEXT) TO anon, authenticated;
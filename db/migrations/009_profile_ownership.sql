@@ -0,0 +1,114 @@
+-- Shared profiles owned by the signed-in (or anonymous) user who made them.
+-- Each user has one shared profile per artist, updated in place, so the
+-- share_id - and every comparison made against it - stays the same after
+-- edits. Owners can add a handle ("/p/@name"), and every version of the
+-- profile is kept in shared_profile_revisions.
+--
+-- Profiles made before this have no owner; they stay readable but can't be
+-- edited, and the owner's next save makes an owned one.
+
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS user_id UUID;
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS artist_id TEXT NOT NULL DEFAULT 'taylor-swift';
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS handle TEXT;
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS revision INTEGER NOT NULL DEFAULT 1;
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS updated_at TIMESTAMPTZ DEFAULT NOW();
+
+UPDATE shared_profiles SET artist_id = profile_data->>'artistId'
+WHERE profile_data ? 'artistId' AND artist_id IS DISTINCT FROM profile_data->>'artistId';
+
+-- Handles are stored lowercase; only owned profiles can have one
+ALTER TABLE shared_profiles DROP CONSTRAINT IF EXISTS shared_profiles_handle_check;
+ALTER TABLE shared_profiles ADD CONSTRAINT shared_profiles_handle_check
+  CHECK (handle IS NULL OR (user_id IS NOT NULL AND handle ~ '^[a-z0-9_]{3,20}$'));
+
+CREATE UNIQUE INDEX IF NOT EXISTS shared_profiles_owner_artist_idx ON shared_profiles (user_id, artist_id) WHERE user_id IS NOT NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS shared_profiles_handle_idx ON shared_profiles (handle) WHERE handle IS NOT NULL;
+
+-- ============================================
+-- Revisions
+-- ============================================
+
+CREATE TABLE IF NOT EXISTS shared_profile_revisions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  share_id TEXT NOT NULL,
+  revision INTEGER NOT NULL,
+  profile_data JSONB NOT NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS shared_profile_revisions_share_revision_idx ON shared_profile_revisions (share_id, revision);
+
+-- Existing profiles start at revision 1
+INSERT INTO shared_profile_revisions (share_id, revision, profile_data, created_at)
+SELECT share_id, revision, profile_data, created_at FROM shared_profiles
+ON CONFLICT (share_id, revision) DO NOTHING;
+
+-- The share_id and owner never change; a new profile_data is a new revision
+CREATE OR REPLACE FUNCTION shared_profiles_before_update()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+  NEW.share_id := OLD.share_id;
+  NEW.user_id := OLD.user_id;
+  IF NEW.profile_data IS DISTINCT FROM OLD.profile_data THEN
+    NEW.revision := OLD.revision + 1;
+    NEW.updated_at := NOW();
+  END IF;
+  RETURN NEW;
+END;
+$$;
+
+-- Runs as the owner of the function: revisions have no INSERT policy
+CREATE OR REPLACE FUNCTION shared_profiles_record_revision()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  IF TG_OP = 'INSERT' OR NEW.profile_data IS DISTINCT FROM OLD.profile_data THEN
+    INSERT INTO shared_profile_revisions (share_id, revision, profile_data)
+    VALUES (NEW.share_id, NEW.revision, NEW.profile_data);
+  END IF;
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS shared_profiles_before_update ON shared_profiles;
+CREATE TRIGGER shared_profiles_before_update
+  BEFORE UPDATE ON shared_profiles
+  FOR EACH ROW EXECUTE FUNCTION shared_profiles_before_update();
+
+DROP TRIGGER IF EXISTS shared_profiles_record_revision ON shared_profiles;
+CREATE TRIGGER shared_profiles_record_revision
+  AFTER INSERT OR UPDATE ON shared_profiles
+  FOR EACH ROW EXECUTE FUNCTION shared_profiles_record_revision();
+
+-- ============================================
+-- Row level security
+-- ============================================
+
+-- Unowned inserts are still allowed for app versions that don't send user_id
+DROP POLICY IF EXISTS "Public insert access" ON shared_profiles;
+DROP POLICY IF EXISTS "Insert own or unowned profiles" ON shared_profiles;
+CREATE POLICY "Insert own or unowned profiles" ON shared_profiles FOR INSERT
+  WITH CHECK (user_id IS NULL OR user_id = auth.uid());
+
+DROP POLICY IF EXISTS "Owners update their profile" ON shared_profiles;
+CREATE POLICY "Owners update their profile" ON shared_profiles FOR UPDATE
+  USING (user_id = auth.uid())
+  WITH CHECK (user_id = auth.uid());
+
+-- Owners only change the profile and handle (view_count goes through increment_profile_views)
+REVOKE UPDATE ON shared_profiles FROM anon, authenticated;
+GRANT UPDATE (profile_data, handle) ON shared_profiles TO authenticated;
+
+ALTER TABLE shared_profile_revisions ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "Owners read their revisions" ON shared_profile_revisions;
+CREATE POLICY "Owners read their revisions" ON shared_profile_revisions FOR SELECT
+  USING (EXISTS (
+    SELECT 1 FROM shared_profiles p
+    WHERE p.share_id = shared_profile_revisions.share_id AND p.user_id = auth.uid()
+  ));
@@ -0,0 +1,231 @@
+-- Privacy controls for shared profiles. Owners choose who can open their
+-- profile, can make the link expire, and can revoke it:
+--   public  - anyone with the link or handle, and listed in table reads
+--   link    - anyone with the link or handle, but not readable from the table
+--   friends - only people the owner has compared with (a comparisons row
+--             from the owner's profile to one of theirs)
+-- Revoking removes the profile data, its revisions, handle and comparisons;
+-- the row stays so the link can say it's no longer available.
+--
+-- Profiles are read through get_shared_profiles / resolve_profile_handle,
+-- which apply these rules for every client.
+
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS visibility TEXT NOT NULL DEFAULT 'public';
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS expires_at TIMESTAMPTZ;
+ALTER TABLE shared_profiles ADD COLUMN IF NOT EXISTS revoked_at TIMESTAMPTZ;
+
+ALTER TABLE shared_profiles DROP CONSTRAINT IF EXISTS shared_profiles_visibility_check;
+ALTER TABLE shared_profiles ADD CONSTRAINT shared_profiles_visibility_check
+  CHECK (visibility IN ('public', 'link', 'friends'));
+
+-- A revoked profile no longer counts as the owner's profile, so their next save makes a new link
+DROP INDEX IF EXISTS shared_profiles_owner_artist_idx;
+CREATE UNIQUE INDEX IF NOT EXISTS shared_profiles_owner_artist_idx ON shared_profiles (user_id, artist_id)
+  WHERE user_id IS NOT NULL AND revoked_at IS NULL;
+
+-- ============================================
+-- Access rules
+-- ============================================
+
+-- Whether the signed-in user is a "friend" of a profile: its owner compared with one of their profiles
+CREATE OR REPLACE FUNCTION is_profile_friend(p_share_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM comparisons c
+    JOIN shared_profiles mine ON mine.share_id = c.viewed_share_id
+    WHERE c.viewer_share_id = p_share_id
+      AND mine.user_id = auth.uid()
+      AND mine.revoked_at IS NULL
+  );
+$$;
+
+-- 'available', 'revoked', 'expired' or 'private' (friends-only, and not a friend)
+CREATE OR REPLACE FUNCTION shared_profile_status(p shared_profiles)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT CASE
+    WHEN p.revoked_at IS NOT NULL THEN 'revoked'
+    WHEN p.expires_at IS NOT NULL AND p.expires_at <= NOW() THEN 'expired'
+    WHEN p.user_id IS NOT NULL AND p.user_id = auth.uid() THEN 'available'
+    WHEN p.visibility = 'friends' AND NOT is_profile_friend(p.share_id) THEN 'private'
+    ELSE 'available'
+  END;
+$$;
+
+-- Profile data is only returned when the status is 'available'
+CREATE OR REPLACE FUNCTION get_shared_profiles(p_share_ids TEXT[])
+RETURNS TABLE (share_id TEXT, profile_data JSONB, status TEXT, created_at TIMESTAMPTZ)
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT p.share_id,
+    CASE WHEN s.status = 'available' THEN p.profile_data END,
+    s.status,
+    p.created_at
+  FROM shared_profiles p
+  CROSS JOIN LATERAL (SELECT shared_profile_status(p) AS status) s
+  WHERE p.share_id = ANY(p_share_ids);
+$$;
+
+CREATE OR REPLACE FUNCTION resolve_profile_handle(p_handle TEXT)
+RETURNS TEXT
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT share_id FROM shared_profiles WHERE handle = lower(p_handle) AND revoked_at IS NULL;
+$$;
+
+GRANT EXECUTE ON FUNCTION get_shared_profiles(TEXT[]) TO anon, authenticated;
+GRANT EXECUTE ON FUNCTION resolve_profile_handle(TEXT) TO anon, authenticated;
+
+-- ============================================
+-- Revoking
+-- ============================================
+
+CREATE OR REPLACE FUNCTION revoke_shared_profile(p_share_id TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE shared_profiles
+  SET revoked_at = NOW(), profile_data = '{}', handle = NULL
+  WHERE share_id = p_share_id AND user_id = auth.uid() AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not your shared profile' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM shared_profile_revisions WHERE share_id = p_share_id;
+  DELETE FROM comparisons WHERE viewer_share_id = p_share_id OR viewed_share_id = p_share_id;
+  DELETE FROM comparison_scores WHERE viewer_share_id = p_share_id OR viewed_share_id = p_share_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION revoke_shared_profile(TEXT) TO authenticated;
+
+-- No new comparisons with a revoked profile (replaces the version from 008)
+CREATE OR REPLACE FUNCTION upsert_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_viewer_albums JSONB,
+  p_viewer_album_names JSONB,
+  p_scoring_version INTEGER DEFAULT 1,
+  p_viewer_profile_version TEXT DEFAULT NULL,
+  p_viewed_profile_version TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  previous comparisons%ROWTYPE;
+  had_previous BOOLEAN;
+BEGIN
+  IF EXISTS (
+    SELECT 1 FROM shared_profiles
+    WHERE share_id IN (p_viewer_share_id, p_viewed_share_id) AND revoked_at IS NOT NULL
+  ) THEN
+    RETURN;
+  END IF;
+
+  SELECT * INTO previous FROM comparisons
+  WHERE viewer_share_id = p_viewer_share_id AND viewed_share_id = p_viewed_share_id;
+  had_previous := FOUND;
+
+  INSERT INTO comparisons (
+    viewer_share_id, viewed_share_id, score, scoring_version, viewer_albums, viewer_album_names,
+    viewer_profile_version, viewed_profile_version, created_at
+  )
+  VALUES (
+    p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_albums, p_viewer_album_names,
+    p_viewer_profile_version, p_viewed_profile_version, NOW()
+  )
+  ON CONFLICT (viewer_share_id, viewed_share_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    scoring_version = EXCLUDED.scoring_version,
+    viewer_albums = EXCLUDED.viewer_albums,
+    viewer_album_names = EXCLUDED.viewer_album_names,
+    viewer_profile_version = EXCLUDED.viewer_profile_version,
+    viewed_profile_version = EXCLUDED.viewed_profile_version,
+    -- Counts as new again for the "since last seen" badge
+    created_at = NOW();
+
+  -- Comparing again with nothing changed doesn't add to the history
+  IF NOT had_previous
+    OR previous.score IS DISTINCT FROM p_score
+    OR previous.scoring_version IS DISTINCT FROM p_scoring_version
+    OR previous.viewer_profile_version IS DISTINCT FROM p_viewer_profile_version
+    OR previous.viewed_profile_version IS DISTINCT FROM p_viewed_profile_version
+  THEN
+    INSERT INTO comparison_scores (
+      viewer_share_id, viewed_share_id, score, scoring_version, viewer_profile_version, viewed_profile_version
+    )
+    VALUES (
+      p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_profile_version, p_viewed_profile_version
+    );
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Row level security
+-- ============================================
+
+-- Table reads: the owner's own profiles, and live public ones
+DROP POLICY IF EXISTS "Public read access" ON shared_profiles;
+DROP POLICY IF EXISTS "Read own or public profiles" ON shared_profiles;
+CREATE POLICY "Read own or public profiles" ON shared_profiles FOR SELECT USING (
+  (user_id IS NOT NULL AND user_id = auth.uid())
+  OR (visibility = 'public' AND revoked_at IS NULL AND (expires_at IS NULL OR expires_at > NOW()))
+);
+
+-- Revoked profiles can't be edited back to life
+DROP POLICY IF EXISTS "Owners update their profile" ON shared_profiles;
+CREATE POLICY "Owners update their profile" ON shared_profiles FOR UPDATE
+  USING (user_id = auth.uid() AND revoked_at IS NULL)
+  WITH CHECK (user_id = auth.uid() AND revoked_at IS NULL);
+
+GRANT UPDATE (profile_data, handle, visibility, expires_at) ON shared_profiles TO authenticated;
+
+-- Comparisons are read by the owners of the two profiles. Comparisons with a
+-- profile made before ownership stay public, since its owner can't be told apart.
+CREATE OR REPLACE FUNCTION can_read_comparison(p_viewer_share_id TEXT, p_viewed_share_id TEXT)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+  SELECT EXISTS (
+    SELECT 1 FROM shared_profiles p
+    WHERE (p.share_id = p_viewed_share_id AND (p.user_id IS NULL OR p.user_id = auth.uid()))
+      OR (p.share_id = p_viewer_share_id AND p.user_id = auth.uid())
+  );
+$$;
+
+DROP POLICY IF EXISTS "Public read access" ON comparisons;
+DROP POLICY IF EXISTS "Owners read their comparisons" ON comparisons;
+CREATE POLICY "Owners read their comparisons" ON comparisons FOR SELECT
+  USING (can_read_comparison(viewer_share_id, viewed_share_id));
+
+DROP POLICY IF EXISTS "Public read access" ON comparison_scores;
+DROP POLICY IF EXISTS "Owners read their comparison scores" ON comparison_scores;
+CREATE POLICY "Owners read their comparison scores" ON comparison_scores FOR SELECT
+  USING (can_read_comparison(viewer_share_id, viewed_share_id));
@@ -0,0 +1,57 @@
+-- Saved groups keep only their members' share IDs. The app recomputes the
+-- comparison from the profiles each time the group is opened, through
+-- get_shared_profiles, so a member's current privacy settings always apply
+-- and nobody can store a made-up result under a group link.
+--
+-- Groups are created through create_group_comparison, which only accepts
+-- 3 to 10 live public profiles of the same artist.
+
+DROP POLICY IF EXISTS "Public insert access" ON group_comparisons;
+
+ALTER TABLE group_comparisons DROP COLUMN IF EXISTS result;
+ALTER TABLE group_comparisons DROP COLUMN IF EXISTS scoring_version;
+
+CREATE OR REPLACE FUNCTION create_group_comparison(p_group_id TEXT, p_share_ids TEXT[])
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  member_count INTEGER;
+  public_count INTEGER;
+  artist_count INTEGER;
+  group_artist TEXT;
+BEGIN
+  IF p_group_id IS NULL OR p_group_id !~ '^[0-9A-Za-z]{8}$' THEN
+    RAISE EXCEPTION 'Invalid group ID' USING ERRCODE = '22023';
+  END IF;
+
+  member_count := COALESCE(array_length(p_share_ids, 1), 0);
+  IF member_count NOT BETWEEN 3 AND 10
+    OR (SELECT COUNT(DISTINCT id) FROM unnest(p_share_ids) AS id) <> member_count
+  THEN
+    RAISE EXCEPTION 'A group needs 3 to 10 different profiles' USING ERRCODE = '22023';
+  END IF;
+
+  SELECT COUNT(*), COUNT(DISTINCT artist_id), MIN(artist_id)
+  INTO public_count, artist_count, group_artist
+  FROM shared_profiles
+  WHERE share_id = ANY(p_share_ids)
+    AND visibility = 'public'
+    AND revoked_at IS NULL
+    AND (expires_at IS NULL OR expires_at > NOW());
+
+  IF public_count <> member_count THEN
+    RAISE EXCEPTION 'Every profile in a group must be public' USING ERRCODE = '42501';
+  END IF;
+  IF artist_count <> 1 THEN
+    RAISE EXCEPTION 'Every profile in a group must be for the same artist' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO group_comparisons (group_id, artist_id, share_ids)
+  VALUES (p_group_id, group_artist, to_jsonb(p_share_ids));
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_group_comparison(TEXT, TEXT[]) TO anon, authenticated;
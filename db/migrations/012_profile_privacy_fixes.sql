@@ -0,0 +1,112 @@
+-- Fixes to the privacy rules from 010:
+--   * upsert_comparison only accepts comparisons from a profile the caller
+--     owns. Anyone could record one "from" a friends-only profile to their
+--     own before, which made them its friend.
+--   * Revoking a profile also removes it from saved groups.
+
+-- ============================================
+-- Comparisons
+-- ============================================
+
+CREATE OR REPLACE FUNCTION upsert_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_viewer_albums JSONB,
+  p_viewer_album_names JSONB,
+  p_scoring_version INTEGER DEFAULT 1,
+  p_viewer_profile_version TEXT DEFAULT NULL,
+  p_viewed_profile_version TEXT DEFAULT NULL
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  previous comparisons%ROWTYPE;
+  had_previous BOOLEAN;
+BEGIN
+  -- Only the viewer profile's owner can compare from it. Unowned profiles
+  -- (saved without a session) have no owner to tell apart, so they still can.
+  IF NOT EXISTS (
+    SELECT 1 FROM shared_profiles
+    WHERE share_id = p_viewer_share_id AND (user_id IS NULL OR user_id = auth.uid())
+  ) THEN
+    RAISE EXCEPTION 'Not your shared profile' USING ERRCODE = '42501';
+  END IF;
+
+  IF EXISTS (
+    SELECT 1 FROM shared_profiles
+    WHERE share_id IN (p_viewer_share_id, p_viewed_share_id) AND revoked_at IS NOT NULL
+  ) THEN
+    RETURN;
+  END IF;
+
+  SELECT * INTO previous FROM comparisons
+  WHERE viewer_share_id = p_viewer_share_id AND viewed_share_id = p_viewed_share_id;
+  had_previous := FOUND;
+
+  INSERT INTO comparisons (
+    viewer_share_id, viewed_share_id, score, scoring_version, viewer_albums, viewer_album_names,
+    viewer_profile_version, viewed_profile_version, created_at
+  )
+  VALUES (
+    p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_albums, p_viewer_album_names,
+    p_viewer_profile_version, p_viewed_profile_version, NOW()
+  )
+  ON CONFLICT (viewer_share_id, viewed_share_id) DO UPDATE SET
+    score = EXCLUDED.score,
+    scoring_version = EXCLUDED.scoring_version,
+    viewer_albums = EXCLUDED.viewer_albums,
+    viewer_album_names = EXCLUDED.viewer_album_names,
+    viewer_profile_version = EXCLUDED.viewer_profile_version,
+    viewed_profile_version = EXCLUDED.viewed_profile_version,
+    -- Counts as new again for the "since last seen" badge
+    created_at = NOW();
+
+  -- Comparing again with nothing changed doesn't add to the history
+  IF NOT had_previous
+    OR previous.score IS DISTINCT FROM p_score
+    OR previous.scoring_version IS DISTINCT FROM p_scoring_version
+    OR previous.viewer_profile_version IS DISTINCT FROM p_viewer_profile_version
+    OR previous.viewed_profile_version IS DISTINCT FROM p_viewed_profile_version
+  THEN
+    INSERT INTO comparison_scores (
+      viewer_share_id, viewed_share_id, score, scoring_version, viewer_profile_version, viewed_profile_version
+    )
+    VALUES (
+      p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_profile_version, p_viewed_profile_version
+    );
+  END IF;
+END;
+$$;
+
+-- ============================================
+-- Revoking
+-- ============================================
+
+CREATE OR REPLACE FUNCTION revoke_shared_profile(p_share_id TEXT)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+  UPDATE shared_profiles
+  SET revoked_at = NOW(), profile_data = '{}', handle = NULL
+  WHERE share_id = p_share_id AND user_id = auth.uid() AND revoked_at IS NULL;
+
+  IF NOT FOUND THEN
+    RAISE EXCEPTION 'Not your shared profile' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM shared_profile_revisions WHERE share_id = p_share_id;
+  DELETE FROM comparisons WHERE viewer_share_id = p_share_id OR viewed_share_id = p_share_id;
+  DELETE FROM comparison_scores WHERE viewer_share_id = p_share_id OR viewed_share_id = p_share_id;
+
+  -- Groups it was in lose it, and the ones left too small are deleted
+  DELETE FROM group_comparisons WHERE share_ids ? p_share_id AND jsonb_array_length(share_ids) <= 3;
+  UPDATE group_comparisons SET share_ids = share_ids - p_share_id WHERE share_ids ? p_share_id;
+END;
+$$;
@@ -0,0 +1,65 @@
+-- Re-scoring comparisons from the viewed side. upsert_comparison is the
+-- viewer's: only they can record a comparison from their profile. When the
+-- viewed profile changes, its owner's app re-scores the comparisons made
+-- with it through rescore_comparison (refreshIncomingComparisons in
+-- lib/comparisons.js), so the score doesn't wait for each viewer to come back.
+--
+-- Only existing comparisons can be re-scored, so this can't create a
+-- friendship (is_profile_friend in 010) - the viewer's albums and the
+-- "new" timestamp are left as they were.
+
+CREATE OR REPLACE FUNCTION rescore_comparison(
+  p_viewer_share_id TEXT,
+  p_viewed_share_id TEXT,
+  p_score INTEGER,
+  p_scoring_version INTEGER,
+  p_viewer_profile_version TEXT,
+  p_viewed_profile_version TEXT
+)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+  previous comparisons%ROWTYPE;
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM shared_profiles
+    WHERE share_id = p_viewed_share_id AND user_id = auth.uid() AND revoked_at IS NULL
+  ) THEN
+    RAISE EXCEPTION 'Not your shared profile' USING ERRCODE = '42501';
+  END IF;
+
+  SELECT * INTO previous FROM comparisons
+  WHERE viewer_share_id = p_viewer_share_id AND viewed_share_id = p_viewed_share_id
+  FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN;
+  END IF;
+
+  UPDATE comparisons SET
+    score = p_score,
+    scoring_version = p_scoring_version,
+    viewer_profile_version = p_viewer_profile_version,
+    viewed_profile_version = p_viewed_profile_version
+  WHERE viewer_share_id = p_viewer_share_id AND viewed_share_id = p_viewed_share_id;
+
+  -- Same rule as upsert_comparison: only changed results go into the history
+  IF previous.score IS DISTINCT FROM p_score
+    OR previous.scoring_version IS DISTINCT FROM p_scoring_version
+    OR previous.viewer_profile_version IS DISTINCT FROM p_viewer_profile_version
+    OR previous.viewed_profile_version IS DISTINCT FROM p_viewed_profile_version
+  THEN
+    INSERT INTO comparison_scores (
+      viewer_share_id, viewed_share_id, score, scoring_version, viewer_profile_version, viewed_profile_version
+    )
+    VALUES (
+      p_viewer_share_id, p_viewed_share_id, p_score, p_scoring_version, p_viewer_profile_version, p_viewed_profile_version
+    );
+  END IF;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION rescore_comparison(TEXT, TEXT, INTEGER, INTEGER, TEXT, TEXT) TO authenticated;
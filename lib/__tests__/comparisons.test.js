@@ -0,0 +1,161 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import { refreshComparisons, refreshIncomingComparisons } from '../comparisons';
+import { createComparisonRecord, calculateCompatibility, profileVersion, SCORING_VERSION } from '../compatibility';
+import { saveComparison, saveProfile, saveShareId, loadComparisons } from '../storage';
+import {
+  fetchIncomingComparisons,
+  fetchSharedProfile,
+  fetchSharedProfiles,
+  rescoreIncomingComparison,
+  saveComparisonToSupabase,
+} from '../supabase';
+import profiles from './fixtures/profiles.json';
+
+jest.mock('../supabase', () => ({
+  fetchIncomingComparisons: jest.fn(),
+  fetchSharedProfile: jest.fn(),
+  fetchSharedProfiles: jest.fn(),
+  rescoreIncomingComparison: jest.fn(),
+  saveComparisonToSupabase: jest.fn(),
+}));
+
+const shared = (shareId, profile) => [{ shareId, profile }];
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+  saveComparisonToSupabase.mockResolvedValue(true);
+  await saveProfile(profiles.folkloreFirst);
+});
+
+describe('refreshComparisons', () => {
+  it('leaves comparisons alone when neither profile changed', async () => {
+    const score = calculateCompatibility(profiles.folkloreFirst, profiles.popEra).score;
+    await saveComparison(createComparisonRecord('pop', profiles.popEra, score, SCORING_VERSION, profiles.folkloreFirst));
+    fetchSharedProfiles.mockResolvedValue(shared('pop', profiles.popEra));
+
+    const [comparison] = await refreshComparisons();
+    expect(comparison.history).toHaveLength(1);
+    expect(saveComparisonToSupabase).not.toHaveBeenCalled();
+  });
+
+  it('re-scores when their shared profile changed', async () => {
+    await saveComparison(createComparisonRecord('twin', profiles.popEra, 20, SCORING_VERSION, profiles.folkloreFirst));
+    fetchSharedProfiles.mockResolvedValue(shared('twin', profiles.folkloreTwin));
+
+    const [comparison] = await refreshComparisons();
+    expect(comparison.score).toBe(calculateCompatibility(profiles.folkloreFirst, profiles.folkloreTwin).score);
+    expect(comparison.theirProfileVersion).toBe(profileVersion(profiles.folkloreTwin));
+    expect(comparison.history.map(entry => entry.score)).toEqual([20, comparison.score]);
+  });
+
+  it('re-scores when my profile changed', async () => {
+    await saveComparison(createComparisonRecord('pop', profiles.popEra, 20, SCORING_VERSION, profiles.evermoreBalanced));
+    fetchSharedProfiles.mockResolvedValue(shared('pop', profiles.popEra));
+
+    const [comparison] = await refreshComparisons();
+    expect(comparison.myProfileVersion).toBe(profileVersion(profiles.folkloreFirst));
+    expect(comparison.history).toHaveLength(2);
+  });
+
+  it('re-scores comparisons from an older formula', async () => {
+    await saveComparison({ shareId: 'pop', artistId: 'taylor-swift', score: 70, comparedAt: '2025-01-01T00:00:00.000Z' });
+    fetchSharedProfiles.mockResolvedValue(shared('pop', profiles.popEra));
+
+    const [comparison] = await refreshComparisons();
+    expect(comparison.scoringVersion).toBe(SCORING_VERSION);
+    expect(comparison.history.map(entry => entry.scoringVersion)).toEqual([1, SCORING_VERSION]);
+  });
+
+  it('sends new scores to Supabase when I have a share ID', async () => {
+    await saveShareId('me123');
+    await saveComparison(createComparisonRecord('twin', profiles.popEra, 20, SCORING_VERSION, profiles.folkloreFirst));
+    fetchSharedProfiles.mockResolvedValue(shared('twin', profiles.folkloreTwin));
+
+    const [comparison] = await refreshComparisons();
+    expect(saveComparisonToSupabase).toHaveBeenCalledWith('me123', 'twin', comparison.score, expect.any(Object), SCORING_VERSION, {
+      viewerProfileVersion: profileVersion(profiles.folkloreFirst),
+      viewedProfileVersion: profileVersion(profiles.folkloreTwin),
+    });
+  });
+
+  it('sends a new score again on the next refresh when Supabase failed', async () => {
+    await saveShareId('me123');
+    await saveComparison(createComparisonRecord('twin', profiles.popEra, 20, SCORING_VERSION, profiles.folkloreFirst));
+    fetchSharedProfiles.mockResolvedValue(shared('twin', profiles.folkloreTwin));
+    saveComparisonToSupabase.mockResolvedValueOnce(false);
+
+    const [failed] = await refreshComparisons();
+    expect(failed.pendingUpload).toBe(true);
+
+    const [retried] = await refreshComparisons();
+    expect(saveComparisonToSupabase).toHaveBeenCalledTimes(2);
+    expect(retried.pendingUpload).toBeUndefined();
+    expect(retried.history.map(entry => entry.score)).toEqual([20, failed.score]);
+
+    await refreshComparisons();
+    expect(saveComparisonToSupabase).toHaveBeenCalledTimes(2);
+  });
+
+  it('keeps comparisons with profiles that are no longer shared', async () => {
+    await saveComparison(createComparisonRecord('gone', profiles.popEra, 20, 1, profiles.folkloreFirst));
+    fetchSharedProfiles.mockResolvedValue([]);
+
+    expect(await refreshComparisons()).toEqual(await loadComparisons());
+  });
+});
+
+describe('refreshIncomingComparisons', () => {
+  const incomingRow = (viewerShareId, viewedProfile, scoringVersion = SCORING_VERSION) => ({
+    viewer_share_id: viewerShareId,
+    score: 20,
+    scoring_version: scoringVersion,
+    viewed_profile_version: profileVersion(viewedProfile),
+    history: [],
+  });
+
+  beforeEach(() => {
+    fetchSharedProfile.mockResolvedValue({ status: 'available', profile: profiles.folkloreFirst });
+    rescoreIncomingComparison.mockResolvedValue(true);
+  });
+
+  it('leaves comparisons made with my current profile alone', async () => {
+    const rows = [incomingRow('twin', profiles.folkloreFirst)];
+    fetchIncomingComparisons.mockResolvedValue(rows);
+
+    expect(await refreshIncomingComparisons('me123')).toBe(rows);
+    expect(rescoreIncomingComparison).not.toHaveBeenCalled();
+  });
+
+  it('re-scores comparisons made before my shared profile changed', async () => {
+    fetchIncomingComparisons.mockResolvedValue([incomingRow('twin', profiles.popEra)]);
+    fetchSharedProfiles.mockResolvedValue(shared('twin', profiles.folkloreTwin));
+
+    await refreshIncomingComparisons('me123');
+    expect(rescoreIncomingComparison).toHaveBeenCalledWith(
+      'twin',
+      'me123',
+      calculateCompatibility(profiles.folkloreTwin, profiles.folkloreFirst).score,
+      SCORING_VERSION,
+      { viewerProfileVersion: profileVersion(profiles.folkloreTwin), viewedProfileVersion: profileVersion(profiles.folkloreFirst) },
+    );
+    expect(fetchIncomingComparisons).toHaveBeenCalledTimes(2);
+  });
+
+  it('re-scores comparisons from an older formula', async () => {
+    fetchIncomingComparisons.mockResolvedValue([incomingRow('pop', profiles.folkloreFirst, 1)]);
+    fetchSharedProfiles.mockResolvedValue(shared('pop', profiles.popEra));
+
+    await refreshIncomingComparisons('me123');
+    expect(rescoreIncomingComparison).toHaveBeenCalledTimes(1);
+  });
+
+  it("skips viewers whose profiles I can't open", async () => {
+    const rows = [incomingRow('hidden', profiles.popEra)];
+    fetchIncomingComparisons.mockResolvedValue(rows);
+    fetchSharedProfiles.mockResolvedValue([]);
+
+    expect(await refreshIncomingComparisons('me123')).toBe(rows);
+    expect(rescoreIncomingComparison).not.toHaveBeenCalled();
+  });
+});
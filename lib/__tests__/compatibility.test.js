@@ -0,0 +1,321 @@
+import fc from 'fast-check';
+import {
+  SCORING_VERSION,
+  calculateCompatibility,
+  comparisonVersion,
+  rankBiasedOverlap,
+  getCompatibilityLabel,
+  createComparisonRecord,
+  profileVersion,
+  mergeComparisonHistory,
+  scoreTrend,
+  describeScoreChange,
+} from '../compatibility';
+import { allocateToItems } from '../weighting';
+import profiles from './fixtures/profiles.json';
+import goldenV1 from './fixtures/compatibility.v1.golden.json';
+import goldenV2 from './fixtures/compatibility.v2.golden.json';
+
+// ============================================
+// Golden fixtures
+// Scores for real-shaped profiles, pinned so scoring changes show up as diffs
+// ============================================
+
+describe('golden profiles', () => {
+  const cases = golden => golden.map(entry => [entry.profiles.join(' vs '), entry]);
+
+  it.each(cases(goldenV2))('v2: %s', (_, entry) => {
+    const [mine, theirs] = entry.profiles;
+    const result = calculateCompatibility(profiles[mine], profiles[theirs]);
+
+    if (entry.score === null) {
+      expect(result).toBeNull();
+      return;
+    }
+    expect(result.version).toBe(2);
+    expect(result.score).toBe(entry.score);
+    expect(result.breakdown).toEqual(entry.breakdown);
+  });
+
+  it.each(cases(goldenV1))('v1: %s', (_, entry) => {
+    const [mine, theirs] = entry.profiles;
+    const result = calculateCompatibility(profiles[mine], profiles[theirs], { version: 1 });
+
+    if (entry.score === null) {
+      expect(result).toBeNull();
+      return;
+    }
+    expect(result.version).toBe(1);
+    expect(result.score).toBe(entry.score);
+    expect(result.matches).toEqual(entry.matches);
+  });
+
+  it('v1: explains a close match', () => {
+    const { breakdown } = calculateCompatibility(profiles.folkloreFirst, profiles.folkloreTwin, { version: 1 });
+    expect(breakdown).toEqual([
+      { text: 'Same #1 album', positive: true },
+      { text: '3 albums in common', positive: true },
+      { text: 'Similar intensity for favorites', positive: true },
+      { text: '7 songs in common', positive: true },
+      { text: 'Same taste in lyrics', positive: true },
+    ]);
+  });
+
+  it('treats profiles saved before multi-artist support as the default artist', () => {
+    expect(profiles.legacyUnweighted.artistId).toBeUndefined();
+    expect(calculateCompatibility(profiles.legacyUnweighted, profiles.folkloreFirst)).not.toBeNull();
+  });
+});
+
+describe('rankBiasedOverlap', () => {
+  it('is 1 for identical lists and 0 for disjoint ones', () => {
+    expect(rankBiasedOverlap(['a', 'b', 'c'], ['a', 'b', 'c'])).toBe(1);
+    expect(rankBiasedOverlap(['a', 'b'], ['c', 'd'])).toBe(0);
+    expect(rankBiasedOverlap([], [])).toBe(0);
+  });
+
+  it('counts agreement at the top more than further down', () => {
+    const topMatch = rankBiasedOverlap(['a', 'b', 'c'], ['a', 'x', 'y']);
+    const bottomMatch = rankBiasedOverlap(['a', 'b', 'c'], ['x', 'y', 'c']);
+    expect(topMatch).toBeGreaterThan(bottomMatch);
+  });
+
+  it('is symmetric and stays within 0-1', () => {
+    const list = fc.uniqueArray(fc.constantFrom('a', 'b', 'c', 'd', 'e', 'f'), { maxLength: 6 });
+    fc.assert(fc.property(list, list, (a, b) => {
+      const forward = rankBiasedOverlap(a, b);
+      expect(rankBiasedOverlap(b, a)).toBe(forward);
+      expect(forward).toBeGreaterThanOrEqual(0);
+      expect(forward).toBeLessThanOrEqual(1);
+    }));
+  });
+});
+
+describe('calculateCompatibility', () => {
+  it('scores with the current version by default', () => {
+    expect(calculateCompatibility(profiles.folkloreFirst, profiles.popEra).version).toBe(SCORING_VERSION);
+  });
+
+  it('cannot compare empty profiles', () => {
+    expect(calculateCompatibility(null, profiles.popEra)).toBeNull();
+    expect(calculateCompatibility({ topAlbums: [] }, profiles.popEra)).toBeNull();
+    expect(calculateCompatibility(profiles.popEra, {})).toBeNull();
+  });
+
+  it('cannot compare profiles for different artists', () => {
+    expect(calculateCompatibility(profiles.folkloreFirst, profiles.otherArtist)).toBeNull();
+  });
+
+  it.each([1, 2])('v%i: scores an album missing from the weights as zero instead of NaN', version => {
+    const partial = { ...profiles.folkloreTwin, albumWeights: { [profiles.folkloreTwin.topAlbums[1]]: 100 } };
+    const { score } = calculateCompatibility(profiles.folkloreFirst, partial, { version });
+    expect(Number.isFinite(score)).toBe(true);
+  });
+
+  // ============================================
+  // Properties
+  // ============================================
+
+  describe('properties', () => {
+    const albumIds = Array.from({ length: 8 }, (_, i) => `album-${i}`);
+    const songIds = Array.from({ length: 30 }, (_, i) => `song-${i}`);
+
+    // Profiles the way ProfileBuilder makes them: ranked albums, up to three
+    // distinct songs per album, lyrics from some of those songs, and weights
+    // from a preset (or none, for profiles saved before weighting)
+    const profileArb = fc.record({
+      albums: fc.uniqueArray(fc.constantFrom(...albumIds), { minLength: 1, maxLength: 3 }),
+      songs: fc.uniqueArray(fc.constantFrom(...songIds), { maxLength: 9 }),
+      lyricCount: fc.integer({ min: 0, max: 3 }),
+      preset: fc.constantFrom('balanced', 'oneFavorite', 'topHeavy', null),
+    }).map(({ albums, songs, lyricCount, preset }) => ({
+      artistId: 'taylor-swift',
+      topAlbums: albums,
+      albumSongs: Object.fromEntries(albums.map((albumId, i) => [albumId, songs.slice(i * 3, i * 3 + 3)])),
+      songLyrics: Object.fromEntries(songs.slice(0, lyricCount).map(songId => [songId, `lyric from ${songId}`])),
+      albumWeights: preset ? allocateToItems(albums, preset) : {},
+      weightPreset: preset,
+    }));
+
+    it.each([1, 2])('v%i: scores stay whole numbers from 0 to 100', version => {
+      fc.assert(fc.property(profileArb, profileArb, (mine, theirs) => {
+        const { score } = calculateCompatibility(mine, theirs, { version });
+        expect(Number.isInteger(score)).toBe(true);
+        expect(score).toBeGreaterThanOrEqual(0);
+        expect(score).toBeLessThanOrEqual(100);
+      }));
+    });
+
+    it.each([1, 2])('v%i: scores the same whoever is viewing', version => {
+      fc.assert(fc.property(profileArb, profileArb, (mine, theirs) => {
+        const forward = calculateCompatibility(mine, theirs, { version });
+        const backward = calculateCompatibility(theirs, mine, { version });
+        expect(backward.score).toBe(forward.score);
+        expect(backward.breakdown).toEqual(forward.breakdown);
+      }));
+    });
+
+    it('v2: breakdown points add up to the score', () => {
+      fc.assert(fc.property(profileArb, profileArb, (mine, theirs) => {
+        const { score, breakdown } = calculateCompatibility(mine, theirs);
+        expect(breakdown.reduce((sum, item) => sum + item.points, 0)).toBe(score);
+        breakdown.forEach(item => {
+          expect(item.points).toBeGreaterThanOrEqual(0);
+          expect(item.points).toBeLessThanOrEqual(item.maxPoints);
+        });
+      }));
+    });
+
+    it('v2: identical profiles are a perfect match', () => {
+      fc.assert(fc.property(profileArb.filter(p => Object.keys(p.songLyrics).length > 0), profile => {
+        expect(calculateCompatibility(profile, { ...profile }).score).toBe(100);
+      }));
+    });
+
+    it('v1: breakdown always leads with the #1 album verdict', () => {
+      fc.assert(fc.property(profileArb, profileArb, (mine, theirs) => {
+        const { breakdown, matches } = calculateCompatibility(mine, theirs, { version: 1 });
+        expect(breakdown[0]).toEqual(matches.sameFirstAlbum
+          ? { text: 'Same #1 album', positive: true }
+          : { text: 'Different #1 album', positive: false });
+      }));
+    });
+  });
+});
+
+describe('getCompatibilityLabel', () => {
+  it.each([
+    [100, 'Soulmates'],
+    [90, 'Soulmates'],
+    [89, 'Best Friends'],
+    [75, 'Best Friends'],
+    [60, 'Good Match'],
+    [40, 'Different Eras'],
+    [20, 'Opposites'],
+    [0, 'Totally Different'],
+  ])('labels %i as %s', (score, label) => {
+    expect(getCompatibilityLabel(score).label).toBe(label);
+  });
+});
+
+describe('createComparisonRecord', () => {
+  it('keeps what the comparisons list shows', () => {
+    const record = createComparisonRecord('abc123', profiles.popEra, 42, SCORING_VERSION, profiles.folkloreFirst);
+    expect(record).toEqual({
+      shareId: 'abc123',
+      artistId: 'taylor-swift',
+      theirAlbums: profiles.popEra.topAlbums,
+      albumNames: profiles.popEra.albumNames,
+      albumColors: profiles.popEra.albumColors,
+      score: 42,
+      scoringVersion: SCORING_VERSION,
+      myProfileVersion: profileVersion(profiles.folkloreFirst),
+      theirProfileVersion: profileVersion(profiles.popEra),
+      comparedAt: expect.any(String),
+      history: [{
+        score: 42,
+        scoringVersion: SCORING_VERSION,
+        myProfileVersion: profileVersion(profiles.folkloreFirst),
+        theirProfileVersion: profileVersion(profiles.popEra),
+        comparedAt: record.comparedAt,
+      }],
+    });
+  });
+
+  it('leaves my profile version empty when my profile is not given', () => {
+    expect(createComparisonRecord('abc123', profiles.popEra, 42).myProfileVersion).toBeNull();
+  });
+});
+
+describe('profileVersion', () => {
+  it('is the same for the same profile, however its keys are ordered', () => {
+    const reordered = {
+      ...profiles.folkloreFirst,
+      albumSongs: Object.fromEntries(Object.entries(profiles.folkloreFirst.albumSongs).reverse()),
+    };
+    expect(profileVersion(reordered)).toBe(profileVersion(profiles.folkloreFirst));
+  });
+
+  it('changes when anything that is scored changes', () => {
+    const version = profileVersion(profiles.folkloreFirst);
+    const [first, second, ...rest] = profiles.folkloreFirst.topAlbums;
+    expect(profileVersion({ ...profiles.folkloreFirst, topAlbums: [second, first, ...rest] })).not.toBe(version);
+    expect(profileVersion({ ...profiles.folkloreFirst, songLyrics: {} })).not.toBe(version);
+    expect(profileVersion({ ...profiles.folkloreFirst, albumWeights: {} })).not.toBe(version);
+  });
+
+  it('ignores display-only fields', () => {
+    expect(profileVersion({ ...profiles.folkloreFirst, albumNames: {}, albumColors: {} }))
+      .toBe(profileVersion(profiles.folkloreFirst));
+  });
+
+  it('is null for empty profiles', () => {
+    expect(profileVersion(null)).toBeNull();
+    expect(profileVersion({ topAlbums: [] })).toBeNull();
+  });
+});
+
+describe('mergeComparisonHistory', () => {
+  const record = (score, theirProfile = profiles.popEra) =>
+    createComparisonRecord('abc123', theirProfile, score, SCORING_VERSION, profiles.folkloreFirst);
+
+  it('adds the new score when it changed', () => {
+    const merged = mergeComparisonHistory(record(40), record(48));
+    expect(merged.score).toBe(48);
+    expect(merged.history.map(entry => entry.score)).toEqual([40, 48]);
+  });
+
+  it('adds an entry when a profile changed, even with the same score', () => {
+    const changed = { ...profiles.popEra, songLyrics: {} };
+    expect(mergeComparisonHistory(record(40), record(40, changed)).history).toHaveLength(2);
+  });
+
+  it('does not add an entry when nothing changed', () => {
+    expect(mergeComparisonHistory(record(40), record(40)).history).toHaveLength(1);
+  });
+
+  it('starts the history from records saved before history was kept', () => {
+    const legacy = { shareId: 'abc123', score: 35, comparedAt: '2025-01-01T00:00:00.000Z' };
+    const merged = mergeComparisonHistory(legacy, record(48));
+    expect(merged.history.map(entry => [entry.score, entry.scoringVersion])).toEqual([[35, 1], [48, SCORING_VERSION]]);
+  });
+
+  it('keeps the 20 most recent scores', () => {
+    let merged = record(0);
+    for (let score = 1; score <= 30; score++) merged = mergeComparisonHistory(merged, record(score));
+    expect(merged.history).toHaveLength(20);
+    expect(merged.history[19].score).toBe(30);
+  });
+});
+
+describe('scoreTrend', () => {
+  const entry = (score, scoringVersion = SCORING_VERSION) => ({ score, scoringVersion });
+
+  it('compares the latest two scores', () => {
+    expect(scoreTrend([entry(60), entry(40), entry(48)])).toEqual({ delta: 8, direction: 'closer' });
+    expect(scoreTrend([entry(48), entry(43)])).toEqual({ delta: -5, direction: 'apart' });
+    expect(scoreTrend([entry(48), entry(48)])).toEqual({ delta: 0, direction: 'same' });
+  });
+
+  it('has no trend without two comparable scores', () => {
+    expect(scoreTrend([entry(48)])).toBeNull();
+    expect(scoreTrend()).toBeNull();
+    expect(scoreTrend([entry(70, 1), entry(48, 2)])).toBeNull();
+  });
+
+  it('describes each change', () => {
+    expect(describeScoreChange(entry(40))).toBe('First compared');
+    expect(describeScoreChange(entry(48), entry(40))).toBe('You grew closer (+8)');
+    expect(describeScoreChange(entry(43), entry(48))).toBe('You drifted apart (-5)');
+    expect(describeScoreChange(entry(48), entry(48))).toBe('Profiles changed, same score');
+    expect(describeScoreChange(entry(48, 2), entry(70, 1))).toBe('Rescored with the new formula');
+  });
+});
+
+describe('comparisonVersion', () => {
+  it('reads local records and Supabase rows, defaulting to version 1', () => {
+    expect(comparisonVersion({ scoringVersion: 2 })).toBe(2);
+    expect(comparisonVersion({ scoring_version: 2 })).toBe(2);
+    expect(comparisonVersion({ score: 40 })).toBe(1);
+  });
+});
@@ -0,0 +1,105 @@
+import { compileFormula, validateFormula, FORMULA_FIELDS } from '../formula';
+
+const song = { avgEnergy: 80, avgDanceability: 50, avgValence: 30, avgTempo: 120, totalMinutes: 4, wordCount: 400 };
+const evaluate = (formula, values = song) => compileFormula(formula).evaluate(values);
+
+describe('compileFormula', () => {
+  it.each([
+    ['1 + 2 * 3', 7],
+    ['(1 + 2) * 3', 9],
+    ['10 - 4 - 3', 3],
+    ['24 / 4 / 2', 3],
+    ['2 ^ 3 ^ 2', 512],
+    ['-2 ^ 2', -4],
+    ['2 * -3', -6],
+    ['7 % 4 + 1', 4],
+    ['+5', 5],
+    ['.5 + 1.5', 2],
+  ])('follows precedence: %s = %p', (formula, expected) => {
+    expect(evaluate(formula)).toBe(expected);
+  });
+
+  it('reads whitelisted song fields', () => {
+    const { evaluate: run, fields } = compileFormula('avgEnergy * avgDanceability / 100 + wordCount / totalMinutes');
+
+    expect(run(song)).toBe(140);
+    expect(fields).toEqual(['avgEnergy', 'avgDanceability', 'wordCount', 'totalMinutes']);
+  });
+
+  it('treats missing or non-numeric fields as 0', () => {
+    expect(evaluate('avgEnergy + 1', {})).toBe(1);
+    expect(evaluate('avgEnergy + 1', { avgEnergy: 'loud' })).toBe(1);
+    expect(evaluate('avgEnergy + 1', null)).toBe(1);
+  });
+
+  it('calls whitelisted functions', () => {
+    expect(evaluate('max(avgValence, avgEnergy) - round(avgTempo / 7)')).toBe(80 - 17);
+    expect(evaluate('min(3, 1, 2) + abs(-2) + sqrt(9)')).toBe(6);
+  });
+
+  it.each(['avgEnergy / 0', '1 % 0', 'sqrt(-1)', 'log(0)', '10 ^ 400'])('turns %s into 0 instead of a non-finite number', formula => {
+    expect(evaluate(formula)).toBe(0);
+  });
+
+  it('divides by a field that is 0 without breaking', () => {
+    expect(evaluate('wordCount / totalMinutes', { wordCount: 100, totalMinutes: 0 })).toBe(0);
+  });
+
+  it('only allows the fields it lists', () => {
+    expect(FORMULA_FIELDS).not.toContain('name');
+    expect(() => compileFormula('name')).toThrow('Unknown field "name"');
+    expect(() => compileFormula('avgEnergyy + 1')).toThrow('Unknown field "avgEnergyy"');
+  });
+
+  it('rejects unknown functions', () => {
+    expect(() => compileFormula('pow(2, 3)')).toThrow('Unknown function "pow"');
+    expect(() => compileFormula('eval(1)')).toThrow('Unknown function "eval"');
+  });
+
+  it.each([
+    'constructor',
+    '__proto__',
+    'prototype',
+    'hasOwnProperty',
+    'toString',
+    'valueOf',
+  ])('gives no access to %s', name => {
+    expect(() => compileFormula(name)).toThrow(`Unknown field "${name}"`);
+    expect(() => compileFormula(`${name}(1)`)).toThrow(`Unknown function "${name}"`);
+  });
+
+  it('rejects member access and strings', () => {
+    expect(() => compileFormula('avgEnergy.constructor')).toThrow();
+    expect(() => compileFormula('avgEnergy["constructor"]')).toThrow('Unexpected "["');
+    expect(() => compileFormula("'a'")).toThrow("Unexpected \"'\"");
+  });
+
+  it('checks function argument counts', () => {
+    expect(() => compileFormula('abs(1, 2)')).toThrow('abs() takes 1 argument');
+    expect(() => compileFormula('max(1)')).toThrow('max() takes at least 2 arguments');
+  });
+});
+
+describe('validateFormula', () => {
+  it('accepts valid formulas', () => {
+    expect(validateFormula('uniqueWordCount / totalMinutes')).toBeNull();
+  });
+
+  it.each([
+    ['', 'Formula is empty'],
+    ['   ', 'Formula is empty'],
+    [null, 'Formula is empty'],
+    ['1 +', 'Formula ended unexpectedly'],
+    ['(1 + 2', 'Expected ")" but found end of formula'],
+    ['1 + 2)', 'Unexpected ")" at position 6'],
+    ['1 2', 'Unexpected "2" at position 3'],
+    ['max(1, )', 'Unexpected ")" at position 8'],
+    ['* 2', 'Unexpected "*" at position 1'],
+    ['1..2', 'Unexpected "0.2" at position 3'],
+    ['1 ; 2', 'Unexpected ";" at position 3'],
+    ['avgEnergy = 1', 'Unexpected "=" at position 11'],
+    [`1${' + 1'.repeat(50)}`, 'Formula is longer than 200 characters'],
+  ])('rejects %p', (formula, message) => {
+    expect(validateFormula(formula)).toBe(message);
+  });
+});
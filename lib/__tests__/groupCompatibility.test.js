@@ -0,0 +1,104 @@
+import {
+  calculateGroupCompatibility,
+  parseShareIds,
+  MAX_GROUP_SIZE,
+} from '../groupCompatibility';
+import { calculateCompatibility, SCORING_VERSION } from '../compatibility';
+import profiles from './fixtures/profiles.json';
+
+const member = (shareId, profile) => ({ shareId, profile });
+
+const circle = [
+  member('first1', profiles.folkloreFirst),
+  member('twin22', profiles.folkloreTwin),
+  member('ever33', profiles.evermoreBalanced),
+  member('pop444', profiles.popEra),
+];
+
+describe('parseShareIds', () => {
+  it('accepts links and bare IDs in any separator', () => {
+    const text = 'https://swiftieranker.com/p/abc123\nhttp://localhost:8081/p/def456, ghi789  abc123';
+    expect(parseShareIds(text)).toEqual(['abc123', 'def456', 'ghi789']);
+  });
+
+  it('keeps handles from /p/@name links and bare @names', () => {
+    const text = 'https://swiftieranker.com/p/@Folklore_Fan https://swiftieranker.com/p/%40ever_fan @pop_fan abc123 @folklore_fan';
+    expect(parseShareIds(text)).toEqual(['@folklore_fan', '@ever_fan', '@pop_fan', 'abc123']);
+  });
+
+  it('drops handles that are too short', () => {
+    expect(parseShareIds('https://swiftieranker.com/p/@ab abc123')).toEqual(['abc123']);
+  });
+
+  it('handles nothing', () => {
+    expect(parseShareIds(undefined)).toEqual([]);
+    expect(parseShareIds('')).toEqual([]);
+  });
+});
+
+describe('calculateGroupCompatibility', () => {
+  const group = calculateGroupCompatibility(circle);
+
+  it('scores every pair with the pairwise scorer', () => {
+    expect(group.scoringVersion).toBe(SCORING_VERSION);
+    expect(group.pairs).toHaveLength(6);
+    group.pairs.forEach(({ a, b, score }) => {
+      expect(score).toBe(calculateCompatibility(circle[a].profile, circle[b].profile).score);
+    });
+  });
+
+  it('builds a symmetric matrix with an empty diagonal', () => {
+    group.matrix.forEach((row, i) => {
+      expect(row[i]).toBeNull();
+      row.forEach((score, j) => expect(score).toBe(group.matrix[j][i]));
+    });
+  });
+
+  it('finds the most and least aligned pair', () => {
+    expect(group.mostAligned).toEqual({ a: 0, b: 1, score: group.matrix[0][1] });
+    expect(group.leastAligned.score).toBe(Math.min(...group.pairs.map(pair => pair.score)));
+    expect(group.averageScore).toBe(Math.round(group.pairs.reduce((sum, pair) => sum + pair.score, 0) / 6));
+  });
+
+  it('ranks the albums the group cares about most', () => {
+    const folklore = profiles.folkloreFirst.topAlbums[0];
+    const evermore = profiles.folkloreFirst.topAlbums[1];
+    expect(group.consensusAlbums.map(album => album.id).slice(0, 2)).toEqual([folklore, evermore]);
+    expect(group.consensusAlbums[0]).toMatchObject({ supporters: 3 });
+    expect(group.albumNames[folklore]).toBe('folklore');
+  });
+
+  it('averages song weights across the whole group', () => {
+    const [top] = group.consensusSongs;
+    expect(group.consensusSongs).toHaveLength(5);
+    expect(top.supporters).toBeGreaterThan(1);
+    // Every member contributes up to 100 points, averaged over four members
+    expect(group.consensusSongs.every(song => song.points <= 100)).toBe(true);
+  });
+
+  it('weights albums by ranking for profiles shared without weights', () => {
+    const unweighted = { ...profiles.folkloreFirst, albumWeights: {}, songWeights: {}, weightPreset: null };
+    const result = calculateGroupCompatibility([
+      member('a', unweighted),
+      member('b', unweighted),
+      member('c', unweighted),
+    ]);
+    expect(result.consensusAlbums.map(album => album.points)).toEqual([50, 33, 17]);
+    expect(result.consensusSongs[0].points).toBeCloseTo(25);
+  });
+
+  it('keeps members in order with their #1 album', () => {
+    expect(group.members).toEqual(circle.map(({ shareId, profile }) => ({ shareId, topAlbum: profile.topAlbums[0] })));
+  });
+
+  it('needs three to ten profiles', () => {
+    expect(calculateGroupCompatibility(circle.slice(0, 2))).toBeNull();
+    const crowd = Array.from({ length: MAX_GROUP_SIZE + 1 }, (_, i) => member(`m${i}`, profiles.popEra));
+    expect(calculateGroupCompatibility(crowd)).toBeNull();
+  });
+
+  it('needs complete profiles for one artist', () => {
+    expect(calculateGroupCompatibility([...circle, member('other', profiles.otherArtist)])).toBeNull();
+    expect(calculateGroupCompatibility([...circle, member('empty', { topAlbums: [] })])).toBeNull();
+  });
+});
@@ -0,0 +1,65 @@
+import { rollupAlbum } from '../metrics';
+import { buildCatalog } from '../../api/_lib/catalog';
+import { seedTables } from '../../api/_lib/mock/fixtures';
+
+// Raw fixture rows, with one song missing audio features and a mood so those cases are covered
+function rawCatalog() {
+  const { albums, songs } = seedTables();
+  songs[1].audio_features = null;
+  songs[1].mood_profile = null;
+  return { albums, songs };
+}
+
+// Fields that are approximate by design (built from each song's top words only)
+const APPROXIMATE = ['topWords', 'signatureWords'];
+// Per-line ratios, rebuilt from songs' rounded values
+const ROUNDED = ['avgLineLength', 'chorusRatio', 'rhymeDensity'];
+
+describe('rollupAlbum', () => {
+  const raw = rawCatalog();
+  const catalog = buildCatalog(raw.albums, raw.songs);
+  const songsOf = albumId => catalog.songs.filter(song => song.album_id === albumId);
+
+  it.each(catalog.albums.map(album => [album.display_name, album]))('matches the server rollup for %s', (name, album) => {
+    const rolled = rollupAlbum({ id: album.id }, songsOf(album.id));
+
+    Object.keys(rolled)
+      .filter(key => key !== 'id' && !APPROXIMATE.includes(key))
+      .forEach(key => {
+        if (ROUNDED.includes(key)) {
+          expect(Math.abs(rolled[key] - album[key])).toBeLessThanOrEqual(1);
+        } else {
+          expect([key, rolled[key]]).toEqual([key, album[key]]);
+        }
+      });
+  });
+
+  it('leaves songs without audio features out of audio averages', () => {
+    const album = catalog.albums[0];
+    const songs = songsOf(album.id);
+    const withAudio = songs.filter(song => song.hasAudioFeatures);
+
+    expect(withAudio.length).toBeLessThan(songs.length);
+    expect(rollupAlbum(album, songs).avgTempo)
+      .toBe(Math.round(withAudio.reduce((sum, song) => sum + song.avgTempo, 0) / withAudio.length));
+  });
+
+  it('recomputes lists and counts for a subset of songs', () => {
+    const album = catalog.albums[0];
+    const [first] = songsOf(album.id);
+    const rolled = rollupAlbum(album, [first]);
+
+    expect(rolled.songCount).toBe(1);
+    expect(rolled.wordCount).toBe(first.wordCount);
+    expect(rolled.coWritersList).toEqual(first.coWritersList);
+    expect(rolled.coWriterCount).toBe(first.coWritersList.length);
+    expect(rolled.display_name).toBe(album.display_name);
+  });
+
+  it('gives albums with no rated songs the default intensity', () => {
+    const album = catalog.albums[0];
+    const unrated = songsOf(album.id).filter(song => !song.emotionalIntensity);
+
+    expect(rollupAlbum(album, unrated).avgIntensity).toBe(50);
+  });
+});
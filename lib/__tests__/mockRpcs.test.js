@@ -0,0 +1,180 @@
+import { createMockDatabase, runQuery, runRpc } from '../../api/_lib/mock/supabase';
+
+// The mock's copies of the database functions in db/migrations
+
+function addProfile(db, shareId, row = {}) {
+  runQuery(db, {
+    table: 'shared_profiles',
+    action: 'insert',
+    values: { share_id: shareId, profile_data: { artistId: 'taylor-swift' }, ...row },
+  });
+}
+
+describe('create_group_comparison', () => {
+  let db;
+  beforeEach(() => {
+    db = createMockDatabase();
+    ['aaaaaaaa', 'bbbbbbbb', 'cccccccc'].forEach(shareId => addProfile(db, shareId));
+  });
+
+  it('stores only the members', () => {
+    const { error } = runRpc(db, 'create_group_comparison', {
+      p_group_id: 'GrOuP123',
+      p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'cccccccc'],
+    });
+
+    expect(error).toBeNull();
+    expect(db.tables.group_comparisons).toEqual([
+      expect.objectContaining({ group_id: 'GrOuP123', artist_id: 'taylor-swift', share_ids: ['aaaaaaaa', 'bbbbbbbb', 'cccccccc'] }),
+    ]);
+    expect(db.tables.group_comparisons[0]).not.toHaveProperty('result');
+  });
+
+  it.each([
+    ['too few members', ['aaaaaaaa', 'bbbbbbbb']],
+    ['repeated members', ['aaaaaaaa', 'bbbbbbbb', 'bbbbbbbb']],
+    ['unknown profiles', ['aaaaaaaa', 'bbbbbbbb', 'zzzzzzzz']],
+  ])('refuses %s', (_, shareIds) => {
+    const { error } = runRpc(db, 'create_group_comparison', { p_group_id: 'GrOuP123', p_share_ids: shareIds });
+
+    expect(error).not.toBeNull();
+    expect(db.tables.group_comparisons || []).toHaveLength(0);
+  });
+
+  it.each([
+    ['friends-only', { visibility: 'friends' }],
+    ['link-only', { visibility: 'link' }],
+    ['expired', { expires_at: '2000-01-01T00:00:00.000Z' }],
+    ['revoked', { revoked_at: '2000-01-01T00:00:00.000Z' }],
+  ])('refuses %s members', (_, row) => {
+    addProfile(db, 'dddddddd', row);
+    const { error } = runRpc(db, 'create_group_comparison', {
+      p_group_id: 'GrOuP123',
+      p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'dddddddd'],
+    });
+
+    expect(error.code).toBe('42501');
+  });
+
+  it('refuses members of different artists', () => {
+    addProfile(db, 'dddddddd', { artist_id: 'another-artist' });
+    const { error } = runRpc(db, 'create_group_comparison', {
+      p_group_id: 'GrOuP123',
+      p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'dddddddd'],
+    });
+
+    expect(error).not.toBeNull();
+  });
+});
+
+describe('upsert_comparison', () => {
+  const compare = (db, viewer, viewed, userId) => runRpc(db, 'upsert_comparison', {
+    p_viewer_share_id: viewer,
+    p_viewed_share_id: viewed,
+    p_score: 80,
+    p_viewer_albums: [],
+    p_viewer_album_names: {},
+  }, { userId });
+  const status = (db, shareId, userId) =>
+    runRpc(db, 'get_shared_profiles', { p_share_ids: [shareId] }, { userId }).data[0].status;
+
+  let db;
+  beforeEach(() => {
+    db = createMockDatabase();
+    addProfile(db, 'hidden01', { user_id: 'owner', visibility: 'friends' });
+    addProfile(db, 'mallory1', { user_id: 'mallory' });
+  });
+
+  it("refuses comparisons from someone else's profile", () => {
+    const { error } = compare(db, 'hidden01', 'mallory1', 'mallory');
+
+    expect(error.code).toBe('42501');
+    expect(db.tables.comparisons).toHaveLength(0);
+    expect(status(db, 'hidden01', 'mallory')).toBe('private');
+  });
+
+  it("makes the viewed profile's owner a friend when the owner compares", () => {
+    expect(compare(db, 'hidden01', 'mallory1', 'owner').error).toBeNull();
+    expect(status(db, 'hidden01', 'mallory')).toBe('available');
+  });
+
+  it('still accepts comparisons from unowned profiles', () => {
+    addProfile(db, 'unowned1');
+
+    expect(compare(db, 'unowned1', 'mallory1', null).error).toBeNull();
+    expect(db.tables.comparisons).toHaveLength(1);
+  });
+});
+
+describe('revoke_shared_profile', () => {
+  let db;
+  beforeEach(() => {
+    db = createMockDatabase();
+    ['aaaaaaaa', 'bbbbbbbb', 'cccccccc'].forEach(shareId => addProfile(db, shareId));
+    addProfile(db, 'revoked1', { user_id: 'owner' });
+    runRpc(db, 'create_group_comparison', { p_group_id: 'Small123', p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'revoked1'] });
+    runRpc(db, 'create_group_comparison', {
+      p_group_id: 'Large123',
+      p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'cccccccc', 'revoked1'],
+    });
+    runRpc(db, 'create_group_comparison', { p_group_id: 'Other123', p_share_ids: ['aaaaaaaa', 'bbbbbbbb', 'cccccccc'] });
+  });
+
+  it('removes the profile from saved groups', () => {
+    expect(runRpc(db, 'revoke_shared_profile', { p_share_id: 'revoked1' }, { userId: 'owner' }).error).toBeNull();
+
+    expect(db.tables.group_comparisons.map(row => [row.group_id, row.share_ids])).toEqual([
+      ['Large123', ['aaaaaaaa', 'bbbbbbbb', 'cccccccc']],
+      ['Other123', ['aaaaaaaa', 'bbbbbbbb', 'cccccccc']],
+    ]);
+  });
+
+  it("leaves groups alone when it isn't the owner revoking", () => {
+    expect(runRpc(db, 'revoke_shared_profile', { p_share_id: 'revoked1' }, { userId: 'mallory' }).error.code).toBe('42501');
+    expect(db.tables.group_comparisons).toHaveLength(3);
+  });
+});
+
+describe('rescore_comparison', () => {
+  const rescore = (db, viewer, viewed, userId) => runRpc(db, 'rescore_comparison', {
+    p_viewer_share_id: viewer,
+    p_viewed_share_id: viewed,
+    p_score: 55,
+    p_scoring_version: 2,
+    p_viewer_profile_version: 'v1',
+    p_viewed_profile_version: 'v2',
+  }, { userId });
+
+  let db;
+  beforeEach(() => {
+    db = createMockDatabase();
+    addProfile(db, 'viewer01', { user_id: 'viewer' });
+    addProfile(db, 'viewed01', { user_id: 'owner' });
+    runRpc(db, 'upsert_comparison', {
+      p_viewer_share_id: 'viewer01',
+      p_viewed_share_id: 'viewed01',
+      p_score: 80,
+      p_viewer_albums: [],
+      p_viewer_album_names: {},
+    }, { userId: 'viewer' });
+  });
+
+  it("lets the viewed profile's owner update the score and history", () => {
+    expect(rescore(db, 'viewer01', 'viewed01', 'owner').error).toBeNull();
+
+    expect(db.tables.comparisons[0]).toMatchObject({ score: 55, scoring_version: 2, viewed_profile_version: 'v2' });
+    expect(db.tables.comparison_scores.map(row => row.score)).toEqual([80, 55]);
+  });
+
+  it('refuses anyone else', () => {
+    expect(rescore(db, 'viewer01', 'viewed01', 'viewer').error.code).toBe('42501');
+    expect(db.tables.comparisons[0].score).toBe(80);
+  });
+
+  it("doesn't record new comparisons", () => {
+    addProfile(db, 'mallory1', { user_id: 'mallory' });
+
+    expect(rescore(db, 'viewed01', 'mallory1', 'mallory').error).toBeNull();
+    expect(db.tables.comparisons).toHaveLength(1);
+  });
+});
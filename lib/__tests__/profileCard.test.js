@@ -0,0 +1,112 @@
+import fs from 'fs';
+import { parseProfileParam } from '../../api/_lib/sharedProfiles';
+import { describeProfile, profileCardSvg } from '../../api/_lib/profileCard';
+import profiles from './fixtures/profiles.json';
+
+const ALBUM = 'album-1';
+const SONG = 'song-1';
+
+// A profile whose names and lyric would break out of the SVG if they weren't escaped
+function hostileProfile() {
+  return {
+    topAlbums: [ALBUM],
+    albumNames: { [ALBUM]: '</text><script>alert(1)</script>' },
+    albumColors: { [ALBUM]: '"/><image href="https://evil.example/x.png' },
+    albumSongs: { [ALBUM]: [SONG] },
+    songNames: { [SONG]: 'Tom & "Jerry"' },
+    songLyrics: { [SONG]: '<a href="x">click</a>' },
+  };
+}
+
+describe('parseProfileParam', () => {
+  it.each([
+    ['aB3dE5gH', 'aB3dE5gH'],
+    ['@folklore_fan', '@folklore_fan'],
+    ['%40folklore_fan', '@folklore_fan'],
+  ])('accepts %p', (param, expected) => {
+    expect(parseProfileParam(param)).toBe(expected);
+  });
+
+  it.each(['', '@ab', `@${'a'.repeat(21)}`, 'has space', '../etc/passwd', 'a'.repeat(65), undefined, ['aB3dE5gH']])(
+    'rejects %p',
+    param => {
+      expect(parseProfileParam(param)).toBeNull();
+    },
+  );
+});
+
+describe('describeProfile', () => {
+  it('names the top albums', () => {
+    expect(describeProfile(profiles.folkloreFirst)).toEqual({
+      title: 'Swiftie Profile: folklore at #1',
+      description: "Top albums: folklore, evermore, Red (Taylor's Version). Compare your rankings on Swiftie Ranker.",
+    });
+  });
+
+  it('falls back to generic text without album names', () => {
+    expect(describeProfile({ topAlbums: [ALBUM] })).toEqual({
+      title: 'Swiftie Profile',
+      description: 'Compare your rankings on Swiftie Ranker.',
+    });
+  });
+});
+
+describe('profileCardSvg', () => {
+  it('escapes names and lyrics', () => {
+    const svg = profileCardSvg(hostileProfile());
+
+    expect(svg).not.toContain('<script>');
+    expect(svg).not.toContain('<a href');
+    expect(svg).toContain('&lt;/text&gt;&lt;script&gt;');
+    expect(svg).toContain('Tom &amp; &quot;Jerry&quot;');
+    expect(svg).toContain('&lt;a href=&quot;x&quot;&gt;click&lt;/a&gt;');
+  });
+
+  it('only uses hex album colors', () => {
+    const svg = profileCardSvg(hostileProfile());
+
+    expect(svg).not.toContain('evil.example');
+    expect(svg).toContain('fill="#64748b"');
+  });
+});
+
+describe('GET /p/<id>', () => {
+  let handler;
+  beforeEach(() => {
+    process.env.MOCK_BACKEND = 'true';
+    // No build here: reading the app shell fails
+    jest.spyOn(fs, 'readFileSync').mockImplementation(() => {
+      throw Object.assign(new Error('ENOENT: no such file or directory'), { code: 'ENOENT' });
+    });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.isolateModules(() => {
+      handler = require('../../api/profile-page');
+    });
+  });
+  afterEach(() => jest.restoreAllMocks());
+
+  const render = async (headers = {}) => {
+    const res = { headers: {} };
+    res.setHeader = (name, value) => { res.headers[name] = value; };
+    res.status = () => res;
+    res.send = body => { res.body = body; return res; };
+    await handler({ method: 'GET', query: { id: 'missing1' }, headers }, res);
+    return res;
+  };
+
+  it('links to the configured site, never the Host header', async () => {
+    const res = await render({ host: 'evil.example', 'x-forwarded-host': 'evil.example' });
+
+    expect(res.body).not.toContain('evil.example');
+    expect(res.body).toContain('content="https://swiftieranker.com"');
+  });
+
+  it('tries to read a missing app shell only once', async () => {
+    await render();
+    const res = await render();
+
+    expect(res.body).toContain('<a href="/">Open Swiftie Ranker</a>');
+    expect(fs.readFileSync).toHaveBeenCalledTimes(1);
+    expect(console.error).toHaveBeenCalledTimes(1);
+  });
+});
@@ -0,0 +1,31 @@
+import { normalizeHandle, handleFromParam, profilePath } from '../shareLinks';
+
+describe('normalizeHandle', () => {
+  it('cleans up a handle as typed', () => {
+    expect(normalizeHandle(' @Folklore_Fan ')).toBe('folklore_fan');
+    expect(normalizeHandle('cardigan13')).toBe('cardigan13');
+  });
+
+  it.each(['', 'ab', 'a'.repeat(21), 'has space', 'dash-ed', '@@double', null])('rejects %p', text => {
+    expect(normalizeHandle(text)).toBeNull();
+  });
+});
+
+describe('handleFromParam', () => {
+  it('reads "@name" route parameters, encoded or not', () => {
+    expect(handleFromParam('@folklore_fan')).toBe('folklore_fan');
+    expect(handleFromParam('%40Folklore_Fan')).toBe('folklore_fan');
+  });
+
+  it('leaves share IDs alone', () => {
+    expect(handleFromParam('aB3dE5gH')).toBeNull();
+    expect(handleFromParam(undefined)).toBeNull();
+  });
+});
+
+describe('profilePath', () => {
+  it('prefers the handle', () => {
+    expect(profilePath({ shareId: 'aB3dE5gH', handle: 'folklore_fan' })).toBe('/p/@folklore_fan');
+    expect(profilePath({ shareId: 'aB3dE5gH' })).toBe('/p/aB3dE5gH');
+  });
+});
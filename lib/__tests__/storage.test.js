@@ -0,0 +1,208 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import {
+  saveProfile,
+  loadProfile,
+  clearProfile,
+  createEmptyProfile,
+  loadCustomMetrics,
+  saveCustomMetrics,
+  saveShareId,
+  loadShareId,
+  clearShareId,
+  saveComparison,
+  loadComparisons,
+  getComparisonCount,
+  savePendingComparison,
+  loadPendingComparison,
+  saveCatalogSnapshot,
+  loadCatalogSnapshot,
+} from '../storage';
+import profiles from './fixtures/profiles.json';
+
+// AsyncStorage comes from __mocks__/@react-native-async-storage (in memory)
+
+beforeEach(async () => {
+  await AsyncStorage.clear();
+  jest.clearAllMocks();
+});
+
+describe('profiles', () => {
+  it('round-trips a profile', async () => {
+    expect(await saveProfile(profiles.folkloreFirst)).toBe(true);
+
+    const loaded = await loadProfile();
+    expect(loaded.topAlbums).toEqual(profiles.folkloreFirst.topAlbums);
+    expect(loaded.albumWeights).toEqual(profiles.folkloreFirst.albumWeights);
+    expect(loaded.updatedAt).toEqual(expect.any(String));
+  });
+
+  it('keeps the default artist on the original key', async () => {
+    await saveProfile(profiles.folkloreFirst);
+    expect(await AsyncStorage.getItem('@swiftie_profile')).not.toBeNull();
+  });
+
+  it('keeps one profile per artist', async () => {
+    await saveProfile(profiles.folkloreFirst);
+    await saveProfile(profiles.otherArtist);
+
+    expect((await loadProfile('taylor-swift')).artistId).toBe('taylor-swift');
+    expect((await loadProfile('olivia-rodrigo')).artistId).toBe('olivia-rodrigo');
+    expect(await AsyncStorage.getItem('@swiftie_profile:olivia-rodrigo')).not.toBeNull();
+  });
+
+  it('loads profiles saved before multi-artist support as the default artist', async () => {
+    await AsyncStorage.setItem('@swiftie_profile', JSON.stringify(profiles.legacyUnweighted));
+    expect((await loadProfile()).artistId).toBe('taylor-swift');
+  });
+
+  it('returns null when there is no profile', async () => {
+    expect(await loadProfile()).toBeNull();
+  });
+
+  it('clears a profile', async () => {
+    await saveProfile(profiles.folkloreFirst);
+    expect(await clearProfile()).toBe(true);
+    expect(await loadProfile()).toBeNull();
+  });
+
+  it('reports failures instead of throwing', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    AsyncStorage.setItem.mockRejectedValueOnce(new Error('disk full'));
+
+    expect(await saveProfile(profiles.folkloreFirst)).toBe(false);
+    expect(console.error).toHaveBeenCalledWith('Error saving profile:', expect.any(Error));
+    console.error.mockRestore();
+  });
+
+  it('creates an empty profile for an artist', () => {
+    const profile = createEmptyProfile('olivia-rodrigo');
+    expect(profile.artistId).toBe('olivia-rodrigo');
+    expect(profile.topAlbums).toEqual([]);
+    expect(profile.isComplete).toBe(false);
+  });
+});
+
+describe('custom metrics', () => {
+  const metric = { id: 'm1', label: 'Avg sadness', formula: 'sadness', aggregate: 'avg', suffix: '' };
+
+  it('creates a profile to hold them if needed', async () => {
+    expect(await saveCustomMetrics([metric])).toBe(true);
+    expect(await loadCustomMetrics()).toEqual([metric]);
+  });
+
+  it('survives saving a stale copy of the profile', async () => {
+    await saveProfile(profiles.folkloreFirst);
+    await saveCustomMetrics([metric]);
+    await saveProfile({ ...profiles.folkloreFirst, customMetrics: [] });
+
+    expect(await loadCustomMetrics()).toEqual([metric]);
+  });
+});
+
+describe('share IDs', () => {
+  it('keeps one share ID per artist', async () => {
+    await saveShareId('abc123');
+    await saveShareId('xyz789', 'olivia-rodrigo');
+
+    expect(await loadShareId()).toBe('abc123');
+    expect(await loadShareId('olivia-rodrigo')).toBe('xyz789');
+  });
+
+  it('clears the share ID for one artist', async () => {
+    await saveShareId('abc123');
+    await saveShareId('xyz789', 'olivia-rodrigo');
+    expect(await clearShareId('olivia-rodrigo')).toBe(true);
+
+    expect(await loadShareId()).toBe('abc123');
+    expect(await loadShareId('olivia-rodrigo')).toBeNull();
+  });
+});
+
+describe('comparisons', () => {
+  const comparison = (shareId, artistId = 'taylor-swift') => ({ shareId, artistId, score: 50 });
+
+  it('adds new comparisons to the front', async () => {
+    await saveComparison(comparison('first'));
+    await saveComparison(comparison('second'));
+
+    expect((await loadComparisons()).map(c => c.shareId)).toEqual(['second', 'first']);
+  });
+
+  it('replaces a comparison with the same share ID in place', async () => {
+    await saveComparison(comparison('first'));
+    await saveComparison(comparison('second'));
+    await saveComparison({ ...comparison('first'), score: 90 });
+
+    const saved = await loadComparisons();
+    expect(saved.map(c => c.shareId)).toEqual(['second', 'first']);
+    expect(saved[1].score).toBe(90);
+  });
+
+  it('keeps the score history of the comparison it replaces', async () => {
+    await saveComparison({ ...comparison('first'), history: [{ score: 50, scoringVersion: 2 }] });
+    await saveComparison({ ...comparison('first'), score: 58, history: [{ score: 58, scoringVersion: 2 }] });
+
+    const [saved] = await loadComparisons();
+    expect(saved.score).toBe(58);
+    expect(saved.history.map(entry => entry.score)).toEqual([50, 58]);
+  });
+
+  it('keeps only the 50 most recent', async () => {
+    for (let i = 0; i < 55; i++) {
+      await saveComparison(comparison(`share-${i}`));
+    }
+
+    const saved = await loadComparisons();
+    expect(saved).toHaveLength(50);
+    expect(saved[0].shareId).toBe('share-54');
+  });
+
+  it('filters by artist', async () => {
+    await saveComparison(comparison('ts'));
+    await saveComparison(comparison('or', 'olivia-rodrigo'));
+    await saveComparison({ shareId: 'legacy', score: 10 });
+
+    expect(await getComparisonCount()).toBe(3);
+    expect((await loadComparisons('taylor-swift')).map(c => c.shareId)).toEqual(['legacy', 'ts']);
+    expect(await getComparisonCount('olivia-rodrigo')).toBe(1);
+  });
+});
+
+describe('pending comparison', () => {
+  it('is kept for 24 hours', async () => {
+    await savePendingComparison({ shareId: 'abc123', profile: profiles.popEra });
+    expect((await loadPendingComparison()).shareId).toBe('abc123');
+  });
+
+  it('expires after 24 hours', async () => {
+    const savedAt = new Date(Date.now() - 25 * 60 * 60 * 1000).toISOString();
+    await AsyncStorage.setItem('@swiftie_pending_compare', JSON.stringify({ shareId: 'abc123', savedAt }));
+
+    expect(await loadPendingComparison()).toBeNull();
+    expect(await AsyncStorage.getItem('@swiftie_pending_compare')).toBeNull();
+  });
+});
+
+describe('catalog snapshot', () => {
+  const catalog = { albums: [{ id: 'a1' }], songs: [{ id: 's1' }], version: 'v1' };
+
+  it('round-trips per artist', async () => {
+    await saveCatalogSnapshot(catalog);
+    await saveCatalogSnapshot({ ...catalog, version: 'v2', artistId: 'olivia-rodrigo' });
+
+    expect((await loadCatalogSnapshot()).version).toBe('v1');
+    expect((await loadCatalogSnapshot('olivia-rodrigo')).version).toBe('v2');
+  });
+
+  it('drops snapshots from an older schema', async () => {
+    await AsyncStorage.setItem('@swiftie_catalog', JSON.stringify({ ...catalog, schemaVersion: 1 }));
+
+    expect(await loadCatalogSnapshot()).toBeNull();
+    expect(await AsyncStorage.getItem('@swiftie_catalog')).toBeNull();
+  });
+
+  it('drops empty snapshots', async () => {
+    await saveCatalogSnapshot({ ...catalog, albums: [] });
+    expect(await loadCatalogSnapshot()).toBeNull();
+  });
+});
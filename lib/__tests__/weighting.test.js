@@ -0,0 +1,151 @@
+import fc from 'fast-check';
+import {
+  linearAllocation,
+  generateAllocation,
+  allocateToItems,
+  normalizeWeights,
+  validateWeights,
+  WEIGHT_PRESETS,
+} from '../weighting';
+
+const PRESETS = Object.keys(WEIGHT_PRESETS);
+const sum = values => values.reduce((a, b) => a + b, 0);
+const isNonIncreasing = values => values.every((value, i) => i === 0 || value <= values[i - 1]);
+
+describe('linearAllocation', () => {
+  it('gives the top rank the biggest share', () => {
+    expect(linearAllocation(1, 3)).toBe(50);
+    expect(linearAllocation(2, 3)).toBe(33);
+    expect(linearAllocation(3, 3)).toBe(17);
+  });
+});
+
+describe('generateAllocation', () => {
+  // The three-album profile is what ProfileBuilder actually asks for
+  it.each([
+    ['balanced', [50, 33, 17]],
+    ['oneFavorite', [50, 25, 25]],
+    ['topHeavy', [34, 33, 33]],
+  ])('allocates three albums with %s', (preset, expected) => {
+    expect(generateAllocation(3, preset)).toEqual(expected);
+  });
+
+  it('falls back to balanced for unknown presets', () => {
+    expect(generateAllocation(4, 'nope')).toEqual(generateAllocation(4, 'balanced'));
+  });
+
+  it.each(PRESETS)('gives a single item everything with %s', preset => {
+    expect(generateAllocation(1, preset)).toEqual([100]);
+  });
+
+  it.each(PRESETS)('returns nothing for no items with %s', preset => {
+    expect(generateAllocation(0, preset)).toEqual([]);
+    expect(generateAllocation(-2, preset)).toEqual([]);
+  });
+
+  it('keeps oneFavorite in rank order when the rest does not split evenly', () => {
+    expect(generateAllocation(4, 'oneFavorite')).toEqual([50, 17, 17, 16]);
+  });
+
+  it('splits topHeavy 70/30 once there are more than three items', () => {
+    const allocation = generateAllocation(6, 'topHeavy');
+    expect(sum(allocation.slice(0, 3))).toBe(70);
+    expect(sum(allocation.slice(3))).toBe(30);
+  });
+
+  describe('properties', () => {
+    const count = fc.integer({ min: 1, max: 60 });
+    const preset = fc.constantFrom(...PRESETS);
+
+    it('always sums to 100 with one non-negative integer per item', () => {
+      fc.assert(fc.property(count, preset, (n, p) => {
+        const allocation = generateAllocation(n, p);
+        expect(allocation).toHaveLength(n);
+        expect(sum(allocation)).toBe(100);
+        allocation.forEach(points => {
+          expect(Number.isInteger(points)).toBe(true);
+          expect(points).toBeGreaterThanOrEqual(0);
+        });
+      }));
+    });
+
+    it('never ranks a lower item above a higher one (balanced, oneFavorite)', () => {
+      fc.assert(fc.property(count, fc.constantFrom('balanced', 'oneFavorite'), (n, p) => {
+        expect(isNonIncreasing(generateAllocation(n, p))).toBe(true);
+      }));
+    });
+  });
+});
+
+describe('allocateToItems', () => {
+  it('maps ranked ids to their allocation', () => {
+    expect(allocateToItems(['a', 'b', 'c'], 'oneFavorite')).toEqual({ a: 50, b: 25, c: 25 });
+  });
+
+  it('handles an empty ranking', () => {
+    expect(allocateToItems([])).toEqual({});
+  });
+});
+
+describe('normalizeWeights', () => {
+  it('scales weights to 100', () => {
+    expect(normalizeWeights({ a: 2, b: 1, c: 1 })).toEqual({ a: 50, b: 25, c: 25 });
+  });
+
+  it('does not push the last item negative when earlier items round up', () => {
+    const weights = { a: 1, b: 1, c: 1, d: 1, e: 1, f: 1, g: 0 };
+    const normalized = normalizeWeights(weights);
+    expect(sum(Object.values(normalized))).toBe(100);
+    expect(normalized.g).toBe(0);
+    Object.values(normalized).forEach(points => expect(points).toBeGreaterThanOrEqual(0));
+  });
+
+  it('leaves all-zero weights alone', () => {
+    const weights = { a: 0, b: 0 };
+    expect(normalizeWeights(weights)).toBe(weights);
+  });
+
+  describe('properties', () => {
+    const weights = fc.array(fc.integer({ min: 0, max: 1000 }), { minLength: 1, maxLength: 40 })
+      .filter(values => sum(values) > 0)
+      .map(values => Object.fromEntries(values.map((value, i) => [`item-${i}`, value])));
+
+    it('always sums to 100 with non-negative integers and the same keys', () => {
+      fc.assert(fc.property(weights, w => {
+        const normalized = normalizeWeights(w);
+        expect(Object.keys(normalized)).toEqual(Object.keys(w));
+        expect(validateWeights(normalized)).toBe(true);
+        Object.values(normalized).forEach(points => {
+          expect(Number.isInteger(points)).toBe(true);
+          expect(points).toBeGreaterThanOrEqual(0);
+        });
+      }));
+    });
+
+    it('keeps the order of the input weights', () => {
+      fc.assert(fc.property(weights, w => {
+        const normalized = normalizeWeights(w);
+        const ids = Object.keys(w);
+        ids.forEach(a => ids.forEach(b => {
+          if (w[a] > w[b]) expect(normalized[a]).toBeGreaterThanOrEqual(normalized[b]);
+        }));
+      }));
+    });
+
+    it('is stable on weights that already sum to 100', () => {
+      fc.assert(fc.property(fc.integer({ min: 1, max: 60 }), fc.constantFrom(...PRESETS), (n, p) => {
+        const ids = Array.from({ length: n }, (_, i) => `album-${i}`);
+        const allocated = allocateToItems(ids, p);
+        expect(normalizeWeights(allocated)).toEqual(allocated);
+      }));
+    });
+  });
+});
+
+describe('validateWeights', () => {
+  it('accepts exactly 100', () => {
+    expect(validateWeights({ a: 60, b: 40 })).toBe(true);
+    expect(validateWeights({ a: 60, b: 41 })).toBe(false);
+    expect(validateWeights({})).toBe(false);
+  });
+});
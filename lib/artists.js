@@ -0,0 +1,73 @@
+/**
+ * Artist registry
+ *
+ * Every album and song row carries an `artist_id` matching one of these ids,
+ * and the id doubles as the URL prefix for that artist's screens
+ * ("/<artist-id>/album/<slug>"). Onboarding a new catalog means
+ * importing its rows with the new artist_id and adding an entry here.
+ *
+ * The default artist keeps the unprefixed routes ("/album/folklore") and the
+ * original storage keys, so existing links and saved profiles keep working.
+ * The server default lives in api/_lib/catalog.js (DEFAULT_ARTIST_ID).
+ */
+
+export const DEFAULT_ARTIST_ID = 'taylor-swift';
+
+/**
+ * Artists in dropdown order
+ * - available: false lists the artist but keeps it unselectable (catalog still importing)
+ */
+export const ARTISTS = [
+  { id: 'taylor-swift', name: 'Taylor Swift', available: true },
+];
+
+// Top-level routes that aren't about one artist - visiting them keeps the current artist
+const UNSCOPED_ROUTES = ['premium', 'p', 'group', 'g'];
+
+/**
+ * @param {string} artistId
+ * @returns {object|undefined} - Registry entry
+ */
+export function getArtist(artistId) {
+  return ARTISTS.find(artist => artist.id === artistId);
+}
+
+/**
+ * Whether an id names a selectable artist
+ */
+export function isAvailableArtist(artistId) {
+  return getArtist(artistId)?.available === true;
+}
+
+/**
+ * Artist a profile, comparison or shared profile belongs to
+ * (anything saved before multi-artist support is the default artist's)
+ * @param {object} item - Anything with an optional `artistId`
+ */
+export function artistOf(item) {
+  return item?.artistId || DEFAULT_ARTIST_ID;
+}
+
+/**
+ * In-app path for an artist's screen
+ * @param {string} artistId
+ * @param {string} path - Unprefixed route ("/", "/album/folklore?sort=value")
+ * @returns {string} - e.g. "/<artist-id>/album/folklore"; unchanged for the default artist
+ */
+export function artistPath(artistId, path = '/') {
+  if (!artistId || artistId === DEFAULT_ARTIST_ID) return path;
+  if (path === '/' || path.startsWith('/?')) return `/${artistId}${path.slice(1)}`;
+  return `/${artistId}${path}`;
+}
+
+/**
+ * Artist a pathname is scoped to
+ * @param {string} pathname - From usePathname()
+ * @returns {string|null} - Artist id, or null for routes that aren't artist-scoped
+ */
+export function artistFromPath(pathname = '/') {
+  const [first] = pathname.split('/').filter(Boolean);
+  if (first && getArtist(first)) return first;
+  if (first && UNSCOPED_ROUTES.includes(first)) return null;
+  return DEFAULT_ARTIST_ID;
+}
@@ -0,0 +1,135 @@
+/**
+ * Keeping my comparisons up to date
+ *
+ * A comparison records the versions of both profiles it was scored against
+ * (profileVersion in lib/compatibility.js). When either side's shared
+ * profile changes - or the scoring formula does - the comparison is scored
+ * again and the new score added to its history. Each side re-scores for
+ * its own change: the viewer in refreshComparisons, the viewed profile's
+ * owner in refreshIncomingComparisons.
+ */
+
+import { DEFAULT_ARTIST_ID } from './artists';
+import {
+  calculateCompatibility,
+  comparisonVersion,
+  createComparisonRecord,
+  profileVersion,
+  SCORING_VERSION,
+} from './compatibility';
+import { loadComparisons, loadProfile, loadShareId, saveComparison } from './storage';
+import {
+  fetchIncomingComparisons,
+  fetchSharedProfile,
+  fetchSharedProfiles,
+  rescoreIncomingComparison,
+  saveComparisonToSupabase,
+} from './supabase';
+
+/**
+ * Whether a comparison was scored against these profiles with the current formula
+ */
+function isCurrent(comparison, myVersion, theirVersion) {
+  return comparisonVersion(comparison) === SCORING_VERSION
+    && comparison.myProfileVersion === myVersion
+    && comparison.theirProfileVersion === theirVersion;
+}
+
+/**
+ * Re-score my comparisons whose profiles have changed since they were scored
+ * Comparisons with profiles that are no longer shared are left as they are.
+ * Re-scored comparisons are also sent to Supabase when I have a share ID,
+ * so the other person sees the new score in their "Compared with you" list.
+ * When that fails the record is marked pendingUpload and sent again on the
+ * next refresh.
+ * @param {string} artistId
+ * @returns {Promise<Array>} - My comparisons for the artist, after refreshing
+ */
+export async function refreshComparisons(artistId = DEFAULT_ARTIST_ID) {
+  let comparisons = [];
+  try {
+    const [myProfile, myShareId, stored] = await Promise.all([
+      loadProfile(artistId),
+      loadShareId(artistId),
+      loadComparisons(artistId),
+    ]);
+    comparisons = stored;
+    if (!myProfile?.topAlbums?.length || comparisons.length === 0) return comparisons;
+
+    const myVersion = profileVersion(myProfile);
+    const shared = await fetchSharedProfiles(comparisons.map(c => c.shareId));
+    let refreshed = 0;
+
+    for (const { shareId, profile: theirProfile } of shared) {
+      const comparison = comparisons.find(c => c.shareId === shareId);
+      if (isCurrent(comparison, myVersion, profileVersion(theirProfile)) && !comparison.pendingUpload) continue;
+
+      const result = calculateCompatibility(myProfile, theirProfile);
+      if (!result) continue;
+
+      const record = createComparisonRecord(shareId, theirProfile, result.score, result.version, myProfile);
+      let uploaded = true;
+      if (myShareId) {
+        uploaded = await saveComparisonToSupabase(myShareId, shareId, result.score, {
+          topAlbums: myProfile.topAlbums,
+          albumNames: {},
+        }, result.version, {
+          viewerProfileVersion: record.myProfileVersion,
+          viewedProfileVersion: record.theirProfileVersion,
+        });
+      }
+
+      // An unchanged score doesn't add to the history, so retrying only re-sends it
+      await saveComparison(uploaded ? record : { ...record, pendingUpload: true });
+      refreshed++;
+    }
+
+    return refreshed > 0 ? await loadComparisons(artistId) : comparisons;
+  } catch (error) {
+    console.error('Error refreshing comparisons:', error);
+    return comparisons;
+  }
+}
+
+/**
+ * Re-score comparisons made with my shared profile that were scored against
+ * an older version of it (or an older formula), using each viewer's shared
+ * profile. Viewers whose profiles I can't open are left as they are.
+ * Runs after I update my shared profile and when the leaderboard opens.
+ * @param {string} myShareId - My share ID
+ * @returns {Promise<Array>} - Incoming comparisons, as fetchIncomingComparisons, after re-scoring
+ */
+export async function refreshIncomingComparisons(myShareId) {
+  let incoming = [];
+  try {
+    const [mine, rows] = await Promise.all([fetchSharedProfile(myShareId), fetchIncomingComparisons(myShareId)]);
+    incoming = rows;
+    const myProfile = mine?.profile;
+    if (!myProfile?.topAlbums?.length) return incoming;
+
+    const myVersion = profileVersion(myProfile);
+    const stale = incoming.filter(row =>
+      comparisonVersion(row) !== SCORING_VERSION || row.viewed_profile_version !== myVersion);
+    if (stale.length === 0) return incoming;
+
+    const viewers = await fetchSharedProfiles(stale.map(row => row.viewer_share_id));
+    let rescored = 0;
+
+    for (const { shareId, profile: theirProfile } of viewers) {
+      // Scored from the viewer's side, as they would
+      const result = calculateCompatibility(theirProfile, myProfile);
+      if (!result) continue;
+
+      const saved = await rescoreIncomingComparison(shareId, myShareId, result.score, result.version, {
+        viewerProfileVersion: profileVersion(theirProfile),
+        viewedProfileVersion: myVersion,
+      });
+      if (saved) rescored++;
+    }
+
+    return rescored > 0 ? await fetchIncomingComparisons(myShareId) : incoming;
+  } catch (error) {
+    console.error('Error refreshing incoming comparisons:', error);
+    return incoming;
+  }
+}
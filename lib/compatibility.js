@@ -1,28 +1,298 @@
 /**
  * Compatibility scoring between two Swiftie profiles
  *
- * Scoring breakdown (with weights):
- * - Album matches: Uses user's weight allocation (max 65 points)
- *   - Position match bonus: If same album is in same rank position
- *   - Any overlap bonus: If album appears anywhere in both lists
- * - Song overlaps: Uses song weights if available (max 27 points)
- * - Lyric overlaps: Bonus for same taste (max 8 points)
+ * Scores are versioned (SCORING_VERSION) - a score is only comparable with
+ * scores from the same version, so comparison records carry the version
+ * they were scored with.
+ *
+ * Version 2 (current): every component is symmetric, so both people get
+ * the same score, and each reports the points it contributed:
+ * - Album ranking (35): rank-biased overlap of the two top album lists
+ * - Album intensity (15): how similarly the albums are weighted
+ * - Songs (35): rank-biased overlap of the songs picked for each album,
+ *   weighted by how much both care about that album
+ * - Lyrics (15): lyrics picked from the same songs, and how close the lines are
  * Total possible: 100 points
  *
- * Legacy support: Falls back to position-based scoring if no weights
+ * Version 1 (legacy): position matches + flat song/lyric bonuses. Kept so
+ * old scores can be reproduced.
+ *
+ * Profiles are per artist (lib/artists.js); two profiles for different
+ * artists can't be compared.
  */
 
+import { artistOf } from './artists';
+
+export const SCORING_VERSION = 2;
+
+// How much each rank counts relative to the one above it in rank-biased overlap
+const RANK_PERSISTENCE = 0.7;
+
+const COMPONENTS = [
+  { key: 'albums', label: 'Album ranking', maxPoints: 35 },
+  { key: 'intensity', label: 'Album intensity', maxPoints: 15 },
+  { key: 'songs', label: 'Songs', maxPoints: 35 },
+  { key: 'lyrics', label: 'Lyrics', maxPoints: 15 },
+];
+
 /**
  * Calculate compatibility score between two profiles
  * @param {object} myProfile - The viewer's profile
  * @param {object} theirProfile - The shared profile being viewed
- * @returns {object|null} - Score details or null if can't compare
+ * @param {object} options
+ * @param {number} options.version - Scoring version (defaults to the current one)
+ * @returns {object|null} - { score, version, components, breakdown, matches } or null if can't compare
  */
-export function calculateCompatibility(myProfile, theirProfile) {
+export function calculateCompatibility(myProfile, theirProfile, { version = SCORING_VERSION } = {}) {
   if (!myProfile?.topAlbums?.length || !theirProfile?.topAlbums?.length) {
     return null;
   }
+  if (artistOf(myProfile) !== artistOf(theirProfile)) {
+    return null;
+  }
+
+  return version === 1
+    ? scoreV1(myProfile, theirProfile)
+    : scoreV2(myProfile, theirProfile);
+}
+
+/**
+ * Scoring version a stored comparison was made with
+ * Local records use scoringVersion, Supabase rows scoring_version;
+ * anything saved before versioning is version 1.
+ * @param {object} comparison
+ * @returns {number}
+ */
+export function comparisonVersion(comparison) {
+  return comparison?.scoringVersion ?? comparison?.scoring_version ?? 1;
+}
+
+// ============================================
+// Version 2
+// ============================================
+
+/**
+ * Rank-biased overlap of two ranked lists (0-1)
+ * Agreement at each depth, with deeper ranks counting less. Normalized so
+ * identical lists score 1; symmetric in its arguments.
+ * @param {Array} a - Ranked ids
+ * @param {Array} b - Ranked ids
+ * @param {number} persistence - Weight of each rank relative to the one above (0-1)
+ * @returns {number}
+ */
+export function rankBiasedOverlap(a = [], b = [], persistence = RANK_PERSISTENCE) {
+  const listA = [...new Set(a)];
+  const listB = [...new Set(b)];
+  const depth = Math.max(listA.length, listB.length);
+  if (depth === 0) return 0;
+
+  const seenA = new Set();
+  const seenB = new Set();
+  let overlap = 0;
+  let agreement = 0;
+  let totalWeight = 0;
+
+  for (let d = 1; d <= depth; d++) {
+    const x = listA[d - 1];
+    const y = listB[d - 1];
+    if (x !== undefined) {
+      if (seenB.has(x)) overlap++;
+      seenA.add(x);
+    }
+    if (y !== undefined) {
+      if (seenA.has(y)) overlap++;
+      seenB.add(y);
+    }
+
+    const weight = Math.pow(persistence, d - 1);
+    agreement += weight * (overlap / d);
+    totalWeight += weight;
+  }
+
+  return agreement / totalWeight;
+}
+
+/**
+ * Share of a profile's attention on each of its top albums (sums to 1)
+ * Uses album weights when set, otherwise an even split.
+ */
+function albumShares(profile) {
+  const weights = profile.albumWeights || {};
+  const albums = profile.topAlbums;
+  const total = albums.reduce((sum, albumId) => sum + (weights[albumId] || 0), 0);
+
+  return Object.fromEntries(albums.map(albumId => [
+    albumId,
+    total > 0 ? (weights[albumId] || 0) / total : 1 / albums.length,
+  ]));
+}
+
+/**
+ * Weighted Jaccard of two album share maps (0-1)
+ */
+function intensitySimilarity(mySharesById, theirSharesById) {
+  const ids = new Set([...Object.keys(mySharesById), ...Object.keys(theirSharesById)]);
+  let shared = 0;
+  let total = 0;
+  ids.forEach(id => {
+    const mine = mySharesById[id] || 0;
+    const theirs = theirSharesById[id] || 0;
+    shared += Math.min(mine, theirs);
+    total += Math.max(mine, theirs);
+  });
+  return total > 0 ? shared / total : 0;
+}
+
+function words(line) {
+  return new Set(String(line).toLowerCase().match(/[a-z0-9']+/g) || []);
+}
+
+/**
+ * Lyric similarity (0-1), averaged over every song either profile picked a lyric from.
+ * A song scores 0 if only one of them picked from it; if both did, it scores
+ * 0.5 plus 0.5 x the word overlap (Jaccard) of the two lines.
+ */
+function lyricSimilarity(myLyrics, theirLyrics) {
+  const songIds = new Set([...Object.keys(myLyrics), ...Object.keys(theirLyrics)]);
+  if (songIds.size === 0) return { similarity: 0, sharedSongs: 0, sameLines: 0 };
+
+  let total = 0;
+  let sharedSongs = 0;
+  let sameLines = 0;
+
+  songIds.forEach(songId => {
+    if (!(songId in myLyrics) || !(songId in theirLyrics)) return;
+    sharedSongs++;
+    const mine = words(myLyrics[songId]);
+    const theirs = words(theirLyrics[songId]);
+    const union = new Set([...mine, ...theirs]);
+    const common = [...mine].filter(word => theirs.has(word)).length;
+    const lineOverlap = union.size > 0 ? common / union.size : 1;
+    if (lineOverlap === 1) sameLines++;
+    total += 0.5 + 0.5 * lineOverlap;
+  });
+
+  return { similarity: total / songIds.size, sharedSongs, sameLines };
+}
+
+function scoreV2(myProfile, theirProfile) {
+  const myAlbums = myProfile.topAlbums;
+  const theirAlbums = theirProfile.topAlbums;
+  const mySongs = myProfile.albumSongs || {};
+  const theirSongs = theirProfile.albumSongs || {};
+
+  // Albums
+  const albumSimilarity = rankBiasedOverlap(myAlbums, theirAlbums);
+  const sharedAlbums = myAlbums.filter(albumId => theirAlbums.includes(albumId)).length;
+
+  // Intensity - without weights on both sides the ranking is all there is to go on
+  const hasWeights = Object.keys(myProfile.albumWeights || {}).length > 0
+    && Object.keys(theirProfile.albumWeights || {}).length > 0;
+  const myShares = albumShares(myProfile);
+  const theirShares = albumShares(theirProfile);
+  const intensity = hasWeights ? intensitySimilarity(myShares, theirShares) : albumSimilarity;
+
+  // Songs, album by album, counting each album by how much both care about
+  // it (albums neither picked songs for don't count)
+  const albumIds = new Set([...myAlbums, ...theirAlbums]);
+  let songAgreement = 0;
+  let songImportance = 0;
+  albumIds.forEach(albumId => {
+    if (!mySongs[albumId]?.length && !theirSongs[albumId]?.length) return;
+    const importance = ((myShares[albumId] || 0) + (theirShares[albumId] || 0)) / 2;
+    songAgreement += importance * rankBiasedOverlap(mySongs[albumId], theirSongs[albumId]);
+    songImportance += importance;
+  });
+  const songSimilarity = songImportance > 0 ? songAgreement / songImportance : 0;
+  const theirSongSet = new Set(Object.values(theirSongs).flat());
+  const sharedSongs = new Set(Object.values(mySongs).flat().filter(songId => theirSongSet.has(songId))).size;
+
+  // Lyrics
+  const lyrics = lyricSimilarity(myProfile.songLyrics || {}, theirProfile.songLyrics || {});
+
+  const matches = {
+    sameFirstAlbum: myAlbums[0] === theirAlbums[0],
+    sharedAlbums,
+    hasWeights,
+    songOverlaps: sharedSongs,
+    lyricOverlaps: lyrics.sharedSongs,
+    sameLyrics: lyrics.sameLines,
+  };
+
+  const similarities = {
+    albums: albumSimilarity,
+    intensity,
+    songs: songSimilarity,
+    lyrics: lyrics.similarity,
+  };
+
+  const components = COMPONENTS.map(component => ({
+    ...component,
+    similarity: similarities[component.key],
+    points: Math.round(similarities[component.key] * component.maxPoints),
+  }));
+
+  // The breakdown always adds up to the score
+  const score = components.reduce((sum, component) => sum + component.points, 0);
+
+  return {
+    score: Math.min(Math.max(score, 0), 100),
+    version: 2,
+    components,
+    matches,
+    breakdown: describeComponents(components, matches),
+  };
+}
+
+/**
+ * One line per component, with the points it contributed
+ */
+function describeComponents(components, matches) {
+  const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
 
+  const text = {
+    albums: () => {
+      if (matches.sameFirstAlbum) {
+        return matches.sharedAlbums > 1 ? `Same #1 album, ${matches.sharedAlbums} in common` : 'Same #1 album';
+      }
+      return matches.sharedAlbums > 0
+        ? `${plural(matches.sharedAlbums, 'top album')} in common`
+        : 'No top albums in common';
+    },
+    intensity: component => {
+      if (matches.sharedAlbums === 0) return 'No shared favorites to weigh';
+      return component.similarity >= 0.5 ? 'Similar intensity for favorites' : 'Different intensity for favorites';
+    },
+    songs: () => (matches.songOverlaps > 0
+      ? `${plural(matches.songOverlaps, 'song')} in common`
+      : 'No songs in common'),
+    lyrics: () => {
+      if (matches.sameLyrics > 0) return 'Picked the same lyric';
+      return matches.lyricOverlaps > 0
+        ? `Lyrics from ${plural(matches.lyricOverlaps, 'same song')}`
+        : 'Different lyric picks';
+    },
+  };
+
+  return components.map(component => ({
+    key: component.key,
+    text: text[component.key](component),
+    points: component.points,
+    maxPoints: component.maxPoints,
+    positive: component.points > 0,
+  }));
+}
+
+// ============================================
+// Version 1 (legacy)
+// ============================================
+
+/**
+ * Weighted album position matches (max 65), songs in common (3 each) and
+ * lyric songs in common (~2.67 each), capped at 100. Falls back to plain
+ * position scoring when either profile has no weights.
+ */
+function scoreV1(myProfile, theirProfile) {
   const myAlbums = myProfile.topAlbums || [];
   const theirAlbums = theirProfile.topAlbums || [];
   const myWeights = myProfile.albumWeights || {};
@@ -49,17 +319,17 @@ export function calculateCompatibility(myProfile, theirProfile) {
     // Position matches with weight boost
     if (myAlbums[0] && myAlbums[0] === theirAlbums[0]) {
       // Same #1: average of both weights, scaled to max 30
-      const avgWeight = (myWeights[myAlbums[0]] + theirWeights[theirAlbums[0]]) / 2;
+      const avgWeight = ((myWeights[myAlbums[0]] || 0) + (theirWeights[theirAlbums[0]] || 0)) / 2;
       albumScore += (avgWeight / 100) * 30;
       matches.sameFirstAlbum = true;
     }
     if (myAlbums[1] && myAlbums[1] === theirAlbums[1]) {
-      const avgWeight = (myWeights[myAlbums[1]] + theirWeights[theirAlbums[1]]) / 2;
+      const avgWeight = ((myWeights[myAlbums[1]] || 0) + (theirWeights[theirAlbums[1]] || 0)) / 2;
       albumScore += (avgWeight / 100) * 20;
       matches.sameSecondAlbum = true;
     }
     if (myAlbums[2] && myAlbums[2] === theirAlbums[2]) {
-      const avgWeight = (myWeights[myAlbums[2]] + theirWeights[theirAlbums[2]]) / 2;
+      const avgWeight = ((myWeights[myAlbums[2]] || 0) + (theirWeights[theirAlbums[2]] || 0)) / 2;
       albumScore += (avgWeight / 100) * 15;
       matches.sameThirdAlbum = true;
     }
@@ -113,13 +383,14 @@ export function calculateCompatibility(myProfile, theirProfile) {
 
   return {
     score: finalScore,
+    version: 1,
     matches,
     breakdown: generateBreakdown(matches, hasWeights),
   };
 }
 
 /**
- * Generate human-readable breakdown of what matched
+ * Generate human-readable breakdown of what matched (version 1)
  */
 function generateBreakdown(matches, hasWeights = false) {
   const items = [];
@@ -176,16 +447,133 @@ export function getCompatibilityLabel(score) {
   return { label: 'Totally Different', emoji: '🌍' };
 }
 
+// ============================================
+// Comparison records and score history
+// ============================================
+
+// Past scores kept per comparison
+const HISTORY_LIMIT = 20;
+
+/**
+ * Fingerprint of everything in a profile that affects scoring
+ * Two profiles with the same version always score the same against a
+ * third, so a comparison only needs recomputing when a version changes.
+ * @param {object} profile
+ * @returns {string|null}
+ */
+export function profileVersion(profile) {
+  if (!profile?.topAlbums?.length) return null;
+
+  const scored = JSON.stringify([
+    artistOf(profile),
+    profile.topAlbums,
+    sortedEntries(profile.albumSongs),
+    sortedEntries(profile.songLyrics),
+    sortedEntries(profile.albumWeights),
+  ]);
+
+  // FNV-1a, 32 bit
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < scored.length; i++) {
+    hash ^= scored.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(36);
+}
+
+function sortedEntries(object) {
+  return Object.entries(object || {}).sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0));
+}
+
 /**
  * Create a comparison record for storage
+ * @param {string} theirShareId
+ * @param {object} theirProfile
+ * @param {number} score
+ * @param {number} scoringVersion - Version the score was calculated with
+ * @param {object|null} myProfile - The viewer's profile the score was calculated with
  */
-export function createComparisonRecord(theirShareId, theirProfile, score) {
+export function createComparisonRecord(theirShareId, theirProfile, score, scoringVersion = SCORING_VERSION, myProfile = null) {
+  const comparedAt = new Date().toISOString();
+  const myProfileVersion = profileVersion(myProfile);
+  const theirProfileVersion = profileVersion(theirProfile);
+
   return {
     shareId: theirShareId,
+    artistId: artistOf(theirProfile),
     theirAlbums: theirProfile.topAlbums || [],
     albumNames: theirProfile.albumNames || {},
     albumColors: theirProfile.albumColors || {},
     score,
-    comparedAt: new Date().toISOString(),
+    scoringVersion,
+    myProfileVersion,
+    theirProfileVersion,
+    comparedAt,
+    history: [{ score, scoringVersion, myProfileVersion, theirProfileVersion, comparedAt }],
   };
 }
+
+/**
+ * Carry a comparison's score history over to a fresh record for the same profile
+ * A new history entry is only added when the result changed (score, scoring
+ * version or either profile) - comparing again with nothing changed just
+ * refreshes the record.
+ * @param {object} previous - The stored record
+ * @param {object} next - From createComparisonRecord
+ * @returns {object} - next, with the combined history
+ */
+export function mergeComparisonHistory(previous, next) {
+  // Records saved before history existed become its first entry
+  const history = previous.history?.length ? previous.history : [{
+    score: previous.score,
+    scoringVersion: comparisonVersion(previous),
+    myProfileVersion: previous.myProfileVersion || null,
+    theirProfileVersion: previous.theirProfileVersion || null,
+    comparedAt: previous.comparedAt,
+  }];
+
+  const last = history[history.length - 1];
+  const entry = next.history?.[next.history.length - 1];
+  const changed = !entry
+    || entry.score !== last.score
+    || entry.scoringVersion !== last.scoringVersion
+    || entry.myProfileVersion !== last.myProfileVersion
+    || entry.theirProfileVersion !== last.theirProfileVersion;
+
+  return {
+    ...next,
+    history: (changed && entry ? [...history, entry] : history).slice(-HISTORY_LIMIT),
+  };
+}
+
+/**
+ * Latest change in a comparison's score
+ * Scores from different scoring versions aren't compared with each other.
+ * @param {Array<{score: number, scoringVersion: number}>} history - Oldest first
+ * @returns {{delta: number, direction: 'closer'|'apart'|'same'}|null} - null with nothing to compare
+ */
+export function scoreTrend(history = []) {
+  if (history.length < 2) return null;
+  const latest = history[history.length - 1];
+  const previous = history[history.length - 2];
+  if (comparisonVersion(latest) !== comparisonVersion(previous)) return null;
+
+  const delta = latest.score - previous.score;
+  return { delta, direction: delta > 0 ? 'closer' : delta < 0 ? 'apart' : 'same' };
+}
+
+/**
+ * Timeline text for one history entry
+ * @param {object} entry - { score, scoringVersion }
+ * @param {object|undefined} previous - The entry before it
+ * @returns {string}
+ */
+export function describeScoreChange(entry, previous) {
+  if (!previous) return 'First compared';
+  if (comparisonVersion(entry) !== comparisonVersion(previous)) return 'Rescored with the new formula';
+
+  const delta = entry.score - previous.score;
+  if (delta > 0) return `You grew closer (+${delta})`;
+  if (delta < 0) return `You drifted apart (${delta})`;
+  return 'Profiles changed, same score';
+}
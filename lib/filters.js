@@ -0,0 +1,230 @@
+import { useMemo, useCallback } from 'react';
+import { useLocalSearchParams, useRouter } from 'expo-router';
+import { albumToSlug } from '../stores/dataStore';
+import { rollupAlbum } from './metrics';
+
+/**
+ * Treemap filters
+ *
+ * Composable song filters for the treemap screens. Different filters are
+ * ANDed together; several values of one filter are ORed (e.g. co-writer =
+ * Aaron Dessner or Jack Antonoff, AND theme = heartbreak).
+ *
+ * Active filters live in the URL query (?vault=only&cowriter=Aaron%20Dessner)
+ * so filtered views are shareable and survive a reload. When filters are
+ * active, album aggregates are recomputed from the filtered songs by the
+ * metric registry (rollupAlbum() in lib/metrics.js).
+ */
+
+const VALUE_SEPARATOR = ',';
+
+// ============================================
+// Filter definitions
+// ============================================
+
+/**
+ * Each filter:
+ * - key: URL query param
+ * - label: filter bar label
+ * - multi: whether several values can be active at once
+ * - albumLevel: filters albums rather than songs (hidden on single-album screens)
+ * - getOptions(albums, songs): [{ value, label, count }]
+ * - matches(song, values, album): boolean
+ */
+export const FILTERS = [
+  {
+    key: 'vault',
+    label: 'Vault',
+    multi: false,
+    getOptions: (albums, songs) => [
+      { value: 'only', label: 'Only', count: songs.filter(s => s.vaultTracks > 0).length },
+      { value: 'exclude', label: 'Hidden', count: songs.filter(s => !s.vaultTracks).length },
+    ],
+    matches: (song, values) => (values[0] === 'only' ? song.vaultTracks > 0 : !song.vaultTracks),
+  },
+  {
+    key: 'era',
+    label: 'Era',
+    multi: true,
+    albumLevel: true,
+    getOptions: (albums, songs) => [...albums]
+      .sort((a, b) => new Date(a.official_release_date) - new Date(b.official_release_date))
+      .map(album => ({
+        value: albumToSlug(album),
+        label: album.display_name,
+        count: songs.filter(s => s.album_id === album.id).length,
+      })),
+    matches: (song, values, album) => Boolean(album) && values.includes(albumToSlug(album)),
+  },
+  {
+    key: 'cowriter',
+    label: 'Co-writer',
+    multi: true,
+    getOptions: (albums, songs) => countValues(songs, song => song.coWritersList || []),
+    matches: (song, values) => (song.coWritersList || []).some(name => values.includes(name)),
+  },
+  {
+    key: 'theme',
+    label: 'Theme',
+    multi: true,
+    getOptions: (albums, songs) => countValues(songs, song => song.themesList || []),
+    matches: (song, values) => (song.themesList || []).some(theme => values.includes(theme)),
+  },
+  {
+    key: 'voice',
+    label: 'Voice',
+    multi: true,
+    getOptions: (albums, songs) => countValues(songs, song => (song.narrativeVoice ? [song.narrativeVoice] : [])),
+    matches: (song, values) => values.includes(song.narrativeVoice),
+  },
+  {
+    key: 'intensity',
+    label: 'Intensity',
+    multi: true,
+    getOptions: (albums, songs) => {
+      // Levels go from least to most intense, by the score songs carry for them
+      const scores = new Map(songs.map(song => [song.emotionalIntensity, song.avgIntensity]));
+      return countValues(songs, song => (song.emotionalIntensity ? [song.emotionalIntensity] : []))
+        .sort((a, b) => scores.get(a.value) - scores.get(b.value));
+    },
+    matches: (song, values) => values.includes(song.emotionalIntensity),
+  },
+];
+
+/**
+ * Distinct values across songs with how many songs have each, most common first
+ */
+function countValues(songs, getValues) {
+  const counts = new Map();
+  songs.forEach(song => {
+    new Set(getValues(song)).forEach(value => {
+      counts.set(value, (counts.get(value) || 0) + 1);
+    });
+  });
+  return Array.from(counts, ([value, count]) => ({ value, label: value, count }))
+    .sort((a, b) => b.count - a.count || a.label.localeCompare(b.label));
+}
+
+// ============================================
+// URL encoding
+// ============================================
+
+/**
+ * Read active filters from route params
+ * @param {object} params - From useLocalSearchParams()
+ * @returns {object} - { [filterKey]: string[] } for active filters only
+ */
+export function parseFilterParams(params = {}) {
+  const filters = {};
+  FILTERS.forEach(filter => {
+    const raw = params[filter.key];
+    if (!raw) return;
+    const values = (Array.isArray(raw) ? raw.join(VALUE_SEPARATOR) : String(raw))
+      .split(VALUE_SEPARATOR)
+      .map(v => v.trim())
+      .filter(Boolean);
+    if (values.length > 0) {
+      filters[filter.key] = filter.multi ? values : values.slice(0, 1);
+    }
+  });
+  return filters;
+}
+
+/**
+ * Route params for a set of filters - every filter key is present so
+ * router.setParams() clears removed ones
+ * @param {object} filters - { [filterKey]: string[] }
+ */
+export function filtersToParams(filters) {
+  const params = {};
+  FILTERS.forEach(filter => {
+    const values = filters[filter.key] || [];
+    params[filter.key] = values.length > 0 ? values.join(VALUE_SEPARATOR) : undefined;
+  });
+  return params;
+}
+
+/**
+ * Query string for carrying filters across navigation ('' if none are active)
+ * @param {object} filters - { [filterKey]: string[] }
+ * @param {string[]} omit - Filter keys to leave out
+ */
+export function filtersToQuery(filters, omit = []) {
+  const query = FILTERS
+    .filter(filter => !omit.includes(filter.key) && filters[filter.key]?.length > 0)
+    .map(filter => `${filter.key}=${encodeURIComponent(filters[filter.key].join(VALUE_SEPARATOR))}`)
+    .join('&');
+  return query ? `?${query}` : '';
+}
+
+/**
+ * React hook - active filters from the URL, plus a setter that writes them back
+ * @returns {[object, function]} - [filters, setFilters]
+ */
+export function useTreemapFilters() {
+  const params = useLocalSearchParams();
+  const router = useRouter();
+
+  const filterKey = FILTERS.map(filter => params[filter.key] || '').join('|');
+  const filters = useMemo(() => parseFilterParams(params), [filterKey]);
+
+  const setFilters = useCallback((next) => {
+    router.setParams(filtersToParams(next));
+  }, [router]);
+
+  return [filters, setFilters];
+}
+
+// ============================================
+// Applying filters
+// ============================================
+
+/**
+ * @param {object} filters - { [filterKey]: string[] }
+ * @param {string[]} omit - Filter keys to ignore
+ */
+export function hasActiveFilters(filters, omit = []) {
+  return Object.keys(filters).some(key => !omit.includes(key) && filters[key]?.length > 0);
+}
+
+/**
+ * Songs matching every active filter
+ * @param {object[]} songs - Processed songs
+ * @param {object} filters - { [filterKey]: string[] }
+ * @param {object[]} albums - Processed albums (for album-level filters)
+ */
+export function filterSongs(songs, filters, albums = []) {
+  const active = FILTERS.filter(filter => filters[filter.key]?.length > 0);
+  if (active.length === 0) return songs;
+
+  const albumsById = new Map(albums.map(album => [album.id, album]));
+  return songs.filter(song => active.every(filter =>
+    filter.matches(song, filters[filter.key], albumsById.get(song.album_id))
+  ));
+}
+
+/**
+ * Apply filters to the whole catalog
+ * @param {object[]} albums - Processed albums
+ * @param {object[]} songs - Processed songs
+ * @param {object} filters - { [filterKey]: string[] }
+ * @returns {{albums: object[], songs: object[], isFiltered: boolean}} - Albums with no matching songs are dropped
+ */
+export function filterCatalog(albums, songs, filters) {
+  if (!hasActiveFilters(filters)) return { albums, songs, isFiltered: false };
+
+  const filteredSongs = filterSongs(songs, filters, albums);
+  const songsByAlbum = new Map();
+  filteredSongs.forEach(song => {
+    if (!songsByAlbum.has(song.album_id)) songsByAlbum.set(song.album_id, []);
+    songsByAlbum.get(song.album_id).push(song);
+  });
+
+  return {
+    albums: albums
+      .filter(album => songsByAlbum.has(album.id))
+      .map(album => rollupAlbum(album, songsByAlbum.get(album.id))),
+    songs: filteredSongs,
+    isFiltered: true,
+  };
+}
@@ -0,0 +1,279 @@
+/**
+ * Formula parser for custom metrics
+ *
+ * A small sandboxed expression language over processed song fields, e.g.
+ *   avgEnergy * avgDanceability / 100
+ *   uniqueWordCount / totalMinutes
+ *   max(avgValence, avgEnergy) - round(avgTempo / 10)
+ *
+ * Formulas are tokenized and parsed by hand into a tree of closures - nothing
+ * is ever passed to eval/Function, and only whitelisted fields and functions
+ * can be referenced.
+ *
+ * Grammar:
+ *   expression := term (('+' | '-') term)*
+ *   term       := unary (('*' | '/' | '%') unary)*
+ *   unary      := ('-' | '+') unary | power
+ *   power      := primary ('^' unary)?
+ *   primary    := number | field | function '(' expression (',' expression)* ')' | '(' expression ')'
+ */
+
+// Song fields a formula may reference (see buildSongMetrics in api/_lib/catalog.js)
+export const FORMULA_FIELDS = [
+  'totalMinutes',
+  'wordCount',
+  'uniqueWordCount',
+  'vocabularyRichness',
+  'avgEnergy',
+  'avgDanceability',
+  'avgValence',
+  'avgAcousticness',
+  'avgTempo',
+  'vaultTracks',
+  'coWriterCount',
+  'themeCount',
+  'totalCharacters',
+  'avgIntensity',
+  'trackNumber',
+  'lyricLineCount',
+  'avgLineLength',
+  'chorusRatio',
+  'rhymeDensity',
+  'bridgeLength',
+  'chorusRepetitions',
+];
+
+// Functions a formula may call: name -> { fn, minArgs, maxArgs }
+export const FORMULA_FUNCTIONS = {
+  abs: { fn: Math.abs, minArgs: 1, maxArgs: 1 },
+  sqrt: { fn: Math.sqrt, minArgs: 1, maxArgs: 1 },
+  log: { fn: Math.log, minArgs: 1, maxArgs: 1 },
+  round: { fn: Math.round, minArgs: 1, maxArgs: 1 },
+  min: { fn: Math.min, minArgs: 2, maxArgs: Infinity },
+  max: { fn: Math.max, minArgs: 2, maxArgs: Infinity },
+};
+
+const MAX_FORMULA_LENGTH = 200;
+
+// Non-finite results (x / 0, sqrt(-1), log(0)) would break the treemap layout
+const finite = (value) => (Number.isFinite(value) ? value : 0);
+
+// ============================================
+// Tokenizer
+// ============================================
+
+const OPERATORS = '+-*/%^(),';
+
+/**
+ * Split a formula into tokens
+ * @param {string} source
+ * @returns {Array<{type: 'number' | 'identifier' | 'operator', value: string | number, position: number}>}
+ */
+function tokenize(source) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < source.length) {
+    const char = source[i];
+
+    if (/\s/.test(char)) {
+      i++;
+      continue;
+    }
+
+    if (/[0-9.]/.test(char)) {
+      const match = source.slice(i).match(/^(\d+\.?\d*|\.\d+)/);
+      if (!match) throw new Error(`Invalid number at position ${i + 1}`);
+      tokens.push({ type: 'number', value: parseFloat(match[0]), position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (/[A-Za-z_]/.test(char)) {
+      const match = source.slice(i).match(/^[A-Za-z_][A-Za-z0-9_]*/);
+      tokens.push({ type: 'identifier', value: match[0], position: i });
+      i += match[0].length;
+      continue;
+    }
+
+    if (OPERATORS.includes(char)) {
+      tokens.push({ type: 'operator', value: char, position: i });
+      i++;
+      continue;
+    }
+
+    throw new Error(`Unexpected "${char}" at position ${i + 1}`);
+  }
+
+  return tokens;
+}
+
+// ============================================
+// Parser
+// ============================================
+
+/**
+ * Recursive-descent parser producing (song) => number closures
+ */
+function parse(tokens) {
+  let index = 0;
+  const fields = new Set();
+
+  const peek = () => tokens[index];
+  const isOperator = (value) => peek()?.type === 'operator' && peek().value === value;
+
+  const describe = (token) => (token ? `"${token.value}" at position ${token.position + 1}` : 'end of formula');
+
+  const expect = (value) => {
+    if (!isOperator(value)) {
+      throw new Error(`Expected "${value}" but found ${describe(peek())}`);
+    }
+    index++;
+  };
+
+  const parseExpression = () => {
+    let left = parseTerm();
+    while (isOperator('+') || isOperator('-')) {
+      const op = tokens[index++].value;
+      const lhs = left;
+      const rhs = parseTerm();
+      left = op === '+'
+        ? (song) => lhs(song) + rhs(song)
+        : (song) => lhs(song) - rhs(song);
+    }
+    return left;
+  };
+
+  const parseTerm = () => {
+    let left = parseUnary();
+    while (isOperator('*') || isOperator('/') || isOperator('%')) {
+      const op = tokens[index++].value;
+      const lhs = left;
+      const rhs = parseUnary();
+      if (op === '*') {
+        left = (song) => lhs(song) * rhs(song);
+      } else if (op === '/') {
+        left = (song) => finite(lhs(song) / rhs(song));
+      } else {
+        left = (song) => finite(lhs(song) % rhs(song));
+      }
+    }
+    return left;
+  };
+
+  const parseUnary = () => {
+    if (isOperator('-')) {
+      index++;
+      const operand = parseUnary();
+      return (song) => -operand(song);
+    }
+    if (isOperator('+')) {
+      index++;
+      return parseUnary();
+    }
+    return parsePower();
+  };
+
+  const parsePower = () => {
+    const base = parsePrimary();
+    if (isOperator('^')) {
+      index++;
+      const exponent = parseUnary(); // Right-associative: 2 ^ 3 ^ 2 = 2 ^ 9
+      return (song) => finite(Math.pow(base(song), exponent(song)));
+    }
+    return base;
+  };
+
+  const parsePrimary = () => {
+    const token = peek();
+    if (!token) throw new Error('Formula ended unexpectedly');
+
+    if (token.type === 'number') {
+      index++;
+      return () => token.value;
+    }
+
+    if (isOperator('(')) {
+      index++;
+      const inner = parseExpression();
+      expect(')');
+      return inner;
+    }
+
+    if (token.type === 'identifier') {
+      index++;
+
+      if (isOperator('(')) {
+        const fnDef = Object.hasOwn(FORMULA_FUNCTIONS, token.value) ? FORMULA_FUNCTIONS[token.value] : null;
+        if (!fnDef) throw new Error(`Unknown function "${token.value}"`);
+        index++;
+
+        const args = [parseExpression()];
+        while (isOperator(',')) {
+          index++;
+          args.push(parseExpression());
+        }
+        expect(')');
+
+        if (args.length < fnDef.minArgs || args.length > fnDef.maxArgs) {
+          throw new Error(`${token.value}() takes ${fnDef.minArgs === fnDef.maxArgs ? fnDef.minArgs : `at least ${fnDef.minArgs}`} argument${fnDef.minArgs === 1 ? '' : 's'}`);
+        }
+        return (song) => finite(fnDef.fn(...args.map(arg => arg(song))));
+      }
+
+      if (!FORMULA_FIELDS.includes(token.value)) {
+        throw new Error(`Unknown field "${token.value}"`);
+      }
+      fields.add(token.value);
+      const key = token.value;
+      return (song) => Number(song?.[key]) || 0;
+    }
+
+    throw new Error(`Unexpected ${describe(token)}`);
+  };
+
+  const root = parseExpression();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected ${describe(peek())}`);
+  }
+
+  return { root, fields: Array.from(fields) };
+}
+
+// ============================================
+// Public API
+// ============================================
+
+/**
+ * Compile a formula into a song value function
+ * @param {string} source - Formula text
+ * @returns {{evaluate: function, fields: string[]}} - evaluate(song) => number
+ * @throws {Error} - With a user-facing message if the formula is invalid
+ */
+export function compileFormula(source) {
+  const text = (source || '').trim();
+  if (!text) throw new Error('Formula is empty');
+  if (text.length > MAX_FORMULA_LENGTH) {
+    throw new Error(`Formula is longer than ${MAX_FORMULA_LENGTH} characters`);
+  }
+
+  const { root, fields } = parse(tokenize(text));
+  return {
+    evaluate: (song) => finite(root(song)),
+    fields,
+  };
+}
+
+/**
+ * Check a formula without compiling it for use
+ * @param {string} source - Formula text
+ * @returns {string | null} - Error message, or null if the formula is valid
+ */
+export function validateFormula(source) {
+  try {
+    compileFormula(source);
+    return null;
+  } catch (error) {
+    return error.message;
+  }
+}
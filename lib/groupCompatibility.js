@@ -0,0 +1,153 @@
+/**
+ * Group compatibility for a circle of shared profiles
+ *
+ * Compares every pair of profiles with the pairwise scorer
+ * (lib/compatibility.js) and finds what the group agrees on:
+ * - Matrix: score for every pair (symmetric, so each pair is scored once)
+ * - Most / least aligned pair
+ * - Consensus albums and songs: each member's points averaged across the
+ *   group, using their albumWeights / songWeights
+ *
+ * Profiles shared before weights were included in shared profiles get
+ * weights from their ranking (their preset, or balanced).
+ */
+
+import { calculateCompatibility, SCORING_VERSION } from './compatibility';
+import { allocateToItems, generateAllocation } from './weighting';
+import { artistOf } from './artists';
+import { handleFromParam } from './shareLinks';
+
+export const MIN_GROUP_SIZE = 3;
+export const MAX_GROUP_SIZE = 10;
+
+const CONSENSUS_ALBUM_COUNT = 3;
+const CONSENSUS_SONG_COUNT = 5;
+
+/**
+ * Pull profiles out of pasted text - full /p/<id> or /p/@<handle> links,
+ * bare IDs or @handles, separated by commas, spaces or new lines
+ * @param {string} text
+ * @returns {string[]} - Unique share IDs and "@handle"s in the order given
+ *   (handles still need resolving, see resolveShareId in lib/supabase.js)
+ */
+export function parseShareIds(text) {
+  const ids = String(text || '')
+    .split(/[\s,]+/)
+    .map(part => part.match(/\/p\/((?:@|%40)?[A-Za-z0-9_-]+)/i)?.[1] || part)
+    .map(part => {
+      if (!/^(@|%40)/i.test(part)) return part;
+      const handle = handleFromParam(part);
+      return handle ? `@${handle}` : null;
+    })
+    .filter(part => part && /^@?[A-Za-z0-9_-]+$/.test(part));
+  return [...new Set(ids)];
+}
+
+/**
+ * A member's album points (sums to 100)
+ */
+function albumPoints(profile) {
+  if (Object.keys(profile.albumWeights || {}).length > 0) return profile.albumWeights;
+  return allocateToItems(profile.topAlbums || [], profile.weightPreset || 'balanced');
+}
+
+/**
+ * A member's song points (sums to ~100)
+ * Without songWeights, each album's points are split across its picked
+ * songs by rank.
+ */
+function songPoints(profile) {
+  if (Object.keys(profile.songWeights || {}).length > 0) return profile.songWeights;
+
+  const albums = albumPoints(profile);
+  const points = {};
+  Object.entries(profile.albumSongs || {}).forEach(([albumId, songIds]) => {
+    const shares = generateAllocation(songIds.length);
+    songIds.forEach((songId, i) => {
+      points[songId] = ((albums[albumId] || 0) * shares[i]) / 100;
+    });
+  });
+  return points;
+}
+
+/**
+ * Average each item's points across the whole group
+ * @returns {Array<{id: string, points: number, supporters: number}>} - Best first
+ */
+function consensus(pointMaps, limit) {
+  const totals = new Map();
+  pointMaps.forEach(points => {
+    Object.entries(points).forEach(([id, value]) => {
+      if (!(value > 0)) return;
+      const entry = totals.get(id) || { id, points: 0, supporters: 0 };
+      entry.points += value;
+      entry.supporters += 1;
+      totals.set(id, entry);
+    });
+  });
+
+  return [...totals.values()]
+    .map(entry => ({ ...entry, points: Math.round((entry.points / pointMaps.length) * 10) / 10 }))
+    .sort((a, b) => b.points - a.points || b.supporters - a.supporters || a.id.localeCompare(b.id))
+    .slice(0, limit);
+}
+
+/**
+ * Compare a group of shared profiles
+ * @param {Array<{shareId: string, profile: object}>} members - One artist's profiles
+ * @returns {object|null} - Group result (see below), or null if the group can't be compared
+ *
+ * {
+ *   artistId, scoringVersion,
+ *   members: [{ shareId, topAlbum }],
+ *   matrix: [[score|null]],          // matrix[i][j], null on the diagonal
+ *   pairs: [{ a, b, score }],        // indexes into members, best first
+ *   mostAligned, leastAligned,       // entries from pairs
+ *   averageScore,
+ *   consensusAlbums: [{ id, points, supporters }],
+ *   consensusSongs: [{ id, points, supporters }],
+ *   albumNames, albumColors, songNames,
+ * }
+ */
+export function calculateGroupCompatibility(members) {
+  if (!members || members.length < MIN_GROUP_SIZE || members.length > MAX_GROUP_SIZE) return null;
+
+  const profiles = members.map(member => member.profile);
+  if (profiles.some(profile => !profile?.topAlbums?.length)) return null;
+
+  const artistId = artistOf(profiles[0]);
+  if (profiles.some(profile => artistOf(profile) !== artistId)) return null;
+
+  const matrix = profiles.map(() => profiles.map(() => null));
+  const pairs = [];
+  for (let a = 0; a < profiles.length; a++) {
+    for (let b = a + 1; b < profiles.length; b++) {
+      const { score } = calculateCompatibility(profiles[a], profiles[b]);
+      matrix[a][b] = score;
+      matrix[b][a] = score;
+      pairs.push({ a, b, score });
+    }
+  }
+  pairs.sort((x, y) => y.score - x.score || x.a - y.a || x.b - y.b);
+
+  // Names and colors for display, from whichever member has them
+  const albumNames = Object.assign({}, ...profiles.map(profile => profile.albumNames || {}));
+  const albumColors = Object.assign({}, ...profiles.map(profile => profile.albumColors || {}));
+  const songNames = Object.assign({}, ...profiles.map(profile => profile.songNames || {}));
+
+  return {
+    artistId,
+    scoringVersion: SCORING_VERSION,
+    members: members.map(member => ({ shareId: member.shareId, topAlbum: member.profile.topAlbums[0] })),
+    matrix,
+    pairs,
+    mostAligned: pairs[0],
+    leastAligned: pairs[pairs.length - 1],
+    averageScore: Math.round(pairs.reduce((sum, pair) => sum + pair.score, 0) / pairs.length),
+    consensusAlbums: consensus(profiles.map(albumPoints), CONSENSUS_ALBUM_COUNT),
+    consensusSongs: consensus(profiles.map(songPoints), CONSENSUS_SONG_COUNT),
+    albumNames,
+    albumColors,
+    songNames,
+  };
+}
@@ -0,0 +1,276 @@
+/**
+ * Lyric search
+ *
+ * Client-side full-text index over `songs.raw_lyrics_searchable`. An artist's
+ * whole catalog of lyrics is fetched once and indexed line by line (inverted index
+ * of normalized words → lines), so every keystroke searches locally.
+ *
+ * Two matching modes:
+ * - exact: the phrase must appear word-for-word in a line
+ * - fuzzy: each word may match a prefix or a near-spelling (typos), and lines
+ *   only need most of the words; ranked by how rare and how exact the matches are
+ *
+ * Line indexes come from parseLyricStructure(), like the pickers', so a hit
+ * can be handed straight to LyricSelector as a preselected line.
+ */
+
+import { fetchAllLyrics } from './supabase';
+import { DEFAULT_ARTIST_ID } from './artists';
+import { parseLyricStructure } from './lyricStructure';
+
+const MAX_QUERY_LENGTH = 120;
+
+// ============================================
+// Parsing & normalization
+// ============================================
+
+/**
+ * Selectable lines of a song, without blanks or [Section] tags
+ * @param {string} raw - raw_lyrics_searchable
+ * @returns {Array<{text: string, originalIndex: number, sectionIndex: number}>}
+ */
+export function parseLyricLines(raw) {
+  return parseLyricStructure(raw).lines;
+}
+
+/**
+ * Lowercase, strip accents and apostrophes ("Don’t" → "dont")
+ */
+function normalize(text) {
+  return text
+    .toLowerCase()
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/['\u2018\u2019]/g, '');
+}
+
+/**
+ * @param {string} text
+ * @returns {string[]} Normalized words
+ */
+export function tokenize(text) {
+  return normalize(text).split(/[^a-z0-9]+/).filter(Boolean);
+}
+
+/**
+ * Parse a search box value: wrapping it in quotes forces exact-phrase mode
+ * @returns {{tokens: string[], exact: boolean}}
+ */
+export function parseQuery(query = '') {
+  const trimmed = query.trim().slice(0, MAX_QUERY_LENGTH);
+  const quoted = /^["\u201c].*["\u201d]$/.test(trimmed) && trimmed.length > 1;
+  return { tokens: tokenize(trimmed), exact: quoted };
+}
+
+// ============================================
+// Index
+// ============================================
+
+/**
+ * Build a line-level inverted index
+ *
+ * Repeated lines within a song (choruses) are indexed once, at their first
+ * occurrence, with a repeat count.
+ *
+ * @param {Array<{id: string, raw_lyrics_searchable: string}>} rows
+ * @returns {object} Index for searchLyrics()
+ */
+export function buildLyricIndex(rows) {
+  const lines = [];
+  const songLines = new Map();   // songId → parsed lines (for context)
+  const postings = new Map();    // word → Set of line ids
+
+  rows.forEach(row => {
+    const parsed = parseLyricLines(row.raw_lyrics_searchable);
+    songLines.set(row.id, parsed);
+
+    const seen = new Map();      // normalized line → line id
+    parsed.forEach((line, lineIndex) => {
+      const tokens = tokenize(line.text);
+      if (tokens.length === 0) return;
+
+      const key = tokens.join(' ');
+      if (seen.has(key)) {
+        lines[seen.get(key)].occurrences += 1;
+        return;
+      }
+
+      const lineId = lines.length;
+      seen.set(key, lineId);
+      lines.push({ songId: row.id, lineIndex, text: line.text, tokens, occurrences: 1 });
+      tokens.forEach(token => {
+        if (!postings.has(token)) postings.set(token, new Set());
+        postings.get(token).add(lineId);
+      });
+    });
+  });
+
+  return { lines, songLines, postings, vocabulary: [...postings.keys()] };
+}
+
+const indexPromises = new Map();  // artistId → Promise<index|null>
+
+/**
+ * Fetch every song's lyrics for an artist and build the index (once per session)
+ * @param {string} artistId
+ * @returns {Promise<object|null>}
+ */
+export function loadLyricIndex(artistId = DEFAULT_ARTIST_ID) {
+  if (!indexPromises.has(artistId)) {
+    indexPromises.set(artistId, fetchAllLyrics(artistId).then(rows => {
+      if (rows.length === 0) {
+        // Let the next call retry instead of caching an empty index
+        indexPromises.delete(artistId);
+        return null;
+      }
+      return buildLyricIndex(rows);
+    }));
+  }
+  return indexPromises.get(artistId);
+}
+
+// ============================================
+// Search
+// ============================================
+
+/**
+ * Levenshtein distance, giving up once it exceeds `max`
+ */
+function editDistance(a, b, max) {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Vocabulary words a query word should match, with a match quality (0-1)
+ * @returns {Map<string, number>}
+ */
+function expandToken(index, token, fuzzy) {
+  const matches = new Map();
+  if (index.postings.has(token)) matches.set(token, 1);
+  if (!fuzzy) return matches;
+
+  const maxEdits = token.length >= 7 ? 2 : token.length >= 4 ? 1 : 0;
+  index.vocabulary.forEach(word => {
+    if (matches.has(word)) return;
+    if (token.length >= 3 && word.startsWith(token)) {
+      matches.set(word, 0.8);
+    } else if (maxEdits > 0) {
+      const distance = editDistance(token, word, maxEdits);
+      if (distance <= maxEdits) matches.set(word, distance === 1 ? 0.6 : 0.4);
+    }
+  });
+  return matches;
+}
+
+/**
+ * Whether `phrase` appears contiguously in `tokens`
+ */
+function containsPhrase(tokens, phrase) {
+  for (let i = 0; i + phrase.length <= tokens.length; i++) {
+    if (phrase.every((word, j) => tokens[i + j] === word)) return true;
+  }
+  return false;
+}
+
+/**
+ * Search the index
+ *
+ * @param {object} index - From buildLyricIndex()
+ * @param {string} query - Search box value; "quoted" forces exact mode
+ * @param {object} options
+ * @param {'fuzzy' | 'exact'} options.mode
+ * @param {number} options.limit - Max hits
+ * @param {number} options.context - Lines of context before/after each hit
+ * @returns {Array<{songId, lineIndex, text, before: string[], after: string[], terms: string[], occurrences: number, score: number}>}
+ */
+export function searchLyrics(index, query, { mode = 'fuzzy', limit = 50, context = 1 } = {}) {
+  if (!index) return [];
+  const { tokens, exact: quoted } = parseQuery(query);
+  if (tokens.length === 0) return [];
+
+  const exact = quoted || mode === 'exact';
+  const totalLines = index.lines.length;
+  // Rare words count for more than "the" or "you"
+  const idf = (word) => Math.log(1 + totalLines / (index.postings.get(word)?.size || 1));
+
+  // Score each candidate line by its best match for every query word
+  const scores = new Map();      // lineId → { best: weight per query word, terms }
+  tokens.forEach((token, tokenIndex) => {
+    expandToken(index, token, !exact).forEach((quality, word) => {
+      const weight = quality * idf(word);
+      index.postings.get(word).forEach(lineId => {
+        if (!scores.has(lineId)) scores.set(lineId, { best: new Array(tokens.length).fill(0), terms: new Set() });
+        const entry = scores.get(lineId);
+        if (weight > entry.best[tokenIndex]) entry.best[tokenIndex] = weight;
+        entry.terms.add(word);
+      });
+    });
+  });
+
+  const required = exact ? tokens.length : Math.ceil(tokens.length * 0.6);
+  const hits = [];
+  scores.forEach((entry, lineId) => {
+    const matched = entry.best.filter(weight => weight > 0).length;
+    if (matched < required) return;
+
+    const line = index.lines[lineId];
+    const hasPhrase = containsPhrase(line.tokens, tokens);
+    if (exact && !hasPhrase) return;
+
+    const score = entry.best.reduce((sum, weight) => sum + weight, 0)
+      * (matched / tokens.length)
+      * (hasPhrase && tokens.length > 1 ? 1.5 : 1)
+      // Slight preference for lines that are mostly the query
+      * (1 + tokens.length / line.tokens.length / 4);
+
+    hits.push({ lineId, score, terms: [...entry.terms] });
+  });
+
+  return hits
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit)
+    .map(({ lineId, score, terms }) => {
+      const line = index.lines[lineId];
+      const songLines = index.songLines.get(line.songId) || [];
+      return {
+        songId: line.songId,
+        lineIndex: line.lineIndex,
+        text: line.text,
+        before: songLines.slice(Math.max(0, line.lineIndex - context), line.lineIndex).map(l => l.text),
+        after: songLines.slice(line.lineIndex + 1, line.lineIndex + 1 + context).map(l => l.text),
+        terms,
+        occurrences: line.occurrences,
+        score: Math.round(score * 100) / 100,
+      };
+    });
+}
+
+/**
+ * Split a line into plain and highlighted segments for rendering
+ * @param {string} text
+ * @param {string[]} terms - Normalized words to highlight (hit.terms)
+ * @returns {Array<{text: string, match: boolean}>}
+ */
+export function highlightSegments(text, terms) {
+  const termSet = new Set(terms);
+  return text
+    .split(/(\s+)/)
+    .filter(Boolean)
+    .map(part => {
+      const words = tokenize(part);
+      return { text: part, match: words.length > 0 && words.some(word => termSet.has(word)) };
+    });
+}
@@ -0,0 +1,124 @@
+/**
+ * Lyric structure
+ *
+ * Parses `raw_lyrics_searchable` into typed sections using its bracketed
+ * tags ("[Verse 1]", "[Pre-Chorus]", "[Chorus: Taylor Swift]", "[Bridge]").
+ * Tags never become selectable lines; line indexes run across the whole song
+ * in order, so they match what the pickers and lyric search use.
+ *
+ * The server computes the structure metrics from the same rules
+ * (sectionType in api/_lib/lyrics.js).
+ */
+
+/**
+ * Section types in display order
+ * - short: letter used in structure strips ("V-C-V-C-B-C")
+ */
+export const SECTION_TYPES = {
+  intro: { label: 'Intro', short: 'I', color: '#94a3b8' },
+  verse: { label: 'Verse', short: 'V', color: '#6366f1' },
+  'pre-chorus': { label: 'Pre-Chorus', short: 'P', color: '#8b5cf6' },
+  chorus: { label: 'Chorus', short: 'C', color: '#f472b6' },
+  bridge: { label: 'Bridge', short: 'B', color: '#f59e0b' },
+  outro: { label: 'Outro', short: 'O', color: '#10b981' },
+  other: { label: 'Other', short: 'X', color: '#64748b' },
+};
+
+// Tag names that share a type ("[Post-Chorus]" and "[Refrain]" are chorus material)
+const TYPE_ALIASES = {
+  'intro': 'intro',
+  'verse': 'verse',
+  'pre-chorus': 'pre-chorus',
+  'prechorus': 'pre-chorus',
+  'chorus': 'chorus',
+  'post-chorus': 'chorus',
+  'refrain': 'chorus',
+  'hook': 'chorus',
+  'bridge': 'bridge',
+  'pre-bridge': 'bridge',
+  'outro': 'outro',
+  'coda': 'outro',
+};
+
+const TAG_PATTERN = /^\[(.*)\]$/;
+
+/**
+ * Section type for a tag's text
+ * @param {string} tag - Text inside the brackets ("Verse 2: Taylor Swift")
+ * @returns {string} - Key of SECTION_TYPES
+ */
+export function sectionType(tag) {
+  const name = tag
+    .split(':')[0]
+    .toLowerCase()
+    .replace(/\d+/g, '')
+    .trim()
+    .replace(/\s+/g, '-');
+  return TYPE_ALIASES[name] || 'other';
+}
+
+/**
+ * Parse lyrics into lines and sections
+ *
+ * Lines before the first tag (or every line, for untagged lyrics) form a
+ * section with type 'other' and no label.
+ *
+ * @param {string} raw - raw_lyrics_searchable
+ * @returns {{
+ *   lines: Array<{text: string, originalIndex: number, sectionIndex: number}>,
+ *   sections: Array<{type: string, label: string|null, start: number, end: number, lineCount: number}>
+ * }} - start/end are inclusive indexes into `lines`
+ */
+export function parseLyricStructure(raw) {
+  const lines = [];
+  const sections = [];
+  if (!raw) return { lines, sections };
+
+  let current = null;
+  raw.split('\n').forEach((rawLine, originalIndex) => {
+    const text = rawLine.trim();
+    if (!text) return;
+
+    const tag = text.match(TAG_PATTERN);
+    if (tag) {
+      current = { type: sectionType(tag[1]), label: tag[1].trim(), start: lines.length, end: lines.length - 1, lineCount: 0 };
+      sections.push(current);
+      return;
+    }
+
+    if (!current) {
+      current = { type: 'other', label: null, start: lines.length, end: lines.length - 1, lineCount: 0 };
+      sections.push(current);
+    }
+    current.end = lines.length;
+    current.lineCount += 1;
+    lines.push({ text, originalIndex, sectionIndex: sections.length - 1 });
+  });
+
+  // Tags with no lines under them (e.g. "[Instrumental Break]") don't count as sections
+  const kept = sections.filter(section => section.lineCount > 0);
+  lines.forEach(line => {
+    line.sectionIndex = kept.indexOf(sections[line.sectionIndex]);
+  });
+  return { lines, sections: kept };
+}
+
+/**
+ * Compact structure string, merging back-to-back sections of the same type
+ * @param {Array<{type: string}>} sections - From parseLyricStructure() or a song's `structure`
+ * @returns {string} - e.g. "V-C-V-C-B-C"
+ */
+export function structureCode(sections = []) {
+  return sections
+    .map(section => SECTION_TYPES[section.type]?.short || SECTION_TYPES.other.short)
+    .filter((short, i, all) => i === 0 || short !== all[i - 1])
+    .join('-');
+}
+
+/**
+ * Whether lyrics carried any section tags at all
+ * @param {Array<{label: string|null}>} sections
+ */
+export function hasSectionTags(sections = []) {
+  return sections.some(section => section.label !== null);
+}
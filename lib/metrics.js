@@ -0,0 +1,477 @@
+import { useSyncExternalStore } from 'react';
+import { compileFormula } from './formula';
+
+/**
+ * Metric registry
+ *
+ * Single source of truth for every metric the treemap screens can size by.
+ * Dropdowns, info buttons, tile values and song rankings are all driven from
+ * here, so adding a metric is one registerMetric() call - no screen changes.
+ *
+ * Metric definition:
+ * - key: unique id (for built-ins, also the field on processed albums/songs)
+ * - label: dropdown label
+ * - group: dropdown group ('Basic', 'Audio', 'Content', 'Lyrics', or a new one)
+ * - suffix: unit appended to values (' min', '%', ...)
+ * - info: { title, description } shown by the info button
+ * - song: (song) => number
+ * - album: (album, albumSongs) => number - defaults to `aggregate` over song values
+ * - aggregate: 'sum' | 'mean' | 'median' | 'max' - used when `album` is omitted
+ * - appliesToSongs: false to disable in song treemaps (default true)
+ * - contentList: { album?: (album) => string[], song?: (song) => string[] } - names listed in tiles
+ * - subModes: [{ key, subLabel, suffix?, song, album }] - cycled by re-selecting the metric
+ * - rollup: (albumSongs) => object - the album's precomputed fields for this metric,
+ *   recomputed from a subset of its songs (filtered views, see rollupAlbum())
+ *
+ * Custom metrics are user formulas (see lib/formula.js) registered under the
+ * 'Custom' group with registerCustomMetric().
+ */
+
+// ============================================
+// Aggregators
+// ============================================
+
+export const AGGREGATORS = {
+  sum: (values) => values.reduce((a, b) => a + b, 0),
+  mean: (values) => (values.length > 0 ? values.reduce((a, b) => a + b, 0) / values.length : 0),
+  median: (values) => {
+    if (values.length === 0) return 0;
+    const sorted = [...values].sort((a, b) => a - b);
+    const mid = Math.floor(sorted.length / 2);
+    return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+  },
+  max: (values) => (values.length > 0 ? Math.max(...values) : 0),
+};
+
+/**
+ * Build an album value function that aggregates song values
+ * @param {function} songValue - (song) => number
+ * @param {'sum' | 'mean' | 'median' | 'max'} aggregate
+ */
+export function aggregateSongs(songValue, aggregate = 'sum') {
+  const reduce = AGGREGATORS[aggregate] || AGGREGATORS.sum;
+  return (album, albumSongs = []) => reduce(albumSongs.map(s => Number(songValue(s)) || 0));
+}
+
+// Read a precomputed field from the /api/catalog payload
+const field = (key) => (item) => item?.[key] || 0;
+
+// ============================================
+// Rollups
+// ============================================
+
+// Album rollups follow buildAlbumMetrics / lyricMetrics in api/_lib, working from processed songs
+
+const total = (songs, key) => AGGREGATORS.sum(songs.map(song => song[key] || 0));
+const distinct = (songs, key) => Array.from(new Set(songs.flatMap(song => song[key] || [])));
+const roundTo = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+// Songs without audio features don't count toward the averages
+const audioRollup = (key) => (songs) => ({
+  [key]: Math.round(AGGREGATORS.mean(songs.filter(song => song.hasAudioFeatures).map(song => song[key] || 0))),
+});
+
+// Line ratios are per line, so each song counts by its line count. Songs only carry
+// rounded ratios, so the result can be a point off the server's.
+const perLineRollup = (key, places = 0) => (songs) => {
+  const lines = total(songs, 'lyricLineCount');
+  const weighted = AGGREGATORS.sum(songs.map(song => (song[key] || 0) * (song.lyricLineCount || 0)));
+  return { [key]: lines > 0 ? roundTo(weighted / lines, places) : 0 };
+};
+
+// Section counts are per-song averages over songs with section tags
+const perTaggedSongRollup = (key) => (songs) => ({
+  [key]: roundTo(AGGREGATORS.mean(songs.filter(song => song.structure?.length > 0).map(song => song[key] || 0)), 1),
+});
+
+// Word tables only ship each song's top words, so filtered albums are approximate
+function topWordsOf(songs) {
+  const counts = new Map();
+  songs.forEach(song => (song.topWords || []).forEach(({ word, count }) => {
+    counts.set(word, (counts.get(word) || 0) + count);
+  }));
+  return Array.from(counts, ([word, count]) => ({ word, count }))
+    .sort((a, b) => b.count - a.count || a.word.localeCompare(b.word))
+    .slice(0, 8);
+}
+
+// ============================================
+// Registry
+// ============================================
+
+const metrics = new Map();
+const groupOrder = [];
+const listeners = new Set();
+let version = 0;
+
+function notify() {
+  version++;
+  listeners.forEach(listener => listener());
+}
+
+function normalizeSource(def) {
+  const song = def.song || field(def.key);
+  return {
+    ...def,
+    song,
+    album: def.album || (def.aggregate ? aggregateSongs(song, def.aggregate) : field(def.key)),
+  };
+}
+
+/**
+ * Register (or replace) a metric
+ * @param {object} def - Metric definition (see top of file)
+ */
+export function registerMetric(def) {
+  if (!def?.key || !def.label) {
+    throw new Error('registerMetric: key and label are required');
+  }
+
+  const group = def.group || 'Other';
+  if (!groupOrder.includes(group)) groupOrder.push(group);
+
+  metrics.set(def.key, {
+    suffix: '',
+    appliesToSongs: true,
+    info: { title: def.label, description: '' },
+    ...normalizeSource(def),
+    group,
+    subModes: def.subModes?.map(normalizeSource),
+  });
+  notify();
+}
+
+/**
+ * Remove a metric from the registry
+ * @param {string} key
+ */
+export function unregisterMetric(key) {
+  if (metrics.delete(key)) notify();
+}
+
+/**
+ * @param {string} key
+ * @returns {object | undefined}
+ */
+export function getMetric(key) {
+  return metrics.get(key);
+}
+
+/**
+ * All registered metrics, in registration order
+ */
+export function getAllMetrics() {
+  return Array.from(metrics.values());
+}
+
+/**
+ * Metrics grouped for the dropdown, in group registration order
+ * @returns {Array<{label: string, metrics: object[]}>}
+ */
+export function getMetricGroups() {
+  return groupOrder
+    .map(label => ({ label, metrics: getAllMetrics().filter(m => m.group === label) }))
+    .filter(group => group.metrics.length > 0);
+}
+
+/**
+ * Keys of metrics that don't apply to individual songs
+ */
+export function getSongDisabledKeys() {
+  return getAllMetrics().filter(m => !m.appliesToSongs).map(m => m.key);
+}
+
+/**
+ * Info button content for a metric
+ */
+export function getMetricInfo(key) {
+  return (metrics.get(key) || metrics.get('default'))?.info;
+}
+
+/**
+ * Recompute an album's precomputed metrics from a subset of its songs, using
+ * each registered metric's rollup
+ * @param {object} album - Processed album
+ * @param {object[]} albumSongs - Processed songs belonging to the album
+ * @returns {object} - Album with those metrics replaced
+ */
+export function rollupAlbum(album, albumSongs) {
+  return getAllMetrics().reduce(
+    (rolled, metric) => (metric.rollup ? { ...rolled, ...metric.rollup(albumSongs) } : rolled),
+    { ...album }
+  );
+}
+
+/**
+ * Resolve the selected metric + sub-mode into everything a screen needs
+ * @param {string} key - Selected metric key
+ * @param {number} subModeIndex - Index into the metric's subModes
+ * @returns {object} - { metric, dataKey, label, subLabel, suffix, isDefault, getAlbumValue, getSongValue, getAlbumContent, getSongContent, hasContentList }
+ */
+export function resolveMetric(key, subModeIndex = 0) {
+  const metric = metrics.get(key) || metrics.get('default');
+  const subMode = metric.subModes?.[subModeIndex % metric.subModes.length];
+  const source = subMode || metric;
+  const subLabel = subMode?.subLabel || null;
+
+  return {
+    metric,
+    dataKey: source.key,
+    label: subLabel ? `${metric.label} (${subLabel})` : metric.label,
+    subLabel,
+    suffix: subMode?.suffix ?? metric.suffix ?? '',
+    isDefault: metric.key === 'default',
+    getAlbumValue: (album, albumSongs = []) => source.album(album, albumSongs) || 0,
+    getSongValue: (song) => source.song(song) || 0,
+    getAlbumContent: (album) => metric.contentList?.album?.(album) || [],
+    getSongContent: (song) => metric.contentList?.song?.(song) || [],
+    hasContentList: {
+      album: Boolean(metric.contentList?.album),
+      song: Boolean(metric.contentList?.song),
+    },
+  };
+}
+
+/**
+ * Subscribe to registry changes
+ * @returns {function} - Unsubscribe
+ */
+export function subscribeToMetrics(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * React hook - re-renders the caller whenever metrics are (un)registered
+ */
+export function useMetricRegistry() {
+  return useSyncExternalStore(subscribeToMetrics, () => version);
+}
+
+// ============================================
+// Built-in metrics
+// ============================================
+
+[
+  // Basic
+  {
+    key: 'default', label: 'Default', group: 'Basic',
+    info: { title: 'Default View', description: 'Shows all albums/songs with equal sizing to compare them visually.' },
+    album: () => 100, song: () => 100,
+  },
+  {
+    key: 'songCount', label: 'Songs', group: 'Basic', appliesToSongs: false,
+    info: { title: 'Song Count', description: 'Total number of songs on each album, including bonus and vault tracks.' },
+    album: (album, albumSongs) => album.songCount ?? albumSongs.length,
+    rollup: (songs) => ({ songCount: songs.length }),
+  },
+  {
+    key: 'totalMinutes', label: 'Minutes', group: 'Basic', suffix: ' min',
+    info: { title: 'Total Minutes', description: 'Combined runtime of all songs on the album in minutes.' },
+    rollup: (songs) => ({ totalMinutes: Math.round(total(songs, 'totalMinutes')) }),
+  },
+  {
+    key: 'words', label: 'Words', group: 'Basic',
+    info: { title: 'Words', description: 'Lyrics analysis - toggle between total words, unique words, or vocabulary richness (unique/total %).' },
+    subModes: [
+      { key: 'wordCount', subLabel: 'total' },
+      { key: 'uniqueWordCount', subLabel: 'unique' },
+      { key: 'vocabularyRichness', subLabel: 'vocabulary %', suffix: '%' },
+    ],
+    rollup: (songs) => {
+      const wordCount = total(songs, 'wordCount');
+      const uniqueWordCount = total(songs, 'uniqueWordCount');
+      return {
+        wordCount,
+        uniqueWordCount,
+        vocabularyRichness: wordCount > 0 ? Math.round((uniqueWordCount / wordCount) * 100) : 0,
+      };
+    },
+  },
+
+  // Audio
+  {
+    key: 'avgEnergy', label: 'Energy', group: 'Audio', suffix: '%',
+    info: { title: 'Energy', description: 'How intense and active the music feels. Based on loudness, tempo, and dynamic range. Higher = more energetic.' },
+    rollup: audioRollup('avgEnergy'),
+  },
+  {
+    key: 'avgDanceability', label: 'Danceable', group: 'Audio', suffix: '%',
+    info: { title: 'Danceability', description: 'How suitable for dancing based on tempo, rhythm stability, and beat strength. Higher = easier to dance to.' },
+    rollup: audioRollup('avgDanceability'),
+  },
+  {
+    key: 'avgValence', label: 'Happiness', group: 'Audio', suffix: '%',
+    info: { title: 'Happiness', description: 'Musical positivity - major keys, upbeat tempos score higher. Measures how cheerful or melancholic a song sounds.' },
+    rollup: audioRollup('avgValence'),
+  },
+  {
+    key: 'avgAcousticness', label: 'Acoustic', group: 'Audio', suffix: '%',
+    info: { title: 'Acoustic', description: 'Confidence that the track is acoustic (non-electronic instruments). Higher = more acoustic sound.' },
+    rollup: audioRollup('avgAcousticness'),
+  },
+  {
+    key: 'avgTempo', label: 'Tempo', group: 'Audio', suffix: ' bpm',
+    info: { title: 'Tempo', description: 'Speed of the music in beats per minute (BPM). Higher = faster songs.' },
+    rollup: audioRollup('avgTempo'),
+  },
+
+  // Content
+  {
+    key: 'vaultTracks', label: 'Vault', group: 'Content',
+    info: { title: 'Vault Tracks', description: 'Previously unreleased songs from the vault, included on Taylor\'s Version re-recordings.' },
+    contentList: { album: (album) => album.vaultTracksList || [] },
+    rollup: (songs) => {
+      const vaultTracksList = songs.filter(song => song.vaultTracks > 0).map(song => song.name);
+      return { vaultTracks: vaultTracksList.length, vaultTracksList };
+    },
+  },
+  {
+    key: 'coWriterCount', label: 'Co-writers', group: 'Content',
+    info: { title: 'Co-writers', description: 'Number of songwriting collaborators on the album. Shows Taylor\'s collaborative range.' },
+    contentList: { album: (album) => album.coWritersList || [], song: (song) => song.coWritersList || [] },
+    rollup: (songs) => {
+      const coWritersList = distinct(songs, 'coWritersList');
+      return { coWriterCount: coWritersList.length, coWritersList };
+    },
+  },
+  {
+    key: 'themeCount', label: 'Themes', group: 'Content',
+    info: { title: 'Themes', description: 'Number of distinct lyrical themes explored across the album\'s songs.' },
+    contentList: { album: (album) => album.themesList || [], song: (song) => song.themesList || [] },
+    rollup: (songs) => {
+      const themesList = distinct(songs, 'themesList');
+      return { themeCount: themesList.length, themesList };
+    },
+  },
+  {
+    key: 'totalCharacters', label: 'Characters', group: 'Content',
+    info: { title: 'Characters', description: 'Named characters mentioned across all songs - lovers, friends, and storytelling figures.' },
+    rollup: (songs) => ({ totalCharacters: total(songs, 'totalCharacters') }),
+  },
+  {
+    key: 'avgIntensity', label: 'Intensity', group: 'Content', suffix: '%',
+    info: { title: 'Intensity', description: 'Emotional intensity of the lyrics - combines sentiment analysis with language patterns.' },
+    // Songs without a mood carry the default score, so an album with none of them rated gets it too
+    rollup: (songs) => {
+      const rated = songs.filter(song => song.emotionalIntensity);
+      return { avgIntensity: Math.round(AGGREGATORS.mean((rated.length > 0 ? rated : songs).map(song => song.avgIntensity))) };
+    },
+  },
+
+  // Lyrics (api/_lib/lyrics.js)
+  {
+    key: 'lyricLineCount', label: 'Lines', group: 'Lyrics',
+    info: { title: 'Lyric Lines', description: 'Number of sung lines, not counting section headers. Tiles list signature words - the words most distinctive to that song or album compared to the rest of the catalog.' },
+    contentList: { album: (album) => album.signatureWords || [], song: (song) => song.signatureWords || [] },
+    rollup: (songs) => ({
+      lyricLineCount: total(songs, 'lyricLineCount'),
+      topWords: topWordsOf(songs),
+      signatureWords: distinct(songs, 'signatureWords').slice(0, 5),
+    }),
+  },
+  {
+    key: 'avgLineLength', label: 'Line length', group: 'Lyrics', suffix: ' words',
+    info: { title: 'Line Length', description: 'Average number of words per lyric line. Higher = wordier, more conversational lines.' },
+    rollup: perLineRollup('avgLineLength', 1),
+  },
+  {
+    key: 'chorusRatio', label: 'Repetition', group: 'Lyrics', suffix: '%',
+    info: { title: 'Repetition', description: 'Share of lines that are repeated within the song - choruses, hooks and refrains. Higher = more repetitive.' },
+    rollup: perLineRollup('chorusRatio'),
+  },
+  {
+    key: 'rhymeDensity', label: 'Rhyme', group: 'Lyrics', suffix: '%',
+    info: { title: 'Rhyme Density', description: 'Share of lines whose last word rhymes with one of the next two lines (AABB or ABAB). Spelling-based, so slant rhymes are missed.' },
+    rollup: perLineRollup('rhymeDensity'),
+  },
+  {
+    key: 'bridgeLength', label: 'Bridge', group: 'Lyrics', suffix: ' lines',
+    info: { title: 'Bridge Length', description: 'Lines in the song\'s [Bridge] sections. Albums show the average per song. Songs without section tags count as 0.' },
+    rollup: perTaggedSongRollup('bridgeLength'),
+  },
+  {
+    key: 'chorusRepetitions', label: 'Choruses', group: 'Lyrics',
+    info: { title: 'Chorus Repetitions', description: 'How many times the chorus comes around, from the lyrics\' [Chorus] tags. Albums show the average per song.' },
+    rollup: perTaggedSongRollup('chorusRepetitions'),
+  },
+].forEach(registerMetric);
+
+// ============================================
+// Custom (formula) metrics
+// ============================================
+
+export const CUSTOM_GROUP = 'Custom';
+export const CUSTOM_METRIC_PREFIX = 'custom:';
+
+export const AGGREGATE_OPTIONS = [
+  { key: 'sum', label: 'Sum' },
+  { key: 'mean', label: 'Mean' },
+  { key: 'median', label: 'Median' },
+  { key: 'max', label: 'Max' },
+];
+
+/**
+ * @param {string} key - Registry key
+ * @returns {boolean}
+ */
+export function isCustomMetric(key) {
+  return typeof key === 'string' && key.startsWith(CUSTOM_METRIC_PREFIX);
+}
+
+/**
+ * Registry key for a saved custom metric
+ * @param {string} id - Custom metric id (as stored on the profile)
+ */
+export function customMetricKey(id) {
+  return `${CUSTOM_METRIC_PREFIX}${id}`;
+}
+
+/**
+ * Compile and register a user-defined formula metric
+ * @param {object} custom - { id, label, formula, aggregate, suffix }
+ * @returns {boolean} - false if the formula doesn't compile (nothing is registered)
+ */
+export function registerCustomMetric(custom) {
+  let compiled;
+  try {
+    compiled = compileFormula(custom.formula);
+  } catch (error) {
+    console.error(`Error compiling custom metric "${custom.label}":`, error.message);
+    return false;
+  }
+
+  // Two decimals keeps ratios like uniqueWordCount / totalMinutes readable in tiles
+  const song = (item) => Math.round(compiled.evaluate(item) * 100) / 100;
+  const aggregate = AGGREGATORS[custom.aggregate] ? custom.aggregate : 'sum';
+  const reduce = aggregateSongs(song, aggregate);
+  const aggregateLabel = AGGREGATE_OPTIONS.find(o => o.key === aggregate).label.toLowerCase();
+
+  registerMetric({
+    key: customMetricKey(custom.id),
+    label: custom.label,
+    group: CUSTOM_GROUP,
+    suffix: custom.suffix || '',
+    info: {
+      title: custom.label,
+      description: `Custom formula: ${custom.formula.trim()}\n\nAlbums use the ${aggregateLabel} of their songs' values.`,
+    },
+    song,
+    album: (album, albumSongs) => Math.round(reduce(album, albumSongs) * 100) / 100,
+    aggregate,
+    formula: custom.formula,
+    customId: custom.id,
+  });
+  return true;
+}
+
+/**
+ * Replace every registered custom metric with the given list
+ * @param {object[]} customMetrics - Saved custom metric definitions
+ */
+export function syncCustomMetrics(customMetrics = []) {
+  getAllMetrics()
+    .filter(m => isCustomMetric(m.key))
+    .forEach(m => unregisterMetric(m.key));
+  customMetrics.forEach(registerCustomMetric);
+}
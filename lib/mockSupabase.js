@@ -0,0 +1,207 @@
+/**
+ * Mock Supabase client for EXPO_PUBLIC_MOCK_BACKEND=true
+ *
+ * Same surface as the parts of supabase-js the app uses. Table queries and
+ * RPCs are sent to scripts/mock-server.js, which runs them against its
+ * in-memory database (api/_lib/mock/supabase.js), so the app and the API
+ * routes see the same rows. Auth is local: an anonymous user is made up on
+ * first launch and kept in localStorage where there is one.
+ */
+
+const API_BASE = process.env.EXPO_PUBLIC_API_URL || '';
+const SESSION_KEY = 'mock_supabase_session';
+
+async function post(path, body) {
+  try {
+    const response = await fetch(`${API_BASE}${path}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+    return await response.json();
+  } catch (error) {
+    return { data: null, error: { message: `Mock backend unreachable (is scripts/mock-server.js running?): ${error.message}` } };
+  }
+}
+
+/**
+ * Chainable builder that records the query and sends it when awaited
+ * (mirrors QueryBuilder in api/_lib/mock/supabase.js)
+ */
+class QueryBuilder {
+  constructor(table) {
+    this.query = { table, action: 'select', filters: [], order: [] };
+  }
+
+  select(columns = '*', options = {}) {
+    if (this.query.action === 'select') {
+      this.query.columns = columns;
+      this.query.options = options;
+    } else {
+      this.query.returning = true;
+      this.query.columns = columns;
+    }
+    return this;
+  }
+
+  insert(values) { return this.write('insert', values); }
+
+  upsert(values, options = {}) { return this.write('upsert', values, options); }
+
+  update(values) { return this.write('update', values); }
+
+  delete() { return this.write('delete', null); }
+
+  write(action, values, options = {}) {
+    Object.assign(this.query, { action, values, options });
+    return this;
+  }
+
+  filter(operator, column, value, negate = false) {
+    this.query.filters.push([operator, column, value, negate]);
+    return this;
+  }
+
+  eq(column, value) { return this.filter('eq', column, value); }
+
+  neq(column, value) { return this.filter('neq', column, value); }
+
+  gt(column, value) { return this.filter('gt', column, value); }
+
+  gte(column, value) { return this.filter('gte', column, value); }
+
+  lt(column, value) { return this.filter('lt', column, value); }
+
+  lte(column, value) { return this.filter('lte', column, value); }
+
+  in(column, values) { return this.filter('in', column, values); }
+
+  ilike(column, pattern) { return this.filter('ilike', column, pattern); }
+
+  is(column, value) { return this.filter('is', column, value); }
+
+  not(column, operator, value) { return this.filter(operator, column, value, true); }
+
+  order(column, { ascending = true } = {}) {
+    this.query.order.push({ column, ascending });
+    return this;
+  }
+
+  limit(count) {
+    this.query.limit = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.query.range = [from, to];
+    return this;
+  }
+
+  single() {
+    this.query.single = 'single';
+    return this;
+  }
+
+  maybeSingle() {
+    this.query.single = 'maybeSingle';
+    return this;
+  }
+
+  then(resolve, reject) {
+    return post('/mock/query', this.query).then(resolve, reject);
+  }
+}
+
+// ============================================
+// Auth
+// ============================================
+
+function loadSession() {
+  try {
+    const saved = globalThis.localStorage?.getItem(SESSION_KEY);
+    return saved ? JSON.parse(saved) : null;
+  } catch {
+    return null;
+  }
+}
+
+function storeSession(session) {
+  try {
+    if (session) globalThis.localStorage?.setItem(SESSION_KEY, JSON.stringify(session));
+    else globalThis.localStorage?.removeItem(SESSION_KEY);
+  } catch {
+    // No storage (native) - the session lasts until reload
+  }
+}
+
+function createMockAuth() {
+  let session = loadSession();
+  const listeners = new Set();
+
+  const setSession = (next, event) => {
+    session = next;
+    storeSession(next);
+    listeners.forEach(listener => listener(event, next));
+  };
+
+  return {
+    async getSession() {
+      return { data: { session }, error: null };
+    },
+
+    onAuthStateChange(callback) {
+      listeners.add(callback);
+      return { data: { subscription: { unsubscribe: () => listeners.delete(callback) } } };
+    },
+
+    async signInAnonymously() {
+      const user = {
+        id: crypto.randomUUID(),
+        aud: 'authenticated',
+        role: 'authenticated',
+        is_anonymous: true,
+        email: null,
+        created_at: new Date().toISOString(),
+      };
+      const next = { access_token: `mock-${user.id}`, token_type: 'bearer', user };
+      setSession(next, 'SIGNED_IN');
+      return { data: { session: next, user }, error: null };
+    },
+
+    async updateUser({ email }) {
+      if (!session) return { data: { user: null }, error: { message: 'Auth session missing!' } };
+      const user = { ...session.user, email, is_anonymous: false };
+      setSession({ ...session, user }, 'USER_UPDATED');
+      return { data: { user }, error: null };
+    },
+
+    async linkIdentity({ provider }) {
+      // No OAuth provider to redirect to - treat it as linked
+      if (!session) return { data: null, error: { message: 'Auth session missing!' } };
+      const user = { ...session.user, is_anonymous: false, app_metadata: { provider } };
+      setSession({ ...session, user }, 'USER_UPDATED');
+      return { data: { provider, url: null }, error: null };
+    },
+
+    async signOut() {
+      setSession(null, 'SIGNED_OUT');
+      return { error: null };
+    },
+  };
+}
+
+/**
+ * @returns {object} - supabase-js shaped client backed by the mock server
+ */
+export function createMockSupabase() {
+  const auth = createMockAuth();
+  return {
+    from: table => new QueryBuilder(table),
+    // Database functions see the signed-in user, like auth.uid()
+    rpc: async (name, args = {}) => {
+      const { data } = await auth.getSession();
+      return post('/mock/rpc', { name, args, userId: data.session?.user?.id || null });
+    },
+    auth,
+  };
+}
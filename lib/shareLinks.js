@@ -0,0 +1,39 @@
+/**
+ * Shared profile links
+ *
+ * A shared profile lives at "/p/<share_id>", and also at "/p/@<handle>"
+ * once its owner picks a handle. Handles are 3-20 lowercase letters,
+ * numbers or underscores - the same check as shared_profiles.handle in
+ * db/migrations/009_profile_ownership.sql.
+ */
+
+export const HANDLE_PATTERN = /^[a-z0-9_]{3,20}$/;
+
+/**
+ * Clean up a handle as typed ("@Folklore_Fan " -> "folklore_fan")
+ * @param {string} text
+ * @returns {string|null} - null if it isn't a valid handle
+ */
+export function normalizeHandle(text) {
+  const handle = String(text || '').trim().replace(/^@/, '').toLowerCase();
+  return HANDLE_PATTERN.test(handle) ? handle : null;
+}
+
+/**
+ * The handle in a "/p/..." route parameter, if it is one
+ * @param {string} param - "@name" (or URL-encoded "%40name") or a share ID
+ * @returns {string|null}
+ */
+export function handleFromParam(param) {
+  const decoded = String(param || '').replace(/^%40/i, '@');
+  return decoded.startsWith('@') ? normalizeHandle(decoded) : null;
+}
+
+/**
+ * Path of a shared profile, preferring its handle
+ * @param {{shareId: string, handle?: string|null}} profile
+ * @returns {string}
+ */
+export function profilePath({ shareId, handle = null }) {
+  return handle ? `/p/@${handle}` : `/p/${shareId}`;
+}
@@ -0,0 +1,222 @@
+/**
+ * Song similarity engine
+ *
+ * Compares songs across several dimensions instead of a single metric:
+ * - Audio: energy, danceability, happiness, acousticness, tempo
+ * - Content: themes, co-writers, narrative voice, emotional intensity
+ *
+ * Numeric features are min-max normalized over the catalog so tempo (bpm)
+ * and percentages weigh the same; set features use Jaccard overlap. The
+ * overall score is a weighted mean of per-dimension similarities, and each
+ * dimension's contribution is kept so matches can be explained
+ * ("both first-person · both about heartbreak").
+ *
+ * Backs the premium `similarSongs` / `differentSongs` features.
+ */
+
+const SOLO = '__solo__';
+
+// Intensity levels are scored 25-100 (avgIntensity on processed songs)
+const INTENSITY_RANGE = 75;
+
+/**
+ * Dimension definitions
+ * - type 'numeric': normalized absolute difference of `key`
+ * - type 'set': Jaccard overlap of the list returned by `values`
+ * - type 'category': 1 if equal, 0 if not, skipped if either is unknown
+ */
+export const SIMILARITY_DIMENSIONS = [
+  { key: 'avgEnergy', label: 'Energy', group: 'audio', type: 'numeric', weight: 0.12, suffix: '%' },
+  { key: 'avgDanceability', label: 'Danceability', group: 'audio', type: 'numeric', weight: 0.12, suffix: '%' },
+  { key: 'avgValence', label: 'Happiness', group: 'audio', type: 'numeric', weight: 0.12, suffix: '%' },
+  { key: 'avgAcousticness', label: 'Acoustic', group: 'audio', type: 'numeric', weight: 0.12, suffix: '%' },
+  { key: 'avgTempo', label: 'Tempo', group: 'audio', type: 'numeric', weight: 0.07, suffix: ' bpm' },
+  { key: 'themes', label: 'Themes', group: 'content', type: 'set', weight: 0.15, values: (song) => song.themesList || [] },
+  {
+    key: 'coWriters', label: 'Co-writers', group: 'content', type: 'set', weight: 0.1,
+    // Solo-written songs share "no co-writers" with each other
+    values: (song) => (song.coWritersList?.length > 0 ? song.coWritersList : [SOLO]),
+  },
+  { key: 'narrativeVoice', label: 'Narrative voice', group: 'content', type: 'category', weight: 0.1 },
+  { key: 'avgIntensity', label: 'Intensity', group: 'content', type: 'numeric', weight: 0.1, range: INTENSITY_RANGE },
+];
+
+// ============================================
+// Dimension comparisons
+// ============================================
+
+function jaccard(a, b) {
+  const setA = new Set(a);
+  const setB = new Set(b);
+  const shared = [...setA].filter(item => setB.has(item));
+  const union = new Set([...setA, ...setB]).size;
+  return { similarity: union > 0 ? shared.length / union : 0, shared };
+}
+
+/**
+ * Similarity (0-1) of two songs on one dimension, or null if it can't be compared
+ */
+function compareDimension(dimension, a, b, ranges) {
+  if (dimension.type === 'numeric') {
+    const valueA = a[dimension.key];
+    const valueB = b[dimension.key];
+    if (valueA == null || valueB == null) return null;
+    const range = dimension.range || ranges[dimension.key] || 1;
+    return {
+      similarity: Math.max(0, 1 - Math.abs(valueA - valueB) / range),
+      detail: { a: valueA, b: valueB },
+    };
+  }
+
+  if (dimension.type === 'set') {
+    const { similarity, shared } = jaccard(dimension.values(a), dimension.values(b));
+    return { similarity, detail: { shared: shared.filter(item => item !== SOLO), bothSolo: shared.includes(SOLO) } };
+  }
+
+  const valueA = a[dimension.key];
+  const valueB = b[dimension.key];
+  if (!valueA || !valueB) return null;
+  return { similarity: valueA === valueB ? 1 : 0, detail: { a: valueA, b: valueB } };
+}
+
+// ============================================
+// Explanations
+// ============================================
+
+/**
+ * Short phrase for why a dimension made two songs alike (or apart)
+ */
+function describeDimension(entry, mode) {
+  const { dimension, detail } = entry;
+  const suffix = dimension.suffix || '';
+
+  if (dimension.type === 'set') {
+    if (mode === 'similar') {
+      if (detail.bothSolo) return 'both written solo';
+      if (detail.shared.length > 0) {
+        const verb = dimension.key === 'themes' ? 'both about' : 'both with';
+        return `${verb} ${detail.shared.slice(0, 2).join(' & ')}`;
+      }
+      return null;
+    }
+    return detail.shared.length === 0 && !detail.bothSolo ? `no shared ${dimension.label.toLowerCase()}` : null;
+  }
+
+  if (dimension.type === 'category') {
+    return mode === 'similar'
+      ? `both ${detail.a}`
+      : `${detail.a} vs ${detail.b}`;
+  }
+
+  if (mode === 'similar') {
+    const diff = Math.abs(detail.a - detail.b);
+    return diff === 0
+      ? `same ${dimension.label.toLowerCase()}`
+      : `${dimension.label.toLowerCase()} within ${Math.round(diff)}${suffix}`;
+  }
+  return `${dimension.label.toLowerCase()} ${detail.a}${suffix} vs ${detail.b}${suffix}`;
+}
+
+/**
+ * Pick the dimensions that drove a match and phrase them
+ * @param {object} result - From index.compare()
+ * @param {'similar' | 'different'} mode
+ * @param {number} limit - Max reasons
+ * @returns {string[]}
+ */
+export function explainMatch(result, mode = 'similar', limit = 3) {
+  const ranked = [...result.dimensions]
+    .filter(entry => (mode === 'similar' ? entry.similarity >= 0.75 : entry.similarity <= 0.4))
+    // Similar: biggest weighted agreement first. Different: biggest weighted gap first.
+    .sort((x, y) => (mode === 'similar'
+      ? y.weight * y.similarity - x.weight * x.similarity
+      : y.weight * (1 - y.similarity) - x.weight * (1 - x.similarity)));
+
+  const reasons = [];
+  for (const entry of ranked) {
+    const phrase = describeDimension(entry, mode);
+    if (phrase) reasons.push(phrase);
+    if (reasons.length >= limit) break;
+  }
+  return reasons;
+}
+
+// ============================================
+// Index
+// ============================================
+
+/**
+ * Build a similarity index over a catalog of processed songs
+ * @param {object[]} songs
+ * @returns {{compare: function, findSimilar: function}}
+ */
+export function createSimilarityIndex(songs) {
+  // Catalog-wide ranges for min-max normalization
+  const ranges = {};
+  SIMILARITY_DIMENSIONS
+    .filter(dimension => dimension.type === 'numeric' && !dimension.range)
+    .forEach(dimension => {
+      const values = songs.map(song => song[dimension.key]).filter(v => typeof v === 'number');
+      ranges[dimension.key] = values.length > 0 ? (Math.max(...values) - Math.min(...values)) || 1 : 1;
+    });
+
+  /**
+   * Compare two songs
+   * @returns {{score: number, dimensions: object[]}} - score 0-100; per-dimension similarity, weight and contribution
+   */
+  const compare = (a, b) => {
+    const dimensions = SIMILARITY_DIMENSIONS
+      .map(dimension => {
+        const compared = compareDimension(dimension, a, b, ranges);
+        return compared && { dimension, key: dimension.key, weight: dimension.weight, ...compared };
+      })
+      .filter(Boolean);
+
+    const totalWeight = dimensions.reduce((sum, entry) => sum + entry.weight, 0);
+    dimensions.forEach(entry => {
+      entry.contribution = totalWeight > 0 ? (entry.weight * entry.similarity) / totalWeight : 0;
+    });
+
+    const score = dimensions.reduce((sum, entry) => sum + entry.contribution, 0);
+    return { score: Math.round(score * 100), dimensions };
+  };
+
+  /**
+   * Rank every other song against one song
+   * @param {object} song
+   * @param {object} options
+   * @param {'similar' | 'different'} options.mode
+   * @param {number} options.limit
+   * @param {number} options.reasons - Explanations per match
+   * @returns {Array<{song: object, score: number, reasons: string[]}>}
+   */
+  const findSimilar = (song, { mode = 'similar', limit = 3, reasons = 2 } = {}) => {
+    const results = songs
+      .filter(other => other.id !== song.id)
+      .map(other => ({ song: other, result: compare(song, other) }))
+      .sort((x, y) => (mode === 'similar' ? y.result.score - x.result.score : x.result.score - y.result.score))
+      .slice(0, limit);
+
+    return results.map(({ song: other, result }) => ({
+      song: other,
+      score: result.score,
+      reasons: explainMatch(result, mode, reasons),
+    }));
+  };
+
+  return { compare, findSimilar };
+}
+
+// One index per catalog array - rebuilt only when the catalog changes
+const indexCache = new WeakMap();
+
+/**
+ * Cached similarity index for a songs array
+ * @param {object[]} songs
+ */
+export function getSimilarityIndex(songs) {
+  if (!indexCache.has(songs)) {
+    indexCache.set(songs, createSimilarityIndex(songs));
+  }
+  return indexCache.get(songs);
+}
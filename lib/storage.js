@@ -1,18 +1,41 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import { DEFAULT_ARTIST_ID, artistOf } from './artists';
+import { mergeComparisonHistory } from './compatibility';
 
 const PROFILE_KEY = '@swiftie_profile';
 const COMPARISONS_KEY = '@swiftie_comparisons';
 const SHARE_ID_KEY = '@swiftie_share_id';
 const LAST_SEEN_KEY = '@swiftie_last_seen_comparisons';
 const PENDING_COMPARE_KEY = '@swiftie_pending_compare';
+const CATALOG_KEY = '@swiftie_catalog';
 
-export async function saveProfile(profile) {
+// Bump when the shape of processed albums/songs changes so old snapshots are dropped
+const CATALOG_SCHEMA_VERSION = 4;
+
+/**
+ * Storage key for per-artist data
+ * The default artist keeps the original keys so data saved before
+ * multi-artist support is still found.
+ */
+function artistKey(key, artistId) {
+  return !artistId || artistId === DEFAULT_ARTIST_ID ? key : `${key}:${artistId}`;
+}
+
+// ============================================
+// Profile (one per artist)
+// ============================================
+
+export async function saveProfile(profile, artistId = artistOf(profile)) {
   try {
+    // Custom metrics are owned by saveCustomMetrics - never clobber them with a stale copy
+    const stored = await loadProfile(artistId);
     const data = {
       ...profile,
+      artistId,
+      customMetrics: stored?.customMetrics || [],
       updatedAt: new Date().toISOString(),
     };
-    await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify(data));
+    await AsyncStorage.setItem(artistKey(PROFILE_KEY, artistId), JSON.stringify(data));
     return true;
   } catch (error) {
     console.error('Error saving profile:', error);
@@ -20,19 +43,19 @@ export async function saveProfile(profile) {
   }
 }
 
-export async function loadProfile() {
+export async function loadProfile(artistId = DEFAULT_ARTIST_ID) {
   try {
-    const data = await AsyncStorage.getItem(PROFILE_KEY);
-    return data ? JSON.parse(data) : null;
+    const data = await AsyncStorage.getItem(artistKey(PROFILE_KEY, artistId));
+    return data ? { artistId, ...JSON.parse(data) } : null;
   } catch (error) {
     console.error('Error loading profile:', error);
     return null;
   }
 }
 
-export async function clearProfile() {
+export async function clearProfile(artistId = DEFAULT_ARTIST_ID) {
   try {
-    await AsyncStorage.removeItem(PROFILE_KEY);
+    await AsyncStorage.removeItem(artistKey(PROFILE_KEY, artistId));
     return true;
   } catch (error) {
     console.error('Error clearing profile:', error);
@@ -40,14 +63,16 @@ export async function clearProfile() {
   }
 }
 
-export function createEmptyProfile() {
+export function createEmptyProfile(artistId = DEFAULT_ARTIST_ID) {
   return {
+    artistId,            // see lib/artists.js - profiles only compare within one artist
     topAlbums: [],
     albumSongs: {},
     songLyrics: {},
     albumWeights: {},    // { albumId: points } - sums to 100
     songWeights: {},     // { songId: points } - sums to 100 across all songs
     weightPreset: null,  // 'balanced' | 'oneFavorite' | 'topHeavy'
+    customMetrics: [],   // [{ id, label, formula, aggregate, suffix }] - see lib/formula.js
     editsUsed: {
       albums: 0,
       songs: 0,
@@ -59,12 +84,47 @@ export function createEmptyProfile() {
 }
 
 // ============================================
-// Share ID (cached after first share)
+// Custom Metrics (formula metrics saved on the profile)
+// Metric formulas work on any catalog, so they live on the default
+// artist's profile and apply to every artist.
+// ============================================
+
+/**
+ * Load the custom formula metrics saved on the profile
+ * @returns {Promise<Array<{id: string, label: string, formula: string, aggregate: string, suffix: string}>>}
+ */
+export async function loadCustomMetrics() {
+  const profile = await loadProfile();
+  return profile?.customMetrics || [];
+}
+
+/**
+ * Save the custom formula metrics to the profile, creating one if needed
+ * @param {Array} customMetrics - Full list of custom metric definitions
+ */
+export async function saveCustomMetrics(customMetrics) {
+  try {
+    const profile = (await loadProfile()) || createEmptyProfile();
+    const data = {
+      ...profile,
+      customMetrics,
+      updatedAt: new Date().toISOString(),
+    };
+    await AsyncStorage.setItem(PROFILE_KEY, JSON.stringify(data));
+    return true;
+  } catch (error) {
+    console.error('Error saving custom metrics:', error);
+    return false;
+  }
+}
+
+// ============================================
+// Share ID (cached after first share, one per artist profile)
 // ============================================
 
-export async function saveShareId(shareId) {
+export async function saveShareId(shareId, artistId = DEFAULT_ARTIST_ID) {
   try {
-    await AsyncStorage.setItem(SHARE_ID_KEY, shareId);
+    await AsyncStorage.setItem(artistKey(SHARE_ID_KEY, artistId), shareId);
     return true;
   } catch (error) {
     console.error('Error saving share ID:', error);
@@ -72,26 +132,39 @@ export async function saveShareId(shareId) {
   }
 }
 
-export async function loadShareId() {
+export async function loadShareId(artistId = DEFAULT_ARTIST_ID) {
   try {
-    return await AsyncStorage.getItem(SHARE_ID_KEY);
+    return await AsyncStorage.getItem(artistKey(SHARE_ID_KEY, artistId));
   } catch (error) {
     console.error('Error loading share ID:', error);
     return null;
   }
 }
 
+export async function clearShareId(artistId = DEFAULT_ARTIST_ID) {
+  try {
+    await AsyncStorage.removeItem(artistKey(SHARE_ID_KEY, artistId));
+    return true;
+  } catch (error) {
+    console.error('Error clearing share ID:', error);
+    return false;
+  }
+}
+
 // ============================================
 // Local Comparisons (my comparisons list)
 // ============================================
 
+/**
+ * Save a comparison, keeping the score history of an earlier one with the same share ID
+ */
 export async function saveComparison(comparison) {
   try {
     const existing = await loadComparisons();
     // Update if exists, otherwise add
     const idx = existing.findIndex(c => c.shareId === comparison.shareId);
     if (idx >= 0) {
-      existing[idx] = comparison;
+      existing[idx] = mergeComparisonHistory(existing[idx], comparison);
     } else {
       existing.unshift(comparison); // Add to front (most recent)
     }
@@ -105,18 +178,23 @@ export async function saveComparison(comparison) {
   }
 }
 
-export async function loadComparisons() {
+/**
+ * Load my comparisons
+ * @param {string|null} artistId - Only this artist's comparisons (all of them if null)
+ */
+export async function loadComparisons(artistId = null) {
   try {
     const data = await AsyncStorage.getItem(COMPARISONS_KEY);
-    return data ? JSON.parse(data) : [];
+    const comparisons = data ? JSON.parse(data) : [];
+    return artistId ? comparisons.filter(c => artistOf(c) === artistId) : comparisons;
   } catch (error) {
     console.error('Error loading comparisons:', error);
     return [];
   }
 }
 
-export async function getComparisonCount() {
-  const comparisons = await loadComparisons();
+export async function getComparisonCount(artistId = null) {
+  const comparisons = await loadComparisons(artistId);
   return comparisons.length;
 }
 
@@ -206,3 +284,68 @@ export async function clearPendingComparison() {
     return false;
   }
 }
+
+// ============================================
+// Catalog Snapshot (offline-first album/song cache)
+// ============================================
+
+/**
+ * Persist an artist's processed catalog so it can be served instantly on next launch
+ * @param {object} data
+ * @param {Array} data.albums - Processed albums from fetchAlbumsWithMetrics
+ * @param {Array} data.songs - Processed songs from fetchAlbumsWithMetrics
+ * @param {string|null} data.version - Server-side catalog version the data was fetched at
+ * @param {string} data.artistId - Artist the catalog belongs to
+ */
+export async function saveCatalogSnapshot({ albums, songs, version, artistId = DEFAULT_ARTIST_ID }) {
+  try {
+    await AsyncStorage.setItem(artistKey(CATALOG_KEY, artistId), JSON.stringify({
+      schemaVersion: CATALOG_SCHEMA_VERSION,
+      version: version || null,
+      albums,
+      songs,
+      savedAt: new Date().toISOString(),
+    }));
+    return true;
+  } catch (error) {
+    console.error('Error saving catalog snapshot:', error);
+    return false;
+  }
+}
+
+/**
+ * Load an artist's cached catalog snapshot (if it matches the current schema)
+ * @param {string} artistId
+ * @returns {Promise<{albums: Array, songs: Array, version: string|null, savedAt: string} | null>}
+ */
+export async function loadCatalogSnapshot(artistId = DEFAULT_ARTIST_ID) {
+  try {
+    const data = await AsyncStorage.getItem(artistKey(CATALOG_KEY, artistId));
+    if (!data) return null;
+
+    const parsed = JSON.parse(data);
+    if (parsed.schemaVersion !== CATALOG_SCHEMA_VERSION || !parsed.albums?.length) {
+      await clearCatalogSnapshot(artistId);
+      return null;
+    }
+
+    return parsed;
+  } catch (error) {
+    console.error('Error loading catalog snapshot:', error);
+    return null;
+  }
+}
+
+/**
+ * Drop an artist's cached catalog snapshot
+ * @param {string} artistId
+ */
+export async function clearCatalogSnapshot(artistId = DEFAULT_ARTIST_ID) {
+  try {
+    await AsyncStorage.removeItem(artistKey(CATALOG_KEY, artistId));
+    return true;
+  } catch (error) {
+    console.error('Error clearing catalog snapshot:', error);
+    return false;
+  }
+}
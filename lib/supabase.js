@@ -1,149 +1,54 @@
 import { createClient } from '@supabase/supabase-js';
+import { DEFAULT_ARTIST_ID, artistOf } from './artists';
+import { createMockSupabase } from './mockSupabase';
+import { SCORING_VERSION } from './compatibility';
+import { handleFromParam, normalizeHandle, profilePath } from './shareLinks';
 
 const supabaseUrl = process.env.EXPO_PUBLIC_SUPABASE_URL;
 const supabaseAnonKey = process.env.EXPO_PUBLIC_SUPABASE_ANON_KEY;
+const apiBase = process.env.EXPO_PUBLIC_API_URL || '';
 
-export const supabase = createClient(supabaseUrl, supabaseAnonKey);
+// Offline development: fixtures and fake Stripe from scripts/mock-server.js
+export const isMockBackend = process.env.EXPO_PUBLIC_MOCK_BACKEND === 'true';
 
-export async function fetchAlbumsWithMetrics() {
-  const { data: albums, error: albumsError } = await supabase
-    .from('albums')
-    .select('id, display_name, color, official_release_date')
-    .order('official_release_date', { ascending: true });
+export const supabase = isMockBackend
+  ? createMockSupabase()
+  : createClient(supabaseUrl, supabaseAnonKey);
 
-  if (albumsError) {
-    console.error('Error fetching albums:', albumsError);
-    return { albums: [], songs: [] };
-  }
-
-  const { data: songs, error: songsError } = await supabase
-    .from('songs')
-    .select('id, title, album_id, duration_minutes, word_count, unique_word_count, from_the_vault, audio_features, mood_profile, themes, features, narrative_voice, narrative_character_count, track_number');
-
-  if (songsError) {
-    console.error('Error fetching songs:', songsError);
-    return { albums: albums.map(album => ({ ...album, songCount: 0, totalMinutes: 0, wordCount: 0 })), songs: [] };
-  }
+/**
+ * Fetch an artist's precomputed album and song metrics from /api/catalog.
+ * All metric math happens server-side (api/_lib/catalog.js); the payload is
+ * used as-is.
+ *
+ * @param {string|null} knownVersion - Version of a cached snapshot; if it's still
+ *   current the server answers 304 and `notModified` is true
+ * @param {string} artistId - Catalog to fetch (see lib/artists.js)
+ * @returns {Promise<{albums: Array, songs: Array, version: string|null, notModified: boolean}>}
+ */
+export async function fetchAlbumsWithMetrics(knownVersion = null, artistId = DEFAULT_ARTIST_ID) {
+  const empty = { albums: [], songs: [], version: null, notModified: false };
 
-  const albumMetrics = albums.map(album => {
-    const albumSongs = songs.filter(song => song.album_id === album.id);
-    const songCount = albumSongs.length;
-
-    // Basic metrics
-    const totalMinutes = albumSongs.reduce((sum, song) => sum + (song.duration_minutes || 0), 0);
-    const wordCount = albumSongs.reduce((sum, song) => sum + (song.word_count || 0), 0);
-    const uniqueWordCount = albumSongs.reduce((sum, song) => sum + (song.unique_word_count || 0), 0);
-
-    // Vault tracks - collect names
-    const vaultTracksList = albumSongs.filter(song => song.from_the_vault).map(s => s.title);
-    const vaultTracks = vaultTracksList.length;
-
-    // Audio features (averages)
-    const songsWithAudio = albumSongs.filter(s => s.audio_features);
-    const avgAudioFeature = (key) => {
-      if (songsWithAudio.length === 0) return 0;
-      const sum = songsWithAudio.reduce((acc, s) => acc + (s.audio_features?.[key] || 0), 0);
-      return sum / songsWithAudio.length;
-    };
-
-    const avgEnergy = Math.round(avgAudioFeature('energy') * 100);
-    const avgDanceability = Math.round(avgAudioFeature('danceability') * 100);
-    const avgValence = Math.round(avgAudioFeature('valence') * 100);
-    const avgAcousticness = Math.round(avgAudioFeature('acousticness') * 100);
-    const avgTempo = Math.round(avgAudioFeature('tempo'));
-
-    // Co-writers - collect unique names
-    const coWriters = new Set();
-    albumSongs.forEach(song => {
-      const writers = song.features?.co_writers || [];
-      writers.forEach(w => coWriters.add(w));
+  try {
+    const response = await fetch(`${apiBase}/api/catalog?artist=${encodeURIComponent(artistId)}`, {
+      headers: knownVersion ? { 'If-None-Match': `"${knownVersion}"` } : {},
     });
-    const coWritersList = Array.from(coWriters);
-    const coWriterCount = coWritersList.length;
 
-    // Theme diversity - collect unique themes
-    const allThemes = new Set();
-    albumSongs.forEach(song => {
-      (song.themes || []).forEach(t => allThemes.add(t.theme));
-    });
-    const themesList = Array.from(allThemes);
-    const themeCount = themesList.length;
-
-    // Narrative
-    const totalCharacters = albumSongs.reduce((sum, song) => sum + (song.narrative_character_count || 0), 0);
-    const firstPersonCount = albumSongs.filter(s => s.narrative_voice === 'first-person').length;
-    const firstPersonPct = songCount > 0 ? Math.round((firstPersonCount / songCount) * 100) : 0;
-
-    // Mood intensity scoring
-    const intensityMap = { 'subdued': 1, 'moderate': 2, 'intense': 3, 'very-intense': 4 };
-    const moodScores = albumSongs
-      .filter(s => s.mood_profile?.emotionalIntensity)
-      .map(s => intensityMap[s.mood_profile.emotionalIntensity] || 2);
-    const avgIntensity = moodScores.length > 0
-      ? Math.round((moodScores.reduce((a, b) => a + b, 0) / moodScores.length) * 25)
-      : 50;
-
-    return {
-      ...album,
-      songCount,
-      totalMinutes: Math.round(totalMinutes),
-      wordCount,
-      uniqueWordCount,
-      vaultTracks,
-      vaultTracksList,
-      avgEnergy,
-      avgDanceability,
-      avgValence,
-      avgAcousticness,
-      avgTempo,
-      coWriterCount,
-      coWritersList,
-      themeCount,
-      themesList,
-      totalCharacters,
-      firstPersonPct,
-      avgIntensity,
-    };
-  });
+    if (response.status === 304) {
+      return { ...empty, version: knownVersion, notModified: true };
+    }
 
-  // Process individual songs with their metrics
-  const intensityMap = { 'subdued': 1, 'moderate': 2, 'intense': 3, 'very-intense': 4 };
-  const processedSongs = songs.map(song => {
-    const album = albums.find(a => a.id === song.album_id);
-    const audio = song.audio_features || {};
-
-    return {
-      id: song.id,
-      name: song.title,
-      album_id: song.album_id,
-      color: album?.color || '#666',
-      trackNumber: song.track_number || 0,
-      // Basic metrics
-      totalMinutes: song.duration_minutes || 0,
-      wordCount: song.word_count || 0,
-      uniqueWordCount: song.unique_word_count || 0,
-      // Audio (as percentages, same as album)
-      avgEnergy: Math.round((audio.energy || 0) * 100),
-      avgDanceability: Math.round((audio.danceability || 0) * 100),
-      avgValence: Math.round((audio.valence || 0) * 100),
-      avgAcousticness: Math.round((audio.acousticness || 0) * 100),
-      avgTempo: Math.round(audio.tempo || 0),
-      // Content
-      vaultTracks: song.from_the_vault ? 1 : 0,
-      coWriterCount: (song.features?.co_writers || []).length,
-      coWritersList: song.features?.co_writers || [],
-      themeCount: (song.themes || []).length,
-      themesList: (song.themes || []).map(t => t.theme),
-      totalCharacters: song.narrative_character_count || 0,
-      narrativeVoice: song.narrative_voice || null,
-      emotionalIntensity: song.mood_profile?.emotionalIntensity || null,
-      avgIntensity: song.mood_profile?.emotionalIntensity
-        ? (intensityMap[song.mood_profile.emotionalIntensity] || 2) * 25
-        : 50,
-    };
-  });
+    if (!response.ok) {
+      const error = await response.json().catch(() => ({}));
+      console.error('Error fetching catalog:', error.error || response.status);
+      return empty;
+    }
 
-  return { albums: albumMetrics, songs: processedSongs };
+    const { version, albums, songs } = await response.json();
+    return { albums: albums || [], songs: songs || [], version: version || null, notModified: false };
+  } catch (error) {
+    console.error('Error fetching catalog:', error);
+    return empty;
+  }
 }
 
 export async function fetchSongLyrics(songId) {
@@ -160,10 +65,35 @@ export async function fetchSongLyrics(songId) {
   return data;
 }
 
-export async function fetchAllSongsBasic() {
+/**
+ * Fetch lyrics for every song of an artist, for the client-side search index (lib/lyricSearch.js)
+ * @param {string} artistId
+ * @returns {Promise<Array<{id: string, title: string, album_id: string, raw_lyrics_searchable: string}>>}
+ */
+export async function fetchAllLyrics(artistId = DEFAULT_ARTIST_ID) {
+  const { data, error } = await supabase
+    .from('songs')
+    .select('id, title, album_id, raw_lyrics_searchable')
+    .eq('artist_id', artistId)
+    .not('raw_lyrics_searchable', 'is', null);
+
+  if (error) {
+    console.error('Error fetching lyrics:', error);
+    return [];
+  }
+  return data;
+}
+
+/**
+ * Fetch every song of an artist without metrics, in track order
+ * @param {string} artistId
+ * @returns {Promise<Array<{id: string, title: string, album_id: string, track_number: number}>>}
+ */
+export async function fetchAllSongsBasic(artistId = DEFAULT_ARTIST_ID) {
   const { data, error } = await supabase
     .from('songs')
     .select('id, title, album_id, track_number')
+    .eq('artist_id', artistId)
     .order('track_number', { ascending: true });
 
   if (error) {
@@ -193,54 +123,298 @@ function generateShortId(length = 8) {
 }
 
 /**
- * Save a profile for sharing and get a unique share ID
- * @param {object} profile - The profile data to share
- * @returns {Promise<{shareId: string, shareUrl: string} | null>}
+ * Origin share links point at
+ */
+function shareBaseUrl() {
+  return typeof window !== 'undefined'
+    ? window.location.origin
+    : 'https://swiftieranker.com';
+}
+
+/**
+ * Signed-in (or anonymous) user, if there's a session
+ */
+async function currentUserId() {
+  const { data } = await supabase.auth.getSession();
+  return data?.session?.user?.id || null;
+}
+
+// Columns behind sharedProfileResult()
+const SHARED_PROFILE_COLUMNS = 'share_id, handle, revision, visibility, expires_at';
+
+function sharedProfileResult(row) {
+  return {
+    shareId: row.share_id,
+    shareUrl: `${shareBaseUrl()}${profilePath({ shareId: row.share_id, handle: row.handle })}`,
+    handle: row.handle || null,
+    revision: row.revision || 1,
+    visibility: row.visibility || 'public',
+    expiresAt: row.expires_at || null,
+  };
+}
+
+/**
+ * Save a profile for sharing
+ * Each user has one shared profile per artist: the first save creates it,
+ * later saves update it in place (as a new revision) so the share link and
+ * comparisons made against it keep working. Without a session the profile
+ * is saved unowned under a new share ID. A revoked profile isn't reused -
+ * the next save makes a new link.
+ * @param {object} profile - The profile data to share (its `artistId` is stored with it)
+ * @returns {Promise<{shareId, shareUrl, handle, revision, visibility, expiresAt} | null>}
  */
 export async function saveSharedProfile(profile) {
-  const shareId = generateShortId(8);
-
-  const { error } = await supabase
-    .from('shared_profiles')
-    .insert({
-      share_id: shareId,
-      profile_data: profile,
-      created_at: new Date().toISOString(),
-    });
+  const artistId = artistOf(profile);
+  const profileData = { ...profile, artistId };
 
-  if (error) {
+  try {
+    const userId = await currentUserId();
+
+    if (userId) {
+      const { data: existing, error: lookupError } = await supabase
+        .from('shared_profiles')
+        .select('share_id, handle')
+        .eq('user_id', userId)
+        .eq('artist_id', artistId)
+        .is('revoked_at', null)
+        .maybeSingle();
+
+      if (lookupError) {
+        console.error('Error saving shared profile:', lookupError);
+        return null;
+      }
+
+      if (existing) {
+        const { data, error } = await supabase
+          .from('shared_profiles')
+          .update({ profile_data: profileData })
+          .eq('share_id', existing.share_id)
+          .select(SHARED_PROFILE_COLUMNS)
+          .single();
+
+        if (error) {
+          console.error('Error saving shared profile:', error);
+          return null;
+        }
+        return sharedProfileResult(data);
+      }
+    }
+
+    const shareId = generateShortId(8);
+    const { error } = await supabase
+      .from('shared_profiles')
+      .insert({
+        share_id: shareId,
+        user_id: userId,
+        artist_id: artistId,
+        profile_data: profileData,
+        created_at: new Date().toISOString(),
+      });
+
+    if (error) {
+      console.error('Error saving shared profile:', error);
+      return null;
+    }
+
+    return sharedProfileResult({ share_id: shareId });
+  } catch (error) {
     console.error('Error saving shared profile:', error);
     return null;
   }
+}
 
-  const baseUrl = typeof window !== 'undefined'
-    ? window.location.origin
-    : 'https://swiftieranker.com';
+/**
+ * Set or clear the handle of my shared profile ("/p/@name")
+ * @param {string} shareId - My shared profile
+ * @param {string|null} handle - As typed; null or empty to remove it
+ * @returns {Promise<{shareUrl: string, handle: string|null} | {error: string}>}
+ */
+export async function setSharedProfileHandle(shareId, handle) {
+  const normalized = handle ? normalizeHandle(handle) : null;
+  if (handle && !normalized) {
+    return { error: 'Handles are 3-20 letters, numbers or underscores' };
+  }
 
-  return {
-    shareId,
-    shareUrl: `${baseUrl}/p/${shareId}`,
-  };
+  try {
+    if (normalized) {
+      const { data: taken } = await supabase
+        .from('shared_profiles')
+        .select('share_id')
+        .eq('handle', normalized)
+        .neq('share_id', shareId)
+        .maybeSingle();
+      if (taken) return { error: `@${normalized} is taken` };
+    }
+
+    const { data, error } = await supabase
+      .from('shared_profiles')
+      .update({ handle: normalized })
+      .eq('share_id', shareId)
+      .select(SHARED_PROFILE_COLUMNS)
+      .single();
+
+    if (error) {
+      // Unique index on handle (someone claimed it since the check above)
+      if (error.code === '23505') return { error: `@${normalized} is taken` };
+      console.error('Error setting handle:', error);
+      return { error: 'Could not save your handle' };
+    }
+
+    const { shareUrl } = sharedProfileResult(data);
+    return { shareUrl, handle: data.handle || null };
+  } catch (error) {
+    console.error('Error setting handle:', error);
+    return { error: 'Could not save your handle' };
+  }
+}
+
+/**
+ * Share ID behind a "/p/..." route parameter
+ * @param {string} param - A share ID or "@handle"
+ * @returns {Promise<string|null>} - null if the handle isn't in use
+ */
+export async function resolveShareId(param) {
+  const handle = handleFromParam(param);
+  if (!handle) return param || null;
+
+  try {
+    const { data, error } = await supabase.rpc('resolve_profile_handle', { p_handle: handle });
+
+    if (error) {
+      console.error('Error resolving handle:', error);
+      return null;
+    }
+    return data || null;
+  } catch (error) {
+    console.error('Error resolving handle:', error);
+    return null;
+  }
 }
 
 /**
  * Fetch a shared profile by its share ID
+ * Visibility, expiry and revoking are checked by the database
+ * (get_shared_profiles in db/migrations/010_profile_privacy.sql).
  * @param {string} shareId - The unique share ID
- * @returns {Promise<object | null>}
+ * @returns {Promise<{status: 'available'|'revoked'|'expired'|'private', profile: object|null} | null>} -
+ *   null if there's no such profile (or it couldn't be fetched); profile is only set when available
  */
 export async function fetchSharedProfile(shareId) {
-  const { data, error } = await supabase
-    .from('shared_profiles')
-    .select('profile_data, created_at')
-    .eq('share_id', shareId)
-    .single();
+  try {
+    const { data, error } = await supabase.rpc('get_shared_profiles', { p_share_ids: [shareId] });
 
-  if (error) {
+    if (error) {
+      console.error('Error fetching shared profile:', error);
+      return null;
+    }
+
+    const row = data?.[0];
+    return row ? { status: row.status, profile: row.profile_data || null } : null;
+  } catch (error) {
     console.error('Error fetching shared profile:', error);
     return null;
   }
+}
+
+/**
+ * Earlier versions of my shared profile (only its owner can read them)
+ * @param {string} shareId
+ * @returns {Promise<Array<{revision: number, profile: object, createdAt: string}>>} - Newest first
+ */
+export async function fetchSharedProfileRevisions(shareId) {
+  try {
+    const { data, error } = await supabase
+      .from('shared_profile_revisions')
+      .select('revision, profile_data, created_at')
+      .eq('share_id', shareId)
+      .order('revision', { ascending: false });
+
+    if (error) {
+      console.error('Error fetching profile revisions:', error);
+      return [];
+    }
+
+    return (data || []).map(row => ({ revision: row.revision, profile: row.profile_data, createdAt: row.created_at }));
+  } catch (error) {
+    console.error('Error fetching profile revisions:', error);
+    return [];
+  }
+}
+
+/**
+ * Fetch several shared profiles at once
+ * @param {string[]} shareIds - Share IDs to fetch
+ * @returns {Promise<Array<{shareId: string, profile: object}>>} - In the order asked for; unknown,
+ *   private, expired and revoked profiles are left out
+ */
+export async function fetchSharedProfiles(shareIds) {
+  try {
+    const { data, error } = await supabase.rpc('get_shared_profiles', { p_share_ids: shareIds });
+
+    if (error) {
+      console.error('Error fetching shared profiles:', error);
+      return [];
+    }
+
+    const available = (data || []).filter(row => row.status === 'available');
+    const byId = new Map(available.map(row => [row.share_id, row.profile_data]));
+    return shareIds
+      .filter(shareId => byId.has(shareId))
+      .map(shareId => ({ shareId, profile: byId.get(shareId) }));
+  } catch (error) {
+    console.error('Error fetching shared profiles:', error);
+    return [];
+  }
+}
+
+/**
+ * Change who can open my shared profile and when the link expires
+ * @param {string} shareId - My shared profile
+ * @param {object} settings - { visibility: 'public'|'link'|'friends', expiresAt: ISO string or null }
+ * @returns {Promise<object>} - Same shape as saveSharedProfile, or { error } with a message to show
+ */
+export async function updateSharedProfileSettings(shareId, { visibility, expiresAt }) {
+  const changes = {};
+  if (visibility !== undefined) changes.visibility = visibility;
+  if (expiresAt !== undefined) changes.expires_at = expiresAt;
 
-  return data?.profile_data || null;
+  try {
+    const { data, error } = await supabase
+      .from('shared_profiles')
+      .update(changes)
+      .eq('share_id', shareId)
+      .select(SHARED_PROFILE_COLUMNS)
+      .single();
+
+    if (error) {
+      console.error('Error updating shared profile settings:', error);
+      return { error: 'Could not save your link settings' };
+    }
+    return sharedProfileResult(data);
+  } catch (error) {
+    console.error('Error updating shared profile settings:', error);
+    return { error: 'Could not save your link settings' };
+  }
+}
+
+/**
+ * Revoke my share link: the profile, its handle and every comparison with it are removed
+ * @param {string} shareId - My shared profile
+ * @returns {Promise<{success: true} | {error: string}>}
+ */
+export async function revokeSharedProfile(shareId) {
+  try {
+    const { error } = await supabase.rpc('revoke_shared_profile', { p_share_id: shareId });
+
+    if (error) {
+      console.error('Error revoking shared profile:', error);
+      return { error: 'Could not revoke your link' };
+    }
+    return { success: true };
+  } catch (error) {
+    console.error('Error revoking shared profile:', error);
+    return { error: 'Could not revoke your link' };
+  }
 }
 
 /**
@@ -248,7 +422,12 @@ export async function fetchSharedProfile(shareId) {
  * @param {string} shareId - The unique share ID
  */
 export async function incrementProfileViews(shareId) {
-  await supabase.rpc('increment_profile_views', { profile_share_id: shareId });
+  try {
+    const { error } = await supabase.rpc('increment_profile_views', { profile_share_id: shareId });
+    if (error) console.error('Error incrementing profile views:', error);
+  } catch (error) {
+    console.error('Error incrementing profile views:', error);
+  }
 }
 
 // ============================================
@@ -261,16 +440,27 @@ export async function incrementProfileViews(shareId) {
  * @param {string} viewedShareId - The viewed profile's share ID
  * @param {number} score - Compatibility score 0-100
  * @param {object} viewerProfile - Viewer's profile (for display data)
+ * @param {number} scoringVersion - Version the score was calculated with (lib/compatibility.js)
+ * @param {object} profileVersions - { viewerProfileVersion, viewedProfileVersion } the score was calculated against (profileVersion in lib/compatibility.js)
+ * @returns {Promise<boolean>} - Whether it was saved
  */
-export async function saveComparisonToSupabase(viewerShareId, viewedShareId, score, viewerProfile) {
+export async function saveComparisonToSupabase(viewerShareId, viewedShareId, score, viewerProfile, scoringVersion = SCORING_VERSION, profileVersions = {}) {
   try {
-    await supabase.rpc('upsert_comparison', {
+    const { error } = await supabase.rpc('upsert_comparison', {
       p_viewer_share_id: viewerShareId,
       p_viewed_share_id: viewedShareId,
       p_score: score,
       p_viewer_albums: viewerProfile.topAlbums || [],
       p_viewer_album_names: viewerProfile.albumNames || {},
+      p_scoring_version: scoringVersion,
+      p_viewer_profile_version: profileVersions.viewerProfileVersion || null,
+      p_viewed_profile_version: profileVersions.viewedProfileVersion || null,
     });
+
+    if (error) {
+      console.error('Error saving comparison:', error);
+      return false;
+    }
     return true;
   } catch (error) {
     console.error('Error saving comparison:', error);
@@ -278,8 +468,42 @@ export async function saveComparisonToSupabase(viewerShareId, viewedShareId, sco
   }
 }
 
+/**
+ * Re-score a comparison someone made with my shared profile (after my profile changed)
+ * Only updates an existing comparison - it can't record a new one.
+ * @param {string} viewerShareId - The share ID of who compared with me
+ * @param {string} myShareId - My share ID (the viewed profile)
+ * @param {number} score - Compatibility score 0-100
+ * @param {number} scoringVersion - Version the score was calculated with (lib/compatibility.js)
+ * @param {object} profileVersions - { viewerProfileVersion, viewedProfileVersion } the score was calculated against
+ * @returns {Promise<boolean>} - Whether it was saved
+ */
+export async function rescoreIncomingComparison(viewerShareId, myShareId, score, scoringVersion, profileVersions) {
+  try {
+    const { error } = await supabase.rpc('rescore_comparison', {
+      p_viewer_share_id: viewerShareId,
+      p_viewed_share_id: myShareId,
+      p_score: score,
+      p_scoring_version: scoringVersion,
+      p_viewer_profile_version: profileVersions.viewerProfileVersion || null,
+      p_viewed_profile_version: profileVersions.viewedProfileVersion || null,
+    });
+
+    if (error) {
+      console.error('Error re-scoring comparison:', error);
+      return false;
+    }
+    return true;
+  } catch (error) {
+    console.error('Error re-scoring comparison:', error);
+    return false;
+  }
+}
+
 /**
  * Fetch incoming comparisons (people who compared with me)
+ * Each row comes with its score history (oldest first), in the same shape
+ * as local comparison records: [{ score, scoringVersion, comparedAt }]
  * @param {string} myShareId - My share ID
  * @param {string} since - Optional ISO timestamp to fetch only newer comparisons
  * @returns {Promise<Array>}
@@ -288,7 +512,7 @@ export async function fetchIncomingComparisons(myShareId, since = null) {
   try {
     let query = supabase
       .from('comparisons')
-      .select('viewer_share_id, score, viewer_albums, viewer_album_names, created_at')
+      .select('viewer_share_id, score, scoring_version, viewed_profile_version, viewer_albums, viewer_album_names, created_at')
       .eq('viewed_share_id', myShareId)
       .order('created_at', { ascending: false })
       .limit(50);
@@ -304,13 +528,46 @@ export async function fetchIncomingComparisons(myShareId, since = null) {
       return [];
     }
 
-    return data || [];
+    const history = await fetchComparisonHistory(myShareId, (data || []).map(row => row.viewer_share_id));
+    return (data || []).map(row => ({ ...row, history: history.get(row.viewer_share_id) || [] }));
   } catch (error) {
     console.error('Error fetching incoming comparisons:', error);
     return [];
   }
 }
 
+/**
+ * Score history of the given viewers' comparisons with me
+ * @returns {Promise<Map<string, Array>>} - viewer share ID -> history, oldest first
+ */
+async function fetchComparisonHistory(myShareId, viewerShareIds) {
+  const history = new Map();
+  if (viewerShareIds.length === 0) return history;
+
+  const { data, error } = await supabase
+    .from('comparison_scores')
+    .select('viewer_share_id, score, scoring_version, created_at')
+    .eq('viewed_share_id', myShareId)
+    .in('viewer_share_id', viewerShareIds)
+    .order('created_at', { ascending: true });
+
+  // History is extra - the comparisons still show without it
+  if (error) {
+    console.error('Error fetching comparison history:', error);
+    return history;
+  }
+
+  (data || []).forEach(row => {
+    if (!history.has(row.viewer_share_id)) history.set(row.viewer_share_id, []);
+    history.get(row.viewer_share_id).push({
+      score: row.score,
+      scoringVersion: row.scoring_version,
+      comparedAt: row.created_at,
+    });
+  });
+  return history;
+}
+
 /**
  * Get count of new incoming comparisons since last seen
  * @param {string} myShareId - My share ID
@@ -336,3 +593,62 @@ export async function getNewComparisonCount(myShareId, lastSeen) {
     return 0;
   }
 }
+
+// ============================================
+// Group Comparisons
+// ============================================
+
+/**
+ * Save a group so it can be shared as one link
+ *
+ * Only the members are stored - the comparison is worked out again from their
+ * profiles whenever the link is opened. Every member must be public.
+ * @param {string[]} shareIds - The group's members
+ * @returns {Promise<{groupId: string, groupUrl: string} | null>}
+ */
+export async function saveGroupComparison(shareIds) {
+  const groupId = generateShortId(8);
+
+  const { error } = await supabase.rpc('create_group_comparison', {
+    p_group_id: groupId,
+    p_share_ids: shareIds,
+  });
+
+  if (error) {
+    console.error('Error saving group comparison:', error);
+    return null;
+  }
+
+  return {
+    groupId,
+    groupUrl: groupComparisonUrl(groupId),
+  };
+}
+
+/**
+ * Link to a saved group comparison
+ * @param {string} groupId
+ */
+export function groupComparisonUrl(groupId) {
+  return `${shareBaseUrl()}/g/${groupId}`;
+}
+
+/**
+ * Fetch a saved group
+ * @param {string} groupId - The group's share ID
+ * @returns {Promise<{shareIds: string[], artistId: string, createdAt: string} | null>}
+ */
+export async function fetchGroupComparison(groupId) {
+  const { data, error } = await supabase
+    .from('group_comparisons')
+    .select('share_ids, artist_id, created_at')
+    .eq('group_id', groupId)
+    .single();
+
+  if (error) {
+    console.error('Error fetching group comparison:', error);
+    return null;
+  }
+
+  return data ? { shareIds: data.share_ids, artistId: data.artist_id, createdAt: data.created_at } : null;
+}
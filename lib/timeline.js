@@ -0,0 +1,77 @@
+/**
+ * Era timeline helpers
+ *
+ * Places albums on a real time axis (official_release_date) and works out
+ * which releases are Taylor's Version re-recordings of an earlier album.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+// "Red (Taylor's Version)", "Red Taylor's Version" or "Red TV"
+const TAYLORS_VERSION = /\s*(\(?taylor['’]s version\)?|\btv)\s*$/i;
+
+/**
+ * @param {string} name - Album display name
+ * @returns {boolean}
+ */
+export function isReRecording(name = '') {
+  return TAYLORS_VERSION.test(name);
+}
+
+/**
+ * Album name without the "(Taylor's Version)" suffix, lowercased for matching
+ */
+function baseName(name = '') {
+  return name.replace(TAYLORS_VERSION, '').trim().toLowerCase();
+}
+
+/**
+ * Human-readable gap between two dates ("2y 3m", "5m", "3w")
+ * @param {number} days
+ */
+export function formatGap(days) {
+  if (days < 30) return `${Math.max(Math.round(days / 7), 1)}w`;
+  const months = Math.round(days / 30.44);
+  const years = Math.floor(months / 12);
+  const rest = months % 12;
+  if (years === 0) return `${rest}m`;
+  return rest > 0 ? `${years}y ${rest}m` : `${years}y`;
+}
+
+/**
+ * Build timeline entries for albums with a release date, oldest first
+ *
+ * @param {object[]} albums - Processed albums
+ * @returns {{entries: object[], links: object[], start: Date, end: Date}}
+ *   entries: { album, date, isReRecording, gapDays } - gapDays since the previous release (null for the first)
+ *   links: { from, to } - original album id → re-recording album id
+ *   start/end: first and last release dates
+ */
+export function buildTimeline(albums) {
+  const entries = albums
+    .filter(album => album.official_release_date)
+    .map(album => ({
+      album,
+      date: new Date(album.official_release_date),
+      isReRecording: isReRecording(album.display_name),
+    }))
+    .filter(entry => !Number.isNaN(entry.date.getTime()))
+    .sort((a, b) => a.date - b.date);
+
+  entries.forEach((entry, index) => {
+    entry.gapDays = index > 0 ? Math.round((entry.date - entries[index - 1].date) / DAY_MS) : null;
+  });
+
+  const originalsByName = new Map(
+    entries.filter(entry => !entry.isReRecording).map(entry => [baseName(entry.album.display_name), entry.album.id])
+  );
+  const links = entries
+    .filter(entry => entry.isReRecording && originalsByName.has(baseName(entry.album.display_name)))
+    .map(entry => ({ from: originalsByName.get(baseName(entry.album.display_name)), to: entry.album.id }));
+
+  return {
+    entries,
+    links,
+    start: entries[0]?.date || null,
+    end: entries[entries.length - 1]?.date || null,
+  };
+}
@@ -0,0 +1,72 @@
+import squarify from 'squarify';
+
+/**
+ * Treemap layout helpers
+ *
+ * `squarify` lays out one flat level. Nested treemaps (songs inside album
+ * rectangles) run it once for the groups, then again inside each group's
+ * rectangle, inset to leave room for a border and a header label.
+ */
+
+const MIN_INNER_SIZE = 4;
+
+/**
+ * Shrink a rectangle, reserving space for a header along the top
+ * @returns {{x0: number, y0: number, x1: number, y1: number} | null} - null if nothing is left
+ */
+function insetRect(rect, padding, headerHeight) {
+  const inner = {
+    x0: rect.x0 + padding,
+    y0: rect.y0 + padding + headerHeight,
+    x1: rect.x1 - padding,
+    y1: rect.y1 - padding,
+  };
+  if (inner.x1 - inner.x0 < MIN_INNER_SIZE || inner.y1 - inner.y0 < MIN_INNER_SIZE) return null;
+  return inner;
+}
+
+/**
+ * Hierarchical squarified layout - groups first, then each group's children inside it
+ *
+ * A group's area is the sum of its children's values, so leaf areas stay
+ * comparable across groups. Groups too small for a header drop it; groups too
+ * small for any inset place their children edge to edge.
+ *
+ * @param {Array<object>} groups - [{ ...data, children: [{ ...data, value }] }], in display order
+ * @param {{x0: number, y0: number, x1: number, y1: number}} container
+ * @param {object} options
+ * @param {number} options.padding - Gap between a group's border and its children
+ * @param {number} options.headerHeight - Space reserved for the group label
+ * @param {number} options.minHeaderSize - Smallest group width/height that still gets a header
+ * @returns {{groups: object[], leaves: object[]}} - Group rects (with `showHeader`) and leaf rects (with `groupId`)
+ */
+export function squarifyNested(groups, container, { padding = 3, headerHeight = 16, minHeaderSize = 60 } = {}) {
+  const width = container.x1 - container.x0;
+  const height = container.y1 - container.y0;
+  if (width <= 0 || height <= 0) return { groups: [], leaves: [] };
+
+  const groupData = groups
+    .filter(group => group.children?.length > 0)
+    .map(({ children, ...group }) => ({
+      ...group,
+      items: children,
+      value: children.reduce((sum, child) => sum + child.value, 0),
+    }));
+
+  const groupRects = squarify(groupData, container);
+  const leaves = [];
+
+  const laidOutGroups = groupRects.map(({ items, ...rect }) => {
+    const hasRoomForHeader = rect.x1 - rect.x0 >= minHeaderSize && rect.y1 - rect.y0 >= minHeaderSize;
+    const inner = insetRect(rect, padding, hasRoomForHeader ? headerHeight : 0)
+      || { x0: rect.x0, y0: rect.y0, x1: rect.x1, y1: rect.y1 };
+
+    squarify(items, inner).forEach(leaf => {
+      leaves.push({ ...leaf, groupId: rect.id });
+    });
+
+    return { ...rect, showHeader: hasRoomForHeader && inner.y0 > rect.y0 + padding };
+  });
+
+  return { groups: laidOutGroups, leaves };
+}
@@ -19,6 +19,30 @@ export function linearAllocation(rank, total) {
   return Math.round((total + 1 - rank) * (100 / triangularSum));
 }
 
+/**
+ * Round exact shares to whole points that still sum to 100
+ * Largest remainder: floor everything, then hand the leftover points to the
+ * biggest fractions (earlier items win ties), so no item goes negative and
+ * rank order is kept.
+ * @param {number[]} shares - Exact (fractional) shares summing to 100
+ * @returns {number[]} - Whole points summing to 100
+ */
+function roundShares(shares) {
+  const points = shares.map(share => Math.floor(share));
+  let leftover = 100 - points.reduce((a, b) => a + b, 0);
+
+  const byRemainder = shares
+    .map((share, index) => ({ index, remainder: share - points[index] }))
+    .sort((a, b) => b.remainder - a.remainder || a.index - b.index);
+
+  for (let i = 0; leftover > 0 && byRemainder.length > 0; i = (i + 1) % byRemainder.length) {
+    points[byRemainder[i].index] += 1;
+    leftover -= 1;
+  }
+
+  return points;
+}
+
 /**
  * Generate allocation for all ranks using a preset curve
  * @param {number} count - Number of items to allocate
@@ -26,62 +50,49 @@ export function linearAllocation(rank, total) {
  * @returns {number[]} - Array of point allocations (index 0 = rank 1)
  */
 export function generateAllocation(count, preset = 'balanced') {
-  const allocations = [];
+  if (!(count > 0)) return [];
+  if (count === 1) return [100];
+
+  const shares = [];
 
   switch (preset) {
     case 'oneFavorite': {
-      // #1 gets ~50%, rest split evenly
-      const topShare = 50;
-      const remaining = 50;
-      const perItem = Math.floor(remaining / (count - 1));
-      allocations.push(topShare);
+      // #1 gets 50%, rest split evenly
+      const perItem = 50 / (count - 1);
+      shares.push(50);
       for (let i = 1; i < count; i++) {
-        allocations.push(perItem);
+        shares.push(perItem);
       }
-      // Adjust last item to ensure sum = 100
-      const sum = allocations.reduce((a, b) => a + b, 0);
-      allocations[allocations.length - 1] += (100 - sum);
       break;
     }
 
     case 'topHeavy': {
-      // Top 3 get ~70%, rest split remaining
+      // Top 3 get 70%, rest split the remaining 30% (top 3 take it all if there is no rest)
       const topCount = Math.min(3, count);
-      const topShare = Math.floor(70 / topCount);
-      const remaining = 100 - (topShare * topCount);
       const restCount = count - topCount;
-      const perRest = restCount > 0 ? Math.floor(remaining / restCount) : 0;
+      const topShare = (restCount > 0 ? 70 : 100) / topCount;
 
       for (let i = 0; i < topCount; i++) {
-        allocations.push(topShare);
+        shares.push(topShare);
       }
       for (let i = 0; i < restCount; i++) {
-        allocations.push(perRest);
-      }
-      // Adjust to sum to 100
-      const sum = allocations.reduce((a, b) => a + b, 0);
-      if (allocations.length > 0) {
-        allocations[allocations.length - 1] += (100 - sum);
+        shares.push(30 / restCount);
       }
       break;
     }
 
     case 'balanced':
     default: {
-      // Linear distribution based on rank
+      // Linear distribution based on rank (exact version of linearAllocation)
+      const triangularSum = (count * (count + 1)) / 2;
       for (let rank = 1; rank <= count; rank++) {
-        allocations.push(linearAllocation(rank, count));
-      }
-      // Adjust for rounding errors
-      const sum = allocations.reduce((a, b) => a + b, 0);
-      if (sum !== 100 && allocations.length > 0) {
-        allocations[0] += (100 - sum);
+        shares.push((count + 1 - rank) * (100 / triangularSum));
       }
       break;
     }
   }
 
-  return allocations;
+  return roundShares(shares);
 }
 
 /**
@@ -112,17 +123,11 @@ export function normalizeWeights(weights) {
 
   if (total === 0) return weights;
 
+  const points = roundShares(entries.map(([_, value]) => (value / total) * 100));
+
   const normalized = {};
-  let runningSum = 0;
-
-  entries.forEach(([id, value], index) => {
-    if (index === entries.length - 1) {
-      // Last item gets remainder to ensure exact 100
-      normalized[id] = 100 - runningSum;
-    } else {
-      normalized[id] = Math.round((value / total) * 100);
-      runningSum += normalized[id];
-    }
+  entries.forEach(([id], index) => {
+    normalized[id] = points[index];
   });
 
   return normalized;
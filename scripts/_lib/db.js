@@ -0,0 +1,126 @@
+import { createClient } from '@supabase/supabase-js';
+
+/**
+ * Database targets for the catalog scripts
+ *
+ * Both targets expose the same small interface, so a script can write to the
+ * hosted Supabase project or straight to a local Postgres:
+ *   fetchRows(table, artistId) → every row of the artist (of the table when artistId is null)
+ *   upsertRows(table, rows)    → insert-or-update by id, all rows in one transaction
+ *   close()
+ *
+ * Rows are always written whole (read, merge, write back), never as partial
+ * column sets, so an upsert can't null out columns it didn't mention.
+ */
+
+const PAGE_SIZE = 1000;
+
+/**
+ * Supabase target (PostgREST), using the service role key to bypass RLS
+ */
+function supabaseTarget() {
+  const url = process.env.EXPO_PUBLIC_SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY;
+  if (!url || !key) {
+    throw new Error('Set EXPO_PUBLIC_SUPABASE_URL and SUPABASE_SERVICE_ROLE_KEY, or pass --database-url');
+  }
+  const supabase = createClient(url, key);
+
+  return {
+    name: url,
+    async fetchRows(table, artistId = null) {
+      const rows = [];
+      for (let from = 0; ; from += PAGE_SIZE) {
+        let query = supabase.from(table).select('*').order('id');
+        if (artistId) query = query.eq('artist_id', artistId);
+        const { data, error } = await query.range(from, from + PAGE_SIZE - 1);
+        if (error) throw new Error(`Reading ${table}: ${error.message}`);
+        rows.push(...data);
+        if (data.length < PAGE_SIZE) return rows;
+      }
+    },
+    async upsertRows(table, rows) {
+      if (rows.length === 0) return;
+      // One request - PostgREST runs it as a single transaction
+      const { error } = await supabase
+        .from(table)
+        .upsert(rows, { onConflict: 'id', defaultToNull: false });
+      if (error) throw new Error(`Writing ${table}: ${error.message}`);
+    },
+    async close() {},
+  };
+}
+
+/**
+ * Plain Postgres target (local databases, CI)
+ */
+async function postgresTarget(databaseUrl) {
+  const { default: pg } = await import('pg');
+  // Read DATE and NUMERIC the way PostgREST returns them, so diffs compare like with like
+  pg.types.setTypeParser(1082, value => value);
+  pg.types.setTypeParser(1700, value => Number(value));
+  const client = new pg.Client({ connectionString: databaseUrl });
+  await client.connect();
+  const quote = (name) => `"${name.replace(/"/g, '""')}"`;
+  // jsonb columns take JSON text
+  const toParam = (value) => (value !== null && typeof value === 'object' ? JSON.stringify(value) : value);
+
+  return {
+    name: databaseUrl.replace(/\/\/[^@]*@/, '//***@'),
+    async fetchRows(table, artistId = null) {
+      const { rows } = artistId
+        ? await client.query(`SELECT * FROM ${quote(table)} WHERE artist_id = $1`, [artistId])
+        : await client.query(`SELECT * FROM ${quote(table)}`);
+      return rows;
+    },
+    async upsertRows(table, rows) {
+      if (rows.length === 0) return;
+      await client.query('BEGIN');
+      try {
+        for (const row of rows) {
+          const columns = Object.keys(row);
+          const updates = columns.filter(column => column !== 'id').map(column => `${quote(column)} = EXCLUDED.${quote(column)}`);
+          await client.query(
+            `INSERT INTO ${quote(table)} (${columns.map(quote).join(', ')})
+             VALUES (${columns.map((_, i) => `$${i + 1}`).join(', ')})
+             ON CONFLICT (id) DO UPDATE SET ${updates.join(', ')}`,
+            columns.map(column => toParam(row[column]))
+          );
+        }
+        await client.query('COMMIT');
+      } catch (error) {
+        await client.query('ROLLBACK');
+        throw new Error(`Writing ${table}: ${error.message}`);
+      }
+    },
+    async close() {
+      await client.end();
+    },
+  };
+}
+
+/**
+ * Open the target named on the command line
+ * @param {string} [databaseUrl] - Postgres URL (falls back to DATABASE_URL); Supabase when neither is set
+ */
+export async function openTarget(databaseUrl = process.env.DATABASE_URL) {
+  return databaseUrl ? postgresTarget(databaseUrl) : supabaseTarget();
+}
+
+/**
+ * JSON with sorted keys, so objects compare by content
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(',')}]`;
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value ?? null);
+}
+
+/**
+ * Whether two column values are equal (objects by content, undefined same as null)
+ */
+export function sameValue(a, b) {
+  return stableStringify(a) === stableStringify(b);
+}
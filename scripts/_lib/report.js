@@ -0,0 +1,19 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Write a script's report as <name>.json and <name>.md
+ * @param {string} outDir - Created if missing
+ * @param {string} name - File name without extension
+ * @param {object} report - JSON payload
+ * @param {string} markdown - Human-readable version
+ * @returns {string[]} - Paths written, relative to the working directory
+ */
+export function writeReport(outDir, name, report, markdown) {
+  fs.mkdirSync(outDir, { recursive: true });
+  const jsonPath = path.join(outDir, `${name}.json`);
+  const markdownPath = path.join(outDir, `${name}.md`);
+  fs.writeFileSync(jsonPath, JSON.stringify(report, null, 2) + '\n');
+  fs.writeFileSync(markdownPath, markdown);
+  return [jsonPath, markdownPath].map(file => path.relative(process.cwd(), file));
+}
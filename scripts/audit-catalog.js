@@ -0,0 +1,470 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { INTENSITY_MAP, DEFAULT_INTENSITY } from '../api/_lib/catalog.js';
+import { DEFAULT_ARTIST_ID } from '../lib/artists.js';
+import { openTarget } from './_lib/db.js';
+import { writeReport } from './_lib/report.js';
+
+/**
+ * Catalog audit
+ *
+ * Runs data-quality rules over an artist's albums and songs. Most of them look
+ * for values api/_lib/catalog.js would quietly default (a missing duration
+ * becomes 0 minutes, a missing mood becomes intensity 50), which skews the
+ * treemap without any visible error.
+ *
+ *   node scripts/audit-catalog.js [options]
+ *
+ *   --artist <id>          Artist to audit (default: taylor-swift)
+ *   --rules <file>         JSON overrides: { "rules": { "<rule-id>": "error" | "warning" | "off" } }
+ *   --out <dir>            Report directory (default: reports/audit)
+ *   --database-url <url>   Read Postgres directly (or DATABASE_URL) instead of Supabase
+ *   --list-rules           Print the rules and their default severity
+ *
+ * Writes audit-report.json and audit-report.md, and exits non-zero when any
+ * error-severity rule fires. The report's "defaults" section lists every field
+ * the app would fill in, and with what.
+ *
+ * Supabase targets use EXPO_PUBLIC_SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_OUT = path.join(ROOT, 'reports', 'audit');
+const SEVERITIES = ['error', 'warning', 'off'];
+const AUDIO_FEATURES = ['energy', 'danceability', 'valence', 'acousticness'];
+// What buildAlbumMetrics() shows for an album without songs
+const EMPTY_ALBUM_DEFAULTS = 'every metric 0, intensity 50';
+
+// ============================================
+// Rules
+// ============================================
+
+const isMissing = value => value === null || value === undefined;
+const normalizeTitle = title => title.trim().toLowerCase().replace(/\s+/g, ' ');
+
+/**
+ * Each rule returns findings: { field, value?, defaultsTo?, message }.
+ * `defaultsTo` marks a value the app substitutes (see buildSongMetrics /
+ * buildAlbumMetrics in api/_lib/catalog.js).
+ *
+ * scope 'album' / 'song' rules run once per row; 'catalog' rules see
+ * everything and return findings with their own `row`.
+ */
+const RULES = [
+  // Albums
+  {
+    id: 'album-no-songs',
+    scope: 'album',
+    severity: 'error',
+    description: 'Album has no songs',
+    check: (album, { songsByAlbum }) => (songsByAlbum.get(album.id)?.length
+      ? []
+      : [{ field: 'songs', defaultsTo: EMPTY_ALBUM_DEFAULTS, message: 'No songs - the album renders with zeroed metrics' }]),
+  },
+  {
+    id: 'album-missing-release-date',
+    scope: 'album',
+    severity: 'error',
+    description: 'Album has no official_release_date (used for ordering)',
+    check: album => (isMissing(album.official_release_date)
+      ? [{ field: 'official_release_date', message: 'No release date - album order is undefined' }]
+      : []),
+  },
+  {
+    id: 'album-missing-color',
+    scope: 'album',
+    severity: 'warning',
+    description: 'Album has no color',
+    check: album => (isMissing(album.color)
+      ? [{ field: 'color', defaultsTo: '#666', message: 'No color - its songs render grey' }]
+      : []),
+  },
+
+  // Songs
+  {
+    id: 'song-unknown-album',
+    scope: 'song',
+    severity: 'error',
+    description: 'Song points at an album that isn\'t in the catalog',
+    check: (song, { albumsById }) => (albumsById.has(song.album_id)
+      ? []
+      : [{ field: 'album_id', value: song.album_id, defaultsTo: 'color #666', message: 'Unknown album - left out of every album total' }]),
+  },
+  {
+    id: 'song-missing-track-number',
+    scope: 'song',
+    severity: 'error',
+    description: 'Song has no track_number',
+    check: song => (isMissing(song.track_number)
+      ? [{ field: 'track_number', defaultsTo: 0, message: 'No track number - sorts before track 1' }]
+      : []),
+  },
+  {
+    id: 'song-missing-duration',
+    scope: 'song',
+    severity: 'error',
+    description: 'Song has no duration_minutes',
+    check: song => (isMissing(song.duration_minutes)
+      ? [{ field: 'duration_minutes', defaultsTo: 0, message: 'No duration - counts as 0 minutes' }]
+      : []),
+  },
+  {
+    id: 'song-missing-audio-features',
+    scope: 'song',
+    severity: 'error',
+    description: 'Song has no audio_features',
+    check: song => (isMissing(song.audio_features)
+      ? [{ field: 'audio_features', defaultsTo: 0, message: 'No audio features - energy, danceability, valence, acousticness and tempo read 0' }]
+      : []),
+  },
+  {
+    id: 'song-incomplete-audio-features',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song\'s audio_features is missing some values',
+    check: song => (song.audio_features
+      ? [...AUDIO_FEATURES, 'tempo']
+        .filter(key => isMissing(song.audio_features[key]))
+        .map(key => ({ field: `audio_features.${key}`, defaultsTo: 0, message: `No ${key} - reads 0` }))
+      : []),
+  },
+  {
+    id: 'audio-feature-out-of-range',
+    scope: 'song',
+    severity: 'error',
+    description: 'Audio feature outside 0-1 (tempo must be positive bpm)',
+    check: song => {
+      const audio = song.audio_features || {};
+      const findings = AUDIO_FEATURES
+        .filter(key => !isMissing(audio[key]) && !(audio[key] >= 0 && audio[key] <= 1))
+        .map(key => ({ field: `audio_features.${key}`, value: audio[key], message: `${key} ${audio[key]} isn't between 0 and 1` }));
+      if (!isMissing(audio.tempo) && !(audio.tempo > 0)) {
+        findings.push({ field: 'audio_features.tempo', value: audio.tempo, message: `tempo ${audio.tempo} isn't a positive bpm` });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'song-missing-intensity',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song has no mood_profile.emotionalIntensity',
+    check: song => (song.mood_profile?.emotionalIntensity
+      ? []
+      : [{ field: 'mood_profile.emotionalIntensity', defaultsTo: DEFAULT_INTENSITY, message: `No intensity - scored ${DEFAULT_INTENSITY}` }]),
+  },
+  {
+    id: 'song-unknown-intensity',
+    scope: 'song',
+    severity: 'error',
+    description: `emotionalIntensity isn't one of ${Object.keys(INTENSITY_MAP).join(', ')}`,
+    check: song => {
+      const intensity = song.mood_profile?.emotionalIntensity;
+      return intensity && !INTENSITY_MAP[intensity]
+        ? [{ field: 'mood_profile.emotionalIntensity', value: intensity, defaultsTo: INTENSITY_MAP.moderate * 25, message: `Unknown intensity "${intensity}" - scored as moderate` }]
+        : [];
+    },
+  },
+  {
+    id: 'song-missing-lyrics',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song has no lyrics',
+    check: song => (song.raw_lyrics_searchable?.trim()
+      ? []
+      : [{ field: 'raw_lyrics_searchable', message: 'No lyrics - missing from search and lyric metrics' }]),
+  },
+  {
+    id: 'song-missing-word-count',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song has no word_count / unique_word_count',
+    check: song => ['word_count', 'unique_word_count']
+      .filter(field => isMissing(song[field]))
+      .map(field => ({ field, defaultsTo: 0, message: `No ${field} - reads 0` })),
+  },
+  {
+    id: 'song-missing-themes',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song has no themes',
+    check: song => (song.themes?.length
+      ? []
+      : [{ field: 'themes', defaultsTo: [], message: 'No themes - theme count reads 0' }]),
+  },
+  {
+    id: 'song-missing-narrative',
+    scope: 'song',
+    severity: 'warning',
+    description: 'Song has no narrative_voice / narrative_character_count',
+    check: song => [
+      isMissing(song.narrative_voice) && { field: 'narrative_voice', defaultsTo: null, message: 'No narrative voice - never counts as first-person' },
+      isMissing(song.narrative_character_count) && { field: 'narrative_character_count', defaultsTo: 0, message: 'No character count - reads 0' },
+    ].filter(Boolean),
+  },
+
+  // Whole catalog
+  {
+    id: 'duplicate-track-number',
+    scope: 'catalog',
+    severity: 'error',
+    description: 'Two songs on one album share a track_number',
+    check: ({ songsByAlbum }) => {
+      const findings = [];
+      for (const albumSongs of songsByAlbum.values()) {
+        const byTrack = new Map();
+        albumSongs.filter(song => !isMissing(song.track_number)).forEach(song => {
+          const other = byTrack.get(song.track_number);
+          if (other) {
+            findings.push({ row: song, field: 'track_number', value: song.track_number, message: `Track ${song.track_number} is also "${other.title}"` });
+          } else {
+            byTrack.set(song.track_number, song);
+          }
+        });
+      }
+      return findings;
+    },
+  },
+  {
+    id: 'duplicate-title',
+    scope: 'catalog',
+    severity: 'warning',
+    description: 'Same song title on more than one album (deluxe / re-release double counting)',
+    check: ({ songs, albumsById }) => {
+      const byTitle = new Map();
+      songs.forEach(song => {
+        const key = normalizeTitle(song.title || '');
+        if (!byTitle.has(key)) byTitle.set(key, []);
+        byTitle.get(key).push(song);
+      });
+      const findings = [];
+      for (const group of byTitle.values()) {
+        if (group.length < 2) continue;
+        const albumNames = group.map(song => albumsById.get(song.album_id)?.display_name || song.album_id);
+        group.slice(1).forEach(song => findings.push({
+          row: song,
+          field: 'title',
+          value: song.title,
+          message: `Also on ${[...new Set(albumNames)].join(', ')} (${group.length} copies)`,
+        }));
+      }
+      return findings;
+    },
+  },
+];
+
+/**
+ * Apply --rules overrides to the default severities
+ * @returns {Map<string, string>} - rule id → severity
+ */
+function ruleSeverities(overrides = {}) {
+  const severities = new Map(RULES.map(rule => [rule.id, rule.severity]));
+  for (const [id, severity] of Object.entries(overrides)) {
+    if (!severities.has(id)) throw new Error(`Unknown rule "${id}" in --rules (see --list-rules)`);
+    if (!SEVERITIES.includes(severity)) throw new Error(`Rule "${id}": severity must be ${SEVERITIES.join(', ')}`);
+    severities.set(id, severity);
+  }
+  return severities;
+}
+
+function loadRuleOverrides(file) {
+  if (!file) return {};
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8')).rules || {};
+  } catch (error) {
+    throw new Error(`Couldn't read ${file}: ${error.message}`);
+  }
+}
+
+// ============================================
+// Audit
+// ============================================
+
+/**
+ * Run the enabled rules
+ * @returns {object[]} - Findings: { rule, severity, table, id, name, field, value, defaultsTo, message }
+ */
+function auditCatalog(albums, songs, severities) {
+  const albumsById = new Map(albums.map(album => [album.id, album]));
+  const songsByAlbum = new Map();
+  songs.forEach(song => {
+    if (!songsByAlbum.has(song.album_id)) songsByAlbum.set(song.album_id, []);
+    songsByAlbum.get(song.album_id).push(song);
+  });
+  const context = { albums, songs, albumsById, songsByAlbum };
+
+  const findings = [];
+  const record = (rule, table, row, finding) => findings.push({
+    rule: rule.id,
+    severity: severities.get(rule.id),
+    table,
+    id: row.id,
+    name: table === 'albums' ? row.display_name : row.title,
+    album: table === 'songs' ? albumsById.get(row.album_id)?.display_name || null : null,
+    field: finding.field,
+    value: finding.value,
+    defaultsTo: finding.defaultsTo,
+    message: finding.message,
+  });
+
+  for (const rule of RULES) {
+    if (severities.get(rule.id) === 'off') continue;
+    if (rule.scope === 'album') {
+      albums.forEach(album => rule.check(album, context).forEach(finding => record(rule, 'albums', album, finding)));
+    } else if (rule.scope === 'song') {
+      songs.forEach(song => rule.check(song, context).forEach(finding => record(rule, 'songs', song, finding)));
+    } else {
+      rule.check(context).forEach(finding => record(rule, 'songs', finding.row, finding));
+    }
+  }
+
+  return findings;
+}
+
+// ============================================
+// Report
+// ============================================
+
+function buildReport({ artistId, target, albums, songs, findings, severities }) {
+  const errors = findings.filter(finding => finding.severity === 'error');
+  const defaulted = findings.filter(finding => finding.defaultsTo !== undefined);
+
+  // field → how many rows the app fills in, and with what
+  const defaults = {};
+  defaulted.forEach(finding => {
+    const key = `${finding.table}.${finding.field}`;
+    if (!defaults[key]) defaults[key] = { defaultsTo: finding.defaultsTo, count: 0, rows: [] };
+    defaults[key].count++;
+    defaults[key].rows.push({ id: finding.id, name: finding.name, album: finding.album });
+  });
+
+  const byRule = {};
+  RULES.forEach(rule => {
+    byRule[rule.id] = {
+      severity: severities.get(rule.id),
+      description: rule.description,
+      count: findings.filter(finding => finding.rule === rule.id).length,
+    };
+  });
+
+  return {
+    generatedAt: new Date().toISOString(),
+    artist: artistId,
+    target,
+    summary: {
+      albums: albums.length,
+      songs: songs.length,
+      errors: errors.length,
+      warnings: findings.length - errors.length,
+      defaultedFields: defaulted.length,
+    },
+    rules: byRule,
+    defaults,
+    findings,
+  };
+}
+
+function toMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    `# Catalog audit: ${report.artist}`,
+    '',
+    `Generated ${report.generatedAt} against ${report.target}.`,
+    '',
+    `${summary.albums} albums, ${summary.songs} songs: **${summary.errors} errors**, ${summary.warnings} warnings, ${summary.defaultedFields} defaulted fields.`,
+    '',
+    '## Rules',
+    '',
+    '| Rule | Severity | Findings | |',
+    '| --- | --- | ---: | --- |',
+    ...Object.entries(report.rules).map(([id, rule]) => `| \`${id}\` | ${rule.severity} | ${rule.severity === 'off' ? '-' : rule.count} | ${rule.description} |`),
+    '',
+  ];
+
+  const defaults = Object.entries(report.defaults);
+  if (defaults.length > 0) {
+    lines.push('## Defaulted in the app', '', '| Field | Shown as | Rows |', '| --- | --- | ---: |');
+    defaults.forEach(([field, entry]) => lines.push(`| \`${field}\` | \`${JSON.stringify(entry.defaultsTo)}\` | ${entry.count} |`));
+    lines.push('');
+  }
+
+  for (const severity of ['error', 'warning']) {
+    const findings = report.findings.filter(finding => finding.severity === severity);
+    if (findings.length === 0) continue;
+    lines.push(`## ${severity === 'error' ? 'Errors' : 'Warnings'}`, '');
+    findings.forEach(finding => {
+      const where = finding.album ? ` (${finding.album})` : '';
+      lines.push(`- \`${finding.rule}\` "${finding.name}"${where}: ${finding.message}`);
+    });
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// Main
+// ============================================
+
+async function auditCommand() {
+  const { values } = parseArgs({
+    options: {
+      artist: { type: 'string', default: DEFAULT_ARTIST_ID },
+      rules: { type: 'string' },
+      out: { type: 'string' },
+      'database-url': { type: 'string' },
+      'list-rules': { type: 'boolean', default: false },
+    },
+  });
+
+  const severities = ruleSeverities(loadRuleOverrides(values.rules));
+
+  if (values['list-rules']) {
+    RULES.forEach(rule => console.log(`${rule.id.padEnd(32)} ${severities.get(rule.id).padEnd(8)} ${rule.description}`));
+    return;
+  }
+
+  const artistId = values.artist;
+  console.log('='.repeat(60));
+  console.log(`CATALOG AUDIT: ${artistId}`);
+  console.log('='.repeat(60));
+
+  const target = await openTarget(values['database-url']);
+
+  try {
+    console.log(`\nTarget: ${target.name}`);
+    const albums = await target.fetchRows('albums', artistId);
+    const songs = await target.fetchRows('songs', artistId);
+    if (albums.length === 0) {
+      console.log(`\n❌ No albums for ${artistId}`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const findings = auditCatalog(albums, songs, severities);
+    const report = buildReport({ artistId, target: target.name, albums, songs, findings, severities });
+    const { summary } = report;
+
+    console.log(`\n${summary.albums} albums, ${summary.songs} songs\n`);
+    Object.entries(report.rules)
+      .filter(([, rule]) => rule.count > 0)
+      .forEach(([id, rule]) => console.log(`${rule.severity === 'error' ? '❌' : '⚠️'} ${id}: ${rule.count}`));
+    if (findings.length === 0) console.log('✅ No problems found');
+
+    const written = writeReport(path.resolve(values.out || DEFAULT_OUT), 'audit-report', report, toMarkdown(report));
+    console.log(`\nErrors: ${summary.errors}  Warnings: ${summary.warnings}  Defaulted fields: ${summary.defaultedFields}`);
+    console.log(`Report: ${written.join(', ')}`);
+
+    if (summary.errors > 0) process.exitCode = 1;
+  } finally {
+    await target.close();
+  }
+}
+
+auditCommand().catch(error => {
+  console.error('Audit failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,388 @@
+import 'dotenv/config';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import Ajv2020 from 'ajv/dist/2020.js';
+import { getArtist } from '../lib/artists.js';
+import { openTarget, sameValue } from './_lib/db.js';
+import { writeReport } from './_lib/report.js';
+
+/**
+ * Credits sync
+ *
+ * data/credits.json is the source of truth for songs.features.co_writers and
+ * songs.features.featured_artists, keyed by song id (data/credits.schema.json).
+ * This script checks the file against the database and writes the fixes.
+ *
+ *   node scripts/credits-sync.js [check | apply | export] [options]
+ *
+ *   check                  Validate the file and diff it against the database (default)
+ *   apply                  check, then write every mismatched song in one transaction
+ *   export                 Write the database's current credits to the file (seeds it)
+ *
+ *   --artist <id>          Artist to sync (default: the file's "artist")
+ *   --file <path>          Credits file (default: data/credits.json)
+ *   --out <dir>            Report directory (default: reports/credits)
+ *   --database-url <url>   Use Postgres directly (or DATABASE_URL) instead of Supabase
+ *   --force                Let export overwrite a file that already has songs
+ *
+ * check and apply write credits-report.json and credits-report.md to --out and
+ * exit non-zero while anything is still out of sync, so CI can run check. A
+ * file that lists no songs counts as out of sync - export seeds it.
+ *
+ * Supabase targets use EXPO_PUBLIC_SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const DEFAULT_FILE = path.join(ROOT, 'data', 'credits.json');
+const SCHEMA_FILE = path.join(ROOT, 'data', 'credits.schema.json');
+const DEFAULT_OUT = path.join(ROOT, 'reports', 'credits');
+const CREDIT_FIELDS = ['co_writers', 'featured_artists'];
+
+// ============================================
+// Credits file
+// ============================================
+
+function loadCredits(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    throw new Error(`Couldn't read ${file}: ${error.message}`);
+  }
+}
+
+let validateSchema;
+
+/**
+ * Schema errors, from data/credits.schema.json itself
+ * @returns {string[]}
+ */
+function validateCredits(credits) {
+  if (!validateSchema) {
+    validateSchema = new Ajv2020({ allErrors: true }).compile(loadCredits(SCHEMA_FILE));
+  }
+  if (validateSchema(credits)) return [];
+
+  return validateSchema.errors
+    // Each bad key also gets a bare "property name must be valid"; the pattern error says why
+    .filter(error => error.keyword !== 'propertyNames')
+    .map(({ instancePath, keyword, message, params, propertyName }) => {
+      const where = instancePath || '(file)';
+      if (propertyName !== undefined) return `${where}: key "${propertyName}" must be a song id (lowercase uuid)`;
+      if (keyword === 'additionalProperties') return `${where}: unknown field "${params.additionalProperty}"`;
+      if (keyword === 'minProperties' && instancePath === '/songs') {
+        return '/songs: lists no songs yet - seed it with `node scripts/credits-sync.js export`';
+      }
+      return `${where}: ${message}`;
+    });
+}
+
+/**
+ * Valid-but-suspicious entries, reported without failing the check
+ * @param {object} credits - A file that passed validateCredits
+ * @param {string} [artistName] - Primary artist, who is never their own co-writer or feature
+ * @returns {string[]}
+ */
+function lintCredits(credits, artistName) {
+  const warnings = [];
+  const spellings = new Map();
+
+  for (const [id, song] of Object.entries(credits.songs)) {
+    for (const field of CREDIT_FIELDS) {
+      for (const name of song[field]) {
+        if (artistName && name.toLowerCase() === artistName.toLowerCase()) {
+          warnings.push(`"${song.title}" (${id}): ${artistName} is the primary artist - drop them from ${field}`);
+        }
+        const key = name.toLowerCase();
+        if (!spellings.has(key)) spellings.set(key, new Set());
+        spellings.get(key).add(name);
+      }
+    }
+  }
+
+  // 'HAIM' on one song and 'Haim' on another would split that collaborator in every metric
+  for (const names of spellings.values()) {
+    if (names.size > 1) warnings.push(`Spelled more than one way: ${[...names].map(n => `"${n}"`).join(', ')}`);
+  }
+
+  return warnings;
+}
+
+// ============================================
+// Diff
+// ============================================
+
+function creditsOf(row) {
+  return {
+    co_writers: row.features?.co_writers || [],
+    featured_artists: row.features?.featured_artists || [],
+  };
+}
+
+function listChange(expected, actual) {
+  const added = expected.filter(name => !actual.includes(name));
+  const removed = actual.filter(name => !expected.includes(name));
+  return { added, removed, reordered: added.length === 0 && removed.length === 0 };
+}
+
+/**
+ * Compare the file with the database rows
+ * @returns {{ songs: object[], untracked: object[] }} - songs: one entry per song in the file;
+ *   untracked: database songs the file doesn't list yet
+ */
+function diffCredits(credits, songRows, albumRows) {
+  const rowsById = new Map(songRows.map(row => [row.id, row]));
+  const albumNames = new Map(albumRows.map(album => [album.id, album.display_name]));
+
+  const songs = Object.entries(credits.songs).map(([id, entry]) => {
+    const expected = { co_writers: entry.co_writers, featured_artists: entry.featured_artists };
+    const row = rowsById.get(id);
+    if (!row) {
+      return { id, title: entry.title, album: entry.album || null, status: 'missing', expected, actual: null, changes: {} };
+    }
+
+    const actual = creditsOf(row);
+    const changes = {};
+    CREDIT_FIELDS
+      .filter(field => !sameValue(expected[field], actual[field]))
+      .forEach(field => { changes[field] = listChange(expected[field], actual[field]); });
+    return {
+      id,
+      title: row.title,
+      album: albumNames.get(row.album_id) || null,
+      status: Object.keys(changes).length > 0 ? 'mismatch' : 'match',
+      expected,
+      actual,
+      changes,
+    };
+  });
+
+  const untracked = songRows
+    .filter(row => !credits.songs[row.id])
+    .map(row => ({ id: row.id, title: row.title, album: albumNames.get(row.album_id) || null }));
+
+  return { songs, untracked };
+}
+
+// ============================================
+// Report
+// ============================================
+
+function buildReport({ artistId, file, target, errors, warnings, diff, applied }) {
+  const count = status => diff.songs.filter(song => song.status === status).length;
+  return {
+    generatedAt: new Date().toISOString(),
+    artist: artistId,
+    file: path.relative(ROOT, file),
+    target,
+    summary: {
+      tracked: diff.songs.length,
+      matching: count('match'),
+      mismatched: count('mismatch'),
+      missing: count('missing'),
+      untracked: diff.untracked.length,
+      errors: errors.length,
+      warnings: warnings.length,
+      applied,
+    },
+    errors,
+    warnings,
+    songs: diff.songs.filter(song => song.status !== 'match'),
+    untracked: diff.untracked,
+  };
+}
+
+const formatList = names => JSON.stringify(names);
+
+function toMarkdown(report) {
+  const { summary } = report;
+  const lines = [
+    `# Credits report: ${report.artist}`,
+    '',
+    `Generated ${report.generatedAt} from \`${report.file}\` against ${report.target}.`,
+    '',
+    '| | Songs |',
+    '| --- | ---: |',
+    `| Tracked in the file | ${summary.tracked} |`,
+    `| Matching | ${summary.matching} |`,
+    `| Mismatched | ${summary.mismatched} |`,
+    `| Missing from the database | ${summary.missing} |`,
+    `| Not in the file yet | ${summary.untracked} |`,
+    '',
+  ];
+  if (summary.applied > 0) lines.push(`Wrote ${summary.applied} songs.`, '');
+
+  if (report.errors.length > 0) {
+    lines.push('## Schema errors', '', ...report.errors.map(error => `- ${error}`), '');
+  }
+  if (report.warnings.length > 0) {
+    lines.push('## Warnings', '', ...report.warnings.map(warning => `- ${warning}`), '');
+  }
+
+  const mismatched = report.songs.filter(song => song.status === 'mismatch');
+  if (mismatched.length > 0) {
+    lines.push('## Mismatches', '');
+    for (const song of mismatched) {
+      lines.push(`### "${song.title}"${song.album ? ` (${song.album})` : ''}`, '', `\`${song.id}\``, '');
+      for (const [field, change] of Object.entries(song.changes)) {
+        lines.push(`- **${field}**`);
+        lines.push(`  - expected: \`${formatList(song.expected[field])}\``);
+        lines.push(`  - database: \`${formatList(song.actual[field])}\``);
+        if (change.reordered) lines.push('  - same names, different order');
+      }
+      lines.push('');
+    }
+  }
+
+  const missing = report.songs.filter(song => song.status === 'missing');
+  if (missing.length > 0) {
+    lines.push('## Missing from the database', '', ...missing.map(song => `- "${song.title}" \`${song.id}\``), '');
+  }
+  if (report.untracked.length > 0) {
+    lines.push('## Not in the file yet', '');
+    lines.push(...report.untracked.map(song => `- "${song.title}"${song.album ? ` (${song.album})` : ''} \`${song.id}\``), '');
+  }
+
+  return lines.join('\n');
+}
+
+// ============================================
+// Commands
+// ============================================
+
+async function exportCredits({ target, artistId, file, force }) {
+  if (fs.existsSync(file) && !force) {
+    const existing = loadCredits(file);
+    if (Object.keys(existing.songs || {}).length > 0) {
+      throw new Error(`${file} already lists songs - pass --force to replace it with the database's credits`);
+    }
+  }
+
+  const albums = await target.fetchRows('albums', artistId);
+  const songs = await target.fetchRows('songs', artistId);
+  const albumsById = new Map(albums.map(album => [album.id, album]));
+  const releaseDate = row => albumsById.get(row.album_id)?.official_release_date || '';
+
+  // Album release order, then track order, so the file reads like the discography
+  const ordered = [...songs].sort((a, b) =>
+    releaseDate(a).localeCompare(releaseDate(b)) ||
+    (a.track_number || 0) - (b.track_number || 0) ||
+    a.title.localeCompare(b.title)
+  );
+
+  const credits = { $schema: './credits.schema.json', artist: artistId, songs: {} };
+  for (const row of ordered) {
+    credits.songs[row.id] = {
+      title: row.title,
+      album: albumsById.get(row.album_id)?.display_name,
+      ...creditsOf(row),
+    };
+  }
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(credits, null, 2) + '\n');
+  console.log(`\n✅ Exported credits for ${ordered.length} songs to ${path.relative(process.cwd(), file)}`);
+}
+
+async function checkCredits({ target, artistId, credits, file, outDir, apply }) {
+  const errors = validateCredits(credits);
+  const warnings = errors.length === 0 ? lintCredits(credits, getArtist(artistId)?.name) : [];
+  const albums = await target.fetchRows('albums', artistId);
+  const songRows = await target.fetchRows('songs', artistId);
+  const diff = errors.length === 0 ? diffCredits(credits, songRows, albums) : { songs: [], untracked: [] };
+
+  const mismatched = diff.songs.filter(song => song.status === 'mismatch');
+  const missing = diff.songs.filter(song => song.status === 'missing');
+  let applied = 0;
+
+  if (apply && errors.length > 0) {
+    console.log(`\n❌ ${errors.length} schema error${errors.length === 1 ? '' : 's'} - nothing was written`);
+  } else if (apply && missing.length > 0) {
+    // Ids the database doesn't know usually mean the wrong artist or database
+    console.log(`\n❌ ${missing.length} song${missing.length === 1 ? '' : 's'} in the file aren't in the database - nothing was written`);
+  } else if (apply && mismatched.length > 0) {
+    const rowsById = new Map(songRows.map(row => [row.id, row]));
+    // Whole rows with only the credit fields replaced, so other features survive
+    const rows = mismatched.map(song => {
+      const row = rowsById.get(song.id);
+      return { ...row, features: { ...(row.features || {}), ...song.expected } };
+    });
+    await target.upsertRows('songs', rows);
+    applied = rows.length;
+  }
+
+  const report = buildReport({ artistId, file, target: target.name, errors, warnings, diff, applied });
+  const { summary } = report;
+
+  console.log(`\nTracked: ${summary.tracked}  Matching: ${summary.matching}  Mismatched: ${summary.mismatched}  Missing: ${summary.missing}  Not in file: ${summary.untracked}`);
+  errors.forEach(error => console.log(`❌ ${error}`));
+  warnings.forEach(warning => console.log(`⚠️ ${warning}`));
+  if (applied > 0) console.log(`✅ Wrote credits for ${applied} songs`);
+
+  const written = writeReport(outDir, 'credits-report', report, toMarkdown(report));
+  console.log(`\nReport: ${written.join(', ')}`);
+
+  // Out of sync unless the mismatches were just written
+  const outstanding = errors.length + missing.length + (applied > 0 ? 0 : mismatched.length);
+  if (outstanding > 0) process.exitCode = 1;
+}
+
+// ============================================
+// Main
+// ============================================
+
+const COMMANDS = ['check', 'apply', 'export'];
+
+async function creditsSync() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      artist: { type: 'string' },
+      file: { type: 'string' },
+      out: { type: 'string' },
+      'database-url': { type: 'string' },
+      force: { type: 'boolean', default: false },
+    },
+  });
+
+  const command = positionals[0] || 'check';
+  if (positionals.length > 1 || !COMMANDS.includes(command)) {
+    console.error('Usage: node scripts/credits-sync.js [check | apply | export] [--artist <id>] [--file <path>] [--out <dir>] [--database-url <url>] [--force]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const file = path.resolve(values.file || DEFAULT_FILE);
+  const outDir = path.resolve(values.out || DEFAULT_OUT);
+  const credits = command === 'export' ? null : loadCredits(file);
+  const artistId = values.artist || credits?.artist;
+  if (!artistId) {
+    throw new Error('Pass --artist <id> (the credits file names none)');
+  }
+  if (credits && credits.artist && credits.artist !== artistId) {
+    throw new Error(`${file} holds credits for ${credits.artist}, not ${artistId}`);
+  }
+
+  console.log('='.repeat(60));
+  console.log(`CREDITS ${command.toUpperCase()}: ${artistId}`);
+  console.log('='.repeat(60));
+
+  const target = await openTarget(values['database-url']);
+
+  try {
+    console.log(`\nTarget: ${target.name}`);
+    if (command === 'export') {
+      await exportCredits({ target, artistId, file, force: values.force });
+    } else {
+      await checkCredits({ target, artistId, credits, file, outDir, apply: command === 'apply' });
+    }
+  } finally {
+    await target.close();
+  }
+}
+
+creditsSync().catch(error => {
+  console.error('Credits sync failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,447 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { parseLyrics, tokenize } from '../api/_lib/lyrics.js';
+import { DEFAULT_ARTIST_ID, getArtist } from '../lib/artists.js';
+import { openTarget, sameValue } from './_lib/db.js';
+
+/**
+ * Catalog import
+ *
+ * Validates a catalog bundle and upserts its albums and songs into Supabase or
+ * any Postgres database. Rows are matched to what's already there (albums by
+ * name, songs by album + title), so re-running an import only writes what
+ * changed, and fields the bundle leaves out are never cleared.
+ *
+ *   node scripts/import-catalog.js <bundle> [options]
+ *
+ *   <bundle>               A .json file, or a directory with albums.csv + songs.csv
+ *   --artist <id>          Artist the rows belong to (default: bundle "artist", then taylor-swift)
+ *   --dry-run              Validate and print the diff without writing
+ *   --database-url <url>   Write to Postgres directly (or DATABASE_URL) instead of Supabase
+ *
+ * Supabase targets use EXPO_PUBLIC_SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY.
+ *
+ * JSON bundle (see scripts/catalog-bundle.example.json):
+ *   {
+ *     "artist": "taylor-swift",
+ *     "albums": [{ "id"?, "display_name", "color": "#rrggbb", "official_release_date": "YYYY-MM-DD" }],
+ *     "songs": [{
+ *       "id"?, "album": "<album display_name or id>", "title", "track_number",
+ *       "duration_minutes"?, "from_the_vault"?,
+ *       "audio_features"?: { "energy", "danceability", "valence", "acousticness" (0-1), "tempo" (bpm) },
+ *       "emotional_intensity"?: "subdued" | "moderate" | "intense" | "very-intense",
+ *       "narrative_voice"?, "narrative_character_count"?,
+ *       "themes"?: ["..."], "co_writers"?: ["..."], "featured_artists"?: ["..."],
+ *       "lyrics"? | "lyrics_file"? (path relative to the bundle, with [Verse]-style tags)
+ *     }]
+ *   }
+ *
+ * Every song's album must be in the bundle (unchanged albums are skipped on write).
+ *
+ * CSV bundle: albums.csv has the album columns above. songs.csv has the song
+ * columns above, with energy, danceability, valence, acousticness and tempo as
+ * their own columns and themes / co_writers / featured_artists separated by ";".
+ *
+ * Derived columns: word_count and unique_word_count are computed from lyrics
+ * when the bundle doesn't set them.
+ */
+
+const ARTIST_ID_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const COLOR_PATTERN = /^#[0-9a-fA-F]{6}$/;
+const AUDIO_FEATURES = ['energy', 'danceability', 'valence', 'acousticness'];
+// INTENSITY_MAP in api/_lib/catalog.js
+const INTENSITIES = ['subdued', 'moderate', 'intense', 'very-intense'];
+const LIST_SEPARATOR = ';';
+
+// ============================================
+// Loading bundles
+// ============================================
+
+/**
+ * Parse CSV text (RFC 4180: quoted fields may hold commas, quotes and newlines)
+ * @returns {object[]} - One object per row, keyed by the header row
+ */
+function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  const [header = [], ...body] = rows.filter(r => r.some(cell => cell.trim() !== ''));
+  const keys = header.map(key => key.trim());
+  return body.map(cells => Object.fromEntries(keys.map((key, i) => [key, (cells[i] ?? '').trim()])));
+}
+
+function csvList(value) {
+  return value ? value.split(LIST_SEPARATOR).map(item => item.trim()).filter(Boolean) : undefined;
+}
+
+function csvNumber(value) {
+  return value === '' || value === undefined ? undefined : Number(value);
+}
+
+function csvBoolean(value) {
+  if (value === '' || value === undefined) return undefined;
+  return ['true', 'yes', '1', 'y'].includes(value.toLowerCase());
+}
+
+/**
+ * Turn a songs.csv row into the JSON bundle's song shape
+ */
+function songFromCsv(row) {
+  const audio = {};
+  [...AUDIO_FEATURES, 'tempo'].forEach(key => {
+    const value = csvNumber(row[key]);
+    if (value !== undefined) audio[key] = value;
+  });
+
+  return {
+    id: row.id || undefined,
+    album: row.album,
+    title: row.title,
+    track_number: csvNumber(row.track_number),
+    duration_minutes: csvNumber(row.duration_minutes),
+    from_the_vault: csvBoolean(row.from_the_vault),
+    audio_features: Object.keys(audio).length > 0 ? audio : undefined,
+    emotional_intensity: row.emotional_intensity || undefined,
+    narrative_voice: row.narrative_voice || undefined,
+    narrative_character_count: csvNumber(row.narrative_character_count),
+    themes: csvList(row.themes),
+    co_writers: csvList(row.co_writers),
+    featured_artists: csvList(row.featured_artists),
+    lyrics: row.lyrics || undefined,
+    lyrics_file: row.lyrics_file || undefined,
+    word_count: csvNumber(row.word_count),
+    unique_word_count: csvNumber(row.unique_word_count),
+  };
+}
+
+/**
+ * Read a bundle from a JSON file or a CSV directory
+ * @returns {{artist?: string, albums: object[], songs: object[], baseDir: string}}
+ */
+function loadBundle(bundlePath) {
+  const stat = fs.statSync(bundlePath);
+
+  if (stat.isDirectory()) {
+    const read = (name) => {
+      const file = path.join(bundlePath, name);
+      return fs.existsSync(file) ? parseCsv(fs.readFileSync(file, 'utf8')) : [];
+    };
+    return {
+      albums: read('albums.csv').map(row => ({ ...row, id: row.id || undefined })),
+      songs: read('songs.csv').map(songFromCsv),
+      baseDir: bundlePath,
+    };
+  }
+
+  const bundle = JSON.parse(fs.readFileSync(bundlePath, 'utf8'));
+  return {
+    artist: bundle.artist,
+    albums: bundle.albums || [],
+    songs: bundle.songs || [],
+    baseDir: path.dirname(bundlePath),
+  };
+}
+
+// ============================================
+// Validation
+// ============================================
+
+/**
+ * Check a bundle before anything touches the database
+ * @returns {string[]} - One message per problem ('songs[3] "Cardigan": title is required')
+ */
+function validateBundle(bundle, artistId) {
+  const errors = [];
+  const fail = (where, message) => errors.push(`${where}: ${message}`);
+
+  if (!ARTIST_ID_PATTERN.test(artistId)) fail('artist', `"${artistId}" is not a valid artist id`);
+
+  const albumKeys = new Set();
+  bundle.albums.forEach((album, i) => {
+    const where = `albums[${i}]`;
+    if (!album.display_name) fail(where, 'display_name is required');
+    if (!COLOR_PATTERN.test(album.color || '')) fail(where, 'color must be #rrggbb');
+    if (!DATE_PATTERN.test(album.official_release_date || '') || Number.isNaN(Date.parse(album.official_release_date))) {
+      fail(where, 'official_release_date must be YYYY-MM-DD');
+    }
+    const key = (album.display_name || '').toLowerCase();
+    if (albumKeys.has(key)) fail(where, `duplicate album "${album.display_name}"`);
+    albumKeys.add(key);
+    if (album.id) albumKeys.add(String(album.id).toLowerCase());
+  });
+
+  const songKeys = new Set();
+  const trackKeys = new Set();
+  bundle.songs.forEach((song, i) => {
+    const where = `songs[${i}]${song.title ? ` "${song.title}"` : ''}`;
+    if (!song.title) fail(where, 'title is required');
+    if (!song.album) {
+      fail(where, 'album is required');
+    } else if (!albumKeys.has(String(song.album).toLowerCase())) {
+      fail(where, `album "${song.album}" is not in the bundle`);
+    }
+    if (!Number.isInteger(song.track_number) || song.track_number < 1) fail(where, 'track_number must be a positive integer');
+    if (song.duration_minutes !== undefined && !(song.duration_minutes > 0)) fail(where, 'duration_minutes must be positive');
+
+    AUDIO_FEATURES.forEach(key => {
+      const value = song.audio_features?.[key];
+      if (value !== undefined && !(value >= 0 && value <= 1)) fail(where, `audio_features.${key} must be between 0 and 1`);
+    });
+    const tempo = song.audio_features?.tempo;
+    if (tempo !== undefined && !(tempo > 0)) fail(where, 'audio_features.tempo must be positive');
+
+    if (song.emotional_intensity !== undefined && !INTENSITIES.includes(song.emotional_intensity)) {
+      fail(where, `emotional_intensity must be one of ${INTENSITIES.join(', ')}`);
+    }
+    ['themes', 'co_writers', 'featured_artists'].forEach(key => {
+      if (song[key] !== undefined && !(Array.isArray(song[key]) && song[key].every(item => typeof item === 'string'))) {
+        fail(where, `${key} must be a list of names`);
+      }
+    });
+    if (song.lyrics !== undefined && song.lyrics_file !== undefined) fail(where, 'use lyrics or lyrics_file, not both');
+    if (song.lyrics_file && !fs.existsSync(path.resolve(bundle.baseDir, song.lyrics_file))) {
+      fail(where, `lyrics_file ${song.lyrics_file} not found`);
+    }
+
+    const album = String(song.album || '').toLowerCase();
+    const songKey = `${album}/${(song.title || '').toLowerCase()}`;
+    if (songKeys.has(songKey)) fail(where, 'duplicate title on this album');
+    songKeys.add(songKey);
+    const trackKey = `${album}/${song.track_number}`;
+    if (trackKeys.has(trackKey)) fail(where, `track ${song.track_number} is used twice on this album`);
+    trackKeys.add(trackKey);
+  });
+
+  return errors;
+}
+
+// ============================================
+// Planning (bundle + existing rows → rows to write)
+// ============================================
+
+/**
+ * Drop undefined fields so they never overwrite stored values
+ */
+function defined(object) {
+  return Object.fromEntries(Object.entries(object).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Columns an album row gets from the bundle
+ */
+function albumColumns(album, artistId) {
+  return {
+    artist_id: artistId,
+    display_name: album.display_name,
+    color: album.color,
+    official_release_date: album.official_release_date,
+  };
+}
+
+/**
+ * Columns a song row gets from the bundle, merged into the stored JSON columns
+ * so keys the bundle doesn't know about survive
+ */
+function songColumns(song, existing, albumId, artistId, baseDir) {
+  const lyrics = song.lyrics_file
+    ? fs.readFileSync(path.resolve(baseDir, song.lyrics_file), 'utf8')
+    : song.lyrics;
+  const words = lyrics !== undefined
+    ? parseLyrics(lyrics).lines.flatMap(line => tokenize(line))
+    : null;
+
+  // Keep whatever else is stored per theme (e.g. confidence) for themes that stay
+  const storedThemes = new Map((existing?.themes || []).map(entry => [entry.theme, entry]));
+  const credits = defined({ co_writers: song.co_writers, featured_artists: song.featured_artists });
+
+  return defined({
+    artist_id: artistId,
+    album_id: albumId,
+    title: song.title,
+    track_number: song.track_number,
+    duration_minutes: song.duration_minutes,
+    from_the_vault: song.from_the_vault,
+    audio_features: song.audio_features ? { ...existing?.audio_features, ...song.audio_features } : undefined,
+    mood_profile: song.emotional_intensity
+      ? { ...existing?.mood_profile, emotionalIntensity: song.emotional_intensity }
+      : undefined,
+    narrative_voice: song.narrative_voice,
+    narrative_character_count: song.narrative_character_count,
+    themes: song.themes ? song.themes.map(theme => storedThemes.get(theme) || { theme }) : undefined,
+    features: Object.keys(credits).length > 0 ? { ...existing?.features, ...credits } : undefined,
+    raw_lyrics_searchable: lyrics,
+    word_count: song.word_count ?? words?.length,
+    unique_word_count: song.unique_word_count ?? (words ? new Set(words).size : undefined),
+  });
+}
+
+/**
+ * Compare a planned row with the stored one
+ * @returns {{action: 'insert'|'update'|'unchanged', row: object, changes: string[]}}
+ */
+function planRow(existing, columns, id) {
+  if (!existing) {
+    return { action: 'insert', row: { id, ...columns }, changes: Object.keys(columns) };
+  }
+  const changes = Object.keys(columns).filter(key => !sameValue(columns[key], existing[key]));
+  return {
+    action: changes.length > 0 ? 'update' : 'unchanged',
+    row: { ...existing, ...columns },
+    changes,
+  };
+}
+
+/**
+ * Match bundle rows to stored rows and work out what to write
+ */
+function planImport(bundle, artistId, stored) {
+  const byName = (rows, key) => new Map(rows.map(row => [String(row[key]).toLowerCase(), row]));
+  const storedAlbumsById = new Map(stored.albums.map(album => [String(album.id), album]));
+  const storedAlbumsByName = byName(stored.albums, 'display_name');
+
+  const albumIds = new Map();   // bundle name or id (lowercase) → album id
+  const albums = bundle.albums.map(album => {
+    const existing = (album.id && storedAlbumsById.get(String(album.id)))
+      || storedAlbumsByName.get(album.display_name.toLowerCase());
+    const id = existing?.id || album.id || crypto.randomUUID();
+    albumIds.set(album.display_name.toLowerCase(), id);
+    if (album.id) albumIds.set(String(album.id).toLowerCase(), id);
+    return { label: album.display_name, ...planRow(existing, albumColumns(album, artistId), id) };
+  });
+
+  const storedSongsById = new Map(stored.songs.map(song => [String(song.id), song]));
+  const storedSongsByKey = new Map(stored.songs.map(song => [`${song.album_id}/${song.title.toLowerCase()}`, song]));
+  const songs = bundle.songs.map(song => {
+    const albumId = albumIds.get(String(song.album).toLowerCase());
+    const existing = (song.id && storedSongsById.get(String(song.id)))
+      || storedSongsByKey.get(`${albumId}/${song.title.toLowerCase()}`);
+    const id = existing?.id || song.id || crypto.randomUUID();
+    const columns = songColumns(song, existing, albumId, artistId, bundle.baseDir);
+    return { label: `${song.album} / ${song.track_number}. ${song.title}`, ...planRow(existing, columns, id) };
+  });
+
+  return { albums, songs };
+}
+
+function printPlan(title, plans) {
+  const count = (action) => plans.filter(plan => plan.action === action).length;
+  console.log(`\n## ${title}: ${count('insert')} new, ${count('update')} changed, ${count('unchanged')} unchanged`);
+  console.log('-'.repeat(40));
+  plans.forEach(plan => {
+    if (plan.action === 'insert') console.log(`+ ${plan.label}`);
+    if (plan.action === 'update') console.log(`~ ${plan.label} (${plan.changes.join(', ')})`);
+  });
+}
+
+// ============================================
+// Main
+// ============================================
+
+async function importCatalog() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      artist: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      'database-url': { type: 'string' },
+    },
+  });
+
+  if (positionals.length !== 1) {
+    console.error('Usage: node scripts/import-catalog.js <bundle.json | bundle-dir> [--artist <id>] [--dry-run] [--database-url <url>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const bundle = loadBundle(positionals[0]);
+  const artistId = values.artist || bundle.artist || DEFAULT_ARTIST_ID;
+
+  console.log('='.repeat(60));
+  console.log(`CATALOG IMPORT: ${bundle.albums.length} albums, ${bundle.songs.length} songs for ${artistId}`);
+  console.log('='.repeat(60));
+
+  const errors = validateBundle(bundle, artistId);
+  if (errors.length > 0) {
+    console.error(`\n❌ ${errors.length} problem${errors.length === 1 ? '' : 's'} in the bundle - nothing was written:`);
+    errors.forEach(error => console.error(`  ${error}`));
+    process.exitCode = 1;
+    return;
+  }
+  if (!getArtist(artistId)) {
+    console.log(`\n⚠️ ${artistId} isn't in lib/artists.js yet - add it there for the app to show this catalog`);
+  }
+
+  const target = await openTarget(values['database-url']);
+
+  try {
+    console.log(`\nTarget: ${target.name}`);
+    const stored = {
+      albums: await target.fetchRows('albums', artistId),
+      songs: await target.fetchRows('songs', artistId),
+    };
+    const plan = planImport(bundle, artistId, stored);
+    printPlan('Albums', plan.albums);
+    printPlan('Songs', plan.songs);
+
+    const albumRows = plan.albums.filter(p => p.action !== 'unchanged').map(p => p.row);
+    const songRows = plan.songs.filter(p => p.action !== 'unchanged').map(p => p.row);
+
+    if (values['dry-run']) {
+      console.log(`\nDry run - would write ${albumRows.length} albums and ${songRows.length} songs`);
+      return;
+    }
+    if (albumRows.length === 0 && songRows.length === 0) {
+      console.log('\n✅ Already up to date');
+      return;
+    }
+
+    // Albums first - songs reference them
+    await target.upsertRows('albums', albumRows);
+    await target.upsertRows('songs', songRows);
+    console.log(`\n✅ Wrote ${albumRows.length} albums and ${songRows.length} songs`);
+  } finally {
+    await target.close();
+  }
+}
+
+importCatalog().catch(error => {
+  console.error('Import failed:', error.message);
+  process.exitCode = 1;
+});
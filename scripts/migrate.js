@@ -0,0 +1,254 @@
+import 'dotenv/config';
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+import { openTarget } from './_lib/db.js';
+
+/**
+ * Database migrations
+ *
+ * Applies the versioned SQL files in db/migrations (NNN_name.sql, in order) and
+ * records each one in schema_migrations, so running it again only applies
+ * what's new. Every migration runs in its own transaction.
+ *
+ *   node scripts/migrate.js [up | status | copy] [options]
+ *
+ *   up                     Apply pending migrations (default)
+ *   status                 List applied and pending migrations
+ *   copy                   Copy albums and songs from another database into this one
+ *
+ *   --database-url <url>   Database to migrate (default: DATABASE_URL)
+ *   --to <version>         up: stop after this version
+ *   --dry-run              up: list what would run without running it
+ *   --from <url>           copy: source Postgres URL (default: SOURCE_DATABASE_URL)
+ *   --artist <id>          copy: only this artist's rows (default: all)
+ *
+ * Schema changes need a direct Postgres connection - for Supabase, the
+ * connection string under Project Settings → Database. copy writes through
+ * the same targets as the catalog scripts, so without --database-url or
+ * DATABASE_URL it goes to EXPO_PUBLIC_SUPABASE_URL + SUPABASE_SERVICE_ROLE_KEY.
+ *
+ * The migrations are written to be safe on instances that were set up by hand
+ * before this runner existed (IF NOT EXISTS, CREATE OR REPLACE), so the first
+ * `up` against one records them without clobbering data.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const MIGRATIONS_DIR = path.join(ROOT, 'db', 'migrations');
+const MIGRATION_FILE_PATTERN = /^(\d+)_([a-z0-9_]+)\.sql$/;
+// Albums before songs - songs reference them
+const COPY_TABLES = ['albums', 'songs'];
+
+// ============================================
+// Migration files
+// ============================================
+
+/**
+ * @returns {{version: string, name: string, file: string, sql: string, checksum: string}[]} - In version order
+ */
+function loadMigrations() {
+  const migrations = fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => file.endsWith('.sql'))
+    .map(file => {
+      const match = file.match(MIGRATION_FILE_PATTERN);
+      if (!match) throw new Error(`${file}: migration files are named NNN_name.sql`);
+      const sql = fs.readFileSync(path.join(MIGRATIONS_DIR, file), 'utf8');
+      return {
+        version: match[1],
+        name: match[2],
+        file,
+        sql,
+        checksum: crypto.createHash('sha256').update(sql).digest('hex'),
+      };
+    })
+    .sort((a, b) => Number(a.version) - Number(b.version));
+
+  const versions = new Set();
+  for (const migration of migrations) {
+    if (versions.has(Number(migration.version))) throw new Error(`Two migrations share version ${migration.version}`);
+    versions.add(Number(migration.version));
+  }
+  return migrations;
+}
+
+// ============================================
+// Database
+// ============================================
+
+async function connect(databaseUrl) {
+  if (!databaseUrl) {
+    throw new Error('Set DATABASE_URL or pass --database-url (a Postgres connection string)');
+  }
+  const { default: pg } = await import('pg');
+  const client = new pg.Client({ connectionString: databaseUrl });
+  await client.connect();
+  return client;
+}
+
+async function appliedMigrations(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      checksum TEXT NOT NULL,
+      applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+    )
+  `);
+  const { rows } = await client.query('SELECT version, name, checksum, applied_at FROM schema_migrations');
+  return new Map(rows.map(row => [row.version, row]));
+}
+
+async function applyMigration(client, migration) {
+  await client.query('BEGIN');
+  try {
+    await client.query(migration.sql);
+    await client.query(
+      'INSERT INTO schema_migrations (version, name, checksum) VALUES ($1, $2, $3)',
+      [migration.version, migration.name, migration.checksum]
+    );
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`${migration.file}: ${error.message}`);
+  }
+}
+
+// ============================================
+// Commands
+// ============================================
+
+async function migrateUp({ databaseUrl, to, dryRun }) {
+  const migrations = loadMigrations();
+  if (to && !migrations.some(migration => Number(migration.version) === Number(to))) {
+    throw new Error(`No migration with version ${to}`);
+  }
+
+  const client = await connect(databaseUrl);
+  try {
+    const applied = await appliedMigrations(client);
+    const pending = migrations.filter(migration =>
+      !applied.has(migration.version) && (!to || Number(migration.version) <= Number(to))
+    );
+
+    if (pending.length === 0) {
+      console.log('\n✅ Already up to date');
+      return;
+    }
+
+    for (const migration of pending) {
+      if (dryRun) {
+        console.log(`Would apply ${migration.file}`);
+        continue;
+      }
+      await applyMigration(client, migration);
+      console.log(`✅ Applied ${migration.file}`);
+    }
+
+    if (dryRun) console.log(`\nDry run - ${pending.length} pending`);
+  } finally {
+    await client.end();
+  }
+}
+
+async function migrationStatus({ databaseUrl }) {
+  const migrations = loadMigrations();
+  const client = await connect(databaseUrl);
+
+  try {
+    const applied = await appliedMigrations(client);
+    let pending = 0;
+
+    for (const migration of migrations) {
+      const record = applied.get(migration.version);
+      if (!record) {
+        pending++;
+        console.log(`   pending   ${migration.file}`);
+      } else if (record.checksum !== migration.checksum) {
+        // Applied files are history - changes belong in a new migration
+        console.log(`⚠️ changed   ${migration.file} (applied ${record.applied_at.toISOString()}, edited since)`);
+      } else {
+        console.log(`✅ applied   ${migration.file}`);
+      }
+    }
+
+    const known = new Set(migrations.map(migration => migration.version));
+    [...applied.values()]
+      .filter(record => !known.has(record.version))
+      .forEach(record => console.log(`⚠️ unknown   ${record.version}_${record.name} (applied, but no file)`));
+
+    console.log(`\n${migrations.length - pending} applied, ${pending} pending`);
+  } finally {
+    await client.end();
+  }
+}
+
+async function copyData({ databaseUrl, from, artistId }) {
+  if (!from) {
+    throw new Error('Set SOURCE_DATABASE_URL or pass --from (the database to copy from)');
+  }
+
+  const source = await openTarget(from);
+  const destination = await openTarget(databaseUrl);
+
+  try {
+    console.log(`\nFrom: ${source.name}`);
+    console.log(`To:   ${destination.name}`);
+    if (artistId) console.log(`Artist: ${artistId}`);
+
+    for (const table of COPY_TABLES) {
+      const rows = await source.fetchRows(table, artistId);
+      await destination.upsertRows(table, rows);
+      console.log(`✅ Copied ${rows.length} ${table}`);
+    }
+  } finally {
+    await source.close();
+    await destination.close();
+  }
+}
+
+// ============================================
+// Main
+// ============================================
+
+const COMMANDS = ['up', 'status', 'copy'];
+
+async function migrateCommand() {
+  const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+      'database-url': { type: 'string' },
+      to: { type: 'string' },
+      'dry-run': { type: 'boolean', default: false },
+      from: { type: 'string' },
+      artist: { type: 'string' },
+    },
+  });
+
+  const command = positionals[0] || 'up';
+  if (positionals.length > 1 || !COMMANDS.includes(command)) {
+    console.error('Usage: node scripts/migrate.js [up | status | copy] [--database-url <url>] [--to <version>] [--dry-run] [--from <url>] [--artist <id>]');
+    process.exitCode = 1;
+    return;
+  }
+
+  const databaseUrl = values['database-url'] || process.env.DATABASE_URL;
+
+  console.log('='.repeat(60));
+  console.log(`MIGRATE ${command.toUpperCase()}`);
+  console.log('='.repeat(60));
+
+  if (command === 'up') {
+    await migrateUp({ databaseUrl, to: values.to, dryRun: values['dry-run'] });
+  } else if (command === 'status') {
+    await migrationStatus({ databaseUrl });
+  } else {
+    await copyData({ databaseUrl, from: values.from || process.env.SOURCE_DATABASE_URL, artistId: values.artist || null });
+  }
+}
+
+migrateCommand().catch(error => {
+  console.error('Migration failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,130 @@
+import http from 'http';
+import fs from 'fs';
+import path from 'path';
+import { createRequire } from 'module';
+import { parseArgs } from 'util';
+import { fileURLToPath } from 'url';
+
+/**
+ * Mock backend server
+ *
+ * Serves the api/ routes with the in-memory Supabase and fake Stripe from
+ * api/_lib/mock, plus the /mock/* endpoints the app's mock Supabase client
+ * (lib/mockSupabase.js) talks to. Nothing leaves the machine.
+ *
+ *   node scripts/mock-server.js [--port 3001]
+ *
+ * Then start the app against it:
+ *
+ *   EXPO_PUBLIC_MOCK_BACKEND=true EXPO_PUBLIC_API_URL=http://localhost:3001 npx expo start --web
+ *
+ * State lives in memory and resets when the server restarts.
+ */
+
+const ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const require = createRequire(import.meta.url);
+
+process.env.MOCK_BACKEND = 'true';
+// The routes refuse to run without a price configured
+process.env.EXPO_PUBLIC_STRIPE_PREMIUM_PRICE_ID ||= 'price_mock_premium';
+
+const { mockBackend } = require('../api/_lib/backend.js');
+const { runQuery, runRpc } = require('../api/_lib/mock/supabase.js');
+
+// ============================================
+// Vercel-style request / response
+// ============================================
+
+async function readBody(req) {
+  const chunks = [];
+  for await (const chunk of req) chunks.push(chunk);
+  return Buffer.concat(chunks);
+}
+
+function withHelpers(res) {
+  res.status = (code) => {
+    res.statusCode = code;
+    return res;
+  };
+  res.json = (body) => {
+    res.setHeader('Content-Type', 'application/json');
+    res.end(JSON.stringify(body));
+    return res;
+  };
+  res.send = (body) => {
+    res.end(body);
+    return res;
+  };
+  return res;
+}
+
+function loadRoute(name) {
+  const file = path.join(ROOT, 'api', `${name}.js`);
+  // Only real routes - api/_lib isn't routable on Vercel either
+  if (name.startsWith('_') || name.includes('/') || !fs.existsSync(file)) return null;
+  return require(file);
+}
+
+// ============================================
+// Server
+// ============================================
+
+async function handle(req, res) {
+  const url = new URL(req.url, 'http://localhost');
+  withHelpers(res);
+
+  // The app runs on another port
+  res.setHeader('Access-Control-Allow-Origin', req.headers.origin || '*');
+  res.setHeader('Access-Control-Allow-Methods', 'GET, POST, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', req.headers['access-control-request-headers'] || 'Content-Type');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+  if (req.method === 'OPTIONS') return res.status(204).end();
+
+  const { db } = mockBackend();
+
+  if (url.pathname === '/mock/query' && req.method === 'POST') {
+    return res.status(200).json(runQuery(db, JSON.parse((await readBody(req)).toString())));
+  }
+  if (url.pathname === '/mock/rpc' && req.method === 'POST') {
+    const { name, args, userId } = JSON.parse((await readBody(req)).toString());
+    return res.status(200).json(runRpc(db, name, args, { userId }));
+  }
+
+  const match = url.pathname.match(/^\/api\/(.+)$/);
+  const route = match && loadRoute(match[1]);
+  if (!route) return res.status(404).json({ error: 'Not found' });
+
+  req.query = Object.fromEntries(url.searchParams);
+  // Routes that read the raw body (the webhook) turn the parser off, as on Vercel
+  if (route.config?.api?.bodyParser !== false && req.method === 'POST') {
+    const body = (await readBody(req)).toString();
+    req.body = body && req.headers['content-type']?.includes('application/json') ? JSON.parse(body) : body;
+  }
+
+  return route(req, res);
+}
+
+function startServer() {
+  const { values } = parseArgs({
+    options: {
+      port: { type: 'string', default: '3001' },
+    },
+  });
+
+  const server = http.createServer((req, res) => {
+    handle(req, res).catch(error => {
+      console.error(`${req.method} ${req.url} failed:`, error);
+      if (!res.headersSent) res.status(500).json({ error: error.message });
+    });
+  });
+
+  server.listen(Number(values.port), () => {
+    console.log('='.repeat(60));
+    console.log(`MOCK BACKEND: http://localhost:${values.port}`);
+    console.log('='.repeat(60));
+    console.log('\nIn-memory Supabase + fake Stripe, seeded from api/_lib/mock/fixtures.js');
+    console.log(`Run the app with EXPO_PUBLIC_MOCK_BACKEND=true EXPO_PUBLIC_API_URL=http://localhost:${values.port}`);
+  });
+}
+
+startServer();
@@ -1,16 +1,36 @@
 import { create } from 'zustand';
 import { fetchAlbumsWithMetrics } from '../lib/supabase';
+import { loadCatalogSnapshot, saveCatalogSnapshot, loadCustomMetrics, saveCustomMetrics } from '../lib/storage';
+import { syncCustomMetrics, customMetricKey, getMetric } from '../lib/metrics';
+import { DEFAULT_ARTIST_ID, isAvailableArtist, artistPath } from '../lib/artists';
 
 export const useDataStore = create((set, get) => ({
+  // Artist whose catalog is loaded below (see lib/artists.js)
+  artistId: DEFAULT_ARTIST_ID,
+  // Catalogs of artists switched away from this session, restored instantly on switch back
+  // { [artistId]: { albums, songs, catalogVersion, catalogSavedAt } }
+  catalogs: {},
+
   albums: [],
   songs: [],
   isLoading: true,
   error: null,
 
+  // Catalog cache state
+  catalogVersion: null,
+  catalogSavedAt: null,
+  isStale: false,      // Showing cached data that hasn't been confirmed current
+  isRefreshing: false,
+
+  // User-defined formula metrics (saved on the profile, registered in lib/metrics)
+  customMetrics: [],
+  customMetricsLoaded: false,
+
   // View state (persists across navigation)
   selectedMetric: 'default',
   subModeIndex: 0,
   sortBy: 'date',
+  viewMode: 'albums',  // 'albums' | 'songs' - home treemap: album tiles or every song nested by album
 
   setSelectedMetric: (metric) => set({ selectedMetric: metric }),
   setSubModeIndex: (index) => set({ subModeIndex: index }),
@@ -23,23 +43,153 @@ export const useDataStore = create((set, get) => ({
     sortBy: metric === 'default' ? 'date' : 'value',
   }),
 
+  // Switching to songs falls back to the default view if the metric is album-only
+  setViewMode: (mode) => {
+    if (mode === 'songs' && getMetric(get().selectedMetric)?.appliesToSongs === false) {
+      get().changeMetric('default');
+    }
+    set({ viewMode: mode });
+  },
+
   cycleSubMode: (subModesLength) => set((state) => ({
     subModeIndex: (state.subModeIndex + 1) % subModesLength,
   })),
 
-  // Load data from Supabase
+  // Switch the catalog every screen works on, then load it (routes call this - see app/_layout.js)
+  setArtist: (artistId) => {
+    const { artistId: current, albums, songs, catalogVersion, catalogSavedAt, catalogs } = get();
+    if (artistId === current || !isAvailableArtist(artistId)) return;
+
+    const cached = catalogs[artistId];
+    set({
+      artistId,
+      catalogs: albums.length > 0
+        ? { ...catalogs, [current]: { albums, songs, catalogVersion, catalogSavedAt } }
+        : catalogs,
+      albums: cached?.albums || [],
+      songs: cached?.songs || [],
+      catalogVersion: cached?.catalogVersion || null,
+      catalogSavedAt: cached?.catalogSavedAt || null,
+      isStale: false,
+      isRefreshing: false,
+      isLoading: !cached,
+      error: null,
+    });
+    get().loadData();
+  },
+
+  // Load data - serves the cached snapshot instantly, then revalidates in the background
   loadData: async () => {
+    if (!get().customMetricsLoaded) get().loadCustomMetrics();
     if (get().albums.length > 0) return; // Already loaded
 
+    const artistId = get().artistId;
+    set({ isLoading: true, error: null });
+
+    const snapshot = await loadCatalogSnapshot(artistId);
+    if (get().artistId !== artistId) return; // Switched artists while reading the cache
+    if (snapshot) {
+      set({
+        albums: snapshot.albums,
+        songs: snapshot.songs,
+        catalogVersion: snapshot.version,
+        catalogSavedAt: snapshot.savedAt,
+        isStale: true,
+        isLoading: false,
+      });
+    }
+
+    await get().refreshData();
+  },
+
+  // Refetch the catalog if the server-side version changed (or always, with force)
+  refreshData: async ({ force = false } = {}) => {
+    if (get().isRefreshing) return;
+    const artistId = get().artistId;
+    set({ isRefreshing: true, error: null });
+
+    const hasCache = get().albums.length > 0;
+
     try {
-      set({ isLoading: true, error: null });
-      const { albums, songs } = await fetchAlbumsWithMetrics();
-      set({ albums, songs, isLoading: false });
+      // Conditional request: the server answers 304 if our snapshot is still current
+      const knownVersion = force || !hasCache ? null : get().catalogVersion;
+      const { albums, songs, version, notModified } = await fetchAlbumsWithMetrics(knownVersion, artistId);
+
+      // Switched artists mid-request - setArtist already started loading the new one
+      if (get().artistId !== artistId) return;
+
+      if (notModified) {
+        set({ isStale: false, isRefreshing: false, isLoading: false });
+        return;
+      }
+
+      // fetchAlbumsWithMetrics returns empty lists on failure - keep what we have
+      if (albums.length === 0 || songs.length === 0) {
+        set({
+          isStale: hasCache,
+          isRefreshing: false,
+          isLoading: false,
+          error: hasCache ? null : 'Could not load the discography',
+        });
+        return;
+      }
+
+      set({
+        albums,
+        songs,
+        catalogVersion: version,
+        catalogSavedAt: new Date().toISOString(),
+        isStale: false,
+        isRefreshing: false,
+        isLoading: false,
+      });
+      await saveCatalogSnapshot({ albums, songs, version, artistId });
     } catch (error) {
-      set({ error: error.message, isLoading: false });
+      if (get().artistId !== artistId) return;
+      set({
+        isStale: hasCache,
+        isRefreshing: false,
+        isLoading: false,
+        error: hasCache ? null : error.message,
+      });
     }
   },
 
+  // Register the custom metrics saved on the profile
+  loadCustomMetrics: async () => {
+    set({ customMetricsLoaded: true });
+    const customMetrics = await loadCustomMetrics();
+    syncCustomMetrics(customMetrics);
+    set({ customMetrics });
+  },
+
+  // Create or update a custom metric ({ id?, label, formula, aggregate, suffix })
+  saveCustomMetric: async (custom) => {
+    const id = custom.id || Date.now().toString(36);
+    const entry = { ...custom, id };
+    const existing = get().customMetrics;
+    const customMetrics = existing.some(m => m.id === id)
+      ? existing.map(m => (m.id === id ? entry : m))
+      : [...existing, entry];
+
+    syncCustomMetrics(customMetrics);
+    set({ customMetrics });
+    await saveCustomMetrics(customMetrics);
+    return customMetricKey(id);
+  },
+
+  // Delete a custom metric, falling back to the default view if it was selected
+  deleteCustomMetric: async (id) => {
+    const customMetrics = get().customMetrics.filter(m => m.id !== id);
+    if (get().selectedMetric === customMetricKey(id)) {
+      get().changeMetric('default');
+    }
+
+    syncCustomMetrics(customMetrics);
+    set({ customMetrics });
+    await saveCustomMetrics(customMetrics);
+  },
+
   // Get album by slug (display_name converted to slug)
   getAlbumBySlug: (slug) => {
     const albums = get().albums;
@@ -72,6 +222,15 @@ export const useDataStore = create((set, get) => ({
   },
 }));
 
+/**
+ * Link builder for the current artist's screens
+ * @returns {function(string): string} - path => artistPath(artistId, path)
+ */
+export function useArtistHref() {
+  const artistId = useDataStore((state) => state.artistId);
+  return (path) => artistPath(artistId, path);
+}
+
 // Helper to generate slug from album name
 export function albumToSlug(album) {
   return album.display_name.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/-+$/, '');
@@ -76,7 +76,8 @@ export const useSubscriptionStore = create((set, get) => ({
     set({ checkoutLoading: true });
 
     try {
-      const response = await fetch('/api/create-checkout-session', {
+      const apiBase = process.env.EXPO_PUBLIC_API_URL || '';
+      const response = await fetch(`${apiBase}/api/create-checkout-session`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ user_id: userId }),
@@ -104,7 +105,8 @@ export const useSubscriptionStore = create((set, get) => ({
     }
 
     try {
-      const response = await fetch('/api/create-portal-session', {
+      const apiBase = process.env.EXPO_PUBLIC_API_URL || '';
+      const response = await fetch(`${apiBase}/api/create-portal-session`, {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({ user_id: userId }),